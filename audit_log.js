@@ -0,0 +1,285 @@
+// Модуль журнала изменений (audit trail) административных данных
+// Каждое изменение базовых ставок, индексов, настроек модели и пользователей записывается в audit_log:
+// кто (actor), когда, какая сущность, значения до/после и источник изменения (api, excel_upload, revert).
+// Отдельное изменение можно откатить, если запись с тех пор не менялась.
+
+import { recordIndexValue } from './index_history.js';
+import { hasRole } from './auth.js';
+
+// Описание сущностей: таблица, ключ и столбцы, которые сравниваются и восстанавливаются при откате.
+// requiredRole - роль, нужная для отката (та же, что для изменения сущности через API).
+// dateColumns (необязательно) - столбцы DATE, которые записываются как YYYY-MM-DD.
+// afterRevert (необязательно) вызывается после восстановления строки.
+const AUDITED_ENTITIES = {
+  base_rates: {
+    keyColumn: 'id',
+    columns: ['origin_region', 'destination_region', 'container_type_id', 'rate'],
+    revertable: true,
+    requiredRole: 'pricing_manager'
+  },
+  port_pair_rates: {
+    keyColumn: 'id',
+    columns: ['origin_port_code', 'destination_port_code', 'container_type_id', 'rate'],
+    revertable: true,
+    requiredRole: 'pricing_manager'
+  },
+  country_pair_rates: {
+    keyColumn: 'id',
+    columns: ['origin_country', 'destination_country', 'container_type_id', 'rate'],
+    revertable: true,
+    requiredRole: 'pricing_manager'
+  },
+  index_config: {
+    keyColumn: 'index_name',
+    columns: ['baseline_value', 'weight_percentage', 'current_value', 'expected_frequency_days'],
+    revertable: true,
+    requiredRole: 'pricing_manager',
+    // current_value вычисляется из index_values, поэтому восстановленное значение записывается как наблюдение
+    afterRevert: async (client, entityId, restored) => {
+      if (restored && restored.current_value !== null) {
+        await recordIndexValue(client, { indexName: entityId, value: restored.current_value, source: 'revert' });
+      }
+    }
+  },
+  // Решения по значениям на проверке; значение одобряется или отклоняется один раз, поэтому откат не предусмотрен
+  index_values: {
+    keyColumn: 'id',
+    columns: ['value', 'status'],
+    revertable: false,
+    requiredRole: 'pricing_manager'
+  },
+  index_lane_routes: {
+    keyColumn: 'id',
+    columns: ['origin_region', 'destination_region', 'baseline_value'],
+    revertable: true,
+    requiredRole: 'pricing_manager'
+  },
+  model_settings: {
+    keyColumn: 'setting_key',
+    columns: ['setting_value'],
+    revertable: true,
+    requiredRole: 'admin'
+  },
+  chokepoint_disruptions: {
+    keyColumn: 'id',
+    columns: ['passage', 'mode', 'surcharge_amount', 'surcharge_percent', 'effective_from', 'effective_to', 'reason'],
+    dateColumns: ['effective_from', 'effective_to'],
+    revertable: true,
+    requiredRole: 'pricing_manager'
+  },
+  fuel_prices: {
+    keyColumn: 'id',
+    columns: ['fuel_type', 'date', 'price', 'source'],
+    dateColumns: ['date'],
+    revertable: true,
+    requiredRole: 'pricing_manager'
+  },
+  baf_parameters: {
+    keyColumn: 'id',
+    columns: ['origin_region', 'destination_region', 'consumption_per_teu', 'base_price', 'averaging_period', 'vessel_profile', 'fuel_type', 'eca_fuel_type', 'eca_share'],
+    revertable: true,
+    requiredRole: 'pricing_manager'
+  },
+  holiday_dates: {
+    keyColumn: 'id',
+    columns: ['holiday', 'start_date', 'end_date'],
+    dateColumns: ['start_date', 'end_date'],
+    revertable: true,
+    requiredRole: 'pricing_manager'
+  },
+  scraper_schedules: {
+    keyColumn: 'index_name',
+    columns: ['cron_expression', 'enabled'],
+    revertable: true,
+    requiredRole: 'admin'
+  },
+  // Хеш пароля в журнал не пишется, поэтому изменения пользователей не откатываются
+  admin_users: {
+    keyColumn: 'id',
+    columns: ['username', 'role', 'is_active'],
+    revertable: false,
+    requiredRole: 'admin'
+  }
+};
+
+// Ошибка отката с HTTP-статусом для маршрута
+class AuditRevertError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'AuditRevertError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Создание таблицы журнала (вызывается из initializeDatabaseTables)
+async function initializeAuditTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id SERIAL PRIMARY KEY,
+      actor_user_id INTEGER,
+      actor_username VARCHAR(100),
+      action VARCHAR(10) NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id TEXT NOT NULL,
+      before_value JSONB,
+      after_value JSONB,
+      source VARCHAR(20) NOT NULL DEFAULT 'api',
+      reverts_id INTEGER REFERENCES audit_log(id),
+      reverted_by_id INTEGER REFERENCES audit_log(id),
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);');
+}
+
+// Дата столбца DATE (pg возвращает Date на локальную полночь)
+function formatDateColumn(value) {
+  if (!(value instanceof Date)) return String(value);
+  const pad = number => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+}
+
+// Значения отслеживаемых столбцов (NUMERIC из pg приходит строкой, поэтому сравнение идет по строковому виду)
+function pickAuditedColumns(entityType, row) {
+  if (!row) return null;
+  const { columns, dateColumns = [] } = AUDITED_ENTITIES[entityType];
+  const snapshot = {};
+  for (const column of columns) {
+    const value = row[column];
+    if (value === undefined || value === null) {
+      snapshot[column] = null;
+    } else {
+      snapshot[column] = dateColumns.includes(column) ? formatDateColumn(value) : String(value);
+    }
+  }
+  return snapshot;
+}
+
+function snapshotsEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Текущее состояние сущности (null, если запись не существует)
+async function getEntitySnapshot(client, entityType, entityId) {
+  const entity = AUDITED_ENTITIES[entityType];
+  const result = await client.query(`SELECT * FROM ${entityType} WHERE ${entity.keyColumn} = $1`, [entityId]);
+  return result.rows.length > 0 ? pickAuditedColumns(entityType, result.rows[0]) : null;
+}
+
+// Запись изменения. before/after - строки таблицы (или null для создания/удаления).
+// Изменение без разницы в отслеживаемых столбцах не записывается (возвращается null).
+async function recordAuditEntry(client, { actor, entityType, entityId, before, after, source = 'api', revertsId = null }) {
+  const beforeSnapshot = pickAuditedColumns(entityType, before);
+  const afterSnapshot = pickAuditedColumns(entityType, after);
+  if (snapshotsEqual(beforeSnapshot, afterSnapshot)) {
+    return null;
+  }
+  const action = !beforeSnapshot ? 'create' : !afterSnapshot ? 'delete' : 'update';
+  const result = await client.query(`
+    INSERT INTO audit_log (actor_user_id, actor_username, action, entity_type, entity_id, before_value, after_value, source, reverts_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *;
+  `, [
+    actor?.id ?? null, actor?.username ?? null, action, entityType, String(entityId),
+    beforeSnapshot ? JSON.stringify(beforeSnapshot) : null,
+    afterSnapshot ? JSON.stringify(afterSnapshot) : null,
+    source, revertsId
+  ]);
+  return result.rows[0];
+}
+
+// Список изменений с фильтрами по сущности
+async function listAuditEntries(client, { entityType, entityId, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (entityType) {
+    params.push(entityType);
+    conditions.push(`entity_type = $${params.length}`);
+  }
+  if (entityId) {
+    params.push(String(entityId));
+    conditions.push(`entity_id = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await client.query(`SELECT COUNT(*)::int AS total FROM audit_log ${where}`, params);
+  params.push(limit, offset);
+  const result = await client.query(
+    `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return { entries: result.rows, total: countResult.rows[0].total };
+}
+
+// Откат одного изменения. Вызывается внутри транзакции.
+// actor должен иметь роль requiredRole сущности.
+// Откат возможен, только если текущее состояние записи совпадает с after_value этого изменения.
+async function revertAuditEntry(client, entryId, actor) {
+  const entryResult = await client.query('SELECT * FROM audit_log WHERE id = $1 FOR UPDATE', [entryId]);
+  if (entryResult.rows.length === 0) {
+    throw new AuditRevertError('Audit entry not found', 404);
+  }
+  const entry = entryResult.rows[0];
+  const entity = AUDITED_ENTITIES[entry.entity_type];
+  if (!entity || !entity.revertable) {
+    throw new AuditRevertError(`Changes of '${entry.entity_type}' cannot be reverted`, 400);
+  }
+  if (!hasRole(actor?.role, entity.requiredRole)) {
+    throw new AuditRevertError(`Role '${entity.requiredRole}' or higher is required`, 403);
+  }
+  if (entry.reverted_by_id) {
+    throw new AuditRevertError(`Change already reverted by audit entry ${entry.reverted_by_id}`, 409);
+  }
+
+  const current = await getEntitySnapshot(client, entry.entity_type, entry.entity_id);
+  if (!snapshotsEqual(current, entry.after_value)) {
+    throw new AuditRevertError('Entity was changed after this audit entry; revert the later changes first', 409);
+  }
+
+  const { keyColumn, columns } = entity;
+  const table = entry.entity_type;
+  let before = null;
+  let after = null;
+  if (entry.action === 'create') {
+    const result = await client.query(`DELETE FROM ${table} WHERE ${keyColumn} = $1 RETURNING *`, [entry.entity_id]);
+    before = result.rows[0];
+  } else if (entry.action === 'delete') {
+    const values = columns.map(column => entry.before_value[column]);
+    const result = await client.query(
+      `INSERT INTO ${table} (${keyColumn}, ${columns.join(', ')}) VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')}) RETURNING *`,
+      [entry.entity_id, ...values]
+    );
+    after = result.rows[0];
+  } else {
+    const beforeResult = await client.query(`SELECT * FROM ${table} WHERE ${keyColumn} = $1`, [entry.entity_id]);
+    before = beforeResult.rows[0];
+    const values = columns.map(column => entry.before_value[column]);
+    const result = await client.query(
+      `UPDATE ${table} SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')} WHERE ${keyColumn} = $1 RETURNING *`,
+      [entry.entity_id, ...values]
+    );
+    after = result.rows[0];
+  }
+  if (entity.afterRevert) {
+    await entity.afterRevert(client, entry.entity_id, after);
+    if (after) {
+      const refreshed = await client.query(`SELECT * FROM ${table} WHERE ${keyColumn} = $1`, [entry.entity_id]);
+      after = refreshed.rows[0];
+    }
+  }
+
+  const revertEntry = await recordAuditEntry(client, {
+    actor, entityType: table, entityId: entry.entity_id, before, after, source: 'revert', revertsId: entry.id
+  });
+  await client.query('UPDATE audit_log SET reverted_by_id = $1 WHERE id = $2', [revertEntry.id, entry.id]);
+  return revertEntry;
+}
+
+export {
+  AUDITED_ENTITIES,
+  AuditRevertError,
+  initializeAuditTables,
+  getEntitySnapshot,
+  recordAuditEntry,
+  listAuditEntries,
+  revertAuditEntry
+};
@@ -0,0 +1,186 @@
+// Модуль аутентификации и ролей для административных маршрутов (/api/admin/*)
+// Пароли хранятся как scrypt-хеш с солью, вход выдает токен сессии (Authorization: Bearer <token>).
+// В БД хранится только SHA-256 от токена. Роли упорядочены: viewer < pricing_manager < admin.
+//   viewer          - чтение справочников, ставок и истории расчетов
+//   pricing_manager - изменение базовых ставок и индексов, загрузка файлов
+//   admin           - изменение model_settings и управление пользователями
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['viewer', 'pricing_manager', 'admin'];
+const SESSION_TTL_HOURS = 12;
+const SCRYPT_KEY_LENGTH = 64;
+
+// --- Пароли ---
+
+// Формат: scrypt$<соль hex>$<хеш hex>
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derivedKey = await scrypt(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt}$${derivedKey.toString('hex')}`;
+}
+
+async function verifyPassword(password, storedHash) {
+  const [scheme, salt, hash] = String(storedHash).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const derivedKey = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, derivedKey);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hasRole(userRole, requiredRole) {
+  return ROLES.includes(userRole) && ROLES.indexOf(userRole) >= ROLES.indexOf(requiredRole);
+}
+
+// --- Таблицы ---
+
+// Создание таблиц пользователей и сессий (вызывается из initializeDatabaseTables)
+async function initializeAuthTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_users (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(100) NOT NULL UNIQUE,
+      password_hash TEXT NOT NULL,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('viewer', 'pricing_manager', 'admin')),
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_login_at TIMESTAMP
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admin_sessions (
+      token_hash VARCHAR(64) PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES admin_users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      expires_at TIMESTAMP NOT NULL
+    );
+  `);
+}
+
+// Первый администратор создается из ADMIN_USERNAME / ADMIN_PASSWORD, если пользователей еще нет
+async function ensureBootstrapAdmin(client) {
+  const { rows } = await client.query('SELECT COUNT(*)::int AS count FROM admin_users');
+  if (rows[0].count > 0) {
+    return false;
+  }
+  const username = process.env.ADMIN_USERNAME;
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password) {
+    console.warn('[auth] No admin users exist and ADMIN_USERNAME/ADMIN_PASSWORD are not set. Admin panel is inaccessible.');
+    return false;
+  }
+  await client.query(
+    'INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, $3)',
+    [username, await hashPassword(password), 'admin']
+  );
+  console.log(`[auth] Bootstrap admin user '${username}' created.`);
+  return true;
+}
+
+// --- Сессии ---
+
+// Проверка логина/пароля и создание сессии. Возвращает { token, expiresAt, user } или null.
+async function login(client, username, password) {
+  const { rows } = await client.query(
+    'SELECT id, username, password_hash, role FROM admin_users WHERE username = $1 AND is_active = TRUE',
+    [username]
+  );
+  if (rows.length === 0 || !(await verifyPassword(password, rows[0].password_hash))) {
+    return null;
+  }
+  const user = rows[0];
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+  await client.query(
+    'INSERT INTO admin_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+    [hashToken(token), user.id, expiresAt]
+  );
+  await client.query('UPDATE admin_users SET last_login_at = NOW() WHERE id = $1', [user.id]);
+  await client.query('DELETE FROM admin_sessions WHERE expires_at < NOW()');
+  return { token, expiresAt, user: { id: user.id, username: user.username, role: user.role } };
+}
+
+async function logout(client, token) {
+  await client.query('DELETE FROM admin_sessions WHERE token_hash = $1', [hashToken(token)]);
+}
+
+// Пользователь по токену сессии (null, если токен не найден, истек или пользователь отключен)
+async function getSessionUser(client, token) {
+  const { rows } = await client.query(`
+    SELECT u.id, u.username, u.role
+    FROM admin_sessions s
+    JOIN admin_users u ON u.id = s.user_id
+    WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.is_active = TRUE
+  `, [hashToken(token)]);
+  return rows[0] || null;
+}
+
+function extractBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+// --- Express middleware ---
+
+// Проверяет токен и записывает пользователя в req.user. Без валидной сессии - 401.
+function createAuthenticate(pool) {
+  return async function authenticate(req, res, next) {
+    const token = extractBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    let client;
+    try {
+      client = await pool.connect();
+      const user = await getSessionUser(client, token);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid or expired session' });
+      }
+      req.user = user;
+      next();
+    } catch (err) {
+      console.error('[auth] Error verifying session:', err);
+      res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+      if (client) { client.release(); }
+    }
+  };
+}
+
+// Проверка роли (вызывается после authenticate). Недостаточная роль - 403.
+function requireRole(requiredRole) {
+  return function checkRole(req, res, next) {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasRole(req.user.role, requiredRole)) {
+      return res.status(403).json({ error: `Role '${requiredRole}' or higher is required` });
+    }
+    next();
+  };
+}
+
+export {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  hasRole,
+  initializeAuthTables,
+  ensureBootstrapAdmin,
+  login,
+  logout,
+  getSessionUser,
+  extractBearerToken,
+  createAuthenticate,
+  requireRole
+};
@@ -0,0 +1,431 @@
+// Модуль бэктеста модели ценообразования на фактических ставках (historical_rates)
+// Фактические ставки - наблюдаемые рыночные, загруженные historical_rate_import.js (порты - коды UN/LOCODE).
+// Фактические ставки за период усредняются по неделям для каждой пары портов и типа контейнера. Каждая такая
+// точка пересчитывается конвейером ценообразования на понедельник недели с данными, известными на эту дату:
+// значения индексов и маршрутов индексов (index_values, index_lane_values), нарушения на проходах и цены топлива окна BAF.
+// Базовые ставки, параметры BAF, веса и базы индексов и сезонные факторы берутся текущие (сезонные факторы и эффекты
+// праздников оценены по всей истории, поэтому их вклад в точность завышен). Эти ограничения возвращаются вместе
+// с результатами (BACKTEST_LIMITATIONS).
+//
+// Расчет выполняется с текущей конфигурацией модели и, если передана, с проверяемой (candidate):
+//   { sensitivityCoeff, indexWeights: { SCFI: 30, ... }, coreSourceWeights: { SCFI: 1.2, ... }, modelSettings: { ключ: значение } }
+// Метрики по направлению (регион - регион) и типу контейнера и в целом:
+//   mape    - средняя абсолютная ошибка, % от фактической ставки
+//   bias    - средняя ошибка со знаком, % (положительная - модель завышает)
+//   hitRate - доля фактических ставок внутри диапазона min/max котировки, %
+// Запуск выполняется в фоне (server.js): строка backtest_runs создается со статусом 'running' и по окончании
+// получает результаты ('completed') или ошибку ('failed'). Одновременно выполняется не больше одного запуска.
+
+import { calculateFreightRate } from './freight_calculator_enhanced.js';
+import { CORE_SOURCE_WEIGHTS } from './pricing_pipeline.js';
+import { getIndexValuesAsOf } from './index_history.js';
+import { getLaneIndices } from './lane_indices.js';
+import { resolveDisruptedSeaRoute } from './chokepoint_disruptions.js';
+import { DEFAULT_ROUTING } from './sea_routes.js';
+import { loadBafInputs, createBafProvider } from './baf_engine.js';
+import { EXCLUDED_HISTORY_SOURCES } from './seasonality_analyzer.js';
+
+// Число точек (неделя x пара портов x тип контейнера) по умолчанию и максимум за один запуск
+const DEFAULT_MAX_SAMPLES = 300;
+const MAX_SAMPLES_LIMIT = 500;
+
+const BACKTEST_STATUSES = ['running', 'completed', 'failed'];
+
+// Данные, которые берутся текущими, а не на дату точки (заглядывание в будущее)
+const BACKTEST_LIMITATIONS = [
+  { code: 'current_base_rates', message: 'Base rates and BAF lane parameters are the current ones, not those in force on each date' },
+  { code: 'current_index_config', message: 'Index weights and baselines are the current ones unless the candidate overrides the weights' },
+  { code: 'seasonality_lookahead', message: 'Seasonal factors and holiday effects are estimated from the whole history, including the tested period, so their contribution to accuracy is overstated' }
+];
+
+const CANDIDATE_KEYS = ['sensitivityCoeff', 'indexWeights', 'coreSourceWeights', 'modelSettings'];
+
+// Ошибка бэктеста с HTTP-статусом для маршрута
+class BacktestError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'BacktestError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Создание таблицы запусков (вызывается из initializeDatabaseTables).
+// Запуски, оставшиеся в статусе 'running' после перезапуска сервера, отмечаются как прерванные.
+async function initializeBacktestTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS backtest_runs (
+      id SERIAL PRIMARY KEY,
+      date_from DATE NOT NULL,
+      date_to DATE NOT NULL,
+      candidate JSONB,
+      max_samples INTEGER,
+      status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('${BACKTEST_STATUSES.join("', '")}')),
+      error TEXT,
+      sample_count INTEGER,
+      summary JSONB,
+      results JSONB,
+      duration_ms INTEGER,
+      created_by_user_id INTEGER,
+      created_by_username VARCHAR(100),
+      created_at TIMESTAMP DEFAULT NOW(),
+      finished_at TIMESTAMP
+    );
+  `);
+  // Столбцы фоновых запусков для таблиц, созданных до них
+  await client.query('ALTER TABLE backtest_runs ADD COLUMN IF NOT EXISTS max_samples INTEGER');
+  await client.query(`ALTER TABLE backtest_runs ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'completed' CHECK (status IN ('${BACKTEST_STATUSES.join("', '")}'))`);
+  await client.query('ALTER TABLE backtest_runs ADD COLUMN IF NOT EXISTS error TEXT');
+  await client.query('ALTER TABLE backtest_runs ADD COLUMN IF NOT EXISTS finished_at TIMESTAMP');
+  await client.query('ALTER TABLE backtest_runs ALTER COLUMN sample_count DROP NOT NULL');
+  await client.query('ALTER TABLE backtest_runs ALTER COLUMN summary DROP NOT NULL');
+  await client.query('ALTER TABLE backtest_runs ALTER COLUMN results DROP NOT NULL');
+  await client.query(`CREATE UNIQUE INDEX IF NOT EXISTS backtest_runs_single_running ON backtest_runs (status) WHERE status = 'running'`);
+  await client.query(`
+    UPDATE backtest_runs SET status = 'failed', error = 'Interrupted by server restart', finished_at = NOW()
+    WHERE status = 'running'
+  `);
+}
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !isNaN(Date.parse(value));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Проверка проверяемой конфигурации: null, если не задана
+function validateCandidate(candidate) {
+  if (candidate === undefined || candidate === null || candidate === '') {
+    return null;
+  }
+  if (!isPlainObject(candidate)) {
+    throw new BacktestError('candidate must be an object', 400);
+  }
+  const unknown = Object.keys(candidate).filter(key => !CANDIDATE_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new BacktestError(`Unknown candidate keys: ${unknown.join(', ')}. Allowed: ${CANDIDATE_KEYS.join(', ')}`, 400);
+  }
+  const validated = {};
+  if (candidate.sensitivityCoeff !== undefined) {
+    const sensitivityCoeff = parseFloat(candidate.sensitivityCoeff);
+    if (isNaN(sensitivityCoeff) || sensitivityCoeff < 0 || sensitivityCoeff > 1) {
+      throw new BacktestError('candidate.sensitivityCoeff must be between 0 and 1', 400);
+    }
+    validated.sensitivityCoeff = sensitivityCoeff;
+  }
+  if (candidate.indexWeights !== undefined) {
+    if (!isPlainObject(candidate.indexWeights)) {
+      throw new BacktestError('candidate.indexWeights must be an object { indexName: weight % }', 400);
+    }
+    validated.indexWeights = {};
+    for (const [indexName, value] of Object.entries(candidate.indexWeights)) {
+      const weight = parseFloat(value);
+      if (isNaN(weight) || weight < 0 || weight > 100) {
+        throw new BacktestError(`candidate.indexWeights.${indexName} must be between 0 and 100`, 400);
+      }
+      validated.indexWeights[indexName] = weight;
+    }
+  }
+  if (candidate.coreSourceWeights !== undefined) {
+    if (!isPlainObject(candidate.coreSourceWeights)) {
+      throw new BacktestError('candidate.coreSourceWeights must be an object { indexName: weight }', 400);
+    }
+    validated.coreSourceWeights = { ...CORE_SOURCE_WEIGHTS };
+    for (const [indexName, value] of Object.entries(candidate.coreSourceWeights)) {
+      const weight = parseFloat(value);
+      if (!(indexName in CORE_SOURCE_WEIGHTS)) {
+        throw new BacktestError(`candidate.coreSourceWeights: unknown source ${indexName}. Allowed: ${Object.keys(CORE_SOURCE_WEIGHTS).join(', ')}`, 400);
+      }
+      if (isNaN(weight) || weight < 0) {
+        throw new BacktestError(`candidate.coreSourceWeights.${indexName} must be a non-negative number`, 400);
+      }
+      validated.coreSourceWeights[indexName] = weight;
+    }
+  }
+  if (candidate.modelSettings !== undefined) {
+    if (!isPlainObject(candidate.modelSettings)) {
+      throw new BacktestError('candidate.modelSettings must be an object { settingKey: value }', 400);
+    }
+    validated.modelSettings = Object.fromEntries(Object.entries(candidate.modelSettings).map(([key, value]) => [key, String(value)]));
+  }
+  return validated;
+}
+
+// Проверка параметров запуска из тела запроса: { from, to, candidate, maxSamples }
+function validateBacktestInput(body = {}, now = new Date()) {
+  if (!isValidDate(body.from) || !isValidDate(body.to)) {
+    throw new BacktestError('from and to must be dates (YYYY-MM-DD)', 400);
+  }
+  if (body.from > body.to) {
+    throw new BacktestError('from must be on or before to', 400);
+  }
+  if (body.to > now.toISOString().slice(0, 10)) {
+    throw new BacktestError('to must not be in the future', 400);
+  }
+  let maxSamples = DEFAULT_MAX_SAMPLES;
+  if (body.maxSamples !== undefined && body.maxSamples !== null && body.maxSamples !== '') {
+    maxSamples = parseInt(body.maxSamples, 10);
+    if (isNaN(maxSamples) || maxSamples < 1 || maxSamples > MAX_SAMPLES_LIMIT) {
+      throw new BacktestError(`maxSamples must be between 1 and ${MAX_SAMPLES_LIMIT}`, 400);
+    }
+  }
+  return { from: body.from, to: body.to, candidate: validateCandidate(body.candidate), maxSamples };
+}
+
+// Точки бэктеста: средняя фактическая ставка недели по паре портов (коды UN/LOCODE) и типу контейнера
+// (без синтетических данных и котировок модели - EXCLUDED_HISTORY_SOURCES).
+// Если точек больше maxSamples, берутся равномерно по периоду. Возвращает { samples, skipped }.
+async function loadBacktestSamples(client, from, to, maxSamples) {
+  const result = await client.query(`
+    SELECT op.id AS origin_port_id, dp.id AS destination_port_id, ct.id AS container_type_id,
+           h.origin_port, h.destination_port, h.container_type,
+           to_char(date_trunc('week', h.date), 'YYYY-MM-DD') AS week, AVG(h.rate) AS rate
+    FROM historical_rates h
+    LEFT JOIN ports op ON UPPER(op.code) = UPPER(h.origin_port)
+    LEFT JOIN ports dp ON UPPER(dp.code) = UPPER(h.destination_port)
+    LEFT JOIN container_types ct ON ct.name = h.container_type
+    WHERE h.date BETWEEN $1 AND $2 AND h.rate > 0
+      AND (h.source IS NULL OR NOT (h.source = ANY($3)))
+    GROUP BY op.id, dp.id, ct.id, h.origin_port, h.destination_port, h.container_type, week
+    ORDER BY week, h.origin_port, h.destination_port, h.container_type
+  `, [from, to, EXCLUDED_HISTORY_SOURCES]);
+  const skipped = {};
+  const rows = [];
+  for (const row of result.rows) {
+    if (!row.origin_port_id || !row.destination_port_id) {
+      skipped.unknown_port = (skipped.unknown_port || 0) + 1;
+    } else if (!row.container_type_id) {
+      skipped.unknown_container_type = (skipped.unknown_container_type || 0) + 1;
+    } else {
+      rows.push({ ...row, rate: parseFloat(row.rate) });
+    }
+  }
+  if (rows.length <= maxSamples) {
+    return { samples: rows, skipped };
+  }
+  skipped.sampled_out = rows.length - maxSamples;
+  const step = rows.length / maxSamples;
+  return { samples: Array.from({ length: maxSamples }, (_, k) => rows[Math.floor(k * step)]), skipped };
+}
+
+// Конфигурация индексов на дату: веса и базы из index_config, значения - последние наблюдения до даты
+function buildIndexConfigAsOf(indices, valuesAsOf, indexWeights = {}) {
+  const indexConfig = {};
+  for (const index of indices || []) {
+    const observation = valuesAsOf[index.name];
+    indexConfig[index.name] = {
+      current_value: observation ? observation.value : undefined,
+      baseline_value: index.baseline,
+      weight_percentage: indexWeights[index.name] ?? index.weight,
+      last_updated: observation ? observation.observed_at : null,
+      expected_frequency_days: index.expected_frequency_days
+    };
+  }
+  return indexConfig;
+}
+
+// Расчет ставки точки с текущей конфигурацией (candidate = null) или с проверяемой
+async function priceSample(client, sample, config, inputs, candidate) {
+  const modelSettings = { ...(config.model_settings || {}), ...(candidate?.modelSettings || {}) };
+  const configuredSensitivity = parseFloat(config.sensitivity_coeff);
+  const sensitivityCoeff = candidate?.sensitivityCoeff ?? (isNaN(configuredSensitivity) ? 0.5 : configuredSensitivity);
+  const calculationDate = new Date(`${sample.week}T00:00:00Z`);
+  const bafInputs = await loadBafInputs(client, config.origin_region, config.destination_region, modelSettings, calculationDate);
+  return calculateFreightRate(
+    sample.origin_port_id, sample.destination_port_id, config.container_type_name,
+    config.base_rate === null ? null : parseFloat(config.base_rate), buildIndexConfigAsOf(config.indices, inputs.indexValues, candidate?.indexWeights),
+    sensitivityCoeff, undefined, false,
+    {
+      modelSettings,
+      calculationDate,
+      laneIndices: inputs.laneIndices,
+      seaRoute: inputs.route.seaRoute,
+      chokepointDisruptions: inputs.route.disruptions,
+      fuelSurchargeProvider: createBafProvider(bafInputs),
+      coreSourceWeights: candidate?.coreSourceWeights
+    }
+  );
+}
+
+// Ошибки одной точки: { actual, predicted, error (%), hit }
+function sampleError(actual, calculation) {
+  return {
+    actual,
+    predicted: calculation.finalRate,
+    error: (calculation.finalRate - actual) / actual * 100,
+    hit: actual >= calculation.minRate && actual <= calculation.maxRate
+  };
+}
+
+// Метрики по набору ошибок: { samples, mape, bias, hitRate, meanActual, meanPredicted }
+function summarizeErrors(errors) {
+  if (errors.length === 0) {
+    return { samples: 0, mape: null, bias: null, hitRate: null, meanActual: null, meanPredicted: null };
+  }
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  return {
+    samples: errors.length,
+    mape: parseFloat(mean(errors.map(e => Math.abs(e.error))).toFixed(2)),
+    bias: parseFloat(mean(errors.map(e => e.error)).toFixed(2)),
+    hitRate: parseFloat((errors.filter(e => e.hit).length / errors.length * 100).toFixed(1)),
+    meanActual: Math.round(mean(errors.map(e => e.actual))),
+    meanPredicted: Math.round(mean(errors.map(e => e.predicted)))
+  };
+}
+
+// Запуск бэктеста. loadConfig(originPortId, destinationPortId, containerTypeId) - конфигурация расчета
+// (server.js loadCalculationConfigFromDB с allowMissingBaseRate), загружается один раз на пару портов и тип контейнера.
+// Возвращает { from, to, candidate, sampleCount, skipped, limitations, summary: { configured, candidate }, results: [...] }.
+async function runBacktest(client, { from, to, candidate = null, maxSamples = DEFAULT_MAX_SAMPLES, loadConfig }) {
+  const { samples, skipped } = await loadBacktestSamples(client, from, to, maxSamples);
+  const configs = new Map();
+  const indexValuesByWeek = new Map();
+  const groups = new Map();
+  const overall = { configured: [], candidate: [] };
+  const skip = reason => { skipped[reason] = (skipped[reason] || 0) + 1; };
+
+  for (const sample of samples) {
+    const configKey = `${sample.origin_port_id}|${sample.destination_port_id}|${sample.container_type_id}`;
+    if (!configs.has(configKey)) {
+      configs.set(configKey, await loadConfig(sample.origin_port_id, sample.destination_port_id, sample.container_type_id));
+    }
+    const config = configs.get(configKey);
+    if (!config) {
+      skip('no_config');
+      continue;
+    }
+    if (!indexValuesByWeek.has(sample.week)) {
+      indexValuesByWeek.set(sample.week, await getIndexValuesAsOf(client, sample.week));
+    }
+    const route = await resolveDisruptedSeaRoute(client, sample.origin_port_id, sample.destination_port_id, DEFAULT_ROUTING, new Date(`${sample.week}T00:00:00Z`));
+    if (route.blocked.length > 0) {
+      skip('route_closed');
+      continue;
+    }
+    const inputs = {
+      indexValues: indexValuesByWeek.get(sample.week),
+      laneIndices: await getLaneIndices(client, config.origin_region, config.destination_region, sample.week),
+      route
+    };
+    const configured = await priceSample(client, sample, config, inputs, null);
+    const tested = candidate ? await priceSample(client, sample, config, inputs, candidate) : null;
+    if (configured.finalRate === -1 || (tested && tested.finalRate === -1)) {
+      skip('calculation_failed');
+      continue;
+    }
+
+    const groupKey = `${config.origin_region}|${config.destination_region}|${config.container_type_name}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { originRegion: config.origin_region, destinationRegion: config.destination_region, containerType: config.container_type_name, configured: [], candidate: [] });
+    }
+    const group = groups.get(groupKey);
+    const configuredError = sampleError(sample.rate, configured);
+    group.configured.push(configuredError);
+    overall.configured.push(configuredError);
+    if (tested) {
+      const candidateError = sampleError(sample.rate, tested);
+      group.candidate.push(candidateError);
+      overall.candidate.push(candidateError);
+    }
+  }
+
+  const results = [...groups.values()]
+    .map(group => ({
+      originRegion: group.originRegion,
+      destinationRegion: group.destinationRegion,
+      containerType: group.containerType,
+      configured: summarizeErrors(group.configured),
+      candidate: candidate ? summarizeErrors(group.candidate) : null
+    }))
+    .sort((a, b) => `${a.originRegion}${a.destinationRegion}${a.containerType}`.localeCompare(`${b.originRegion}${b.destinationRegion}${b.containerType}`));
+
+  return {
+    from,
+    to,
+    candidate,
+    sampleCount: overall.configured.length,
+    skipped,
+    limitations: BACKTEST_LIMITATIONS,
+    summary: {
+      configured: summarizeErrors(overall.configured),
+      candidate: candidate ? summarizeErrors(overall.candidate) : null
+    },
+    results
+  };
+}
+
+// Создание запуска в статусе 'running'. Возвращает id.
+// Если другой запуск еще выполняется (уникальный индекс backtest_runs_single_running) - BacktestError 409.
+async function createBacktestRun(client, { actor, input }) {
+  try {
+    const result = await client.query(`
+      INSERT INTO backtest_runs (date_from, date_to, candidate, max_samples, status, created_by_user_id, created_by_username)
+      VALUES ($1, $2, $3, $4, 'running', $5, $6)
+      RETURNING id;
+    `, [input.from, input.to, input.candidate ? JSON.stringify(input.candidate) : null, input.maxSamples,
+        actor?.id ?? null, actor?.username ?? null]);
+    return result.rows[0].id;
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new BacktestError('Another backtest is still running, try again when it finishes', 409);
+    }
+    throw error;
+  }
+}
+
+// Результаты завершенного запуска
+async function completeBacktestRun(client, runId, { run, durationMs }) {
+  await client.query(`
+    UPDATE backtest_runs
+    SET status = 'completed', sample_count = $2, summary = $3, results = $4, duration_ms = $5, finished_at = NOW()
+    WHERE id = $1
+  `, [runId, run.sampleCount, JSON.stringify({ ...run.summary, skipped: run.skipped, limitations: run.limitations }), JSON.stringify(run.results), durationMs]);
+}
+
+// Ошибка запуска
+async function failBacktestRun(client, runId, { message, durationMs }) {
+  await client.query(`
+    UPDATE backtest_runs SET status = 'failed', error = $2, duration_ms = $3, finished_at = NOW()
+    WHERE id = $1
+  `, [runId, message, durationMs]);
+}
+
+// Последние запуски без результатов по направлениям
+async function listBacktestRuns(client, limit = 20) {
+  const result = await client.query(`
+    SELECT id, to_char(date_from, 'YYYY-MM-DD') AS date_from, to_char(date_to, 'YYYY-MM-DD') AS date_to,
+           candidate, max_samples, status, error, sample_count, summary, duration_ms, created_by_username, created_at, finished_at
+    FROM backtest_runs
+    ORDER BY created_at DESC, id DESC
+    LIMIT $1
+  `, [limit]);
+  return result.rows;
+}
+
+// Запуск по id (null, если не найден)
+async function getBacktestRun(client, runId) {
+  const result = await client.query(`
+    SELECT id, to_char(date_from, 'YYYY-MM-DD') AS date_from, to_char(date_to, 'YYYY-MM-DD') AS date_to,
+           candidate, max_samples, status, error, sample_count, summary, results, duration_ms, created_by_username, created_at, finished_at
+    FROM backtest_runs WHERE id = $1
+  `, [runId]);
+  return result.rows[0] || null;
+}
+
+export {
+  DEFAULT_MAX_SAMPLES,
+  MAX_SAMPLES_LIMIT,
+  BACKTEST_LIMITATIONS,
+  BacktestError,
+  initializeBacktestTables,
+  validateBacktestInput,
+  loadBacktestSamples,
+  summarizeErrors,
+  runBacktest,
+  createBacktestRun,
+  completeBacktestRun,
+  failBacktestRun,
+  listBacktestRuns,
+  getBacktestRun
+};
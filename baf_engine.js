@@ -0,0 +1,324 @@
+// Модуль топливной надбавки (BAF) по формулам перевозчиков
+// Параметры задаются по торговому направлению (пара регионов портов) в baf_parameters, для направлений
+// без параметров используются значения из model_settings (bafConsumptionPerTeu, bafBasePrice, ...).
+//
+// Сорт топлива выбирается по зоне рейса: основной сорт (fuel_type) в открытом море и сорт ECA (eca_fuel_type)
+// в зонах контроля выбросов. Сорта задаются явно или профилем судна (VESSEL_PROFILES).
+//
+//   расход, т        = consumption_per_teu (т на TEU на 1000 миль) * коэффициент профиля * TEU контейнера * расстояние / 1000
+//   доля ECA         = eca_share направления, а если не задана - доля миль маршрута в зонах ECA (sea_routes.js)
+//   надбавка зоны    = расход * доля зоны * max(0, средняя цена сорта зоны - base_price)
+//   надбавка         = сумма по зонам (открытое море и ECA)
+//
+// Средняя цена берется из fuel_prices за период усреднения перед датой расчета (например, предыдущий квартал).
+// Цены окна сохраняются в деталях надбавки, поэтому надбавку котировки можно пересчитать через computeBaf
+// даже после изменения fuel_prices. Если в окне нет цен, используется последняя цена до конца окна.
+
+import { FUEL_TYPES } from './fuel_surcharge_calculator.js';
+
+const AVERAGING_PERIODS = ['previous_month', 'previous_quarter', 'last_30_days', 'last_90_days'];
+
+// Профили судов: сорт в открытом море, сорт в ECA и коэффициент расхода к расходу на мазуте.
+// Судно со скруббером может жечь HSFO и в ECA; у СПГ теплота сгорания выше, поэтому тонн нужно меньше.
+const VESSEL_PROFILES = {
+  conventional: { fuelType: 'VLSFO', ecaFuelType: 'MGO', consumptionFactor: 1 },
+  scrubber: { fuelType: 'HSFO', ecaFuelType: 'HSFO', consumptionFactor: 1 },
+  lng_dual_fuel: { fuelType: 'LNG', ecaFuelType: 'LNG', consumptionFactor: 0.82 }
+};
+
+const DEFAULT_BAF_SETTINGS = {
+  consumptionPerTeu: 0.075,
+  basePrice: 400,
+  averagingPeriod: 'previous_quarter',
+  vesselProfile: null,
+  fuelType: 'VLSFO',
+  ecaFuelType: 'MGO'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ошибка проверки параметров BAF с HTTP-статусом для маршрута
+class BafError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'BafError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Создание таблицы параметров (вызывается из initializeDatabaseTables после fuel_prices).
+// vessel_profile и eca_share необязательны: без профиля сорта берутся из fuel_type/eca_fuel_type,
+// без eca_share доля ECA считается по морскому маршруту котировки.
+async function initializeBafTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS baf_parameters (
+      id SERIAL PRIMARY KEY,
+      origin_region VARCHAR(100) NOT NULL,
+      destination_region VARCHAR(100) NOT NULL,
+      consumption_per_teu NUMERIC NOT NULL CHECK (consumption_per_teu >= 0),
+      base_price NUMERIC NOT NULL CHECK (base_price >= 0),
+      averaging_period VARCHAR(20) NOT NULL CHECK (averaging_period IN ('previous_month', 'previous_quarter', 'last_30_days', 'last_90_days')),
+      vessel_profile VARCHAR(50),
+      fuel_type VARCHAR(50) NOT NULL,
+      eca_fuel_type VARCHAR(50) NOT NULL,
+      eca_share NUMERIC CHECK (eca_share >= 0 AND eca_share <= 1),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(origin_region, destination_region)
+    );
+  `);
+  await client.query('ALTER TABLE baf_parameters ADD COLUMN IF NOT EXISTS vessel_profile VARCHAR(50);');
+  await client.query('ALTER TABLE baf_parameters ALTER COLUMN eca_share DROP NOT NULL, ALTER COLUMN eca_share DROP DEFAULT;');
+}
+
+// Значения по умолчанию из model_settings (профиль судна bafVesselProfile задает сорта вместо bafFuelType/bafEcaFuelType)
+function resolveBafSettings(modelSettings = {}) {
+  const number = (key, fallback) => {
+    const value = parseFloat(modelSettings[key]);
+    return isNaN(value) || value < 0 ? fallback : value;
+  };
+  const vesselProfile = VESSEL_PROFILES[modelSettings.bafVesselProfile] ? modelSettings.bafVesselProfile : DEFAULT_BAF_SETTINGS.vesselProfile;
+  const grades = vesselProfile ? VESSEL_PROFILES[vesselProfile] : {
+    fuelType: FUEL_TYPES.includes(modelSettings.bafFuelType) ? modelSettings.bafFuelType : DEFAULT_BAF_SETTINGS.fuelType,
+    ecaFuelType: FUEL_TYPES.includes(modelSettings.bafEcaFuelType) ? modelSettings.bafEcaFuelType : DEFAULT_BAF_SETTINGS.ecaFuelType,
+    consumptionFactor: 1
+  };
+  return {
+    consumptionPerTeu: number('bafConsumptionPerTeu', DEFAULT_BAF_SETTINGS.consumptionPerTeu),
+    basePrice: number('bafBasePrice', DEFAULT_BAF_SETTINGS.basePrice),
+    averagingPeriod: AVERAGING_PERIODS.includes(modelSettings.bafAveragingPeriod) ? modelSettings.bafAveragingPeriod : DEFAULT_BAF_SETTINGS.averagingPeriod,
+    vesselProfile,
+    fuelType: grades.fuelType,
+    ecaFuelType: grades.ecaFuelType,
+    consumptionFactor: grades.consumptionFactor,
+    ecaShare: null
+  };
+}
+
+// Проверка и нормализация параметров направления из тела запроса.
+// С профилем судна сорта берутся из профиля, eca_share пустая - доля ECA по маршруту.
+function validateBafParametersInput(body = {}) {
+  const originRegion = String(body.origin_region || '').trim();
+  const destinationRegion = String(body.destination_region || '').trim();
+  if (!originRegion || !destinationRegion) {
+    throw new BafError('origin_region and destination_region are required', 400);
+  }
+  const consumptionPerTeu = parseFloat(body.consumption_per_teu);
+  const basePrice = parseFloat(body.base_price);
+  const ecaShare = body.eca_share === undefined || body.eca_share === null || body.eca_share === '' ? null : parseFloat(body.eca_share);
+  if (isNaN(consumptionPerTeu) || consumptionPerTeu < 0 || isNaN(basePrice) || basePrice < 0) {
+    throw new BafError('consumption_per_teu and base_price must be non-negative numbers', 400);
+  }
+  if (ecaShare !== null && (isNaN(ecaShare) || ecaShare < 0 || ecaShare > 1)) {
+    throw new BafError('eca_share must be empty or a number between 0 and 1', 400);
+  }
+  if (!AVERAGING_PERIODS.includes(body.averaging_period)) {
+    throw new BafError(`averaging_period must be one of: ${AVERAGING_PERIODS.join(', ')}`, 400);
+  }
+  const vesselProfile = body.vessel_profile ? String(body.vessel_profile).trim() : null;
+  if (vesselProfile && !VESSEL_PROFILES[vesselProfile]) {
+    throw new BafError(`vessel_profile must be empty or one of: ${Object.keys(VESSEL_PROFILES).join(', ')}`, 400);
+  }
+  const fuelType = vesselProfile ? VESSEL_PROFILES[vesselProfile].fuelType : String(body.fuel_type || '').trim().toUpperCase();
+  const ecaFuelType = vesselProfile ? VESSEL_PROFILES[vesselProfile].ecaFuelType : String(body.eca_fuel_type || '').trim().toUpperCase();
+  if (!FUEL_TYPES.includes(fuelType) || !FUEL_TYPES.includes(ecaFuelType)) {
+    throw new BafError(`fuel_type and eca_fuel_type must be one of: ${FUEL_TYPES.join(', ')}`, 400);
+  }
+  return { originRegion, destinationRegion, consumptionPerTeu, basePrice, averagingPeriod: body.averaging_period, vesselProfile, fuelType, ecaFuelType, ecaShare };
+}
+
+// Параметры BAF всех направлений
+async function listBafParameters(client) {
+  const result = await client.query('SELECT * FROM baf_parameters ORDER BY origin_region, destination_region');
+  return result.rows;
+}
+
+// Параметры для направления котировки: строка baf_parameters или значения по умолчанию
+async function getBafParameters(client, originRegion, destinationRegion, modelSettings = {}) {
+  const result = await client.query(
+    'SELECT * FROM baf_parameters WHERE origin_region = $1 AND destination_region = $2',
+    [originRegion, destinationRegion]
+  );
+  if (result.rows.length === 0) {
+    return { ...resolveBafSettings(modelSettings), source: 'default' };
+  }
+  const row = result.rows[0];
+  return {
+    consumptionPerTeu: parseFloat(row.consumption_per_teu),
+    basePrice: parseFloat(row.base_price),
+    averagingPeriod: row.averaging_period,
+    vesselProfile: row.vessel_profile,
+    fuelType: row.fuel_type,
+    ecaFuelType: row.eca_fuel_type,
+    consumptionFactor: VESSEL_PROFILES[row.vessel_profile] ? VESSEL_PROFILES[row.vessel_profile].consumptionFactor : 1,
+    ecaShare: row.eca_share === null ? null : parseFloat(row.eca_share),
+    source: `${row.origin_region}-${row.destination_region}`
+  };
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Границы окна усреднения (включительно) для даты расчета: { from, to } в формате YYYY-MM-DD
+function resolvePriceWindow(averagingPeriod, date = new Date()) {
+  const year = date.getFullYear();
+  const month = date.getMonth();
+  const day = Date.UTC(year, month, date.getDate());
+  switch (averagingPeriod) {
+    case 'previous_month':
+      return { from: formatDate(new Date(Date.UTC(year, month - 1, 1))), to: formatDate(new Date(Date.UTC(year, month, 0))) };
+    case 'previous_quarter': {
+      const quarterStart = month - (month % 3);
+      return { from: formatDate(new Date(Date.UTC(year, quarterStart - 3, 1))), to: formatDate(new Date(Date.UTC(year, quarterStart, 0))) };
+    }
+    case 'last_30_days':
+      return { from: formatDate(new Date(day - 30 * DAY_MS)), to: formatDate(new Date(day - DAY_MS)) };
+    case 'last_90_days':
+      return { from: formatDate(new Date(day - 90 * DAY_MS)), to: formatDate(new Date(day - DAY_MS)) };
+    default:
+      throw new BafError(`Unknown averaging period '${averagingPeriod}'`, 400);
+  }
+}
+
+// Цены топлива за окно: { fuelType, from, to, prices: [{ date, price }], fallback }.
+// Если в окне нет цен, берется последняя цена до конца окна (fallback = true).
+async function loadPriceWindow(client, fuelType, window) {
+  const result = await client.query(`
+    SELECT to_char(date, 'YYYY-MM-DD') AS date, price FROM fuel_prices
+    WHERE fuel_type = $1 AND date >= $2::date AND date <= $3::date
+    ORDER BY date
+  `, [fuelType, window.from, window.to]);
+  if (result.rows.length > 0) {
+    return { fuelType, ...window, prices: result.rows.map(row => ({ date: row.date, price: parseFloat(row.price) })), fallback: false };
+  }
+  const latest = await client.query(`
+    SELECT to_char(date, 'YYYY-MM-DD') AS date, price FROM fuel_prices
+    WHERE fuel_type = $1 AND date <= $2::date
+    ORDER BY date DESC LIMIT 1
+  `, [fuelType, window.to]);
+  return { fuelType, ...window, prices: latest.rows.map(row => ({ date: row.date, price: parseFloat(row.price) })), fallback: true };
+}
+
+function averagePrice(priceWindow) {
+  if (!priceWindow || priceWindow.prices.length === 0) {
+    return null;
+  }
+  const sum = priceWindow.prices.reduce((total, sample) => total + sample.price, 0);
+  return parseFloat((sum / priceWindow.prices.length).toFixed(2));
+}
+
+// Входные данные BAF для направления и даты расчета: { parameters, priceWindows: { [fuelType]: окно цен } }
+// (окна загружаются для сорта открытого моря и сорта ECA, доля ECA станет известна по маршруту котировки)
+async function loadBafInputs(client, originRegion, destinationRegion, modelSettings = {}, date = new Date()) {
+  const parameters = await getBafParameters(client, originRegion, destinationRegion, modelSettings);
+  const window = resolvePriceWindow(parameters.averagingPeriod, date);
+  const priceWindows = {};
+  for (const fuelType of new Set([parameters.fuelType, parameters.ecaFuelType])) {
+    priceWindows[fuelType] = await loadPriceWindow(client, fuelType, window);
+  }
+  return { parameters, priceWindows };
+}
+
+// Эквивалент контейнера в TEU по названию типа (20' - 1, 40' - 2, 45' - 2.25)
+function containerTeu(containerType) {
+  const name = String(containerType || '');
+  if (name.startsWith('20')) return 1;
+  if (name.startsWith('45')) return 2.25;
+  return 2;
+}
+
+// Доля рейса в зонах ECA: eca_share направления или доля миль маршрута в ECA
+function resolveEcaShare(parameters, seaRoute) {
+  if (parameters.ecaShare !== null && parameters.ecaShare !== undefined) {
+    return { ecaShare: parameters.ecaShare, ecaShareSource: 'parameters' };
+  }
+  if (seaRoute && seaRoute.distanceNm > 0 && seaRoute.ecaDistanceNm > 0) {
+    return { ecaShare: Math.min(1, seaRoute.ecaDistanceNm / seaRoute.distanceNm), ecaShareSource: 'route' };
+  }
+  return { ecaShare: 0, ecaShareSource: 'route' };
+}
+
+// Расчет надбавки по параметрам, морскому маршруту ({ distanceNm, ecaDistanceNm }) и сохраненным окнам цен
+// (без обращения к БД): { surcharge, details }
+function computeBaf({ parameters, priceWindows }, seaRoute, containerType) {
+  const teu = containerTeu(containerType);
+  const distanceNm = seaRoute ? seaRoute.distanceNm : null;
+  const { ecaShare, ecaShareSource } = resolveEcaShare(parameters, seaRoute);
+  const zones = [
+    { zone: 'open_sea', fuelType: parameters.fuelType, share: 1 - ecaShare },
+    { zone: 'eca', fuelType: parameters.ecaFuelType, share: ecaShare }
+  ].filter(zone => zone.share > 0);
+  const grades = zones.map(zone => {
+    const priceWindow = priceWindows[zone.fuelType];
+    return {
+      ...zone,
+      share: parseFloat(zone.share.toFixed(4)),
+      samples: priceWindow ? priceWindow.prices.length : 0,
+      averagePrice: averagePrice(priceWindow),
+      fallback: priceWindow ? priceWindow.fallback : false
+    };
+  });
+  const anyWindow = Object.values(priceWindows)[0];
+  const details = {
+    parameterSource: parameters.source,
+    vesselProfile: parameters.vesselProfile || null,
+    consumptionPerTeu: parameters.consumptionPerTeu,
+    consumptionFactor: parameters.consumptionFactor,
+    basePrice: parameters.basePrice,
+    averagingPeriod: parameters.averagingPeriod,
+    priceWindow: anyWindow ? { from: anyWindow.from, to: anyWindow.to } : null,
+    ecaShare: parseFloat(ecaShare.toFixed(4)),
+    ecaShareSource,
+    teu,
+    distanceNm,
+    ecaDistanceNm: seaRoute ? seaRoute.ecaDistanceNm ?? null : null,
+    grades
+  };
+  if (!distanceNm) {
+    return { surcharge: 0, details: { ...details, reason: 'Sea route distance is not available' } };
+  }
+  const missing = grades.find(grade => grade.averagePrice === null);
+  if (missing) {
+    return { surcharge: 0, details: { ...details, reason: `No ${missing.fuelType} prices up to ${details.priceWindow ? details.priceWindow.to : 'calculation date'}` } };
+  }
+  const consumptionTonnes = parameters.consumptionPerTeu * parameters.consumptionFactor * teu * distanceNm / 1000;
+  let total = 0;
+  for (const grade of grades) {
+    const amount = consumptionTonnes * grade.share * Math.max(0, grade.averagePrice - parameters.basePrice);
+    grade.surcharge = Math.round(amount);
+    total += amount;
+  }
+  const blendedPrice = grades.reduce((sum, grade) => sum + grade.share * grade.averagePrice, 0);
+  return {
+    surcharge: Math.round(total),
+    details: {
+      ...details,
+      consumptionTonnes: parseFloat(consumptionTonnes.toFixed(3)),
+      blendedPrice: parseFloat(blendedPrice.toFixed(2))
+    }
+  };
+}
+
+// Провайдер для этапа fuel конвейера (context.fuelSurchargeProvider) по заранее загруженным входным данным.
+// Расстояние и мили в ECA берутся из морского маршрута котировки (с учетом перестроения из-за нарушений на проходах).
+function createBafProvider(bafInputs) {
+  return async (context) => computeBaf(bafInputs, context.seaRoute, context.containerType);
+}
+
+export {
+  AVERAGING_PERIODS,
+  VESSEL_PROFILES,
+  DEFAULT_BAF_SETTINGS,
+  BafError,
+  initializeBafTables,
+  resolveBafSettings,
+  validateBafParametersInput,
+  listBafParameters,
+  getBafParameters,
+  resolvePriceWindow,
+  loadPriceWindow,
+  loadBafInputs,
+  containerTeu,
+  computeBaf,
+  createBafProvider
+};
@@ -0,0 +1,238 @@
+// Модуль двухфазного импорта базовых ставок из Excel
+// Фаза 1 (предпросмотр): файл разбирается и сравнивается с текущими ставками, результат (diff) сохраняется
+// в base_rate_imports: новые направления, изменения ставок (старая -> новая, % изменения),
+// неизвестные типы контейнеров, дубликаты и некорректные строки. В БД ставок ничего не пишется.
+// Фаза 2 (применение): ранее просмотренный импорт применяется по id. Изменения больше порога
+// (model_settings.baseRateConfirmThresholdPercent) требуют явного подтверждения.
+
+import { recordAuditEntry } from './audit_log.js';
+
+const DEFAULT_CONFIRM_THRESHOLD_PERCENT = 20;
+// Предпросмотр старше этого срока применить нельзя, нужно загрузить файл заново
+const PREVIEW_TTL_HOURS = 24;
+
+// Ошибка импорта с HTTP-статусом для маршрута (details - дополнительные данные для ответа)
+class BaseRateImportError extends Error {
+  constructor(message, statusCode, details = null) {
+    super(message);
+    this.name = 'BaseRateImportError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// Создание таблицы импортов (вызывается из initializeDatabaseTables)
+async function initializeBaseRateImportTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS base_rate_imports (
+      id SERIAL PRIMARY KEY,
+      file_name VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'previewed' CHECK (status IN ('previewed', 'committed')),
+      threshold_percent NUMERIC NOT NULL,
+      preview JSONB NOT NULL,
+      created_by_user_id INTEGER,
+      created_by_username VARCHAR(100),
+      created_at TIMESTAMP DEFAULT NOW(),
+      committed_by_username VARCHAR(100),
+      committed_at TIMESTAMP
+    );
+  `);
+}
+
+// Порог подтверждения из model_settings (в процентах)
+function resolveConfirmThresholdPercent(modelSettings = {}) {
+  const threshold = parseFloat(modelSettings.baseRateConfirmThresholdPercent);
+  return isNaN(threshold) || threshold < 0 ? DEFAULT_CONFIRM_THRESHOLD_PERCENT : threshold;
+}
+
+// Определяет уровень строки Excel с базовыми ставками.
+// Приоритет: origin_port/destination_port (UN/LOCODE) -> origin_country/destination_country (ISO alpha-2) -> origin_region/destination_region.
+function resolveBaseRateRowTarget(row) {
+  if (row.origin_port && row.destination_port) {
+    return { level: 'port', table: 'port_pair_rates', originColumn: 'origin_port_code', destinationColumn: 'destination_port_code',
+             origin: String(row.origin_port).trim().toUpperCase(), destination: String(row.destination_port).trim().toUpperCase() };
+  }
+  if (row.origin_country && row.destination_country) {
+    return { level: 'country', table: 'country_pair_rates', originColumn: 'origin_country', destinationColumn: 'destination_country',
+             origin: String(row.origin_country).trim().toUpperCase(), destination: String(row.destination_country).trim().toUpperCase() };
+  }
+  if (row.origin_region && row.destination_region) {
+    return { level: 'region', table: 'base_rates', originColumn: 'origin_region', destinationColumn: 'destination_region',
+             origin: row.origin_region, destination: row.destination_region };
+  }
+  return null;
+}
+
+function calculateChangePercent(oldRate, newRate) {
+  return oldRate === 0 ? null : Math.round(((newRate - oldRate) / oldRate) * 10000) / 100;
+}
+
+// Фаза 1: сравнение строк файла с текущими ставками. Ничего не изменяет.
+// Дубликаты (то же направление, уровень и тип контейнера) не применяются: используется первая строка.
+async function buildBaseRateImportPreview(client, rows, thresholdPercent) {
+  const containerTypesResult = await client.query('SELECT id, name FROM container_types');
+  const containerTypeIds = new Map(containerTypesResult.rows.map(ct => [ct.name, ct.id]));
+
+  const preview = {
+    thresholdPercent,
+    newLanes: [],
+    changedRates: [],
+    unchanged: 0,
+    unknownContainerTypes: [],
+    duplicates: [],
+    invalidRows: []
+  };
+  const seenLanes = new Map();
+
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i];
+    const rowNumber = i + 2; // Строка 1 - заголовок
+    const target = resolveBaseRateRowTarget(row);
+    const newRate = row.rate === undefined || row.rate === null || row.rate === '' ? NaN : Number(row.rate);
+    if (!target || !row.container_type_name) {
+      preview.invalidRows.push({ row: rowNumber, reason: 'Missing origin/destination or container_type_name' });
+      continue;
+    }
+    if (isNaN(newRate) || newRate <= 0) {
+      preview.invalidRows.push({ row: rowNumber, reason: `Invalid rate '${row.rate ?? ''}'` });
+      continue;
+    }
+    const containerTypeName = String(row.container_type_name).trim();
+    if (!containerTypeIds.has(containerTypeName)) {
+      preview.unknownContainerTypes.push({ row: rowNumber, container_type_name: containerTypeName });
+      continue;
+    }
+    const containerTypeId = containerTypeIds.get(containerTypeName);
+
+    const laneKey = `${target.level}|${target.origin}|${target.destination}|${containerTypeId}`;
+    if (seenLanes.has(laneKey)) {
+      const first = seenLanes.get(laneKey);
+      preview.duplicates.push({
+        row: rowNumber, firstRow: first.row, level: target.level, origin: target.origin, destination: target.destination,
+        containerTypeName, rate: newRate, firstRate: first.rate
+      });
+      continue;
+    }
+    seenLanes.set(laneKey, { row: rowNumber, rate: newRate });
+
+    const current = await client.query(
+      `SELECT id, rate FROM ${target.table} WHERE ${target.originColumn} = $1 AND ${target.destinationColumn} = $2 AND container_type_id = $3`,
+      [target.origin, target.destination, containerTypeId]
+    );
+    const change = {
+      row: rowNumber, ...target, containerTypeId, containerTypeName, newRate, oldRate: null, changePercent: null, requiresConfirmation: false
+    };
+    if (current.rows.length === 0) {
+      preview.newLanes.push(change);
+      continue;
+    }
+    change.oldRate = parseFloat(current.rows[0].rate);
+    if (change.oldRate === newRate) {
+      preview.unchanged++;
+      continue;
+    }
+    change.changePercent = calculateChangePercent(change.oldRate, newRate);
+    change.requiresConfirmation = change.changePercent === null || Math.abs(change.changePercent) > thresholdPercent;
+    preview.changedRates.push(change);
+  }
+
+  preview.summary = {
+    totalRows: rows.length,
+    newLanes: preview.newLanes.length,
+    changedRates: preview.changedRates.length,
+    unchanged: preview.unchanged,
+    requiresConfirmation: preview.changedRates.filter(change => change.requiresConfirmation).length,
+    unknownContainerTypes: preview.unknownContainerTypes.length,
+    duplicates: preview.duplicates.length,
+    invalidRows: preview.invalidRows.length
+  };
+  return preview;
+}
+
+// Сохранение предпросмотра. Возвращает id импорта.
+async function saveBaseRateImportPreview(client, { fileName, actor, preview }) {
+  const result = await client.query(`
+    INSERT INTO base_rate_imports (file_name, threshold_percent, preview, created_by_user_id, created_by_username)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING id;
+  `, [fileName ?? null, preview.thresholdPercent, JSON.stringify(preview), actor?.id ?? null, actor?.username ?? null]);
+  return result.rows[0].id;
+}
+
+// Импорт по id (null, если не найден)
+async function getBaseRateImport(client, importId) {
+  const result = await client.query('SELECT * FROM base_rate_imports WHERE id = $1', [importId]);
+  return result.rows[0] || null;
+}
+
+// Фаза 2: применение импорта. Вызывается внутри транзакции.
+// Если ставка изменилась после предпросмотра, импорт не применяется (409) - нужен новый предпросмотр.
+async function commitBaseRateImport(client, importId, actor, { confirmFlagged = false } = {}) {
+  const importResult = await client.query('SELECT * FROM base_rate_imports WHERE id = $1 FOR UPDATE', [importId]);
+  if (importResult.rows.length === 0) {
+    throw new BaseRateImportError('Import not found', 404);
+  }
+  const baseRateImport = importResult.rows[0];
+  if (baseRateImport.status === 'committed') {
+    throw new BaseRateImportError(`Import already committed at ${baseRateImport.committed_at.toISOString()}`, 409);
+  }
+  if (Date.now() - baseRateImport.created_at.getTime() > PREVIEW_TTL_HOURS * 60 * 60 * 1000) {
+    throw new BaseRateImportError(`Preview is older than ${PREVIEW_TTL_HOURS} hours; upload the file again`, 410);
+  }
+
+  const { newLanes, changedRates } = baseRateImport.preview;
+  const flagged = changedRates.filter(change => change.requiresConfirmation);
+  if (flagged.length > 0 && !confirmFlagged) {
+    throw new BaseRateImportError(
+      `${flagged.length} rate change(s) exceed the ${baseRateImport.threshold_percent}% threshold and must be confirmed`,
+      409,
+      { requiresConfirmation: flagged }
+    );
+  }
+
+  const applied = { port: 0, country: 0, region: 0 };
+  const conflicts = [];
+  for (const change of [...newLanes, ...changedRates]) {
+    const before = await client.query(
+      `SELECT * FROM ${change.table} WHERE ${change.originColumn} = $1 AND ${change.destinationColumn} = $2 AND container_type_id = $3 FOR UPDATE`,
+      [change.origin, change.destination, change.containerTypeId]
+    );
+    const currentRate = before.rows.length > 0 ? parseFloat(before.rows[0].rate) : null;
+    if (currentRate !== change.oldRate) {
+      conflicts.push({ row: change.row, origin: change.origin, destination: change.destination, previewedRate: change.oldRate, currentRate });
+      continue;
+    }
+    const result = await client.query(`
+      INSERT INTO ${change.table} (${change.originColumn}, ${change.destinationColumn}, container_type_id, rate)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (${change.originColumn}, ${change.destinationColumn}, container_type_id)
+      DO UPDATE SET rate = EXCLUDED.rate
+      RETURNING *;
+    `, [change.origin, change.destination, change.containerTypeId, change.newRate]);
+    await recordAuditEntry(client, {
+      actor, entityType: change.table, entityId: result.rows[0].id, before: before.rows[0] || null, after: result.rows[0], source: 'excel_upload'
+    });
+    applied[change.level]++;
+  }
+  if (conflicts.length > 0) {
+    throw new BaseRateImportError('Rates changed since the preview; upload the file again', 409, { conflicts });
+  }
+
+  await client.query(
+    "UPDATE base_rate_imports SET status = 'committed', committed_by_username = $1, committed_at = NOW() WHERE id = $2",
+    [actor?.username ?? null, importId]
+  );
+  return { importId: baseRateImport.id, applied, total: applied.port + applied.country + applied.region };
+}
+
+export {
+  DEFAULT_CONFIRM_THRESHOLD_PERCENT,
+  BaseRateImportError,
+  initializeBaseRateImportTables,
+  resolveConfirmThresholdPercent,
+  resolveBaseRateRowTarget,
+  buildBaseRateImportPreview,
+  saveBaseRateImportPreview,
+  getBaseRateImport,
+  commitBaseRateImport
+};
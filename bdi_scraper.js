@@ -1,128 +1,89 @@
 /**
- * Modified Baltic Dry Index (BDI) Scraper Module
+ * Baltic Dry Index (BDI) Scraper Module
  * ==========================================================
  *
- * Этот модуль теперь читает данные ИСКЛЮЧИТЕЛЬНО из таблицы index_config базы данных.
- * Функция веб-скрапинга fetchBDIData и связанные с ней функции оставлены для возможного будущего использования,
- * но НЕ используются для текущих расчетов.
+ * Источник индекса BDI для реестра скраперов (scraper_registry.js).
+ * fetch() загружает страницу Trading Economics, parse(html) находит строку "Baltic Dry"
+ * в таблице котировок, normalize(rows) возвращает ее значение.
  *
  * @module bdi_scraper
  * @author TSP Team / Manus AI Integration
- * @version 2.1.0 (ESM Named Export)
- * @last_updated 2025-05-04
+ * @version 4.0.0 (Scraper registry source)
+ * @last_updated 2026-10-18
  */
 
-// Импорт необходимых модулей (ESM)
-import axios from 'axios'; // Оставлен для fetchBDIData
-import * as cheerio from 'cheerio'; // Оставлен для fetchBDIData
-import pg from 'pg'; // Клиент PostgreSQL для работы с базой данных
-const { Pool } = pg;
-import dotenv from 'dotenv'; // Модуль для загрузки переменных окружения
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { parseIndexNumber, todayIsoDate, normalizeCompositeRows } from './scraper_parsing.js';
 
-/**
- * Загрузка переменных окружения из файла .env
- */
-dotenv.config();
+const BDI_URL = 'https://tradingeconomics.com/commodity/baltic';
+const HTTP_TIMEOUT = 30000;
 
 /**
- * Настройка подключения к базе данных PostgreSQL
+ * Загрузка страницы BDI.
+ *
+ * @async
+ * @returns {Promise<string>} HTML страницы
  */
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false, // Необходимо для некоторых облачных баз данных
-    // sslmode: 'require' // Раскомментируйте, если ваша БД требует SSL
-  },
-});
+async function fetchBDIPage() {
+  console.log('[bdi_scraper] Fetching BDI page from Trading Economics...');
+  const response = await axios.get(BDI_URL, {
+    timeout: HTTP_TIMEOUT,
+    headers: { 'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36' }
+  });
+  return response.data;
+}
 
 /**
- * Функция для получения данных BDI ИЗ БАЗЫ ДАННЫХ для использования в калькуляторе.
+ * Разбор страницы BDI: строки таблицы котировок вида "Baltic Dry | 1,234.00 | -12.00 | ...".
+ * BDI публикуется по рабочим дням, дата индекса - текущая.
  *
- * @async
- * @function getBdiDataForCalculation
- * @returns {Promise<Object|null>} Объект с данными BDI { current_index, index_date } или null при ошибке.
+ * @param {string} html
+ * @param {{fetchedAt?: Date}} [options] Время загрузки страницы
+ * @returns {Array<{route: string, currentIndex: number, change: number, indexDate: string}>}
  */
-async function getBdiDataForCalculation() {
-  console.log('[bdi_scraper] Запрос данных BDI из таблицы index_config...');
-  const client = await pool.connect();
-  try {
-    const result = await client.query(
-      'SELECT current_value, last_updated FROM index_config WHERE index_name = $1',
-      ['BDI']
-    );
-    if (result.rows.length > 0) {
-      const data = {
-        current_index: parseFloat(result.rows[0].current_value),
-        index_date: result.rows[0].last_updated, // Используем дату обновления из БД
-        change: null // Поле change больше не актуально при чтении из БД
-      };
-      console.log('[bdi_scraper] Данные BDI получены из БД:', data);
-      return data;
-    } else {
-      console.error('[bdi_scraper] Ошибка: Индекс BDI не найден в таблице index_config.');
-      return null;
+function parseBDIHtml(html, { fetchedAt = new Date() } = {}) {
+  const $ = cheerio.load(html);
+  const bdiData = [];
+  const indexDate = todayIsoDate(fetchedAt);
+  $('table tr').each((i, row) => {
+    const cells = $(row).find('td').map((j, td) => $(td).text().trim()).get();
+    if (cells.length >= 2 && /baltic\s+dry/i.test(cells[0])) {
+      const currentIndex = parseIndexNumber(cells[1]);
+      if (currentIndex !== null) {
+        bdiData.push({ route: 'Baltic Dry', currentIndex, change: parseIndexNumber(cells[2]) ?? 0, indexDate });
+      }
     }
-  } catch (error) {
-    console.error('[bdi_scraper] Ошибка при запросе данных BDI из БД:', error);
-    return null;
-  } finally {
-    client.release();
-  }
+  });
+  console.log(`[bdi_scraper] Parsed ${bdiData.length} BDI rows`);
+  return bdiData;
 }
 
-// --- Ниже оставлен оригинальный код веб-скрапинга --- 
-// --- Он НЕ используется для получения данных для калькулятора --- 
-
-const BDI_URL = 'https://tradingeconomics.com/commodity/baltic';
-
-async function fetchBDIFromTradingEconomics() {
-  console.log("[ОСТАВЛЕНО] Fetching BDI data from Trading Economics...");
-  // ... (код fetchBDIFromTradingEconomics оставлен без изменений)
-  return [];
-}
-
-async function fetchMockBDIData() {
-  console.log('[ОСТАВЛЕНО] Using mock data for BDI');
-  // ... (код fetchMockBDIData оставлен без изменений)
-  return [];
-}
-
-async function saveBDIData(bdiData) {
-  console.log("[ОСТАВЛЕНО] Вызов saveBDIData - сохранение в старую таблицу freight_indices_bdi");
-  // ... (код сохранения в freight_indices_bdi оставлен без изменений)
-}
-
-// Старая функция для получения данных BDI с логикой fallback
-async function getBDIDataForCalculation_Legacy() {
-    console.log("[ОСТАВЛЕНО] Вызов getBDIDataForCalculation_Legacy");
-    // ... (код старой функции getBDIDataForCalculation оставлен без изменений)
-    return null;
-}
-
-// Основная функция fetchBDIData оставлена
+/**
+ * Загрузка и разбор BDI. При ошибке возвращает пустой массив.
+ *
+ * @async
+ * @returns {Promise<Array>} Строки индекса
+ */
 async function fetchBDIData() {
-  console.log("=== [ОСТАВЛЕНО] НАЧАЛО ПОЛУЧЕНИЯ ДАННЫХ BDI (ВЕБ-СКРАПИНГ) ===");
   try {
-    let bdiData = await fetchBDIFromTradingEconomics();
-    if (bdiData && bdiData.length > 0) {
-      // await saveBDIData(bdiData); // Сохранение отключено
-      console.log("=== [ОСТАВЛЕНО] ЗАВЕРШЕНИЕ ПОЛУЧЕНИЯ ДАННЫХ BDI (ВЕБ-СКРАПИНГ) ===");
-      return bdiData;
-    } else {
-      console.log("[ОСТАВЛЕНО] Failed to fetch BDI data from Trading Economics, using mock data.");
-      return fetchMockBDIData(); // Возвращаем мок данные если ничего не сработало
-    }
+    return parseBDIHtml(await fetchBDIPage());
   } catch (error) {
-    console.error('[ОСТАВЛЕНО] Error fetching BDI data:', error);
-    console.log("=== [ОСТАВЛЕНО] ЗАВЕРШЕНИЕ ПОЛУЧЕНИЯ ДАННЫХ BDI С ОШИБКОЙ (ИСПОЛЬЗУЕМ МОК) ===");
-    return fetchMockBDIData(); // Возвращаем моковые данные в случае ошибки
+    console.error('[bdi_scraper] Error fetching BDI data:', error.message);
+    return [];
   }
 }
 
-// Экспорт новой функции для калькулятора и старых функций для совместимости (ESM Named Export)
-export { 
-  getBdiDataForCalculation, // Новая функция для чтения из БД
-  fetchBDIData, // Старая функция веб-скрапинга (не используется калькулятором)
-  getBDIDataForCalculation_Legacy as getBDIDataForCalculationLegacy // Старая функция с fallback логикой (переименована для ясности)
+const scraperSource = {
+  name: 'BDI',
+  metadata: { publisher: 'Baltic Exchange (via Trading Economics)', unit: 'index points', frequency: 'daily', url: BDI_URL },
+  fetch: fetchBDIPage,
+  parse: parseBDIHtml,
+  normalize: rows => normalizeCompositeRows(rows, /baltic\s+dry/i)
 };
 
+export {
+  scraperSource,
+  fetchBDIData,
+  parseBDIHtml
+};
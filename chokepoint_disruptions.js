@@ -0,0 +1,161 @@
+// Модуль нарушений на морских проходах (каналы, проливы, мысы из sea_routes.js SEA_PASSAGES)
+// Администратор отмечает проход как закрытый (closed) или с надбавкой за риск (surcharge) на период effective_from..effective_to
+// (effective_to пусто - до отмены). Нарушения, действующие на дату расчета, применяются к морскому маршруту котировки:
+//   closed    - маршрут через проход перестраивается в обход (расстояние для топливной надбавки меняется);
+//               если обхода нет, маршрут считается заблокированным
+//   surcharge - к ставке добавляется надбавка: surcharge_amount за контейнер + surcharge_percent от ставки
+//               (этап chokepointRisk конвейера pricing_pipeline.js)
+
+import { SEA_PASSAGES, SeaRouteError, getPortDistance } from './sea_routes.js';
+
+const DISRUPTION_MODES = ['closed', 'surcharge'];
+
+// Ошибка проверки нарушения с HTTP-статусом для маршрута
+class ChokepointDisruptionError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'ChokepointDisruptionError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Создание таблицы нарушений (вызывается из initializeDatabaseTables)
+async function initializeChokepointDisruptionTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS chokepoint_disruptions (
+      id SERIAL PRIMARY KEY,
+      passage VARCHAR(50) NOT NULL,
+      mode VARCHAR(20) NOT NULL CHECK (mode IN ('closed', 'surcharge')),
+      surcharge_amount NUMERIC NOT NULL DEFAULT 0 CHECK (surcharge_amount >= 0),
+      surcharge_percent NUMERIC NOT NULL DEFAULT 0 CHECK (surcharge_percent >= 0),
+      effective_from DATE NOT NULL,
+      effective_to DATE,
+      reason TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      CHECK (effective_to IS NULL OR effective_to >= effective_from)
+    );
+  `);
+}
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Проверка и нормализация полей нарушения из тела запроса
+function validateDisruptionInput(body = {}) {
+  const { passage, mode, effective_from, effective_to, reason } = body;
+  if (!SEA_PASSAGES[passage]) {
+    throw new ChokepointDisruptionError(`Unknown passage '${passage}'. Available: ${Object.keys(SEA_PASSAGES).join(', ')}`, 400);
+  }
+  if (!DISRUPTION_MODES.includes(mode)) {
+    throw new ChokepointDisruptionError(`mode must be one of: ${DISRUPTION_MODES.join(', ')}`, 400);
+  }
+  if (!isValidDate(effective_from)) {
+    throw new ChokepointDisruptionError('effective_from must be a date (YYYY-MM-DD)', 400);
+  }
+  const effectiveTo = effective_to === undefined || effective_to === null || effective_to === '' ? null : effective_to;
+  if (effectiveTo !== null && (!isValidDate(effectiveTo) || effectiveTo < effective_from)) {
+    throw new ChokepointDisruptionError('effective_to must be a date (YYYY-MM-DD) not earlier than effective_from', 400);
+  }
+  const surchargeAmount = body.surcharge_amount === undefined || body.surcharge_amount === '' ? 0 : parseFloat(body.surcharge_amount);
+  const surchargePercent = body.surcharge_percent === undefined || body.surcharge_percent === '' ? 0 : parseFloat(body.surcharge_percent);
+  if (isNaN(surchargeAmount) || surchargeAmount < 0 || isNaN(surchargePercent) || surchargePercent < 0) {
+    throw new ChokepointDisruptionError('surcharge_amount and surcharge_percent must be non-negative numbers', 400);
+  }
+  if (mode === 'surcharge' && surchargeAmount === 0 && surchargePercent === 0) {
+    throw new ChokepointDisruptionError('A surcharge disruption needs surcharge_amount or surcharge_percent', 400);
+  }
+  return {
+    passage,
+    mode,
+    surchargeAmount: mode === 'surcharge' ? surchargeAmount : 0,
+    surchargePercent: mode === 'surcharge' ? surchargePercent : 0,
+    effectiveFrom: effective_from,
+    effectiveTo,
+    reason: reason || null
+  };
+}
+
+// Список нарушений (действующие на дату now отмечены active)
+async function listChokepointDisruptions(client, now = new Date()) {
+  const result = await client.query(`
+    SELECT *, (effective_from <= $1::date AND (effective_to IS NULL OR effective_to >= $1::date)) AS active
+    FROM chokepoint_disruptions
+    ORDER BY effective_from DESC, id DESC
+  `, [now]);
+  return result.rows;
+}
+
+// Нарушения, действующие на дату расчета
+async function getActiveDisruptions(client, date = new Date()) {
+  const result = await client.query(`
+    SELECT * FROM chokepoint_disruptions
+    WHERE effective_from <= $1::date AND (effective_to IS NULL OR effective_to >= $1::date)
+    ORDER BY id
+  `, [date]);
+  return result.rows;
+}
+
+function describeDisruption(row) {
+  return {
+    id: row.id,
+    passage: row.passage,
+    passageName: SEA_PASSAGES[row.passage] || row.passage,
+    mode: row.mode,
+    reason: row.reason
+  };
+}
+
+// Морской маршрут котировки с учетом действующих нарушений: { seaRoute, disruptions, blocked }.
+// disruptions - примененные нарушения (action 'rerouted' или 'surcharge'), blocked - закрытые проходы без обхода.
+// Если у портов нет координат или маршрута, нарушения не применяются (seaRoute = null, причина - в seaRouteError).
+async function resolveDisruptedSeaRoute(client, originPortId, destinationPortId, routing, date = new Date()) {
+  let baseRoute;
+  try {
+    baseRoute = await getPortDistance(client, originPortId, destinationPortId, routing);
+  } catch (error) {
+    if (!(error instanceof SeaRouteError) || error.statusCode === 400) throw error;
+    return { seaRoute: null, seaRouteError: error.message, disruptions: [], blocked: [] };
+  }
+
+  const active = await getActiveDisruptions(client, date);
+  const closures = active.filter(row => row.mode === 'closed');
+  const disruptions = [];
+  let blocked = [];
+  let seaRoute = baseRoute;
+
+  const hitClosures = closures.filter(row => baseRoute.passages.includes(row.passage));
+  if (hitClosures.length > 0) {
+    try {
+      seaRoute = await getPortDistance(client, originPortId, destinationPortId, routing, {
+        avoid: [...new Set(closures.map(row => row.passage))]
+      });
+      for (const row of hitClosures) {
+        disruptions.push({ ...describeDisruption(row), action: 'rerouted', extraDistanceNm: seaRoute.distanceNm - baseRoute.distanceNm });
+      }
+    } catch (error) {
+      if (!(error instanceof SeaRouteError)) throw error;
+      blocked = hitClosures.map(describeDisruption);
+    }
+  }
+
+  for (const row of active.filter(row => row.mode === 'surcharge' && seaRoute.passages.includes(row.passage))) {
+    disruptions.push({
+      ...describeDisruption(row),
+      action: 'surcharge',
+      surchargeAmount: parseFloat(row.surcharge_amount),
+      surchargePercent: parseFloat(row.surcharge_percent)
+    });
+  }
+  return { seaRoute, disruptions, blocked };
+}
+
+export {
+  DISRUPTION_MODES,
+  ChokepointDisruptionError,
+  initializeChokepointDisruptionTables,
+  validateDisruptionInput,
+  listChokepointDisruptions,
+  getActiveDisruptions,
+  resolveDisruptedSeaRoute
+};
@@ -4,23 +4,12 @@
 import { Pool } from 'pg';
 import dotenv from 'dotenv';
 
-// Импорт МОДИФИЦИРОВАННЫХ модулей скраперов (читают из БД) - Используем именованные импорты (ESM)
-import { getSCFIDataForCalculation } from './scfi_scraper.js';
-import { getFBXDataForCalculation } from './fbx_scraper.js';
-import { getWCIDataForCalculation } from './wci_scraper.js';
-import { getXenetaDataForCalculation } from './xeneta_scraper.js';
-import { getCCFIDataForCalculation } from './ccfi_scraper.js';
-import { getCfiDataForCalculation } from './cfi_scraper.js'; // Используем созданную заглушку
-import { getHarpexDataForCalculation } from './harpex_scraper.js';
-import { getNewConTexDataForCalculation } from './contex_scraper.js'; // NewConTex
-import { getBdiDataForCalculation } from './bdi_scraper.js';
+// Значения индексов передаются в indexConfig; источники индексов доступны по имени через scraper_registry.js
 
-// Импорт модуля анализа сезонности
-import { fetchSeasonalityFactor } from './seasonality_analyzer.js';
+// Конвейер ценообразования (базовая ставка, индексы, модификаторы, сезонность, топливо, маржа)
+import { resolveActiveStages, createPricingContext, runPricingPipeline } from './pricing_pipeline.js';
 
-// НЕ ИСПОЛЬЗУЕТСЯ: import fuelSurchargeCalculator from './fuel_surcharge_calculator.js';
-// НЕ ИСПОЛЬЗУЕТСЯ: import scraperAdapters from './scraper_adapters.js';
-// НЕ ИСПОЛЬЗУЕТСЯ: import webSearchIndices from './web_search_indices.js';
+// Топливная надбавка рассчитывается провайдером options.fuelSurchargeProvider (в /api/calculate - baf_engine.js)
 
 // Загрузка переменных окружения
 dotenv.config();
@@ -90,122 +79,11 @@ async function getPortRegionById(portId) {
   }
 }
 
-// Функция для получения базовой ставки (ИСПОЛЬЗУЕТ ПЕРЕДАННЫЙ baseRatesConfig)
-function getBaseRate(originRegion, destinationRegion, containerType, baseRatesConfig, debugLog) {
-    const step = { stage: 'Get Base Rate', inputs: { originRegion, destinationRegion, containerType }, result: null, status: 'Failed' };
-    try {
-        // Нормализация типа контейнера (пример)
-        let normalizedContainerType = containerType.toUpperCase();
-        if (normalizedContainerType.includes('20')) normalizedContainerType = '20DV';
-        else if (normalizedContainerType.includes('40HC') || normalizedContainerType.includes('40 HQ')) normalizedContainerType = '40HC';
-        else if (normalizedContainerType.includes('40')) normalizedContainerType = '40DV';
-        else normalizedContainerType = 'Unknown'; // Неизвестный тип
-
-        step.inputs.normalizedContainerType = normalizedContainerType;
-
-        let rate = baseRatesConfig[originRegion]?.[destinationRegion]?.[normalizedContainerType];
-
-        // Fallback, если точный маршрут не найден
-        if (rate === undefined) {
-            step.details = `Exact route ${originRegion}->${destinationRegion} ${normalizedContainerType} not found. Trying fallbacks.`;
-            // 1. Пробуем default для региона отправления
-            rate = baseRatesConfig[originRegion]?.["Unknown"]?.[normalizedContainerType];
-            if (rate !== undefined) {
-                step.details += ` Used default for origin region ${originRegion}.`;
-            } else {
-                // 2. Пробуем global default
-                rate = baseRatesConfig["Unknown"]?.["Unknown"]?.[normalizedContainerType];
-                if (rate !== undefined) {
-                    step.details += ` Used global default.`;
-                } else {
-                    // 3. Совсем крайний случай
-                    rate = 2000; // Абсолютный fallback
-                    step.details += ` Used absolute fallback value ${rate}.`;
-                }
-            }
-        }
-
-        step.result = rate;
-        step.status = 'Success';
-        debugLog.push(step);
-        return rate;
-    } catch (error) {
-        step.status = 'Error';
-        step.error = error.message;
-        console.error('Error getting base rate:', error);
-        debugLog.push(step);
-        return 2000; // Возвращаем fallback при ошибке
-    }
-}
-
-// Функция для расчета взвешенного индекса (ИСПОЛЬЗУЕТ ДАННЫЕ ИЗ indexConfig)
-function calculateWeightedIndex(indexConfig, debugLog) {
-    const step = { stage: 'Calculate Weighted Index', inputs: {}, totalWeightUsed: 0, weightedSum: 0, result: 1.0, status: 'Failed', details: '' }; // Default result 1.0
-    let sourcesUsed = [];
-
-    try {
-        if (!indexConfig || Object.keys(indexConfig).length === 0) {
-            step.details = 'Index configuration is empty or missing. Using default index value 1.0.';
-            step.status = 'Warning';
-            debugLog.push(step);
-            return { value: 1.0, sources: [] }; // Return default if no config
-        }
-
-        for (const indexName in indexConfig) {
-            const config = indexConfig[indexName];
-
-            // Пропускаем индексы с нулевым весом или отсутствующие/неполные данные
-            if (!config || config.weight_percentage <= 0 || config.baseline_value === undefined || config.current_value === undefined) {
-                step.inputs[indexName] = { expected: true, found: false, reason: 'Zero weight or missing data in config', baseline: config?.baseline_value, weight: config?.weight_percentage, current: config?.current_value };
-                continue;
-            }
-
-            const currentValue = parseFloat(config.current_value);
-            const baselineValue = parseFloat(config.baseline_value);
-            const weight = parseFloat(config.weight_percentage) / 100.0; // Преобразуем % в долю
-
-            step.inputs[indexName] = { expected: true, found: false, value: currentValue, baseline: baselineValue, weight: weight * 100, current: currentValue };
-
-            if (!isNaN(currentValue) && baselineValue > 0 && !isNaN(weight)) {
-                const indexRatio = currentValue / baselineValue;
-                step.weightedSum += weight * indexRatio;
-                step.totalWeightUsed += weight;
-                step.inputs[indexName].found = true;
-                step.inputs[indexName].ratio = indexRatio.toFixed(3);
-                sourcesUsed.push(indexName);
-            } else {
-                 step.inputs[indexName].reason = `Invalid data: currentValue=${currentValue}, baselineValue=${baselineValue}, weight=${weight}`;
-                 step.details += `Skipped ${indexName} due to invalid data. `;
-            }
-        }
-
-        if (step.totalWeightUsed > 0) {
-            // Нормализуем, если сумма весов не равна 1 (хотя должна быть)
-            const normalizedWeightedSum = step.weightedSum / step.totalWeightUsed;
-            step.result = normalizedWeightedSum;
-            step.status = 'Success';
-            step.details = `Calculated weighted index using: ${sourcesUsed.join(', ')}. Total weight used: ${(step.totalWeightUsed * 100).toFixed(1)}%.`;
-        } else {
-            step.result = 1.0; // Fallback if no valid indices found
-            step.status = 'Warning';
-            step.details = 'No valid indices with positive weight found in config. Using default index value 1.0.';
-        }
-
-        debugLog.push(step);
-        return { value: step.result, sources: sourcesUsed };
-
-    } catch (error) {
-        step.status = 'Error';
-        step.error = error.message;
-        console.error('Error calculating weighted index:', error);
-        debugLog.push(step);
-        return { value: 1.0, sources: [] }; // Return default on error
-    }
-}
-
 // --- Основная функция расчета (Адаптированная, принимает конфигурацию как параметры) --- 
+// Расчет выполняется конвейером этапов pricing_pipeline.js; набор этапов задается в options.modelSettings.
+// options: { modelSettings, calculationDate, shipDate, indexProjection, fuelSurchargeProvider, laneIndices, seaRoute, chokepointDisruptions, coreSourceWeights }
 // ЭКСПОРТИРУЕМАЯ ФУНКЦИЯ
-export async function calculateFreightRate(originPortId, destinationPortId, containerType, baseRatesConfig, indexConfig, sensitivityCoeff, weight = 20000, debugMode = false) {
+export async function calculateFreightRate(originPortId, destinationPortId, containerType, baseRatesConfig, indexConfig, sensitivityCoeff, weight = 20000, debugMode = false, options = {}) {
   const debugLog = [];
   const startTime = Date.now();
   let calculationStatus = 'Started';
@@ -222,50 +100,46 @@ export async function calculateFreightRate(originPortId, destinationPortId, cont
         debugLog.push({ stage: 'Get Regions', inputs: { originPortId, destinationPortId }, result: { originRegion, destinationRegion }, status: 'Success' });
     }
 
-    // 2. Получение базовой ставки
-    const baseRate = getBaseRate(originRegion, destinationRegion, containerType, baseRatesConfig, debugLog);
-
-    // 3. Расчет взвешенного индекса (использует indexConfig, который уже содержит current_value из БД)
-    const weightedIndex = calculateWeightedIndex(indexConfig, debugLog);
-
-    // 4. Получение коэффициента сезонности
-    const currentMonth = new Date().getMonth() + 1;
-    let seasonalityFactor = { factor: 1.0, confidence: 0 }; // Default
-    const seasonalityStep = { stage: 'Get Seasonality Factor', inputs: { originRegion, destinationRegion, currentMonth }, result: seasonalityFactor, status: 'Failed' };
-    try {
-        seasonalityFactor = await fetchSeasonalityFactor(originRegion, destinationRegion, currentMonth);
-        seasonalityStep.result = seasonalityFactor;
-        seasonalityStep.status = 'Success';
-    } catch (error) {
-        seasonalityStep.status = 'Error';
-        seasonalityStep.error = error.message;
-        console.error('Error getting seasonality factor:', error);
-    }
-    debugLog.push(seasonalityStep);
-
-    // 5. Расчет финальной ставки (БЕЗ топливной надбавки)
-    const finalRateStep = { stage: 'Calculate Final Rate', inputs: { baseRate, weightedIndex: weightedIndex.value, seasonalityFactor: seasonalityFactor.factor, sensitivityCoeff }, result: null, status: 'Failed' };
-    let finalRate = 0;
-    try {
-        // Формула: Базовая ставка * (1 + (Взвешенный индекс - 1) * Чувствительность) * Сезонный коэффициент
-        // Если взвешенный индекс = 1, то множитель = 1
-        // Если взвешенный индекс > 1, то множитель > 1
-        // Если взвешенный индекс < 1, то множитель < 1
-        const indexAdjustment = 1 + (weightedIndex.value - 1) * sensitivityCoeff;
-        finalRate = baseRate * indexAdjustment * seasonalityFactor.factor;
-        finalRate = Math.max(0, Math.round(finalRate)); // Округляем и гарантируем неотрицательность
-
-        finalRateStep.inputs.indexAdjustment = indexAdjustment.toFixed(4);
-        finalRateStep.result = finalRate;
-        finalRateStep.status = 'Success';
-    } catch (error) {
-        finalRateStep.status = 'Error';
-        finalRateStep.error = error.message;
-        console.error('Error calculating final rate:', error);
-        finalRate = baseRate; // Fallback к базовой ставке при ошибке расчета
-        finalRateStep.result = finalRate;
-    }
-    debugLog.push(finalRateStep);
+    // 2. Определение активных этапов для направления и запуск конвейера
+    const modelSettings = options.modelSettings || {};
+    const activeStages = resolveActiveStages(modelSettings, originRegion, destinationRegion);
+    const context = createPricingContext({
+        originPortId, destinationPortId, containerType, weight, originRegion, destinationRegion,
+        baseRatesConfig, indexConfig, sensitivityCoeff, modelSettings,
+        laneIndices: options.laneIndices,
+        coreSourceWeights: options.coreSourceWeights,
+        calculationDate: options.calculationDate,
+        shipDate: options.shipDate,
+        indexProjection: options.indexProjection,
+        fuelSurchargeProvider: options.fuelSurchargeProvider,
+        seaRoute: options.seaRoute,
+        chokepointDisruptions: options.chokepointDisruptions
+    });
+    await runPricingPipeline(context, activeStages.stages, debugLog);
+    const finalRate = context.rate; // Неотрицательна: отрицательная ставка доводится до 0 строкой FLOOR_ADJUSTMENT
+
+    // 3. Надежность и диапазон Min/Max (как в freight_calculator.js: разброс 10-15% в зависимости от надежности)
+    // Покрытие индексами учитывает свежесть данных: устаревшие индексы снижают надежность.
+    // При расчете на дату отправки вклад индексов умножается на доверие к прогнозу, а диапазон
+    // расширяется на полуширину интервала прогноза индексной корректировки.
+    const projectionConfidence = context.projection ? context.projection.confidence : 1;
+    const projectionHalfWidth = context.projection ? context.projection.rateHalfWidth : 0;
+    let reliabilityScore = 0.5 + context.indexCoverage * 0.3 * projectionConfidence + (context.seasonality.confidence || 0) * 0.15;
+    reliabilityScore = Math.max(0.5, Math.min(0.95, reliabilityScore));
+    const spreadFactor = 0.1 + (1 - reliabilityScore) * 0.1 + projectionHalfWidth;
+    const minRate = Math.round(finalRate * Math.max(0, 1 - spreadFactor));
+    const maxRate = Math.round(finalRate * (1 + spreadFactor));
+    debugLog.push({ stage: 'Calculate Min/Max Range', inputs: { finalRate, indexCoverage: context.indexCoverage, seasonalityConfidence: context.seasonality.confidence, projectionConfidence, projectionHalfWidth }, result: { reliability: reliabilityScore.toFixed(2), spreadFactor: spreadFactor.toFixed(3), minRate, maxRate }, status: 'Success' });
+
+    // Горизонт котировки на дату отправки: насколько далеко дата и насколько надежны прогнозы индексов и сезонности
+    const horizon = context.indexProjection ? {
+      shipDate: context.indexProjection.shipDate,
+      days: context.indexProjection.horizonDays,
+      weeks: context.indexProjection.horizonWeeks,
+      indexConfidence: projectionConfidence,
+      indexInterval: context.projection ? context.projection.interval : null,
+      seasonalityConfidence: context.seasonality.confidence
+    } : null;
 
     calculationStatus = 'Completed';
     const endTime = Date.now();
@@ -277,16 +151,32 @@ export async function calculateFreightRate(originPortId, destinationPortId, cont
 
     return {
       finalRate,
-      baseRate,
-      weightedIndex: weightedIndex.value,
-      seasonalityFactor: seasonalityFactor.factor,
-      // fuelSurcharge: 0, // Топливная надбавка не используется
+      baseRate: context.baseRate,
+      minRate,
+      maxRate,
+      reliability: parseFloat(reliabilityScore.toFixed(2)),
+      weightedIndex: context.weightedIndex,
+      indexAdjustment: context.indexAdjustment,
+      seasonalityFactor: context.seasonality.factor,
+      fuelSurcharge: context.fuelSurcharge,
+      adjustments: context.adjustments,
       calculationDetails: {
         originRegion,
         destinationRegion,
-        indexSources: weightedIndex.sources,
-        seasonalityConfidence: seasonalityFactor.confidence,
+        indexSources: context.sources,
+        indexLanes: context.indexLanes,
+        indexFreshness: context.indexFreshness,
+        seaRoute: context.seaRoute,
+        chokepointDisruptions: context.chokepointDisruptions,
+        seasonalityConfidence: context.seasonality.confidence,
+        seasonalityInterval: context.seasonality.interval,
+        seasonalityMonth: context.seasonality.month,
+        seasonalityHolidays: context.seasonality.holidays,
+        horizon,
+        indexProjection: context.indexProjection,
         sensitivityCoeff,
+        activeStages: activeStages.stages,
+        stagesSource: activeStages.source,
         calculationTimeMs: duration
       },
       debugLog: debugMode ? debugLog : undefined
@@ -313,20 +203,16 @@ export async function calculateFreightRate(originPortId, destinationPortId, cont
 // --- Функции для работы с историей (Оставляем без изменений) ---
 
 // Функция для сохранения запроса в историю
+// Выполняется на клиенте вызывающего кода (в транзакции вместе с сохранением котировки), ошибка пробрасывается.
 // ЭКСПОРТИРУЕМАЯ ФУНКЦИЯ
-export async function saveRequestToHistory(originPort, destinationPort, containerType, weight, finalRate, email, sources) {
-  try {
-    const query = `
-      INSERT INTO calculation_history 
-      (origin_port_id, destination_port_id, container_type, weight, rate, email, sources, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
-    `;
-    await pool.query(query, [originPort, destinationPort, containerType, weight, finalRate, email, JSON.stringify(sources)]);
-    console.log('Calculation request saved to history.');
-  } catch (error) {
-    console.error('Error saving calculation request to history:', error);
-    // Не пробрасываем ошибку, чтобы не прерывать основной процесс
-  }
+export async function saveRequestToHistory(client, originPort, destinationPort, containerType, weight, finalRate, email, sources) {
+  const query = `
+    INSERT INTO calculation_history 
+    (origin_port_id, destination_port_id, container_type, weight, rate, email, sources, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+  `;
+  await client.query(query, [originPort, destinationPort, containerType, weight, finalRate, email, JSON.stringify(sources)]);
+  console.log('Calculation request saved to history.');
 }
 
 // Пример использования (для тестирования модуля)
@@ -347,7 +233,7 @@ async function testCalculation() {
     console.log('Test Calculation Result:', JSON.stringify(result, null, 2));
 
     if (result.finalRate !== -1) {
-        await saveRequestToHistory('CNSHA', 'NLRTM', '40HC', 20000, result.finalRate, 'test@example.com', result.calculationDetails.indexSources);
+        await saveRequestToHistory(pool, 'CNSHA', 'NLRTM', '40HC', 20000, result.finalRate, 'test@example.com', result.calculationDetails.indexSources);
     }
 }
 
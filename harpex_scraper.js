@@ -1,130 +1,72 @@
 /**
- * Modified Harpex Index Scraper Module
+ * Harpex (Harper Petersen Charter Rates Index) Scraper Module
  * ==========================================================
  *
- * Этот модуль теперь читает данные ИСКЛЮЧИТЕЛЬНО из таблицы index_config базы данных.
- * Функция веб-скрапинга fetchHarpexData и связанные с ней функции оставлены для возможного будущего использования,
- * но НЕ используются для текущих расчетов.
+ * Источник индекса Harpex для реестра скраперов (scraper_registry.js).
+ * fetch() загружает страницу Harper Petersen, parse(html) извлекает таблицу "дата | значение",
+ * normalize(rows) возвращает последнее опубликованное значение.
  *
  * @module harpex_scraper
  * @author TSP Team / Manus AI Integration
- * @version 2.1.0 (ESM Named Export)
- * @last_updated 2025-05-04
+ * @version 4.0.0 (Scraper registry source)
+ * @last_updated 2026-10-18
  */
 
-// Импорт необходимых модулей (ESM)
-import axios from 'axios'; // Оставлен для fetchHarpexData
-import * as cheerio from 'cheerio'; // Оставлен для fetchHarpexData
-import pg from 'pg'; // Клиент PostgreSQL для работы с базой данных
-const { Pool } = pg;
-import dotenv from 'dotenv'; // Модуль для загрузки переменных окружения
+import axios from 'axios';
+import { parseDateValueTable, normalizeCompositeRows } from './scraper_parsing.js';
+
+const HARPEX_URL = 'https://harpex.harperpetersen.com/harpexVP.do';
+const HTTP_TIMEOUT = 30000;
 
 /**
- * Загрузка переменных окружения из файла .env
+ * Загрузка страницы Harpex.
+ *
+ * @async
+ * @returns {Promise<string>} HTML страницы
  */
-dotenv.config();
+async function fetchHarpexPage() {
+  console.log('[harpex_scraper] Fetching Harpex page...');
+  const response = await axios.get(HARPEX_URL, { timeout: HTTP_TIMEOUT });
+  return response.data;
+}
 
 /**
- * Настройка подключения к базе данных PostgreSQL
+ * Разбор страницы Harpex: строки "дата | значение [| изменение]", последняя дата - первой.
+ *
+ * @param {string} html
+ * @returns {Array<{route: string, currentIndex: number, change: number, indexDate: string}>}
  */
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false, // Необходимо для некоторых облачных баз данных
-    // sslmode: 'require' // Раскомментируйте, если ваша БД требует SSL
-  },
-});
+function parseHarpexHtml(html) {
+  const rows = parseDateValueTable(html, 'Harpex');
+  console.log(`[harpex_scraper] Parsed ${rows.length} Harpex rows`);
+  return rows;
+}
 
 /**
- * Функция для получения данных Harpex ИЗ БАЗЫ ДАННЫХ для использования в калькуляторе.
+ * Загрузка и разбор Harpex. При ошибке возвращает пустой массив.
  *
  * @async
- * @function getHarpexDataForCalculation
- * @returns {Promise<Object|null>} Объект с данными Harpex { current_index, index_date } или null при ошибке.
+ * @returns {Promise<Array>} Строки индекса
  */
-async function getHarpexDataForCalculation() {
-  console.log('[harpex_scraper] Запрос данных Harpex из таблицы index_config...');
-  const client = await pool.connect();
-  try {
-    const result = await client.query(
-      'SELECT current_value, last_updated FROM index_config WHERE index_name = $1',
-      ['Harpex']
-    );
-    if (result.rows.length > 0) {
-      const data = {
-        current_index: parseFloat(result.rows[0].current_value),
-        index_date: result.rows[0].last_updated, // Используем дату обновления из БД
-        change: null // Поле change больше не актуально при чтении из БД
-      };
-      console.log('[harpex_scraper] Данные Harpex получены из БД:', data);
-      return data;
-    } else {
-      console.error('[harpex_scraper] Ошибка: Индекс Harpex не найден в таблице index_config.');
-      return null;
-    }
-  } catch (error) {
-    console.error('[harpex_scraper] Ошибка при запросе данных Harpex из БД:', error);
-    return null;
-  } finally {
-    client.release();
-  }
-}
-
-// --- Ниже оставлен оригинальный код веб-скрапинга --- 
-// --- Он НЕ используется для получения данных для калькулятора --- 
-
-const HARPEX_URL = 'https://harpex.harperpetersen.com/harpexVP.do';
-const HARPEX_ALT_URL = 'https://www.hellenicshippingnews.com/tag/harpex/';
-
-async function fetchHarpexFromPrimarySource() {
-  console.log("[ОСТАВЛЕНО] Fetching Harpex data from primary source...");
-  // ... (код fetchHarpexFromPrimarySource оставлен без изменений)
-  return [];
-}
-
-async function fetchHarpexFromAlternativeSource() {
-  console.log("[ОСТАВЛЕНО] Fetching Harpex data from alternative source...");
-  // ... (код fetchHarpexFromAlternativeSource оставлен без изменений)
-  return [];
-}
-
-async function fetchMockHarpexData() {
-  console.log('[ОСТАВЛЕНО] Using mock data for Harpex');
-  // ... (код fetchMockHarpexData оставлен без изменений)
-  return [];
-}
-
-async function saveHarpexData(harpexData) {
-  console.log("[ОСТАВЛЕНО] Вызов saveHarpexData - сохранение в старую таблицу freight_indices_harpex");
-  // ... (код сохранения в freight_indices_harpex оставлен без изменений)
-}
-
-// Основная функция fetchHarpexData оставлена
 async function fetchHarpexData() {
-  console.log("=== [ОСТАВЛЕНО] НАЧАЛО ПОЛУЧЕНИЯ ДАННЫХ Harpex (ВЕБ-СКРАПИНГ) ===");
   try {
-    let harpexData = await fetchHarpexFromPrimarySource();
-    if (!harpexData || harpexData.length === 0) {
-      harpexData = await fetchHarpexFromAlternativeSource();
-    }
-    if (harpexData && harpexData.length > 0) {
-      // await saveHarpexData(harpexData); // Сохранение отключено
-      console.log("=== [ОСТАВЛЕНО] ЗАВЕРШЕНИЕ ПОЛУЧЕНИЯ ДАННЫХ Harpex (ВЕБ-СКРАПИНГ) ===");
-      return harpexData;
-    } else {
-      console.log("[ОСТАВЛЕНО] Failed to fetch Harpex data from all sources, using mock data.");
-      return fetchMockHarpexData(); // Возвращаем мок данные если ничего не сработало
-    }
+    return parseHarpexHtml(await fetchHarpexPage());
   } catch (error) {
-    console.error('[ОСТАВЛЕНО] Error fetching Harpex data:', error);
-    console.log("=== [ОСТАВЛЕНО] ЗАВЕРШЕНИЕ ПОЛУЧЕНИЯ ДАННЫХ Harpex С ОШИБКОЙ (ИСПОЛЬЗУЕМ МОК) ===");
-    return fetchMockHarpexData(); // Возвращаем моковые данные в случае ошибки
+    console.error('[harpex_scraper] Error fetching Harpex data:', error.message);
+    return [];
   }
 }
 
-// Экспорт новой функции для калькулятора и старой функции для совместимости (ESM Named Export)
-export { 
-  getHarpexDataForCalculation, // Новая функция для чтения из БД
-  fetchHarpexData // Старая функция веб-скрапинга (не используется калькулятором)
+const scraperSource = {
+  name: 'Harpex',
+  metadata: { publisher: 'Harper Petersen', unit: 'index points', frequency: 'weekly', url: HARPEX_URL },
+  fetch: fetchHarpexPage,
+  parse: parseHarpexHtml,
+  normalize: rows => normalizeCompositeRows(rows, /harpex/i)
 };
 
+export {
+  scraperSource,
+  fetchHarpexData,
+  parseHarpexHtml
+};
@@ -0,0 +1,128 @@
+// Модуль импорта фактических рыночных ставок в historical_rates из Excel (.xlsx) или CSV
+// Ожидаемые столбцы: origin_port, destination_port (UN/LOCODE из справочника ports), container_type (имя из container_types),
+// date, rate; необязательный: source (поставщик данных, по умолчанию HISTORICAL_RATE_UPLOAD_SOURCE).
+// Регионы берутся из справочника портов. Строки с тем же портом, типом контейнера, датой и источником заменяются.
+// Эти ставки используются в анализе сезонности и в бэктесте (backtest.js); источники котировок модели
+// и синтетических данных (EXCLUDED_HISTORY_SOURCES) загрузить нельзя.
+
+import { parseObservationDate, parseNumber } from './index_import.js';
+import { EXCLUDED_HISTORY_SOURCES } from './seasonality_analyzer.js';
+
+const HISTORICAL_RATE_UPLOAD_SOURCE = 'import';
+
+// Синонимы заголовков столбцов
+const COLUMN_ALIASES = {
+  origin_port: ['origin_port', 'origin', 'pol', 'origin_port_code'],
+  destination_port: ['destination_port', 'destination', 'pod', 'destination_port_code'],
+  container_type: ['container_type', 'container', 'equipment'],
+  date: ['date', 'rate_date', 'observed_at'],
+  rate: ['rate', 'price', 'value'],
+  source: ['source', 'provider']
+};
+
+// UN/LOCODE: код страны и 3 символа места
+const PORT_CODE_PATTERN = /^[A-Z]{2}[A-Z0-9]{3}$/;
+const SOURCE_PATTERN = /^[a-z0-9_.-]{1,50}$/;
+
+// Приведение заголовков строки к каноническим именам
+function normalizeRow(rawRow) {
+  const lowerCased = {};
+  for (const [key, value] of Object.entries(rawRow)) {
+    lowerCased[String(key).trim().toLowerCase()] = typeof value === 'string' ? value.trim() : value;
+  }
+  const row = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const alias = aliases.find(name => lowerCased[name] !== undefined && lowerCased[name] !== null && lowerCased[name] !== '');
+    row[column] = alias ? lowerCased[alias] : null;
+  }
+  return row;
+}
+
+// Проверка строки. portRegions - Map кода порта (в верхнем регистре) -> регион, containerTypes - Set имен типов контейнеров.
+// Возвращает { errors, data }, где data - разобранные значения строки.
+function validateHistoricalRateRow(row, portRegions, containerTypes, now = new Date()) {
+  const errors = [];
+  const originPort = row.origin_port ? String(row.origin_port).toUpperCase() : null;
+  const destinationPort = row.destination_port ? String(row.destination_port).toUpperCase() : null;
+  const containerType = row.container_type ? String(row.container_type) : null;
+  const date = row.date !== null ? parseObservationDate(row.date) : null;
+  const rate = parseNumber(row.rate);
+  const source = row.source ? String(row.source).toLowerCase() : HISTORICAL_RATE_UPLOAD_SOURCE;
+
+  for (const [column, code] of [['origin_port', originPort], ['destination_port', destinationPort]]) {
+    if (!code) errors.push(`${column} is required`);
+    else if (!PORT_CODE_PATTERN.test(code)) errors.push(`invalid ${column} '${row[column]}' (expected UN/LOCODE, e.g. CNSHA)`);
+    else if (!portRegions.has(code)) errors.push(`unknown ${column} '${code}'`);
+  }
+  if (originPort && originPort === destinationPort) errors.push('origin_port and destination_port must differ');
+  if (!containerType) errors.push('container_type is required');
+  else if (!containerTypes.has(containerType)) errors.push(`unknown container_type '${containerType}'`);
+  if (row.date === null) errors.push('date is required');
+  else if (!date) errors.push(`invalid date '${row.date}' (expected YYYY-MM-DD or DD.MM.YYYY)`);
+  else if (date > now) errors.push('date is in the future');
+  if (rate === null) errors.push('rate is required');
+  else if (isNaN(rate) || rate <= 0) errors.push(`invalid rate '${row.rate}' (must be a positive number)`);
+  if (!SOURCE_PATTERN.test(source)) errors.push(`invalid source '${row.source}' (letters, digits, _ . -; up to 50 characters)`);
+  else if (EXCLUDED_HISTORY_SOURCES.includes(source)) errors.push(`source '${source}' is reserved for non-market data`);
+
+  return { errors, data: { originPort, destinationPort, containerType, date, rate, source } };
+}
+
+// Импорт строк в рамках транзакции вызывающего кода. Каждая строка выполняется в SAVEPOINT,
+// поэтому ошибка БД в одной строке не отменяет остальные.
+// Возвращает отчет { inserted, updated, rejected, rows: [{ row, status, origin_port, destination_port, container_type, date, rate, errors }] }.
+async function importHistoricalRateRows(client, rawRows) {
+  const portsResult = await client.query('SELECT UPPER(code) AS code, region FROM ports WHERE code IS NOT NULL');
+  const portRegions = new Map(portsResult.rows.map(port => [port.code, port.region]));
+  const containerTypesResult = await client.query('SELECT name FROM container_types');
+  const containerTypes = new Set(containerTypesResult.rows.map(row => row.name));
+  const report = { inserted: 0, updated: 0, rejected: 0, rows: [] };
+
+  for (let i = 0; i < rawRows.length; i++) {
+    const row = normalizeRow(rawRows[i]);
+    const { errors, data } = validateHistoricalRateRow(row, portRegions, containerTypes);
+    const rowReport = {
+      row: i + 2, // Строка 1 - заголовок
+      status: 'rejected',
+      origin_port: data.originPort,
+      destination_port: data.destinationPort,
+      container_type: data.containerType,
+      date: data.date ? data.date.toISOString().slice(0, 10) : row.date,
+      rate: data.rate,
+      errors
+    };
+    report.rows.push(rowReport);
+    if (errors.length > 0) {
+      report.rejected++;
+      continue;
+    }
+
+    try {
+      await client.query('SAVEPOINT historical_rate_row');
+      const result = await client.query(`
+        INSERT INTO historical_rates (origin_port, destination_port, origin_region, destination_region, container_type, rate, date, source)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        ON CONFLICT (origin_port, destination_port, container_type, date, source)
+        DO UPDATE SET rate = EXCLUDED.rate, origin_region = EXCLUDED.origin_region, destination_region = EXCLUDED.destination_region
+        RETURNING (xmax = 0) AS inserted
+      `, [data.originPort, data.destinationPort, portRegions.get(data.originPort) || 'Unknown', portRegions.get(data.destinationPort) || 'Unknown',
+          data.containerType, data.rate, rowReport.date, data.source]);
+      await client.query('RELEASE SAVEPOINT historical_rate_row');
+      rowReport.status = result.rows[0].inserted ? 'inserted' : 'updated';
+      report[rowReport.status]++;
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT historical_rate_row');
+      console.error(`[historical_rate_import] Error importing row ${rowReport.row}:`, error);
+      rowReport.errors.push(`database error: ${error.message}`);
+      report.rejected++;
+    }
+  }
+
+  return report;
+}
+
+export {
+  HISTORICAL_RATE_UPLOAD_SOURCE,
+  validateHistoricalRateRow,
+  importHistoricalRateRows
+};
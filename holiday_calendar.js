@@ -0,0 +1,336 @@
+// Модуль календаря праздников и сезонов (holiday_dates)
+// Китайский Новый год и Рамадан смещаются относительно григорианского календаря, поэтому помесячные
+// сезонные факторы их не отражают. Для каждого праздника хранятся даты по годам (редактируются в панели
+// администратора), а влияние на ставки оценивается по неделям относительно начала праздника:
+// неделя -2 - за две недели до начала, 0 - неделя начала, далее до конца праздника и weeksAfter недель после.
+//
+// Эффект недели = среднее по годам ln(значение недели / (тренд * сезонный фактор месяца)), т.е. отклонение
+// от помесячной сезонности. Интервал 95% строится по разбросу между годами (нужно не меньше
+// MIN_HOLIDAY_OCCURRENCES лет с данными). Эффекты рассчитываются в seasonality_analyzer.js.
+//
+// Помесячные факторы оцениваются по ряду, из недель праздников которого исключены их эффекты (decomposeWithHolidays):
+// иначе средний провал, например, Китайского Нового года вошел бы в фактор февраля и учитывался бы дважды -
+// в неделях праздника (фактор месяца * эффект недели) и повторно во всех остальных неделях месяца.
+
+import { SEASONAL_PERIOD, Z_95, tQuantile95, aggregateMonthly, buildMonthlySeries, decomposeMonthlySeries } from './time_series.js';
+
+// Праздники: окно влияния в неделях и направления, к которым праздник относится
+// (регион отправления из originRegions или регион назначения из destinationRegions)
+const HOLIDAYS = {
+  chinese_new_year: { label: 'Chinese New Year', weeksBefore: 4, weeksAfter: 4, originRegions: ['Asia'], destinationRegions: [] },
+  golden_week: { label: 'Golden Week', weeksBefore: 2, weeksAfter: 2, originRegions: ['Asia'], destinationRegions: [] },
+  ramadan: { label: 'Ramadan', weeksBefore: 2, weeksAfter: 2, originRegions: ['Middle East'], destinationRegions: ['Middle East'] },
+  western_peak: { label: 'Western peak season', weeksBefore: 2, weeksAfter: 2, originRegions: [], destinationRegions: ['Europe', 'North America'] }
+};
+
+// Даты по умолчанию: первый день Китайского Нового года, первый день Рамадана
+const CHINESE_NEW_YEAR_DATES = [
+  '2015-02-19', '2016-02-08', '2017-01-28', '2018-02-16', '2019-02-05', '2020-01-25', '2021-02-12', '2022-02-01',
+  '2023-01-22', '2024-02-10', '2025-01-29', '2026-02-17', '2027-02-06', '2028-01-26', '2029-02-13', '2030-02-03'
+];
+const RAMADAN_START_DATES = [
+  '2015-06-18', '2016-06-06', '2017-05-27', '2018-05-16', '2019-05-06', '2020-04-24', '2021-04-13', '2022-04-02',
+  '2023-03-23', '2024-03-11', '2025-03-01', '2026-02-18', '2027-02-08', '2028-01-28', '2029-01-16', '2030-01-06'
+];
+const DEFAULT_YEARS = { from: 2015, to: 2030 };
+
+// Минимум лет с данными для оценки эффекта недели
+const MIN_HOLIDAY_OCCURRENCES = 3;
+
+// Повторные декомпозиции ряда без эффектов праздников: максимум итераций и порог изменения логарифма эффекта
+const HOLIDAY_ADJUSTMENT_ITERATIONS = 20;
+const HOLIDAY_ADJUSTMENT_TOLERANCE = 1e-4;
+
+// Максимальная длительность праздника или сезона, дней
+const MAX_HOLIDAY_DAYS = 120;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ошибка проверки дат праздников с HTTP-статусом для маршрута
+class HolidayError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'HolidayError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toDayNumber(date) {
+  if (date instanceof Date) {
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / DAY_MS;
+  }
+  const [year, month, day] = String(date).split('-').map(Number);
+  return Date.UTC(year, month - 1, day) / DAY_MS;
+}
+
+function addDays(date, days) {
+  return new Date((toDayNumber(date) + days) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Даты по умолчанию: [holiday, start_date, end_date]
+function defaultHolidayDates() {
+  const rows = [];
+  for (const date of CHINESE_NEW_YEAR_DATES) rows.push(['chinese_new_year', date, addDays(date, 6)]);
+  for (const date of RAMADAN_START_DATES) rows.push(['ramadan', date, addDays(date, 29)]);
+  for (let year = DEFAULT_YEARS.from; year <= DEFAULT_YEARS.to; year++) {
+    rows.push(['golden_week', `${year}-10-01`, `${year}-10-07`]);
+    rows.push(['western_peak', `${year}-08-01`, `${year}-10-31`]);
+  }
+  return rows;
+}
+
+// Создание таблицы дат и заполнение датами по умолчанию (вызывается из initializeDatabaseTables).
+// Даты по умолчанию добавляются только для праздников, у которых еще нет ни одной даты.
+async function initializeHolidayTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS holiday_dates (
+      id SERIAL PRIMARY KEY,
+      holiday VARCHAR(30) NOT NULL CHECK (holiday IN ('chinese_new_year', 'golden_week', 'ramadan', 'western_peak')),
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      CHECK (end_date >= start_date),
+      UNIQUE(holiday, start_date)
+    );
+  `);
+  const existing = await client.query('SELECT DISTINCT holiday FROM holiday_dates');
+  const seeded = new Set(existing.rows.map(row => row.holiday));
+  for (const [holiday, startDate, endDate] of defaultHolidayDates()) {
+    if (seeded.has(holiday)) continue;
+    await client.query(
+      'INSERT INTO holiday_dates (holiday, start_date, end_date) VALUES ($1, $2, $3) ON CONFLICT (holiday, start_date) DO NOTHING',
+      [holiday, startDate, endDate]
+    );
+  }
+}
+
+function isValidDate(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+}
+
+// Проверка даты праздника из тела запроса: { holiday, startDate, endDate }
+function validateHolidayDateInput(body = {}) {
+  const holiday = String(body.holiday || '').trim();
+  if (!HOLIDAYS[holiday]) {
+    throw new HolidayError(`holiday must be one of: ${Object.keys(HOLIDAYS).join(', ')}`, 400);
+  }
+  if (!isValidDate(body.start_date) || !isValidDate(body.end_date)) {
+    throw new HolidayError('start_date and end_date must be dates (YYYY-MM-DD)', 400);
+  }
+  const days = toDayNumber(body.end_date) - toDayNumber(body.start_date);
+  if (days < 0 || days > MAX_HOLIDAY_DAYS) {
+    throw new HolidayError(`end_date must be on or after start_date and at most ${MAX_HOLIDAY_DAYS} days later`, 400);
+  }
+  return { holiday, startDate: body.start_date, endDate: body.end_date };
+}
+
+// Даты одного праздника не должны пересекаться (иначе неделя относительно праздника неоднозначна)
+async function assertNoOverlap(client, { holiday, startDate, endDate }, excludeId = null) {
+  const result = await client.query(`
+    SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date FROM holiday_dates
+    WHERE holiday = $1 AND start_date <= $3::date AND end_date >= $2::date AND ($4::int IS NULL OR id <> $4)
+    LIMIT 1
+  `, [holiday, startDate, endDate, excludeId]);
+  if (result.rows.length > 0) {
+    throw new HolidayError(`Dates overlap with ${holiday} starting ${result.rows[0].start_date}`, 409);
+  }
+}
+
+// Даты праздников (все или одного праздника), по убыванию даты начала
+async function listHolidayDates(client, holiday = null) {
+  const result = await client.query(`
+    SELECT id, holiday, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date, updated_at
+    FROM holiday_dates
+    WHERE $1::text IS NULL OR holiday = $1
+    ORDER BY start_date DESC, holiday
+  `, [holiday]);
+  return result.rows;
+}
+
+// Праздники, которые относятся к направлению
+function holidaysForLane(originRegion, destinationRegion) {
+  return Object.keys(HOLIDAYS).filter(holiday =>
+    HOLIDAYS[holiday].originRegions.includes(originRegion) || HOLIDAYS[holiday].destinationRegions.includes(destinationRegion));
+}
+
+// Неделя даты относительно праздника (0 - неделя начала) или null, если дата вне окна влияния
+function holidayWeekOffset(occurrence, date) {
+  const { weeksBefore, weeksAfter } = HOLIDAYS[occurrence.holiday];
+  const start = toDayNumber(occurrence.start_date);
+  const offset = Math.floor((toDayNumber(date) - start) / 7);
+  const lastWeek = Math.floor((toDayNumber(occurrence.end_date) - start) / 7);
+  return offset < -weeksBefore || offset > lastWeek + weeksAfter ? null : offset;
+}
+
+// Праздники из списка holidays, в окно влияния которых попадает дата: [{ holiday, label, startDate, weekOffset }]
+async function findHolidayWindows(client, holidays, date) {
+  if (holidays.length === 0) {
+    return [];
+  }
+  const day = addDays(date, 0);
+  const margin = MAX_HOLIDAY_DAYS + 7 * Math.max(...holidays.map(holiday => HOLIDAYS[holiday].weeksBefore + HOLIDAYS[holiday].weeksAfter + 1));
+  const result = await client.query(`
+    SELECT holiday, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date
+    FROM holiday_dates
+    WHERE holiday = ANY($1) AND start_date BETWEEN $2::date - $3::int AND $2::date + $3::int
+  `, [holidays, day, margin]);
+  const windows = [];
+  for (const occurrence of result.rows) {
+    const weekOffset = holidayWeekOffset(occurrence, day);
+    if (weekOffset !== null) {
+      windows.push({ holiday: occurrence.holiday, label: HOLIDAYS[occurrence.holiday].label, startDate: occurrence.start_date, weekOffset });
+    }
+  }
+  return windows;
+}
+
+// Эффекты недель праздника для одного ряда (без обращения к БД).
+// points - недельные наблюдения [{ date, value }], series и decomposition - помесячный ряд и его декомпозиция
+// (time_series.js), occurrences - даты праздника [{ holiday, start_date, end_date }].
+// Возвращает [{ weekOffset, factor, lower, upper, occurrences, logStdError }] для недель с данными за MIN_HOLIDAY_OCCURRENCES лет.
+function estimateHolidayEffects(points, series, decomposition, occurrences) {
+  const trendByMonth = new Map(series.months.map((month, t) => [month, decomposition.trend[t]]));
+  const samples = new Map();
+  for (const point of points) {
+    const month = String(point.date).slice(0, 7);
+    const trend = trendByMonth.get(month);
+    if (!(trend > 0) || !(point.value > 0)) continue;
+    const expected = trend * decomposition.seasonal[(parseInt(month.slice(5, 7)) - 1) % SEASONAL_PERIOD].factor;
+    for (const occurrence of occurrences) {
+      const weekOffset = holidayWeekOffset(occurrence, point.date);
+      if (weekOffset === null) continue;
+      if (!samples.has(weekOffset)) samples.set(weekOffset, []);
+      samples.get(weekOffset).push(Math.log(point.value / expected));
+    }
+  }
+  const effects = [];
+  for (const [weekOffset, logRatios] of [...samples.entries()].sort(([a], [b]) => a - b)) {
+    const n = logRatios.length;
+    if (n < MIN_HOLIDAY_OCCURRENCES) continue;
+    const mean = logRatios.reduce((sum, value) => sum + value, 0) / n;
+    const sd = Math.sqrt(logRatios.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1));
+    const halfWidth = tQuantile95(n - 1) * sd / Math.sqrt(n);
+    effects.push({
+      weekOffset,
+      factor: Math.exp(mean),
+      lower: Math.exp(mean - halfWidth),
+      upper: Math.exp(mean + halfWidth),
+      occurrences: n,
+      logStdError: halfWidth / Z_95
+    });
+  }
+  return effects;
+}
+
+// Недельные наблюдения без эффектов праздников: значение недели в окне праздника делится на эффект этой недели.
+// effectsByHoliday - { holiday: [{ weekOffset, factor }] }; недели без оцененного эффекта не меняются.
+function removeHolidayEffects(points, effectsByHoliday, occurrences) {
+  const factors = new Map();
+  for (const [holiday, effects] of Object.entries(effectsByHoliday)) {
+    for (const effect of effects) factors.set(`${holiday}:${effect.weekOffset}`, effect.factor);
+  }
+  return points.map(point => {
+    let factor = 1;
+    for (const occurrence of occurrences) {
+      const weekOffset = holidayWeekOffset(occurrence, point.date);
+      if (weekOffset !== null) factor *= factors.get(`${occurrence.holiday}:${weekOffset}`) ?? 1;
+    }
+    return factor === 1 ? point : { ...point, value: point.value / factor };
+  });
+}
+
+// Декомпозиция недельного ряда с праздниками holidays (без обращения к БД):
+//   1. помесячная декомпозиция исходного ряда и первая оценка эффектов праздников;
+//   2. повторная декомпозиция ряда без эффектов праздников (removeHolidayEffects) и новая оценка эффектов
+//      относительно тренда и факторов очищенного ряда - пока эффекты не перестанут меняться
+//      (не более HOLIDAY_ADJUSTMENT_ITERATIONS раз). Помесячные факторы не включают провалы праздников.
+// Возвращает { series, decomposition, holidayEffects: { holiday: [...] } } или null, если ряд не раскладывается.
+function decomposeWithHolidays(points, occurrences, holidays) {
+  const rawSeries = buildMonthlySeries(aggregateMonthly(points));
+  const rawDecomposition = decomposeMonthlySeries(rawSeries);
+  if (!rawDecomposition) {
+    return null;
+  }
+  const holidayOccurrences = occurrences.filter(occurrence => holidays.includes(occurrence.holiday));
+  const estimateEffects = (series, decomposition) => Object.fromEntries(holidays
+    .map(holiday => [holiday, estimateHolidayEffects(points, series, decomposition, holidayOccurrences.filter(occurrence => occurrence.holiday === holiday))])
+    .filter(([, effects]) => effects.length > 0));
+
+  let result = { series: rawSeries, decomposition: rawDecomposition, holidayEffects: estimateEffects(rawSeries, rawDecomposition) };
+  for (let iteration = 0; iteration < HOLIDAY_ADJUSTMENT_ITERATIONS && Object.keys(result.holidayEffects).length > 0; iteration++) {
+    const series = buildMonthlySeries(aggregateMonthly(removeHolidayEffects(points, result.holidayEffects, holidayOccurrences)));
+    const decomposition = decomposeMonthlySeries(series);
+    if (!decomposition) {
+      break;
+    }
+    const holidayEffects = estimateEffects(series, decomposition);
+    const converged = maxEffectChange(result.holidayEffects, holidayEffects) < HOLIDAY_ADJUSTMENT_TOLERANCE;
+    result = { series, decomposition, holidayEffects };
+    if (converged) {
+      break;
+    }
+  }
+  return result;
+}
+
+// Наибольшее изменение логарифма эффекта недели между итерациями (неделя без пары - Infinity)
+function maxEffectChange(previous, current) {
+  let change = 0;
+  for (const holiday of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+    const before = new Map((previous[holiday] || []).map(effect => [effect.weekOffset, effect.factor]));
+    const after = current[holiday] || [];
+    if (before.size !== after.length) return Infinity;
+    for (const effect of after) {
+      if (!before.has(effect.weekOffset)) return Infinity;
+      change = Math.max(change, Math.abs(Math.log(effect.factor / before.get(effect.weekOffset))));
+    }
+  }
+  return change;
+}
+
+// Объединение эффектов нескольких рядов по неделям с весами, обратными дисперсии
+function combineHolidayEffects(estimates) {
+  const byWeek = new Map();
+  for (const effects of estimates) {
+    for (const effect of effects) {
+      if (!byWeek.has(effect.weekOffset)) byWeek.set(effect.weekOffset, []);
+      byWeek.get(effect.weekOffset).push(effect);
+    }
+  }
+  return [...byWeek.entries()].sort(([a], [b]) => a - b).map(([weekOffset, effects]) => {
+    let weightSum = 0;
+    let weightedLog = 0;
+    for (const effect of effects) {
+      const weight = 1 / Math.max(effect.logStdError, 0.001) ** 2;
+      weightSum += weight;
+      weightedLog += weight * Math.log(effect.factor);
+    }
+    const logFactor = weightedLog / weightSum;
+    const logStdError = 1 / Math.sqrt(weightSum);
+    return {
+      weekOffset,
+      factor: Math.exp(logFactor),
+      lower: Math.exp(logFactor - Z_95 * logStdError),
+      upper: Math.exp(logFactor + Z_95 * logStdError),
+      occurrences: Math.max(...effects.map(effect => effect.occurrences)),
+      logStdError
+    };
+  });
+}
+
+export {
+  HOLIDAYS,
+  MIN_HOLIDAY_OCCURRENCES,
+  HolidayError,
+  initializeHolidayTables,
+  validateHolidayDateInput,
+  assertNoOverlap,
+  listHolidayDates,
+  holidaysForLane,
+  holidayWeekOffset,
+  findHolidayWindows,
+  estimateHolidayEffects,
+  removeHolidayEffects,
+  decomposeWithHolidays,
+  combineHolidayEffects
+};
@@ -0,0 +1,106 @@
+// Модуль свежести данных индексов (data quality)
+// У каждого индекса есть ожидаемая периодичность публикации: index_config.expected_frequency_days,
+// а если она не задана - частота источника из реестра скраперов (daily / weekly / monthly).
+// Возраст значения (index_config.last_updated) сравнивается с периодичностью:
+//   fresh   - возраст не больше indexFreshnessGracePeriods периодов: вес индекса не меняется
+//   stale   - вес индекса линейно уменьшается до нуля
+//   expired - возраст не меньше indexFreshnessDropPeriods периодов: индекс исключается из взвешенного индекса
+//   unknown - дата обновления неизвестна: вес не меняется
+// Уменьшенный вес снижает покрытие индексами (indexCoverage), а значит и надежность котировки.
+
+import { getScraper } from './scraper_registry.js';
+
+const FREQUENCY_DAYS = { daily: 1, weekly: 7, monthly: 31 };
+const DEFAULT_FREQUENCY_DAYS = 7;
+const DEFAULT_GRACE_PERIODS = 1.5;
+const DEFAULT_DROP_PERIODS = 4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Столбец периодичности в index_config (вызывается из initializeDatabaseTables)
+async function initializeIndexFreshnessColumns(client) {
+  await client.query('ALTER TABLE index_config ADD COLUMN IF NOT EXISTS expected_frequency_days NUMERIC CHECK (expected_frequency_days IS NULL OR expected_frequency_days > 0);');
+}
+
+// Ожидаемая периодичность публикации индекса в днях
+function resolveExpectedFrequencyDays(indexName, configuredDays) {
+  const configured = parseFloat(configuredDays);
+  if (configured > 0) {
+    return configured;
+  }
+  const frequency = getScraper(indexName)?.metadata.frequency;
+  return FREQUENCY_DAYS[frequency] || DEFAULT_FREQUENCY_DAYS;
+}
+
+// Пороги из model_settings (в периодах публикации)
+function resolveFreshnessSettings(modelSettings = {}) {
+  const grace = parseFloat(modelSettings.indexFreshnessGracePeriods);
+  const drop = parseFloat(modelSettings.indexFreshnessDropPeriods);
+  const gracePeriods = grace > 0 ? grace : DEFAULT_GRACE_PERIODS;
+  const dropPeriods = drop > gracePeriods ? drop : Math.max(DEFAULT_DROP_PERIODS, gracePeriods * 2);
+  return { gracePeriods, dropPeriods };
+}
+
+// Свежесть значения: { status, factor, ageDays, expectedFrequencyDays }. factor (0..1) - множитель веса индекса.
+function calculateIndexFreshness(lastUpdated, expectedFrequencyDays, settings = resolveFreshnessSettings(), now = new Date()) {
+  const expected = parseFloat(expectedFrequencyDays) > 0 ? parseFloat(expectedFrequencyDays) : DEFAULT_FREQUENCY_DAYS;
+  const updatedAt = lastUpdated ? new Date(lastUpdated) : null;
+  if (!updatedAt || isNaN(updatedAt.getTime())) {
+    return { status: 'unknown', factor: 1, ageDays: null, expectedFrequencyDays: expected };
+  }
+  const ageDays = Math.max(0, (now.getTime() - updatedAt.getTime()) / DAY_MS);
+  const graceDays = expected * settings.gracePeriods;
+  const dropDays = expected * settings.dropPeriods;
+  let status = 'fresh';
+  let factor = 1;
+  if (ageDays >= dropDays) {
+    status = 'expired';
+    factor = 0;
+  } else if (ageDays > graceDays) {
+    status = 'stale';
+    factor = (dropDays - ageDays) / (dropDays - graceDays);
+  }
+  return { status, factor: parseFloat(factor.toFixed(4)), ageDays: parseFloat(ageDays.toFixed(1)), expectedFrequencyDays: expected };
+}
+
+// Свежесть всех индексов для панели администратора: значение, периодичность, возраст, множитель веса,
+// источник (реестр скраперов), последний запуск скрапера и число значений на проверке.
+async function getIndexFreshnessReport(client, modelSettings = {}, now = new Date()) {
+  const settings = resolveFreshnessSettings(modelSettings);
+  const result = await client.query(`
+    SELECT ic.index_name, ic.current_value, ic.last_updated, ic.weight_percentage, ic.expected_frequency_days,
+           r.status AS last_run_status, r.started_at AS last_run_at, r.error AS last_run_error,
+           (SELECT COUNT(*)::int FROM index_values iv WHERE iv.index_name = ic.index_name AND iv.status = 'pending_review') AS pending_review
+    FROM index_config ic
+    LEFT JOIN LATERAL (
+      SELECT status, started_at, error FROM scraper_runs WHERE index_name = ic.index_name ORDER BY started_at DESC, id DESC LIMIT 1
+    ) r ON TRUE
+    ORDER BY ic.index_name
+  `);
+  return {
+    settings,
+    indices: result.rows.map(row => {
+      const expectedFrequencyDays = resolveExpectedFrequencyDays(row.index_name, row.expected_frequency_days);
+      const freshness = calculateIndexFreshness(row.last_updated, expectedFrequencyDays, settings, now);
+      const weight = parseFloat(row.weight_percentage) || 0;
+      const source = getScraper(row.index_name);
+      return {
+        ...row,
+        ...freshness,
+        frequencySource: parseFloat(row.expected_frequency_days) > 0 ? 'configured' : source ? 'scraper' : 'default',
+        effectiveWeight: parseFloat((weight * freshness.factor).toFixed(2)),
+        source: source ? source.metadata : null
+      };
+    })
+  };
+}
+
+export {
+  FREQUENCY_DAYS,
+  DEFAULT_FREQUENCY_DAYS,
+  initializeIndexFreshnessColumns,
+  resolveExpectedFrequencyDays,
+  resolveFreshnessSettings,
+  calculateIndexFreshness,
+  getIndexFreshnessReport
+};
@@ -0,0 +1,161 @@
+// Модуль временных рядов значений индексов (index_values)
+// Каждое наблюдение индекса (скрапер, ручной ввод, загрузка файла) сохраняется отдельной строкой
+// (index_name, value, observed_at, source). index_config.current_value / last_updated больше не
+// редактируются напрямую: они пересчитываются из последнего наблюдения функцией refreshCurrentIndexValue.
+// Наблюдение имеет статус: applied (используется в расчетах), pending_review (на проверке, см. index_quarantine.js)
+// или rejected. Текущее значение, последнее значение и история строятся только по applied.
+
+// Статусы наблюдений
+const OBSERVATION_STATUSES = ['applied', 'pending_review', 'rejected'];
+
+// Создание таблицы наблюдений и перенос текущих значений index_config (вызывается из initializeDatabaseTables).
+// Перенос выполняется только для индексов, у которых еще нет ни одного наблюдения.
+async function initializeIndexHistoryTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS index_values (
+      id SERIAL PRIMARY KEY,
+      index_name VARCHAR(50) NOT NULL,
+      value NUMERIC NOT NULL,
+      observed_at TIMESTAMP NOT NULL,
+      source VARCHAR(50) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'applied',
+      review_reasons JSONB,
+      reviewed_by VARCHAR(100),
+      reviewed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(index_name, observed_at, source)
+    );
+  `);
+  // Столбцы проверки для таблиц, созданных до появления карантина
+  await client.query("ALTER TABLE index_values ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'applied';");
+  await client.query('ALTER TABLE index_values ADD COLUMN IF NOT EXISTS review_reasons JSONB;');
+  await client.query('ALTER TABLE index_values ADD COLUMN IF NOT EXISTS reviewed_by VARCHAR(100);');
+  await client.query('ALTER TABLE index_values ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;');
+  await client.query('CREATE INDEX IF NOT EXISTS idx_index_values_name_observed ON index_values (index_name, observed_at DESC);');
+  await client.query(`
+    INSERT INTO index_values (index_name, value, observed_at, source)
+    SELECT ic.index_name, ic.current_value, COALESCE(ic.last_updated, NOW()), 'index_config_migration'
+    FROM index_config ic
+    WHERE ic.current_value IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM index_values iv WHERE iv.index_name = ic.index_name)
+    ON CONFLICT DO NOTHING;
+  `);
+}
+
+// Обновляет index_config.current_value / last_updated значением последнего наблюдения
+async function refreshCurrentIndexValue(client, indexName) {
+  await client.query(`
+    UPDATE index_config ic
+    SET current_value = latest.value, last_updated = latest.observed_at
+    FROM (
+      SELECT value, observed_at FROM index_values
+      WHERE index_name = $1 AND status = 'applied'
+      ORDER BY observed_at DESC, id DESC
+      LIMIT 1
+    ) latest
+    WHERE ic.index_name = $1;
+  `, [indexName]);
+}
+
+// Сохранение наблюдения. Повторное наблюдение с тем же временем и источником обновляет значение и статус.
+// status - 'applied' (по умолчанию) или 'pending_review' с причинами reviewReasons.
+// Возвращает сохраненную строку index_values.
+async function recordIndexValue(client, { indexName, value, observedAt = new Date(), source, status = 'applied', reviewReasons = null }) {
+  const numericValue = parseFloat(value);
+  if (!indexName || isNaN(numericValue)) {
+    throw new Error(`Invalid index observation: ${JSON.stringify({ indexName, value })}`);
+  }
+  if (!OBSERVATION_STATUSES.includes(status)) {
+    throw new Error(`Invalid observation status '${status}'`);
+  }
+  const result = await client.query(`
+    INSERT INTO index_values (index_name, value, observed_at, source, status, review_reasons)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (index_name, observed_at, source) DO UPDATE SET
+      value = EXCLUDED.value,
+      status = EXCLUDED.status,
+      review_reasons = EXCLUDED.review_reasons,
+      reviewed_by = NULL,
+      reviewed_at = NULL
+    RETURNING *;
+  `, [indexName, numericValue, observedAt, source, status, reviewReasons ? JSON.stringify(reviewReasons) : null]);
+  await refreshCurrentIndexValue(client, indexName);
+  return result.rows[0];
+}
+
+// Последнее наблюдение индекса в формате { current_index, index_date, change } (см. getIndexDataForCalculation в scraper_registry.js).
+// Если наблюдений нет, используется значение index_config (для индексов, заданных только конфигурацией).
+async function getLatestIndexValue(client, indexName) {
+  const result = await client.query(`
+    SELECT value, observed_at FROM index_values
+    WHERE index_name = $1 AND status = 'applied'
+    ORDER BY observed_at DESC, id DESC
+    LIMIT 2
+  `, [indexName]);
+  if (result.rows.length > 0) {
+    const [latest, previous] = result.rows;
+    return {
+      current_index: parseFloat(latest.value),
+      index_date: latest.observed_at,
+      change: previous ? parseFloat(latest.value) - parseFloat(previous.value) : null
+    };
+  }
+  const configResult = await client.query(
+    'SELECT current_value, last_updated FROM index_config WHERE index_name = $1',
+    [indexName]
+  );
+  if (configResult.rows.length === 0 || configResult.rows[0].current_value === null) {
+    return null;
+  }
+  return {
+    current_index: parseFloat(configResult.rows[0].current_value),
+    index_date: configResult.rows[0].last_updated,
+    change: null
+  };
+}
+
+// Значения индексов на дату (последнее применённое наблюдение не позже конца дня date):
+// { indexName: { value, observed_at } }. Используется бэктестом (backtest.js) вместо index_config.current_value.
+async function getIndexValuesAsOf(client, date) {
+  const result = await client.query(`
+    SELECT DISTINCT ON (index_name) index_name, value, observed_at
+    FROM index_values
+    WHERE status = 'applied' AND observed_at < $1::date + 1
+    ORDER BY index_name, observed_at DESC, id DESC
+  `, [date]);
+  const values = {};
+  for (const row of result.rows) {
+    values[row.index_name] = { value: parseFloat(row.value), observed_at: row.observed_at };
+  }
+  return values;
+}
+
+// История наблюдений за период (from/to - Date или строка ISO; границы включительно)
+async function getIndexHistory(client, indexName, { from, to } = {}) {
+  const params = [indexName];
+  const conditions = ['index_name = $1', "status = 'applied'"];
+  if (from) {
+    params.push(from);
+    conditions.push(`observed_at >= $${params.length}`);
+  }
+  if (to) {
+    params.push(to);
+    // Дата без времени включает весь день
+    conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(to) ? `observed_at < $${params.length}::date + 1` : `observed_at <= $${params.length}`);
+  }
+  const result = await client.query(
+    `SELECT value, observed_at, source FROM index_values WHERE ${conditions.join(' AND ')} ORDER BY observed_at ASC, id ASC`,
+    params
+  );
+  return result.rows.map(row => ({ value: parseFloat(row.value), observed_at: row.observed_at, source: row.source }));
+}
+
+export {
+  OBSERVATION_STATUSES,
+  initializeIndexHistoryTables,
+  refreshCurrentIndexValue,
+  recordIndexValue,
+  getLatestIndexValue,
+  getIndexValuesAsOf,
+  getIndexHistory
+};
@@ -0,0 +1,165 @@
+// Модуль импорта значений индексов из Excel (.xlsx) или CSV
+// Ожидаемые столбцы: index_name, date, value; необязательные: baseline (baseline_value), weight (weight_percentage).
+// Каждая строка проверяется отдельно: корректные строки добавляются в историю index_values
+// (и обновляют baseline/weight в index_config), некорректные попадают в отчет с причинами отказа.
+
+import xlsx from 'xlsx';
+import { submitIndexObservation } from './index_quarantine.js';
+import { recordAuditEntry } from './audit_log.js';
+
+const INDEX_UPLOAD_SOURCE = 'upload';
+
+// Синонимы заголовков столбцов
+const COLUMN_ALIASES = {
+  index_name: ['index_name', 'index', 'name'],
+  date: ['date', 'observed_at', 'index_date'],
+  value: ['value', 'current_value', 'index_value'],
+  baseline: ['baseline', 'baseline_value'],
+  weight: ['weight', 'weight_percentage']
+};
+
+// Чтение строк файла. CSV определяется по расширению или MIME-типу.
+function readIndexUploadRows(fileBuffer, originalName = '', mimeType = '') {
+  const isCsv = /\.csv$/i.test(originalName) || /csv/i.test(mimeType);
+  const workbook = isCsv
+    ? xlsx.read(fileBuffer.toString('utf8'), { type: 'string', raw: true })
+    : xlsx.read(fileBuffer, { type: 'buffer', cellDates: true });
+  const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+  return xlsx.utils.sheet_to_json(worksheet, { defval: null });
+}
+
+// Приведение заголовков строки к каноническим именам
+function normalizeRow(rawRow) {
+  const lowerCased = {};
+  for (const [key, value] of Object.entries(rawRow)) {
+    lowerCased[String(key).trim().toLowerCase()] = typeof value === 'string' ? value.trim() : value;
+  }
+  const row = {};
+  for (const [column, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const alias = aliases.find(name => lowerCased[name] !== undefined && lowerCased[name] !== null && lowerCased[name] !== '');
+    row[column] = alias ? lowerCased[alias] : null;
+  }
+  return row;
+}
+
+// Дата: объект Date (Excel с cellDates), ISO (YYYY-MM-DD[Thh:mm]) или DD.MM.YYYY
+function parseObservationDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+  const text = String(value);
+  const dotted = text.match(/^(\d{2})\.(\d{2})\.(\d{4})$/);
+  if (dotted) {
+    return new Date(Date.UTC(parseInt(dotted[3]), parseInt(dotted[2]) - 1, parseInt(dotted[1])));
+  }
+  if (!/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    return null;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function parseNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(String(value).replace(',', '.'));
+  return isNaN(number) ? NaN : number;
+}
+
+// Проверка строки. knownIndices - Set имен индексов из index_config.
+// Возвращает { errors, data }, где data - разобранные значения строки.
+function validateIndexRow(row, knownIndices, now = new Date()) {
+  const errors = [];
+  const indexName = row.index_name ? String(row.index_name) : null;
+  const observedAt = row.date !== null ? parseObservationDate(row.date) : null;
+  const value = parseNumber(row.value);
+  const baseline = parseNumber(row.baseline);
+  const weight = parseNumber(row.weight);
+
+  if (!indexName) errors.push('index_name is required');
+  else if (indexName.length > 50) errors.push('index_name is longer than 50 characters');
+  if (row.date === null) errors.push('date is required');
+  else if (!observedAt) errors.push(`invalid date '${row.date}' (expected YYYY-MM-DD or DD.MM.YYYY)`);
+  else if (observedAt > now) errors.push('date is in the future');
+  if (value === null) errors.push('value is required');
+  else if (isNaN(value) || value <= 0) errors.push(`invalid value '${row.value}' (must be a positive number)`);
+  if (baseline !== null && (isNaN(baseline) || baseline <= 0)) errors.push(`invalid baseline '${row.baseline}' (must be a positive number)`);
+  if (weight !== null && (isNaN(weight) || weight < 0 || weight > 100)) errors.push(`invalid weight '${row.weight}' (must be between 0 and 100)`);
+  if (indexName && !knownIndices.has(indexName) && (baseline === null || weight === null)) {
+    errors.push(`unknown index '${indexName}': baseline and weight are required to add a new index`);
+  }
+
+  return { errors, data: { indexName, observedAt, value, baseline, weight } };
+}
+
+// Импорт строк в рамках транзакции вызывающего кода. Каждая строка выполняется в SAVEPOINT,
+// поэтому ошибка БД в одной строке не отменяет остальные.
+// Значения проходят проверку index_quarantine.js: подозрительные сохраняются на проверку (status 'pending_review').
+// Возвращает отчет { accepted, pendingReview, rejected, rows: [{ row, status, index_name, date, value, errors, reviewReasons }] }.
+async function importIndexRows(client, rawRows, actor) {
+  const configResult = await client.query('SELECT index_name FROM index_config');
+  const knownIndices = new Set(configResult.rows.map(row => row.index_name));
+  const report = { accepted: 0, pendingReview: 0, rejected: 0, rows: [] };
+
+  for (let i = 0; i < rawRows.length; i++) {
+    const row = normalizeRow(rawRows[i]);
+    const { errors, data } = validateIndexRow(row, knownIndices);
+    const rowReport = {
+      row: i + 2, // Строка 1 - заголовок
+      status: 'rejected',
+      index_name: data.indexName,
+      date: data.observedAt ? data.observedAt.toISOString().slice(0, 10) : row.date,
+      value: data.value,
+      errors
+    };
+    report.rows.push(rowReport);
+    if (errors.length > 0) {
+      report.rejected++;
+      continue;
+    }
+
+    try {
+      await client.query('SAVEPOINT index_row');
+      const before = await client.query('SELECT * FROM index_config WHERE index_name = $1 FOR UPDATE', [data.indexName]);
+      if (before.rows.length === 0) {
+        await client.query(
+          'INSERT INTO index_config (index_name, baseline_value, weight_percentage, current_value, last_updated) VALUES ($1, $2, $3, $4, $5)',
+          [data.indexName, data.baseline, data.weight, data.value, data.observedAt]
+        );
+        knownIndices.add(data.indexName);
+      } else if (data.baseline !== null || data.weight !== null) {
+        await client.query(
+          'UPDATE index_config SET baseline_value = COALESCE($2, baseline_value), weight_percentage = COALESCE($3, weight_percentage) WHERE index_name = $1',
+          [data.indexName, data.baseline, data.weight]
+        );
+      }
+      const submitted = await submitIndexObservation(client, { indexName: data.indexName, value: data.value, observedAt: data.observedAt, source: INDEX_UPLOAD_SOURCE });
+      const after = await client.query('SELECT * FROM index_config WHERE index_name = $1', [data.indexName]);
+      await recordAuditEntry(client, { actor, entityType: 'index_config', entityId: data.indexName, before: before.rows[0] || null, after: after.rows[0], source: 'excel_upload' });
+      await client.query('RELEASE SAVEPOINT index_row');
+      if (submitted.status === 'pending_review') {
+        rowReport.status = 'pending_review';
+        rowReport.reviewReasons = submitted.reasons.map(reason => reason.message);
+        report.pendingReview++;
+      } else {
+        rowReport.status = 'accepted';
+        report.accepted++;
+      }
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT index_row');
+      console.error(`[index_import] Error importing row ${rowReport.row}:`, error);
+      rowReport.errors.push(`database error: ${error.message}`);
+      report.rejected++;
+    }
+  }
+
+  return report;
+}
+
+export {
+  INDEX_UPLOAD_SOURCE,
+  readIndexUploadRows,
+  parseObservationDate,
+  parseNumber,
+  validateIndexRow,
+  importIndexRows
+};
@@ -0,0 +1,173 @@
+// Модуль прогноза индексов на плановую дату отправки (shipDate в /api/calculate)
+// Для каждого индекса строится недельный ряд применённых наблюдений (index_values) за PROJECTION_HISTORY_WEEKS недель,
+// и уровень на неделю отправки прогнозируется экспоненциальным сглаживанием с затухающим трендом (time_series.js).
+// Прогноз хранится как уровень индекса на неделю отправки: value (и 95% интервал lower / upper) - он заменяет текущее значение.
+// Значения маршрутов индекса (lane_indices.js) масштабируются отношением уровня к текущему сводному значению,
+// т.к. история ведется по сводному значению.
+// Индекс без достаточной истории не прогнозируется; без сдвига недели (steps = 0) используются текущие значения.
+// Модификаторы фрахтования и спроса (Harpex, BDI и др.) используют текущие значения.
+
+import { buildWeeklySeries, dampedTrendForecast, weekNumber } from './time_series.js';
+
+// Глубина истории для прогноза, недель
+const PROJECTION_HISTORY_WEEKS = 104;
+
+// Максимальный горизонт даты отправки по умолчанию, дней (model_settings.shipDateMaxDays)
+const DEFAULT_SHIP_DATE_MAX_DAYS = 180;
+
+// Полуширина 95% интервала ставки из-за прогноза индексов, при которой доверие к прогнозу равно 0
+const ZERO_CONFIDENCE_HALF_WIDTH = 0.3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ошибка даты отправки с HTTP-статусом для маршрута
+class ShipDateError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'ShipDateError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toDayNumber(date) {
+  return Math.floor(date.getTime() / DAY_MS);
+}
+
+// Максимальный горизонт даты отправки из model_settings, дней
+function resolveShipDateMaxDays(modelSettings = {}) {
+  const days = parseInt(modelSettings.shipDateMaxDays, 10);
+  return isNaN(days) || days <= 0 ? DEFAULT_SHIP_DATE_MAX_DAYS : days;
+}
+
+// Проверка даты отправки из тела запроса ('YYYY-MM-DD'). Пустое значение - расчет на текущую дату (null).
+// Дата не может быть раньше сегодняшней и позже shipDateMaxDays дней.
+function parseShipDate(value, modelSettings = {}, now = new Date()) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || isNaN(Date.parse(value))) {
+    throw new ShipDateError('shipDate must be a date (YYYY-MM-DD)', 400);
+  }
+  const shipDate = new Date(`${value}T00:00:00Z`);
+  const days = toDayNumber(shipDate) - toDayNumber(now);
+  if (days < 0) {
+    throw new ShipDateError('shipDate must not be in the past', 400);
+  }
+  const maxDays = resolveShipDateMaxDays(modelSettings);
+  if (days > maxDays) {
+    throw new ShipDateError(`shipDate must be at most ${maxDays} days ahead`, 400);
+  }
+  return shipDate;
+}
+
+// Горизонт прогноза: { days, weeks } от даты расчета до даты отправки
+function projectionHorizon(shipDate, now = new Date()) {
+  const days = Math.max(0, toDayNumber(shipDate) - toDayNumber(now));
+  return { days, weeks: Math.max(0, weekNumber(shipDate) - weekNumber(now)) };
+}
+
+// Недельные ряды индексов за последние weeks недель: { indexName: [{ date, value }] }
+async function loadIndexWeeklySeries(client, indexNames, weeks = PROJECTION_HISTORY_WEEKS, now = new Date()) {
+  const result = await client.query(`
+    SELECT index_name, to_char(date_trunc('week', observed_at), 'YYYY-MM-DD') AS week, AVG(value) AS value
+    FROM index_values
+    WHERE index_name = ANY($1) AND status = 'applied' AND observed_at >= $2::timestamp - make_interval(weeks => $3) AND observed_at <= $2
+    GROUP BY index_name, week
+    ORDER BY index_name, week
+  `, [indexNames, now, weeks]);
+  const series = {};
+  for (const row of result.rows) {
+    (series[row.index_name] = series[row.index_name] || []).push({ date: row.week, value: parseFloat(row.value) });
+  }
+  return series;
+}
+
+// Прогноз индексов на неделю отправки (без обращения к БД).
+// Шаг прогноза считается от последней недели с данными, поэтому редко публикуемый индекс прогнозируется на больший срок.
+// Возвращает { indexName: { value, lower, upper, lastValue, steps, observations, lastWeek } }:
+// value / lower / upper - уровень индекса (null при steps = 0), lastValue - среднее последней недели с данными.
+function projectIndexSeries(seriesByIndex, shipDate) {
+  const projections = {};
+  for (const [indexName, points] of Object.entries(seriesByIndex)) {
+    const series = buildWeeklySeries(points);
+    if (series.values.length === 0) continue;
+    const lastWeek = series.weeks[series.weeks.length - 1];
+    const lastValue = series.values[series.values.length - 1];
+    const steps = Math.max(0, weekNumber(shipDate) - weekNumber(lastWeek));
+    if (steps === 0) {
+      projections[indexName] = { value: null, lower: null, upper: null, lastValue, steps, observations: series.observed.filter(Boolean).length, lastWeek };
+      continue;
+    }
+    const forecast = dampedTrendForecast(series.values, steps);
+    if (!forecast) continue;
+    const { value, lower, upper } = forecast.forecasts[steps - 1];
+    projections[indexName] = {
+      value,
+      lower,
+      upper,
+      lastValue,
+      steps,
+      observations: series.observed.filter(Boolean).length,
+      lastWeek
+    };
+  }
+  return projections;
+}
+
+// Прогноз индексов котировки на дату отправки:
+// { shipDate: 'YYYY-MM-DD', horizonDays, horizonWeeks, indices: { indexName: { value, lower, upper, lastValue, steps, observations, lastWeek } } }
+async function loadIndexProjection(client, indexNames, shipDate, now = new Date()) {
+  const horizon = projectionHorizon(shipDate, now);
+  const series = indexNames.length > 0 ? await loadIndexWeeklySeries(client, indexNames, PROJECTION_HISTORY_WEEKS, now) : {};
+  return {
+    shipDate: shipDate.toISOString().slice(0, 10),
+    horizonDays: horizon.days,
+    horizonWeeks: horizon.weeks,
+    indices: projectIndexSeries(series, shipDate)
+  };
+}
+
+// Значения индексов и маршрутов на неделю отправки (bound: 'value', 'lower' или 'upper').
+// Текущее значение индекса заменяется прогнозируемым уровнем; значения маршрутов умножаются на отношение уровня
+// к текущему сводному значению (без сводного значения - к lastValue ряда).
+// Возвращает { indexConfig, laneIndices } - копии, исходные объекты не меняются.
+function applyIndexProjection(indexConfig, laneIndices, projection, bound = 'value') {
+  const levelFor = indexName => {
+    const level = projection?.indices?.[indexName]?.[bound];
+    return level > 0 ? level : null;
+  };
+  const projectedConfig = {};
+  for (const [indexName, config] of Object.entries(indexConfig || {})) {
+    const level = levelFor(indexName);
+    projectedConfig[indexName] = level && !isNaN(parseFloat(config?.current_value)) ? { ...config, current_value: level } : config;
+  }
+  const projectedLanes = {};
+  for (const [indexName, lanes] of Object.entries(laneIndices || {})) {
+    const level = levelFor(indexName);
+    const currentValue = parseFloat(indexConfig?.[indexName]?.current_value);
+    const reference = currentValue > 0 ? currentValue : projection?.indices?.[indexName]?.lastValue;
+    projectedLanes[indexName] = level && reference > 0
+      ? lanes.map(lane => ({ ...lane, current_value: parseFloat(lane.current_value) * level / reference }))
+      : lanes;
+  }
+  return { indexConfig: projectedConfig, laneIndices: projectedLanes };
+}
+
+// Доверие к прогнозу (0..1) по полуширине 95% интервала ставки: 1 без неопределенности, 0 при ZERO_CONFIDENCE_HALF_WIDTH
+function projectionConfidence(rateHalfWidth) {
+  return parseFloat(Math.max(0, 1 - rateHalfWidth / ZERO_CONFIDENCE_HALF_WIDTH).toFixed(2));
+}
+
+export {
+  PROJECTION_HISTORY_WEEKS,
+  DEFAULT_SHIP_DATE_MAX_DAYS,
+  ShipDateError,
+  resolveShipDateMaxDays,
+  parseShipDate,
+  projectionHorizon,
+  loadIndexWeeklySeries,
+  projectIndexSeries,
+  loadIndexProjection,
+  applyIndexProjection,
+  projectionConfidence
+};
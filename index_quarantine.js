@@ -0,0 +1,174 @@
+// Модуль проверки новых значений индексов (карантин)
+// Каждое новое наблюдение индекса (скрапер, ручной ввод, загрузка файла) сравнивается с историей применённых значений:
+//   jump   - изменение относительно последнего значения больше indexAnomalyMaxJumpPercent, %
+//   zscore - изменение отклоняется от прошлых изменений больше чем на indexAnomalyMaxZScore стандартных отклонений
+//   stale  - дата наблюдения старше indexAnomalyMaxAgeDays дней
+//   future - дата наблюдения в будущем
+// Подозрительное значение сохраняется со статусом pending_review и не попадает в index_config.current_value
+// (а значит, и в расчеты), пока администратор не одобрит его. Отклоненное значение остается в истории со статусом rejected.
+// Проверяются только значения, которые стали бы текущими: загрузка исторических данных задним числом не проверяется.
+
+import { recordIndexValue, refreshCurrentIndexValue } from './index_history.js';
+
+const DEFAULT_MAX_JUMP_PERCENT = 30;
+const DEFAULT_MAX_Z_SCORE = 4;
+const DEFAULT_MAX_AGE_DAYS = 45;
+
+// Число прошлых наблюдений для z-оценки и минимальное число изменений, при котором она считается
+const HISTORY_WINDOW = 20;
+const MIN_CHANGES_FOR_Z_SCORE = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ошибка проверки значения с HTTP-статусом для маршрута
+class IndexReviewError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'IndexReviewError';
+    this.statusCode = statusCode;
+  }
+}
+
+function resolveSetting(value, defaultValue) {
+  const number = parseFloat(value);
+  return isNaN(number) || number <= 0 ? defaultValue : number;
+}
+
+// Пороги проверки из model_settings
+function resolveAnomalySettings(modelSettings = {}) {
+  return {
+    maxJumpPercent: resolveSetting(modelSettings.indexAnomalyMaxJumpPercent, DEFAULT_MAX_JUMP_PERCENT),
+    maxZScore: resolveSetting(modelSettings.indexAnomalyMaxZScore, DEFAULT_MAX_Z_SCORE),
+    maxAgeDays: resolveSetting(modelSettings.indexAnomalyMaxAgeDays, DEFAULT_MAX_AGE_DAYS)
+  };
+}
+
+async function loadAnomalySettings(client) {
+  const result = await client.query("SELECT setting_key, setting_value FROM model_settings WHERE setting_key LIKE 'indexAnomaly%'");
+  return resolveAnomalySettings(Object.fromEntries(result.rows.map(row => [row.setting_key, row.setting_value])));
+}
+
+// Причины считать наблюдение подозрительным: [{ check, message, ... }]. Пустой массив - значение можно применять.
+// history - применённые наблюдения индекса [{ value, observed_at }], последнее - первым.
+function detectIndexAnomalies({ value, observedAt }, history, settings, now = new Date()) {
+  const reasons = [];
+  const observedTime = new Date(observedAt).getTime();
+
+  if (history.length > 0 && observedTime < new Date(history[0].observed_at).getTime()) {
+    return reasons; // Историческое значение не становится текущим
+  }
+  if (observedTime > now.getTime() + DAY_MS) {
+    reasons.push({ check: 'future', message: `Observation date ${new Date(observedAt).toISOString().slice(0, 10)} is in the future` });
+  }
+  const ageDays = (now.getTime() - observedTime) / DAY_MS;
+  if (ageDays > settings.maxAgeDays) {
+    reasons.push({ check: 'stale', message: `Observation is ${Math.floor(ageDays)} days old (limit ${settings.maxAgeDays})`, ageDays: Math.floor(ageDays) });
+  }
+  if (history.length === 0) {
+    return reasons;
+  }
+
+  const last = parseFloat(history[0].value);
+  const change = (value - last) / last;
+  const jumpPercent = Math.abs(change) * 100;
+  if (jumpPercent > settings.maxJumpPercent) {
+    reasons.push({ check: 'jump', message: `Value changed by ${jumpPercent.toFixed(1)}% from ${last} (limit ${settings.maxJumpPercent}%)`, previousValue: last, changePercent: parseFloat((change * 100).toFixed(2)) });
+  }
+
+  // z-оценка изменения относительно прошлых изменений (индексы фрахта имеют тренды, поэтому сравниваются изменения, а не уровни)
+  const values = history.map(row => parseFloat(row.value)).reverse();
+  const changes = [];
+  for (let i = 1; i < values.length; i++) {
+    if (values[i - 1] > 0) changes.push((values[i] - values[i - 1]) / values[i - 1]);
+  }
+  if (changes.length >= MIN_CHANGES_FOR_Z_SCORE) {
+    const mean = changes.reduce((sum, item) => sum + item, 0) / changes.length;
+    const stdDev = Math.sqrt(changes.reduce((sum, item) => sum + (item - mean) ** 2, 0) / (changes.length - 1));
+    if (stdDev > 0) {
+      const zScore = Math.abs(change - mean) / stdDev;
+      if (zScore > settings.maxZScore) {
+        reasons.push({ check: 'zscore', message: `Change is ${zScore.toFixed(1)} standard deviations from recent changes (limit ${settings.maxZScore})`, zScore: parseFloat(zScore.toFixed(2)) });
+      }
+    }
+  }
+  return reasons;
+}
+
+// Проверка и сохранение наблюдения. Возвращает { observation, status, reasons }, где status - 'applied' или 'pending_review'.
+// Повтор уже сохраненного значения (тот же индекс, дата, источник и значение) не проверяется заново
+// и сохраняет прежний статус, чтобы повторный запуск скрапера не возвращал одобренное или отклоненное значение на проверку.
+async function submitIndexObservation(client, { indexName, value, observedAt = new Date(), source }) {
+  const numericValue = parseFloat(value);
+  const existing = await client.query(
+    'SELECT * FROM index_values WHERE index_name = $1 AND observed_at = $2 AND source = $3',
+    [indexName, observedAt, source]
+  );
+  if (existing.rows.length > 0 && parseFloat(existing.rows[0].value) === numericValue) {
+    const row = existing.rows[0];
+    return { observation: row, status: row.status, reasons: row.review_reasons || [] };
+  }
+
+  const settings = await loadAnomalySettings(client);
+  const history = await client.query(`
+    SELECT value, observed_at FROM index_values
+    WHERE index_name = $1 AND status = 'applied' AND NOT (observed_at = $2 AND source = $3)
+    ORDER BY observed_at DESC, id DESC
+    LIMIT $4
+  `, [indexName, observedAt, source, HISTORY_WINDOW + 1]);
+  const reasons = detectIndexAnomalies({ value: numericValue, observedAt }, history.rows, settings);
+  const status = reasons.length > 0 ? 'pending_review' : 'applied';
+  if (status === 'pending_review') {
+    console.warn(`[index_quarantine] ${indexName} value ${numericValue} (${source}) quarantined: ${reasons.map(reason => reason.message).join('; ')}`);
+  }
+  const observation = await recordIndexValue(client, { indexName, value: numericValue, observedAt, source, status, reviewReasons: reasons.length > 0 ? reasons : null });
+  return { observation, status, reasons };
+}
+
+// Значения на проверке с текущим применённым значением индекса
+async function listPendingIndexObservations(client) {
+  const result = await client.query(`
+    SELECT iv.id, iv.index_name, iv.value, iv.observed_at, iv.source, iv.review_reasons, iv.created_at,
+           ic.current_value AS applied_value, ic.last_updated AS applied_at
+    FROM index_values iv
+    LEFT JOIN index_config ic ON ic.index_name = iv.index_name
+    WHERE iv.status = 'pending_review'
+    ORDER BY iv.created_at ASC, iv.id ASC
+  `);
+  return result.rows;
+}
+
+// Решение по значению на проверке: decision 'approve' (значение применяется) или 'reject'.
+// Возвращает { before, after }. IndexReviewError 404 - значение не найдено, 409 - значение не на проверке.
+async function reviewIndexObservation(client, id, decision, actor) {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new IndexReviewError(`Unknown decision '${decision}'`, 400);
+  }
+  const before = await client.query('SELECT * FROM index_values WHERE id = $1 FOR UPDATE', [id]);
+  if (before.rows.length === 0) {
+    throw new IndexReviewError('Index observation not found', 404);
+  }
+  if (before.rows[0].status !== 'pending_review') {
+    throw new IndexReviewError(`Index observation is already ${before.rows[0].status}`, 409);
+  }
+  const result = await client.query(`
+    UPDATE index_values SET status = $2, reviewed_by = $3, reviewed_at = NOW()
+    WHERE id = $1
+    RETURNING *;
+  `, [id, decision === 'approve' ? 'applied' : 'rejected', actor?.username ?? null]);
+  if (decision === 'approve') {
+    await refreshCurrentIndexValue(client, before.rows[0].index_name);
+  }
+  return { before: before.rows[0], after: result.rows[0] };
+}
+
+export {
+  DEFAULT_MAX_JUMP_PERCENT,
+  DEFAULT_MAX_Z_SCORE,
+  DEFAULT_MAX_AGE_DAYS,
+  IndexReviewError,
+  resolveAnomalySettings,
+  detectIndexAnomalies,
+  submitIndexObservation,
+  listPendingIndexObservations,
+  reviewIndexObservation
+};
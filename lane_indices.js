@@ -0,0 +1,216 @@
+// Модуль индексов по направлениям (lane indices)
+// SCFI, WCI и FBX публикуют кроме сводного индекса значения по маршрутам (например, "Shanghai - Rotterdam").
+// Каждое значение маршрута сохраняется в index_lane_values, а index_lane_routes сопоставляет маршрут
+// с парой регионов портов (origin_region -> destination_region) и хранит базовое значение маршрута.
+// Индексная корректировка (calculateWeightedIndex в pricing_pipeline.js) использует маршруты, совпадающие
+// с направлением котировки; если подходящих маршрутов нет, используется сводный индекс.
+//
+// Базовое значение маршрута задается администратором. Если оно не задано, при первом наблюдении маршрута
+// оно выводится из сводного индекса: baseline = baseline сводного * значение маршрута / значение сводного,
+// т.е. в момент подключения маршрута его отношение к базе равно отношению сводного индекса (без скачка цены).
+
+// Ошибка проверки маршрута с HTTP-статусом для маршрута API
+class LaneRouteError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'LaneRouteError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Маршруты по умолчанию: [индекс, маршрут (как на странице источника), регион отправления, регион назначения]
+const DEFAULT_LANE_ROUTES = [
+  ['SCFI', 'Europe (Base port)', 'Asia', 'Europe'],
+  ['SCFI', 'Mediterranean (Base port)', 'Asia', 'Europe'],
+  ['SCFI', 'USWC (Base port)', 'Asia', 'North America'],
+  ['SCFI', 'USEC (Base port)', 'Asia', 'North America'],
+  ['SCFI', 'Persian Gulf and Red Sea (Dubai)', 'Asia', 'Middle East'],
+  ['SCFI', 'Southeast Asia (Singapore)', 'Asia', 'Asia'],
+  ['SCFI', 'Australia/New Zealand (Melbourne)', 'Asia', 'Oceania'],
+  ['SCFI', 'West Africa (Lagos)', 'Asia', 'Africa'],
+  ['SCFI', 'South Africa (Durban)', 'Asia', 'Africa'],
+  ['SCFI', 'South America (Santos)', 'Asia', 'South America'],
+  ['WCI', 'Shanghai - Rotterdam', 'Asia', 'Europe'],
+  ['WCI', 'Shanghai - Genoa', 'Asia', 'Europe'],
+  ['WCI', 'Rotterdam - Shanghai', 'Europe', 'Asia'],
+  ['WCI', 'Shanghai - Los Angeles', 'Asia', 'North America'],
+  ['WCI', 'Shanghai - New York', 'Asia', 'North America'],
+  ['WCI', 'Los Angeles - Shanghai', 'North America', 'Asia'],
+  ['WCI', 'Rotterdam - New York', 'Europe', 'North America'],
+  ['WCI', 'New York - Rotterdam', 'North America', 'Europe'],
+  ['FBX', 'China/East Asia - North Europe', 'Asia', 'Europe'],
+  ['FBX', 'China/East Asia - Mediterranean', 'Asia', 'Europe'],
+  ['FBX', 'North Europe - China/East Asia', 'Europe', 'Asia'],
+  ['FBX', 'China/East Asia - North America West Coast', 'Asia', 'North America'],
+  ['FBX', 'China/East Asia - North America East Coast', 'Asia', 'North America'],
+  ['FBX', 'North America West Coast - China/East Asia', 'North America', 'Asia'],
+  ['FBX', 'North Europe - North America East Coast', 'Europe', 'North America'],
+  ['FBX', 'North America East Coast - North Europe', 'North America', 'Europe']
+];
+
+// Название маршрута в едином виде (пробелы как на разных версиях страниц источника)
+function normalizeLaneRoute(route) {
+  return String(route ?? '').replace(/\s+/g, ' ').trim();
+}
+
+// Создание таблиц маршрутов и их значений (вызывается из initializeDatabaseTables)
+async function initializeLaneIndexTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS index_lane_routes (
+      id SERIAL PRIMARY KEY,
+      index_name VARCHAR(50) NOT NULL,
+      route VARCHAR(255) NOT NULL,
+      origin_region VARCHAR(100),
+      destination_region VARCHAR(100),
+      baseline_value NUMERIC CHECK (baseline_value IS NULL OR baseline_value > 0),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(index_name, route)
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS index_lane_values (
+      id SERIAL PRIMARY KEY,
+      index_name VARCHAR(50) NOT NULL,
+      route VARCHAR(255) NOT NULL,
+      value NUMERIC NOT NULL,
+      observed_at TIMESTAMP NOT NULL,
+      source VARCHAR(50) NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(index_name, route, observed_at, source)
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_index_lane_values_route_observed ON index_lane_values (index_name, route, observed_at DESC);');
+  for (const [indexName, route, originRegion, destinationRegion] of DEFAULT_LANE_ROUTES) {
+    await client.query(
+      'INSERT INTO index_lane_routes (index_name, route, origin_region, destination_region) VALUES ($1, $2, $3, $4) ON CONFLICT (index_name, route) DO NOTHING',
+      [indexName, route, originRegion, destinationRegion]
+    );
+  }
+}
+
+// Сохранение значений маршрутов из строк скрапера (строка сводного индекса compositeRoute пропускается).
+// Новые маршруты добавляются в index_lane_routes без регионов - их сопоставляет администратор.
+// composite: { value, route } - наблюдение сводного индекса из того же запуска (для вывода базового значения).
+// Возвращает число сохраненных значений.
+async function recordLaneValues(client, indexName, rows, { composite = null, source }) {
+  const compositeRoute = normalizeLaneRoute(composite?.route);
+  const configResult = await client.query('SELECT baseline_value FROM index_config WHERE index_name = $1', [indexName]);
+  const compositeBaseline = parseFloat(configResult.rows[0]?.baseline_value);
+  const compositeValue = parseFloat(composite?.value);
+  const canDeriveBaseline = compositeBaseline > 0 && compositeValue > 0;
+
+  let recorded = 0;
+  for (const row of Array.isArray(rows) ? rows : []) {
+    const route = normalizeLaneRoute(row?.route);
+    const value = parseFloat(row?.currentIndex);
+    const observedAt = row?.indexDate ? new Date(row.indexDate) : new Date();
+    if (!route || route === compositeRoute || !(value > 0) || isNaN(observedAt.getTime())) {
+      continue;
+    }
+    await client.query(
+      'INSERT INTO index_lane_routes (index_name, route) VALUES ($1, $2) ON CONFLICT (index_name, route) DO NOTHING',
+      [indexName, route]
+    );
+    await client.query(`
+      INSERT INTO index_lane_values (index_name, route, value, observed_at, source)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (index_name, route, observed_at, source) DO UPDATE SET value = EXCLUDED.value;
+    `, [indexName, route, value, observedAt, source]);
+    if (canDeriveBaseline) {
+      await client.query(
+        'UPDATE index_lane_routes SET baseline_value = $3, updated_at = NOW() WHERE index_name = $1 AND route = $2 AND baseline_value IS NULL',
+        [indexName, route, compositeBaseline * value / compositeValue]
+      );
+    }
+    recorded++;
+  }
+  return recorded;
+}
+
+// Маршруты, совпадающие с направлением, с последним значением и базой:
+// { SCFI: [{ route, current_value, baseline_value, observed_at }], ... }. Маршруты без базы или значений не возвращаются.
+// asOf - дата, на которую берутся значения (бэктест); по умолчанию последние значения.
+async function getLaneIndices(client, originRegion, destinationRegion, asOf = null) {
+  if (!originRegion || !destinationRegion) {
+    return {};
+  }
+  const result = await client.query(`
+    SELECT r.index_name, r.route, r.baseline_value, v.value, v.observed_at
+    FROM index_lane_routes r
+    JOIN LATERAL (
+      SELECT value, observed_at FROM index_lane_values
+      WHERE index_name = r.index_name AND route = r.route AND ($3::date IS NULL OR observed_at < $3::date + 1)
+      ORDER BY observed_at DESC, id DESC
+      LIMIT 1
+    ) v ON TRUE
+    WHERE r.origin_region = $1 AND r.destination_region = $2 AND r.baseline_value IS NOT NULL
+    ORDER BY r.index_name, r.route
+  `, [originRegion, destinationRegion, asOf]);
+  const laneIndices = {};
+  for (const row of result.rows) {
+    (laneIndices[row.index_name] ||= []).push({
+      route: row.route,
+      current_value: parseFloat(row.value),
+      baseline_value: parseFloat(row.baseline_value),
+      observed_at: row.observed_at
+    });
+  }
+  return laneIndices;
+}
+
+// Все маршруты с последним значением (для административной панели)
+async function listLaneRoutes(client) {
+  const result = await client.query(`
+    SELECT r.*, v.value AS current_value, v.observed_at AS last_observed_at
+    FROM index_lane_routes r
+    LEFT JOIN LATERAL (
+      SELECT value, observed_at FROM index_lane_values
+      WHERE index_name = r.index_name AND route = r.route
+      ORDER BY observed_at DESC, id DESC
+      LIMIT 1
+    ) v ON TRUE
+    ORDER BY r.index_name, r.route
+  `);
+  return result.rows;
+}
+
+// Изменение сопоставления маршрута: { origin_region, destination_region, baseline_value }.
+// Пустой регион снимает сопоставление; без baseline_value база сбрасывается и выводится заново
+// при следующем запуске скрапера. Возвращает { before, after } или null, если маршрут не найден.
+// При неверных данных бросает Error с описанием.
+async function updateLaneRoute(client, id, { originRegion, destinationRegion, baselineValue }) {
+  const origin = originRegion ? String(originRegion).trim() : null;
+  const destination = destinationRegion ? String(destinationRegion).trim() : null;
+  if (Boolean(origin) !== Boolean(destination)) {
+    throw new LaneRouteError('origin_region and destination_region must be set together', 400);
+  }
+  let baseline = null;
+  if (baselineValue !== undefined && baselineValue !== null && baselineValue !== '') {
+    baseline = parseFloat(baselineValue);
+    if (!(baseline > 0)) {
+      throw new LaneRouteError('baseline_value must be a positive number', 400);
+    }
+  }
+  const before = await client.query('SELECT * FROM index_lane_routes WHERE id = $1 FOR UPDATE', [id]);
+  if (before.rows.length === 0) {
+    return null;
+  }
+  const result = await client.query(`
+    UPDATE index_lane_routes
+    SET origin_region = $2, destination_region = $3, baseline_value = $4, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *;
+  `, [id, origin, destination, baseline]);
+  return { before: before.rows[0], after: result.rows[0] };
+}
+
+export {
+  DEFAULT_LANE_ROUTES,
+  LaneRouteError,
+  normalizeLaneRoute,
+  initializeLaneIndexTables,
+  recordLaneValues,
+  getLaneIndices,
+  listLaneRoutes,
+  updateLaneRoute
+};
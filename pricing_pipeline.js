@@ -0,0 +1,619 @@
+// Модуль конвейера ценообразования (pricing pipeline)
+// Объединяет модели freight_calculator.js (агрегация индексов + модификаторы) и freight_calculator_enhanced.js
+// (базовая ставка × индексная корректировка × сезонность) в один набор упорядоченных этапов.
+//
+// Этапы выполняются в порядке PIPELINE_STAGE_ORDER. Набор активных этапов задается в model_settings:
+//   pricingStages                      - набор по умолчанию для всех направлений (через запятую)
+//   pricingStages:<Регион>-<Регион>    - переопределение для направления, например pricingStages:Asia-Europe
+// Этапы baseRate и chokepointRisk выполняются всегда (chokepointRisk пропускается, если нарушений на маршруте нет). Каждый этап пишет шаг в debugLog в общем формате { stage, inputs, result, status, details }.
+
+import { fetchSeasonalityForDate } from './seasonality_analyzer.js';
+import { calculateIndexFreshness, resolveExpectedFrequencyDays, resolveFreshnessSettings } from './index_freshness.js';
+import { applyIndexProjection, projectionConfidence } from './index_projection.js';
+
+// Весовые коэффициенты основных индексов спотовых ставок (используются, если базовая ставка не настроена)
+const CORE_SOURCE_WEIGHTS = {
+  'SCFI': 1.2,
+  'FBX': 1.2,
+  'WCI': 1.1,
+  'CCFI': 1.0,
+};
+
+// Веса для модификаторов
+const MODIFIER_WEIGHTS = {
+  'Harpex': 0.4,
+  'NewConTex': 0.4,
+  'BDI': 0.1,
+  'CTS': 0.2
+};
+
+// Базовые значения модификаторов, если в index_config не задан baseline_value
+const MODIFIER_BASELINES = {
+  'Harpex': 1000,
+  'NewConTex': 500,
+  'BDI': 1500,
+  'CTS': 100
+};
+
+// Абсолютный fallback базовой ставки
+const FALLBACK_BASE_RATE = 2000;
+
+// Этапы, активные по умолчанию (соответствуют модели Excel v4)
+const DEFAULT_ACTIVE_STAGES = ['baseRate', 'indexAdjustment', 'seasonality'];
+
+// --- Вспомогательные функции ---
+
+// Функция для расчета стандартного отклонения
+function calculateStandardDeviation(values) {
+  const n = values.length;
+  if (n <= 1) return 0;
+  const mean = values.reduce((sum, value) => sum + value, 0) / n;
+  const squaredDifferencesSum = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0);
+  return Math.sqrt(squaredDifferencesSum / (n - 1));
+}
+
+// Фиксирует изменение ставки этапом: сумма строки = новая ставка - текущая ставка (ставка округляется на каждом этапе)
+function applyAdjustment(context, stageName, newRate, details = {}) {
+  const roundedRate = Math.round(newRate);
+  const stage = PRICING_STAGES[stageName];
+  context.adjustments.push({
+    stage: stageName,
+    code: stage.code,
+    label: stage.label,
+    amount: roundedRate - context.rate,
+    details
+  });
+  context.rate = roundedRate;
+}
+
+// Функция для получения базовой ставки из конфигурации (число, найденное вызывающим кодом, или карта регионов).
+// Возвращает undefined, если ставка не найдена ни на одном уровне.
+function getBaseRate(originRegion, destinationRegion, containerType, baseRatesConfig, step) {
+    // Ставка уже найдена вызывающим кодом (например, server.js: порт/страна/регион)
+    if (typeof baseRatesConfig === 'number' && !isNaN(baseRatesConfig)) {
+        step.details = 'Base rate resolved by caller.';
+        return baseRatesConfig;
+    }
+    if (!baseRatesConfig) {
+        return undefined;
+    }
+
+    // Нормализация типа контейнера (пример)
+    let normalizedContainerType = String(containerType).toUpperCase();
+    if (normalizedContainerType.includes('20')) normalizedContainerType = '20DV';
+    else if (normalizedContainerType.includes('40HC') || normalizedContainerType.includes('40 HQ')) normalizedContainerType = '40HC';
+    else if (normalizedContainerType.includes('40')) normalizedContainerType = '40DV';
+    else normalizedContainerType = 'Unknown'; // Неизвестный тип
+
+    step.inputs.normalizedContainerType = normalizedContainerType;
+
+    let rate = baseRatesConfig[originRegion]?.[destinationRegion]?.[normalizedContainerType];
+
+    // Fallback, если точный маршрут не найден
+    if (rate === undefined) {
+        step.details = `Exact route ${originRegion}->${destinationRegion} ${normalizedContainerType} not found. Trying fallbacks.`;
+        // 1. Пробуем default для региона отправления
+        rate = baseRatesConfig[originRegion]?.["Unknown"]?.[normalizedContainerType];
+        if (rate !== undefined) {
+            step.details += ` Used default for origin region ${originRegion}.`;
+        } else {
+            // 2. Пробуем global default
+            rate = baseRatesConfig["Unknown"]?.["Unknown"]?.[normalizedContainerType];
+            if (rate !== undefined) {
+                step.details += ` Used global default.`;
+            }
+        }
+    }
+    return rate;
+}
+
+// Агрегированная ставка по основным индексам (модель freight_calculator.js): взвешенное среднее значений SCFI/FBX/WCI/CCFI.
+// weights - веса источников (по умолчанию CORE_SOURCE_WEIGHTS; бэктест передает веса проверяемой конфигурации)
+// Как и в calculateWeightedIndex, вес источника умножается на множитель свежести (index_freshness.js) по last_updated
+// на дату расчета: устаревший источник учитывается с меньшим весом, просроченный исключается.
+// Покрытие - доля фактического веса от суммы положительных весов. options: { calculationDate, freshnessSettings }
+function aggregateCoreIndexRate(indexConfig, step, weights = CORE_SOURCE_WEIGHTS, options = {}) {
+    const calculationDate = options.calculationDate ? new Date(options.calculationDate) : new Date();
+    const freshnessSettings = options.freshnessSettings || resolveFreshnessSettings();
+    let weightedSum = 0;
+    let totalWeight = 0;
+    let configuredWeight = 0;
+    const rates = [];
+    const sources = [];
+    for (const sourceName of Object.keys(weights)) {
+        if (!(weights[sourceName] > 0)) {
+            continue;
+        }
+        configuredWeight += weights[sourceName];
+        const config = indexConfig?.[sourceName];
+        const value = parseFloat(config?.current_value);
+        if (isNaN(value)) {
+            continue;
+        }
+        const freshness = calculateIndexFreshness(config.last_updated, resolveExpectedFrequencyDays(sourceName, config.expected_frequency_days), freshnessSettings, calculationDate);
+        const weight = weights[sourceName] * freshness.factor;
+        step.inputs[sourceName] = { rate: value, weight, freshness };
+        if (weight === 0) {
+            continue;
+        }
+        weightedSum += value * weight;
+        totalWeight += weight;
+        rates.push(value);
+        sources.push(sourceName);
+    }
+    if (totalWeight === 0) {
+        return null;
+    }
+    const rate = weightedSum / totalWeight;
+    const relativeStdDev = rate > 0 ? calculateStandardDeviation(rates) / rate : 0;
+    return { rate, sources, coverage: totalWeight / configuredWeight, relativeStdDev };
+}
+
+// Отношение индекса к базе по маршрутам направления (среднее по маршрутам) или null, если маршрутов нет
+function calculateLaneRatio(lanes) {
+    const ratios = (lanes || [])
+        .map(lane => parseFloat(lane.current_value) / parseFloat(lane.baseline_value))
+        .filter(ratio => isFinite(ratio) && ratio > 0);
+    return ratios.length > 0 ? ratios.reduce((sum, ratio) => sum + ratio, 0) / ratios.length : null;
+}
+
+// Функция для расчета взвешенного индекса (ИСПОЛЬЗУЕТ ДАННЫЕ ИЗ indexConfig)
+// laneIndices (lane_indices.js getLaneIndices): маршруты индекса, совпадающие с направлением котировки.
+// Если для индекса есть маршруты, отношение к базе берется по ним, иначе - по сводному значению из indexConfig.
+// Вес индекса умножается на множитель свежести (index_freshness.js) по last_updated на дату расчета:
+// устаревший индекс учитывается с меньшим весом, просроченный исключается. Покрытие считается по фактическим весам.
+// options: { calculationDate, freshnessSettings }
+function calculateWeightedIndex(indexConfig, debugLog, laneIndices = {}, options = {}) {
+    const step = { stage: 'Calculate Weighted Index', inputs: {}, totalWeightUsed: 0, weightedSum: 0, result: 1.0, status: 'Failed', details: '' }; // Default result 1.0
+    let sourcesUsed = [];
+    const lanesUsed = {};
+    const freshnessUsed = {};
+    const calculationDate = options.calculationDate ? new Date(options.calculationDate) : new Date();
+    const freshnessSettings = options.freshnessSettings || resolveFreshnessSettings();
+
+    try {
+        if (!indexConfig || Object.keys(indexConfig).length === 0) {
+            step.details = 'Index configuration is empty or missing. Using default index value 1.0.';
+            step.status = 'Warning';
+            debugLog.push(step);
+            return { value: 1.0, sources: [], coverage: 0, lanes: {}, freshness: {} }; // Return default if no config
+        }
+
+        for (const indexName in indexConfig) {
+            const config = indexConfig[indexName];
+
+            // Пропускаем индексы с нулевым весом или отсутствующие/неполные данные
+            if (!config || config.weight_percentage <= 0 || config.baseline_value === undefined || config.current_value === undefined) {
+                step.inputs[indexName] = { expected: true, found: false, reason: 'Zero weight or missing data in config', baseline: config?.baseline_value, weight: config?.weight_percentage, current: config?.current_value };
+                continue;
+            }
+
+            const currentValue = parseFloat(config.current_value);
+            const baselineValue = parseFloat(config.baseline_value);
+            const configuredWeight = parseFloat(config.weight_percentage) / 100.0; // Преобразуем % в долю
+            const freshness = calculateIndexFreshness(config.last_updated, resolveExpectedFrequencyDays(indexName, config.expected_frequency_days), freshnessSettings, calculationDate);
+            const weight = configuredWeight * freshness.factor;
+
+            step.inputs[indexName] = { expected: true, found: false, value: currentValue, baseline: baselineValue, weight: configuredWeight * 100, current: currentValue, freshness };
+            freshnessUsed[indexName] = freshness;
+            if (freshness.factor === 0) {
+                step.inputs[indexName].reason = `Expired: last updated ${freshness.ageDays} days ago (expected every ${freshness.expectedFrequencyDays} days)`;
+                step.details += `Skipped ${indexName}: data expired. `;
+                continue;
+            }
+            if (freshness.factor < 1) {
+                step.inputs[indexName].effectiveWeight = parseFloat((weight * 100).toFixed(2));
+            }
+
+            const laneRatio = isNaN(weight) ? null : calculateLaneRatio(laneIndices?.[indexName]);
+            if (laneRatio !== null) {
+                step.weightedSum += weight * laneRatio;
+                step.totalWeightUsed += weight;
+                step.inputs[indexName].found = true;
+                step.inputs[indexName].basis = 'lane';
+                step.inputs[indexName].lanes = laneIndices[indexName].map(lane => ({ route: lane.route, value: lane.current_value, baseline: lane.baseline_value }));
+                step.inputs[indexName].ratio = laneRatio.toFixed(3);
+                lanesUsed[indexName] = laneIndices[indexName].map(lane => lane.route);
+                sourcesUsed.push(indexName);
+            } else if (!isNaN(currentValue) && baselineValue > 0 && !isNaN(weight)) {
+                const indexRatio = currentValue / baselineValue;
+                step.weightedSum += weight * indexRatio;
+                step.totalWeightUsed += weight;
+                step.inputs[indexName].found = true;
+                step.inputs[indexName].basis = 'composite';
+                step.inputs[indexName].ratio = indexRatio.toFixed(3);
+                sourcesUsed.push(indexName);
+            } else {
+                 step.inputs[indexName].reason = `Invalid data: currentValue=${currentValue}, baselineValue=${baselineValue}, weight=${weight}`;
+                 step.details += `Skipped ${indexName} due to invalid data. `;
+            }
+        }
+
+        if (step.totalWeightUsed > 0) {
+            // Нормализуем, если сумма весов не равна 1 (хотя должна быть)
+            const normalizedWeightedSum = step.weightedSum / step.totalWeightUsed;
+            step.result = normalizedWeightedSum;
+            step.status = 'Success';
+            step.details = `Calculated weighted index using: ${sourcesUsed.join(', ')}. Total weight used: ${(step.totalWeightUsed * 100).toFixed(1)}%.`;
+            if (Object.keys(lanesUsed).length > 0) {
+                step.details += ` Lane indices used for: ${Object.keys(lanesUsed).join(', ')}.`;
+            }
+            const staleSources = Object.keys(freshnessUsed).filter(name => ['stale', 'expired'].includes(freshnessUsed[name].status));
+            if (staleSources.length > 0) {
+                step.details += ` Stale data down-weighted or dropped: ${staleSources.join(', ')}.`;
+            }
+        } else {
+            step.result = 1.0; // Fallback if no valid indices found
+            step.status = 'Warning';
+            step.details = `${step.details}No valid indices with positive weight found in config. Using default index value 1.0.`;
+        }
+
+        debugLog.push(step);
+        return { value: step.result, sources: sourcesUsed, coverage: Math.min(1, step.totalWeightUsed), lanes: lanesUsed, freshness: freshnessUsed };
+
+    } catch (error) {
+        step.status = 'Error';
+        step.error = error.message;
+        console.error('Error calculating weighted index:', error);
+        debugLog.push(step);
+        return { value: 1.0, sources: [], coverage: 0, lanes: {}, freshness: {} }; // Return default on error
+    }
+}
+
+// Общий расчет мультипликативного модификатора по группе индексов (charter / demand)
+function calculateModifier(indexNames, indexConfig, step) {
+    let modifier = 1.0;
+    let sourcesFound = 0;
+    for (const indexName of indexNames) {
+        const value = parseFloat(indexConfig?.[indexName]?.current_value);
+        const configuredBaseline = parseFloat(indexConfig?.[indexName]?.baseline_value);
+        const baseline = configuredBaseline > 0 ? configuredBaseline : MODIFIER_BASELINES[indexName];
+        if (isNaN(value) || !baseline) {
+            step.inputs[indexName] = { found: false };
+            continue;
+        }
+        modifier *= (1 + MODIFIER_WEIGHTS[indexName] * (value - baseline) / baseline);
+        sourcesFound++;
+        step.inputs[indexName] = { found: true, value, baseline, weight: MODIFIER_WEIGHTS[indexName] };
+    }
+    return { modifier, sourcesFound };
+}
+
+// --- Этапы конвейера ---
+
+// 1. Базовая ставка: настроенная ставка (порт/страна/регион) -> агрегат основных индексов -> абсолютный fallback
+async function baseRateStage(context, debugLog) {
+    const step = { stage: 'Pipeline: Base Rate', inputs: { originRegion: context.originRegion, destinationRegion: context.destinationRegion, containerType: context.containerType }, result: null, status: 'Failed' };
+    let rate = getBaseRate(context.originRegion, context.destinationRegion, context.containerType, context.baseRatesConfig, step);
+    let details = { source: 'configured' };
+
+    if (rate === undefined) {
+        const aggregate = aggregateCoreIndexRate(context.indexConfig, step, context.coreSourceWeights, {
+            calculationDate: context.calculationDate,
+            freshnessSettings: resolveFreshnessSettings(context.modelSettings)
+        });
+        if (aggregate) {
+            rate = aggregate.rate;
+            details = { source: 'index_aggregate', indices: aggregate.sources };
+            context.sources.push(...aggregate.sources.filter(name => !context.sources.includes(name)));
+            context.indexCoverage = aggregate.coverage;
+            step.details = `${step.details || ''} Used weighted core index aggregate (${aggregate.sources.join(', ')}).`.trim();
+        } else {
+            rate = FALLBACK_BASE_RATE;
+            details = { source: 'fallback' };
+            step.details = `${step.details || ''} Used absolute fallback value ${rate}.`.trim();
+        }
+    }
+
+    context.baseRate = Math.round(parseFloat(rate));
+    applyAdjustment(context, 'baseRate', context.baseRate, details);
+    step.result = context.rate;
+    step.status = 'Success';
+    debugLog.push(step);
+}
+
+// 2. Индексная корректировка: Базовая ставка * (1 + (Взвешенный индекс - 1) * Чувствительность)
+// С датой отправки значения индексов заменяются прогнозом на неделю отправки (context.indexProjection,
+// index_projection.js); границы 95% интервала прогноза дают интервал корректировки и доверие к прогнозу.
+async function indexAdjustmentStage(context, debugLog) {
+    const weightedIndexOptions = {
+        calculationDate: context.calculationDate,
+        freshnessSettings: resolveFreshnessSettings(context.modelSettings)
+    };
+    const projected = applyIndexProjection(context.indexConfig, context.laneIndices, context.indexProjection);
+    const weightedIndex = calculateWeightedIndex(projected.indexConfig, debugLog, projected.laneIndices, weightedIndexOptions);
+    const indexAdjustment = 1 + (weightedIndex.value - 1) * context.sensitivityCoeff;
+    let projectionDetails = null;
+    if (context.indexProjection) {
+        // Границы считаются без записи в debugLog
+        const bound = name => {
+            const bounded = applyIndexProjection(context.indexConfig, context.laneIndices, context.indexProjection, name);
+            return 1 + (calculateWeightedIndex(bounded.indexConfig, [], bounded.laneIndices, weightedIndexOptions).value - 1) * context.sensitivityCoeff;
+        };
+        const current = calculateWeightedIndex(context.indexConfig, [], context.laneIndices, weightedIndexOptions);
+        const lower = bound('lower');
+        const upper = bound('upper');
+        const rateHalfWidth = indexAdjustment > 0 ? Math.abs(upper - lower) / 2 / indexAdjustment : 0;
+        projectionDetails = {
+            shipDate: context.indexProjection.shipDate,
+            horizonWeeks: context.indexProjection.horizonWeeks,
+            currentWeightedIndex: parseFloat(current.value.toFixed(4)),
+            interval: { lower: parseFloat(Math.min(lower, upper).toFixed(4)), upper: parseFloat(Math.max(lower, upper).toFixed(4)) },
+            rateHalfWidth: parseFloat(rateHalfWidth.toFixed(4)),
+            confidence: projectionConfidence(rateHalfWidth),
+            indices: Object.fromEntries(Object.entries(context.indexProjection.indices)
+                .filter(([name, projection]) => weightedIndex.sources.includes(name) && projection.value !== null)
+                .map(([name, projection]) => [name, {
+                    current: parseFloat(parseFloat(context.indexConfig[name]?.current_value).toFixed(2)),
+                    value: parseFloat(projection.value.toFixed(2)),
+                    lower: parseFloat(projection.lower.toFixed(2)),
+                    upper: parseFloat(projection.upper.toFixed(2)),
+                    weeks: projection.steps
+                }]))
+        };
+        context.projection = projectionDetails;
+    }
+    const step = { stage: 'Pipeline: Index Adjustment', inputs: { rate: context.rate, weightedIndex: weightedIndex.value, sensitivityCoeff: context.sensitivityCoeff }, result: null, status: 'Success' };
+
+    context.weightedIndex = weightedIndex.value;
+    context.indexAdjustment = indexAdjustment;
+    context.indexCoverage = weightedIndex.coverage;
+    context.indexLanes = weightedIndex.lanes;
+    context.indexFreshness = weightedIndex.freshness;
+    const staleIndices = Object.keys(weightedIndex.freshness).filter(name => ['stale', 'expired'].includes(weightedIndex.freshness[name].status));
+    context.sources.push(...weightedIndex.sources.filter(name => !context.sources.includes(name)));
+    applyAdjustment(context, 'indexAdjustment', context.rate * indexAdjustment, {
+        weightedIndex: parseFloat(weightedIndex.value.toFixed(4)),
+        sensitivityCoeff: context.sensitivityCoeff,
+        factor: parseFloat(indexAdjustment.toFixed(4)),
+        ...(Object.keys(weightedIndex.lanes).length > 0 ? { laneIndices: weightedIndex.lanes } : {}),
+        ...(staleIndices.length > 0 ? { staleIndices } : {}),
+        ...(projectionDetails ? { projection: projectionDetails } : {})
+    });
+    step.inputs.indexAdjustment = indexAdjustment.toFixed(4);
+    if (projectionDetails) {
+        step.inputs.projection = projectionDetails;
+        step.details = `Index values projected ${projectionDetails.horizonWeeks} week(s) ahead to ${projectionDetails.shipDate} (adjustment interval ${projectionDetails.interval.lower}-${projectionDetails.interval.upper}).`;
+    }
+    step.result = context.rate;
+    debugLog.push(step);
+}
+
+// 3. Модификатор фрахтования (Harpex, NewConTex), ограничен +/- 20%
+async function charterModifierStage(context, debugLog) {
+    const step = { stage: 'Pipeline: Charter Modifier', inputs: {}, result: null, status: 'Success' };
+    const { modifier, sourcesFound } = calculateModifier(['Harpex', 'NewConTex'], context.indexConfig, step);
+    if (sourcesFound === 0) {
+        step.status = 'Skipped';
+        step.details = 'No charter index data (Harpex, NewConTex) available.';
+        step.result = context.rate;
+        debugLog.push(step);
+        return;
+    }
+    const factor = Math.max(0.8, Math.min(1.2, modifier));
+    applyAdjustment(context, 'charterModifier', context.rate * factor, { factor: parseFloat(factor.toFixed(3)) });
+    step.details = `Charter modifier factor ${factor.toFixed(3)} from ${sourcesFound} source(s).`;
+    step.result = context.rate;
+    debugLog.push(step);
+}
+
+// 4. Модификатор спроса (BDI, CTS), ограничен +/- 10%
+async function demandModifierStage(context, debugLog) {
+    const step = { stage: 'Pipeline: Demand Modifier', inputs: {}, result: null, status: 'Success' };
+    const { modifier, sourcesFound } = calculateModifier(['BDI', 'CTS'], context.indexConfig, step);
+    if (sourcesFound === 0) {
+        step.status = 'Skipped';
+        step.details = 'No demand index data (BDI, CTS) available.';
+        step.result = context.rate;
+        debugLog.push(step);
+        return;
+    }
+    const factor = Math.max(0.9, Math.min(1.1, modifier));
+    applyAdjustment(context, 'demandModifier', context.rate * factor, { factor: parseFloat(factor.toFixed(3)) });
+    step.details = `Demand modifier factor ${factor.toFixed(3)} from ${sourcesFound} source(s).`;
+    step.result = context.rate;
+    debugLog.push(step);
+}
+
+// 5. Сезонность: фактор месяца даты отправки (shipDate, по умолчанию дата расчета) с эффектами праздников
+// и 95% доверительным интервалом (seasonality_analyzer.js fetchSeasonalityForDate)
+async function seasonalityStage(context, debugLog) {
+    const date = context.shipDate || context.calculationDate;
+    const month = date.getMonth() + 1;
+    const step = { stage: 'Pipeline: Seasonality', inputs: { originRegion: context.originRegion, destinationRegion: context.destinationRegion, month }, result: null, status: 'Success' };
+    const seasonality = await fetchSeasonalityForDate(context.originRegion, context.destinationRegion, date);
+    context.seasonality = seasonality;
+    applyAdjustment(context, 'seasonality', context.rate * seasonality.factor, {
+        factor: parseFloat(seasonality.factor.toFixed(4)),
+        confidence: seasonality.confidence,
+        interval: seasonality.interval,
+        source: seasonality.source,
+        month,
+        holidays: seasonality.holidays
+    });
+    step.inputs.factor = seasonality.factor;
+    if (seasonality.holidays.length > 0) {
+        step.details = `Holiday effects: ${seasonality.holidays.map(holiday => `${holiday.label} week ${holiday.weekOffset} x${holiday.factor.toFixed(3)}`).join(', ')}.`;
+    }
+    step.result = context.rate;
+    debugLog.push(step);
+}
+
+// 6. Топливная надбавка (BAF). Расчет выполняет провайдер context.fuelSurchargeProvider(context) -> { surcharge, details }
+// (в /api/calculate - baf_engine.js createBafProvider)
+async function fuelStage(context, debugLog) {
+    const step = { stage: 'Pipeline: Fuel Surcharge', inputs: { containerType: context.containerType }, result: null, status: 'Success' };
+    if (typeof context.fuelSurchargeProvider !== 'function') {
+        step.status = 'Skipped';
+        step.details = 'No fuel surcharge provider configured.';
+        step.result = context.rate;
+        debugLog.push(step);
+        return;
+    }
+    const { surcharge, details } = await context.fuelSurchargeProvider(context);
+    context.fuelSurcharge = Math.round(surcharge);
+    applyAdjustment(context, 'fuel', context.rate + context.fuelSurcharge, { applied: true, ...details });
+    step.inputs = { ...step.inputs, ...details };
+    step.result = context.rate;
+    debugLog.push(step);
+}
+
+// 7. Надбавка за риск прохода (chokepoint_disruptions.js): по каждому нарушению с режимом surcharge на маршруте
+// добавляется surchargeAmount за контейнер и surchargePercent от ставки до этапа
+async function chokepointRiskStage(context, debugLog) {
+    const surcharges = context.chokepointDisruptions.filter(disruption => disruption.action === 'surcharge');
+    const step = { stage: 'Pipeline: Chokepoint Risk', inputs: { rate: context.rate, disruptions: surcharges.length }, result: null, status: 'Success' };
+    if (surcharges.length === 0) {
+        step.status = 'Skipped';
+        step.details = 'No chokepoint surcharge on the sea route.';
+        step.result = context.rate;
+        debugLog.push(step);
+        return;
+    }
+    const rateBefore = context.rate;
+    const applied = surcharges.map(disruption => ({
+        ...disruption,
+        amount: Math.round((disruption.surchargeAmount || 0) + rateBefore * (disruption.surchargePercent || 0) / 100)
+    }));
+    const total = applied.reduce((sum, disruption) => sum + disruption.amount, 0);
+    applyAdjustment(context, 'chokepointRisk', rateBefore + total, { disruptions: applied });
+    step.inputs.applied = applied.map(disruption => `${disruption.passageName}: ${disruption.amount}`);
+    step.result = context.rate;
+    debugLog.push(step);
+}
+
+// 8. Маржа (model_settings.marginPercent, по умолчанию 0%)
+async function marginStage(context, debugLog) {
+    const marginPercent = parseFloat(context.modelSettings.marginPercent);
+    const step = { stage: 'Pipeline: Margin', inputs: { rate: context.rate, marginPercent }, result: null, status: 'Success' };
+    if (isNaN(marginPercent) || marginPercent === 0) {
+        step.status = 'Skipped';
+        step.details = 'marginPercent is not set or zero.';
+        step.result = context.rate;
+        debugLog.push(step);
+        return;
+    }
+    applyAdjustment(context, 'margin', context.rate * (1 + marginPercent / 100), { marginPercent });
+    step.result = context.rate;
+    debugLog.push(step);
+}
+
+// Реестр этапов: порядок ключей определяет порядок выполнения
+const PRICING_STAGES = {
+  baseRate: { code: 'OCEAN_FREIGHT', label: 'Ocean freight (base rate)', run: baseRateStage },
+  indexAdjustment: { code: 'INDEX_ADJUSTMENT', label: 'Market index adjustment', run: indexAdjustmentStage },
+  charterModifier: { code: 'CHARTER_ADJUSTMENT', label: 'Charter market adjustment', run: charterModifierStage },
+  demandModifier: { code: 'DEMAND_ADJUSTMENT', label: 'Demand adjustment', run: demandModifierStage },
+  seasonality: { code: 'SEASONAL_ADJUSTMENT', label: 'Seasonal adjustment', run: seasonalityStage },
+  fuel: { code: 'FUEL_SURCHARGE', label: 'Bunker adjustment factor (BAF)', run: fuelStage },
+  chokepointRisk: { code: 'CHOKEPOINT_RISK', label: 'Chokepoint risk surcharge', run: chokepointRiskStage },
+  margin: { code: 'MARGIN', label: 'Margin', run: marginStage }
+};
+
+const PIPELINE_STAGE_ORDER = Object.keys(PRICING_STAGES);
+
+// Определение активных этапов для направления по model_settings
+function resolveActiveStages(modelSettings = {}, originRegion, destinationRegion) {
+  const laneKey = `pricingStages:${originRegion}-${destinationRegion}`;
+  let configured = null;
+  let source = 'builtin';
+  if (modelSettings[laneKey]) {
+    configured = modelSettings[laneKey];
+    source = laneKey;
+  } else if (modelSettings.pricingStages) {
+    configured = modelSettings.pricingStages;
+    source = 'pricingStages';
+  }
+
+  const requested = configured
+    ? String(configured).split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_ACTIVE_STAGES;
+  const unknown = requested.filter(name => !PRICING_STAGES[name]);
+  if (unknown.length > 0) {
+    console.warn(`[pricing_pipeline] Unknown stages in ${source} ignored: ${unknown.join(', ')}`);
+  }
+  const active = new Set(requested.filter(name => PRICING_STAGES[name]));
+  active.add('baseRate');
+  active.add('chokepointRisk');
+  return { stages: PIPELINE_STAGE_ORDER.filter(name => active.has(name)), source };
+}
+
+// Создание контекста расчета
+function createPricingContext(params) {
+  return {
+    originPortId: params.originPortId,
+    destinationPortId: params.destinationPortId,
+    containerType: params.containerType,
+    weight: params.weight,
+    originRegion: params.originRegion,
+    destinationRegion: params.destinationRegion,
+    baseRatesConfig: params.baseRatesConfig,
+    indexConfig: params.indexConfig || {},
+    laneIndices: params.laneIndices || {},
+    sensitivityCoeff: params.sensitivityCoeff ?? 0.5,
+    coreSourceWeights: params.coreSourceWeights || CORE_SOURCE_WEIGHTS,
+    modelSettings: params.modelSettings || {},
+    calculationDate: params.calculationDate || new Date(),
+    // Плановая дата отправки (сезонность и праздники берутся на эту дату), null - дата расчета
+    shipDate: params.shipDate ? new Date(params.shipDate) : null,
+    // Прогноз индексов на дату отправки (index_projection.js loadIndexProjection) или null
+    indexProjection: params.indexProjection || null,
+    fuelSurchargeProvider: params.fuelSurchargeProvider,
+    // Морской маршрут котировки (sea_routes.js getPortDistance): { routing, distanceNm, ecaDistanceNm, routeName, passages } или null
+    seaRoute: params.seaRoute || null,
+    // Нарушения на проходах маршрута (chokepoint_disruptions.js resolveDisruptedSeaRoute)
+    chokepointDisruptions: params.chokepointDisruptions || [],
+    rate: 0,
+    baseRate: 0,
+    weightedIndex: 1.0,
+    indexAdjustment: 1.0,
+    indexCoverage: 0,
+    indexLanes: {},
+    indexFreshness: {},
+    // Итог прогноза индексной корректировки: { shipDate, horizonWeeks, interval, rateHalfWidth, confidence, ... } или null
+    projection: null,
+    seasonality: { factor: 1.0, confidence: 0, interval: null, source: null, month: null, holidays: [] },
+    fuelSurcharge: 0,
+    sources: [],
+    adjustments: []
+  };
+}
+
+// Строка доведения ставки до нуля (не этап: применяется после всех этапов, если ставка стала отрицательной)
+const RATE_FLOOR_ADJUSTMENT = { code: 'FLOOR_ADJUSTMENT', label: 'Floor adjustment (rate cannot be negative)' };
+
+// Запуск конвейера. Ошибка в этапе прерывает расчет: ставка без этапа была бы неполной,
+// поэтому ошибка пробрасывается вызывающему коду (котировка не формируется и не сохраняется).
+// Отрицательная итоговая ставка доводится до 0 строкой FLOOR_ADJUSTMENT, поэтому сумма строк всегда равна итогу.
+async function runPricingPipeline(context, stageNames, debugLog = []) {
+  debugLog.push({ stage: 'Pricing Pipeline', inputs: { stages: stageNames }, status: 'Started' });
+  for (const stageName of stageNames) {
+    try {
+      await PRICING_STAGES[stageName].run(context, debugLog);
+    } catch (error) {
+      console.error(`[pricing_pipeline] Error in stage ${stageName}:`, error);
+      debugLog.push({ stage: `Pipeline: ${stageName}`, status: 'Error', error: error.message, result: context.rate });
+      throw error;
+    }
+  }
+  if (context.rate < 0) {
+    const rateBeforeFloor = context.rate;
+    context.adjustments.push({ stage: 'floor', ...RATE_FLOOR_ADJUSTMENT, amount: -rateBeforeFloor, details: { rateBeforeFloor } });
+    context.rate = 0;
+    debugLog.push({ stage: 'Pipeline: Rate Floor', inputs: { rate: rateBeforeFloor }, result: context.rate, status: 'Success' });
+  }
+  return context;
+}
+
+export {
+  CORE_SOURCE_WEIGHTS,
+  MODIFIER_WEIGHTS,
+  MODIFIER_BASELINES,
+  DEFAULT_ACTIVE_STAGES,
+  PRICING_STAGES,
+  PIPELINE_STAGE_ORDER,
+  resolveActiveStages,
+  createPricingContext,
+  runPricingPipeline,
+  calculateWeightedIndex
+};
@@ -3,6 +3,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Set current year in footer
   document.getElementById('currentYear').textContent = new Date().getFullYear();
+  // Дата отправки не может быть в прошлом
+  document.getElementById('shipDate').min = new Date().toISOString().slice(0, 10);
   
   // Load ports and container types
   await loadPorts();
@@ -123,7 +125,9 @@ async function handleFormSubmit(event) {
       destinationPort: formData.get('destination'),
       containerType: formData.get('containerType'),
       weight: 20000, // Добавляем стандартный вес 20 тонн
-      email: formData.get('email')
+      email: formData.get('email'),
+      routing: formData.get('routing') || undefined,
+      shipDate: formData.get('shipDate') || undefined
     };
     
     console.log('Sending data to API:', data);
@@ -147,6 +151,8 @@ async function handleFormSubmit(event) {
     
     // Display results
     displayResults(data, result);
+    // Прогноз строится отдельно и не задерживает показ котировки
+    loadForecast(data);
   } catch (error) {
     console.error('Error:', error);
     alert(`An error occurred while calculating the rate: ${error.message}`);
@@ -158,6 +164,7 @@ async function handleFormSubmit(event) {
 }
 
 // Display calculation results
+// Ответ /api/calculate имеет версионированную схему (schemaVersion), см. quote_breakdown.js
 function displayResults(data, result) {
   console.log('Displaying results:', result); // Добавляем логирование для отладки
   
@@ -172,110 +179,133 @@ function displayResults(data, result) {
   
   // Update display elements
   document.getElementById('routeDisplay').textContent = `${originOption.textContent.split(' (')[0]} → ${destinationOption.textContent.split(' (')[0]}`;
+  // Морской маршрут (если у портов есть координаты) и примененные нарушения на проходах
+  const disruptionNotes = (result.route.disruptions || []).map(disruption => disruption.action === 'rerouted'
+    ? `rerouted: ${disruption.passageName} closed`
+    : `${disruption.passageName} risk surcharge`);
+  document.getElementById('seaRouteDisplay').textContent = result.route.distanceNm
+    ? [`${result.route.distanceNm.toLocaleString()} nm, ${result.route.routeName}`, ...disruptionNotes].join('; ')
+    : '';
   document.getElementById('containerDisplay').textContent = containerTypeOption.textContent.split(' - ')[0];
-  document.getElementById('dateDisplay').textContent = new Date().toLocaleDateString();
+  document.getElementById('dateDisplay').textContent = new Date(result.calculatedAt).toLocaleDateString();
+  document.getElementById('quoteReference').textContent = result.reference;
+  document.getElementById('quoteValidUntil').textContent = `Valid until ${new Date(result.validUntil).toLocaleDateString()}`;
   
-  // Получаем значения ставок из ответа API
-  const minRateValue = result.minRate || result.min_rate || 0;
-  const maxRateValue = result.maxRate || result.max_rate || 0;
+  const minRateValue = result.range.min;
+  const maxRateValue = result.range.max;
+  const totalValue = result.total;
   
-  // Определяем среднюю ставку из различных возможных свойств ответа API
-  let avgRateValue = 0;
-  if (result.rate !== undefined && result.rate !== null) {
-    avgRateValue = result.rate;
-  } else if (result.avgRate !== undefined && result.avgRate !== null) {
-    avgRateValue = result.avgRate;
-  } else if (result.avg_rate !== undefined && result.avg_rate !== null) {
-    avgRateValue = result.avg_rate;
-  } else {
-    // Если средняя ставка не найдена в ответе API, вычисляем её как среднее между минимальной и максимальной
-    avgRateValue = Math.round((parseFloat(minRateValue) + parseFloat(maxRateValue)) / 2);
-  }
-  
-  console.log('Rate values:', { minRateValue, maxRateValue, avgRateValue }); // Логируем значения для отладки
-  
-  // Обновляем отображение ставок
   document.getElementById('minRate').textContent = `$${minRateValue}`;
   document.getElementById('maxRate').textContent = `$${maxRateValue}`;
+  document.getElementById('avgRate').textContent = `$${totalValue}`;
   
-  // РАДИКАЛЬНОЕ РЕШЕНИЕ: Полностью заменяем содержимое индикатора ставки
-  const rateIndicatorContainer = document.querySelector('.mb-4');
-  if (rateIndicatorContainer) {
-    // Создаем новую структуру для отображения ставок
-    rateIndicatorContainer.innerHTML = `
-      <p class="text-sm text-gray-500 mb-1">Rate Range (USD)</p>
-      <div class="flex items-center justify-between">
-        <span class="text-sm font-medium">Min: $${minRateValue}</span>
-        <span class="text-sm font-medium bg-blue-600 text-white px-3 py-1 rounded">Avg: $${avgRateValue}</span>
-        <span class="text-sm font-medium">Max: $${maxRateValue}</span>
-      </div>
-    `;
-    console.log('Replaced rate indicator with new structure');
-  } else {
-    console.error('Rate indicator container not found');
-    
-    // Запасной вариант: если не удалось найти контейнер, пробуем обновить только элемент avgRate
-    const avgRateElement = document.getElementById('avgRate');
-    if (avgRateElement) {
-      avgRateElement.textContent = `$${avgRateValue}`;
-      console.log('Updated avgRate element with:', `$${avgRateValue}`);
-      
-      // Делаем элемент более заметным
-      avgRateElement.style.fontWeight = 'bold';
-      avgRateElement.style.color = 'white';
-      avgRateElement.style.backgroundColor = '#2563eb'; // blue-600
-      avgRateElement.style.padding = '4px 8px';
-      avgRateElement.style.borderRadius = '4px';
-      
-      // Убедимся, что родительский элемент видим
-      const parentElement = avgRateElement.parentElement;
-      if (parentElement) {
-        parentElement.style.visibility = 'visible';
-        parentElement.style.display = 'block';
-      }
-    } else {
-      console.error('avgRate element not found in DOM');
-      
-      // Крайний случай: добавляем информацию о средней ставке в другое место
-      const resultContainer = document.getElementById('resultContainer');
-      if (resultContainer) {
-        const avgRateInfo = document.createElement('div');
-        avgRateInfo.className = 'mt-4 text-center';
-        avgRateInfo.innerHTML = `
-          <p class="text-lg font-bold">
-            Average Rate: <span class="text-blue-600">$${avgRateValue}</span>
-          </p>
-        `;
-        resultContainer.appendChild(avgRateInfo);
-        console.log('Added average rate info as separate element');
-      }
-    }
-  }
+  // Строки детализации
+  const lineItemsBody = document.getElementById('lineItems');
+  lineItemsBody.innerHTML = '';
+  result.lineItems.forEach(item => {
+    const row = document.createElement('tr');
+    const labelCell = document.createElement('td');
+    labelCell.className = 'py-1 text-gray-700';
+    labelCell.textContent = item.label;
+    const amountCell = document.createElement('td');
+    amountCell.className = 'py-1 text-right';
+    amountCell.textContent = formatAmount(item.amount);
+    row.appendChild(labelCell);
+    row.appendChild(amountCell);
+    lineItemsBody.appendChild(row);
+  });
+  document.getElementById('totalRate').textContent = `$${totalValue}`;
   
-  // Обновляем дополнительную информацию
-  const sourceCountElement = document.getElementById('sourceCount');
-  if (sourceCountElement) {
-    sourceCountElement.textContent = result.sourceCount || result.source_count || '3';
-  }
+  document.getElementById('sourceCount').textContent = result.sources.length;
+  document.getElementById('reliability').textContent = `${Math.round(result.reliability * 100)}%`;
   
-  const reliabilityElement = document.getElementById('reliability');
-  if (reliabilityElement) {
-    let reliabilityValue = result.reliability || result.reliability_score || 0.85;
-    // Преобразуем в процентный формат, если это не строка с процентами
-    if (typeof reliabilityValue === 'number') {
-      reliabilityValue = `${Math.round(reliabilityValue * 100)}%`;
-    } else if (!reliabilityValue.toString().includes('%')) {
-      reliabilityValue = `${reliabilityValue}%`;
-    }
-    reliabilityElement.textContent = reliabilityValue;
-  }
+  // Расчет на плановую дату отправки: горизонт и доверие к прогнозу индексов и сезонности
+  const horizon = result.horizon;
+  document.getElementById('shipDateDisplay').textContent = horizon
+    ? `Ship date ${new Date(horizon.shipDate).toLocaleDateString()}`
+    : '';
+  document.getElementById('horizonDisplay').textContent = horizon
+    ? `Estimate for ${horizon.weeks} week(s) ahead. Market index forecast confidence: ${Math.round(horizon.indexConfidence * 100)}%, seasonality confidence: ${Math.round((horizon.seasonalityConfidence || 0) * 100)}%.`
+    : '';
   
   // Показываем контейнер с результатами
   const resultContainer = document.getElementById('resultContainer');
-  if (resultContainer) {
-    resultContainer.classList.remove('hidden');
-    resultContainer.scrollIntoView({ behavior: 'smooth' });
-  } else {
-    console.error('resultContainer element not found in DOM');
+  resultContainer.classList.remove('hidden');
+  resultContainer.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Форматирование суммы строки детализации: корректировки показываются со знаком
+function formatAmount(amount) {
+  if (amount < 0) {
+    return `-$${Math.abs(amount)}`;
   }
+  return `$${amount}`;
+}
+
+// Прогноз ставки направления на 12 недель (GET /api/forecast)
+let forecastChart = null;
+
+async function loadForecast(data) {
+  const forecastContainer = document.getElementById('forecastContainer');
+  forecastContainer.classList.add('hidden');
+  try {
+    const params = new URLSearchParams({ origin: data.originPort, destination: data.destinationPort, containerType: data.containerType });
+    if (data.routing) {
+      params.set('routing', data.routing);
+    }
+    const response = await fetch(`/api/forecast?${params.toString()}`);
+    if (!response.ok) {
+      throw new Error(`Failed to load forecast: ${response.status}`);
+    }
+    const forecast = await response.json();
+    displayForecast(forecast);
+  } catch (error) {
+    console.error('Error loading forecast:', error);
+  }
+}
+
+function displayForecast(forecast) {
+  const labels = ['Now', ...forecast.lane.forecast.map(week => new Date(week.week).toLocaleDateString())];
+  const current = forecast.lane.current.rate;
+  const datasets = [
+    {
+      label: 'Upper',
+      data: [current, ...forecast.lane.forecast.map(week => week.upper)],
+      borderWidth: 0,
+      pointRadius: 0,
+      backgroundColor: 'rgba(37, 99, 235, 0.15)',
+      fill: '+1'
+    },
+    {
+      label: 'Lower',
+      data: [current, ...forecast.lane.forecast.map(week => week.lower)],
+      borderWidth: 0,
+      pointRadius: 0,
+      fill: false
+    },
+    {
+      label: 'Rate',
+      data: [current, ...forecast.lane.forecast.map(week => week.rate)],
+      borderColor: 'rgb(37, 99, 235)',
+      backgroundColor: 'rgb(37, 99, 235)',
+      tension: 0.2,
+      fill: false
+    }
+  ];
+  if (forecastChart) {
+    forecastChart.destroy();
+  }
+  forecastChart = new Chart(document.getElementById('forecastChart'), {
+    type: 'line',
+    data: { labels, datasets },
+    options: {
+      plugins: { legend: { display: false } },
+      scales: { y: { ticks: { callback: value => `$${value}` } } }
+    }
+  });
+  const holidayWeeks = forecast.lane.forecast.filter(week => week.holidays.length > 0);
+  document.getElementById('forecastNote').textContent = holidayWeeks.length > 0
+    ? `Holiday effects: ${holidayWeeks.map(week => `${new Date(week.week).toLocaleDateString()} (${week.holidays.join(', ')})`).join('; ')}.`
+    : '';
+  document.getElementById('forecastContainer').classList.remove('hidden');
 }
@@ -0,0 +1,103 @@
+// Модуль формирования детализированного ответа расчета ставки (line items)
+// Версия схемы ответа фиксируется в QUOTE_SCHEMA_VERSION: при несовместимых изменениях структуры версия увеличивается.
+
+const QUOTE_SCHEMA_VERSION = '1.0';
+const QUOTE_CURRENCY = 'USD';
+
+// Коды строк детализации (стабильные, используются фронтендом)
+const LINE_ITEM_CODES = {
+  OCEAN_FREIGHT: 'OCEAN_FREIGHT',
+  INDEX_ADJUSTMENT: 'INDEX_ADJUSTMENT',
+  CHARTER_ADJUSTMENT: 'CHARTER_ADJUSTMENT',
+  DEMAND_ADJUSTMENT: 'DEMAND_ADJUSTMENT',
+  SEASONAL_ADJUSTMENT: 'SEASONAL_ADJUSTMENT',
+  FUEL_SURCHARGE: 'FUEL_SURCHARGE',
+  CHOKEPOINT_RISK: 'CHOKEPOINT_RISK',
+  MARGIN: 'MARGIN',
+  // Доведение отрицательной ставки до 0 (после всех этапов, pricing_pipeline.js runPricingPipeline)
+  FLOOR_ADJUSTMENT: 'FLOOR_ADJUSTMENT'
+};
+
+// Формирует ответ /api/calculate из результата calculateFreightRate.
+// Строки детализации соответствуют этапам конвейера ценообразования (calculation.adjustments);
+// каждый этап фиксирует разницу округленных ставок, поэтому сумма строк всегда совпадает с total.
+// Строка FUEL_SURCHARGE присутствует всегда (с нулевой суммой, если этап fuel не активен).
+function buildQuoteBreakdown(calculation, request = {}) {
+  const details = calculation.calculationDetails || {};
+
+  const lineItems = (calculation.adjustments || []).map(adjustment => ({
+    code: adjustment.code,
+    label: adjustment.label,
+    amount: adjustment.amount,
+    details: adjustment.code === LINE_ITEM_CODES.OCEAN_FREIGHT
+      ? { ...adjustment.details, rateLevel: request.baseRateLevel || null }
+      : adjustment.details
+  }));
+
+  if (!lineItems.some(item => item.code === LINE_ITEM_CODES.FUEL_SURCHARGE)) {
+    lineItems.push({
+      code: LINE_ITEM_CODES.FUEL_SURCHARGE,
+      label: 'Bunker adjustment factor (BAF)',
+      amount: 0,
+      details: { applied: false }
+    });
+  }
+
+  return {
+    schemaVersion: QUOTE_SCHEMA_VERSION,
+    currency: QUOTE_CURRENCY,
+    route: {
+      originPortId: request.originPort,
+      destinationPortId: request.destinationPort,
+      originRegion: details.originRegion,
+      destinationRegion: details.destinationRegion,
+      containerType: request.containerType,
+      routing: details.seaRoute?.routing ?? null,
+      distanceNm: details.seaRoute?.distanceNm ?? null,
+      // Мили в зонах контроля выбросов (ECA), по ним считается доля топлива ECA в BAF
+      ecaDistanceNm: details.seaRoute?.ecaDistanceNm ?? null,
+      routeName: details.seaRoute?.routeName ?? null,
+      // Нарушения на проходах: перестроение маршрута (rerouted) и надбавка за риск (surcharge)
+      disruptions: details.chokepointDisruptions || []
+    },
+    lineItems,
+    total: calculation.finalRate,
+    range: { min: calculation.minRate, max: calculation.maxRate },
+    reliability: calculation.reliability,
+    // Расчет на плановую дату отправки: { shipDate, days, weeks, indexConfidence, indexInterval, seasonalityConfidence } или null
+    horizon: details.horizon ?? null,
+    sources: details.indexSources || [],
+    stages: details.activeStages || [],
+    calculatedAt: new Date().toISOString()
+  };
+}
+
+// Строки, которые не показываются клиенту: их сумма входит в строку OCEAN_FREIGHT
+const INTERNAL_LINE_ITEM_CODES = [LINE_ITEM_CODES.MARGIN];
+const INTERNAL_STAGES = ['margin'];
+
+// Публичное представление котировки (ответ клиенту): без маржи и внутренних данных этапов.
+// details строк (взвешенный индекс, коэффициент чувствительности, источник базовой ставки, процент маржи)
+// и входные данные расчета (inputs) остаются только в полной котировке для администраторов.
+// Маржа переносится в строку OCEAN_FREIGHT, поэтому сумма строк по-прежнему равна total.
+function toPublicQuote(quote) {
+  const { inputs, ...publicQuote } = quote;
+  const internalAmount = quote.lineItems
+    .filter(item => INTERNAL_LINE_ITEM_CODES.includes(item.code))
+    .reduce((sum, item) => sum + item.amount, 0);
+  const lineItems = quote.lineItems
+    .filter(item => !INTERNAL_LINE_ITEM_CODES.includes(item.code))
+    .map(item => ({
+      code: item.code,
+      label: item.label,
+      amount: item.code === LINE_ITEM_CODES.OCEAN_FREIGHT ? item.amount + internalAmount : item.amount
+    }));
+  return { ...publicQuote, lineItems, stages: quote.stages.filter(stage => !INTERNAL_STAGES.includes(stage)) };
+}
+
+export {
+  QUOTE_SCHEMA_VERSION,
+  LINE_ITEM_CODES,
+  buildQuoteBreakdown,
+  toPublicQuote
+};
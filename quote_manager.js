@@ -0,0 +1,145 @@
+// Модуль сохранения котировок (quotes)
+// Каждый расчет /api/calculate сохраняется как котировка с номером вида TSP-2026-000123,
+// сроком действия (model_settings.quoteValidityDays) и зафиксированными входными данными расчета.
+// Цена котировки не пересчитывается: GET /api/quotes/:ref возвращает сохраненный ответ без изменений.
+
+const QUOTE_REFERENCE_PREFIX = 'TSP';
+const DEFAULT_QUOTE_VALIDITY_DAYS = 7;
+
+// Формат номера: TSP-<год>-<порядковый номер за год, 6 цифр>
+const QUOTE_REFERENCE_PATTERN = /^TSP-\d{4}-\d{6}$/;
+
+// Создание таблиц котировок (вызывается из initializeDatabaseTables)
+async function initializeQuoteTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS quote_reference_counters (
+      year INTEGER PRIMARY KEY,
+      last_value INTEGER NOT NULL DEFAULT 0
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS quotes (
+      id SERIAL PRIMARY KEY,
+      reference VARCHAR(20) NOT NULL UNIQUE,
+      origin_port_id INTEGER,
+      destination_port_id INTEGER,
+      container_type_id VARCHAR(20),
+      weight NUMERIC,
+      email VARCHAR(255),
+      total NUMERIC NOT NULL,
+      currency VARCHAR(3) NOT NULL DEFAULT 'USD',
+      breakdown JSONB NOT NULL,
+      frozen_inputs JSONB NOT NULL,
+      valid_from TIMESTAMP NOT NULL,
+      valid_until TIMESTAMP NOT NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+}
+
+// Срок действия котировки из model_settings (в днях)
+function resolveQuoteValidityDays(modelSettings = {}) {
+  const days = parseInt(modelSettings.quoteValidityDays, 10);
+  return isNaN(days) || days <= 0 ? DEFAULT_QUOTE_VALIDITY_DAYS : days;
+}
+
+// Следующий номер котировки. Счетчик ведется по годам, инкремент атомарный (UPSERT ... RETURNING).
+async function generateQuoteReference(client, date = new Date()) {
+  const year = date.getUTCFullYear();
+  const result = await client.query(`
+    INSERT INTO quote_reference_counters (year, last_value) VALUES ($1, 1)
+    ON CONFLICT (year) DO UPDATE SET last_value = quote_reference_counters.last_value + 1
+    RETURNING last_value;
+  `, [year]);
+  const sequence = String(result.rows[0].last_value).padStart(6, '0');
+  return `${QUOTE_REFERENCE_PREFIX}-${year}-${sequence}`;
+}
+
+// Зафиксированные входные данные расчета (для воспроизведения и аудита котировки)
+function buildFrozenInputs(calculation, config, indexConfig) {
+  const details = calculation.calculationDetails || {};
+  const indices = {};
+  for (const [name, index] of Object.entries(indexConfig || {})) {
+    indices[name] = {
+      value: index.current_value,
+      baseline: index.baseline_value,
+      weight: index.weight_percentage,
+      lastUpdated: index.last_updated ?? null
+    };
+  }
+  return {
+    baseRate: calculation.baseRate,
+    baseRateLevel: config.rate_level || null,
+    indices,
+    indexLanes: details.indexLanes || {},
+    indexFreshness: details.indexFreshness || {},
+    seaRoute: details.seaRoute || null,
+    chokepointDisruptions: details.chokepointDisruptions || [],
+    // Параметры BAF и цены топлива окна усреднения: надбавка пересчитывается через computeBaf (baf_engine.js)
+    baf: config.baf_inputs || null,
+    weightedIndex: calculation.weightedIndex,
+    sensitivityCoeff: details.sensitivityCoeff,
+    seasonalityFactor: calculation.seasonalityFactor,
+    seasonalityConfidence: details.seasonalityConfidence,
+    seasonalityInterval: details.seasonalityInterval ?? null,
+    seasonalityMonth: details.seasonalityMonth,
+    seasonalityHolidays: details.seasonalityHolidays || [],
+    // Прогноз индексов на дату отправки (множители к значениям indices) или null для расчета на текущую дату
+    indexProjection: details.indexProjection || null,
+    activeStages: details.activeStages || []
+  };
+}
+
+// Сохранение котировки. Возвращает { reference, validFrom, validUntil }.
+async function createQuote(client, { quote, frozenInputs, originPortId, destinationPortId, containerTypeId, weight, email, validityDays }) {
+  const validFrom = new Date(quote.calculatedAt);
+  const validUntil = new Date(validFrom.getTime() + validityDays * 24 * 60 * 60 * 1000);
+  const reference = await generateQuoteReference(client, validFrom);
+  await client.query(`
+    INSERT INTO quotes
+      (reference, origin_port_id, destination_port_id, container_type_id, weight, email, total, currency, breakdown, frozen_inputs, valid_from, valid_until)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+  `, [
+    reference, parseInt(originPortId), parseInt(destinationPortId), containerTypeId, weight ?? null, email ?? null,
+    quote.total, quote.currency, JSON.stringify(quote), JSON.stringify(frozenInputs), validFrom, validUntil
+  ]);
+  return { reference, validFrom, validUntil };
+}
+
+// Статус котировки на момент now: 'valid' | 'expired'
+function getQuoteStatus(validUntil, now = new Date()) {
+  return new Date(validUntil) >= now ? 'valid' : 'expired';
+}
+
+// Поиск котировки по номеру. Возвращает null, если номер некорректен или не найден.
+async function getQuoteByReference(client, reference) {
+  const normalizedReference = String(reference).trim().toUpperCase();
+  if (!QUOTE_REFERENCE_PATTERN.test(normalizedReference)) {
+    return null;
+  }
+  const result = await client.query('SELECT * FROM quotes WHERE reference = $1', [normalizedReference]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const row = result.rows[0];
+  return {
+    ...row.breakdown,
+    reference: row.reference,
+    status: getQuoteStatus(row.valid_until),
+    validFrom: row.valid_from.toISOString(),
+    validUntil: row.valid_until.toISOString(),
+    inputs: row.frozen_inputs
+  };
+}
+
+export {
+  DEFAULT_QUOTE_VALIDITY_DAYS,
+  QUOTE_REFERENCE_PATTERN,
+  initializeQuoteTables,
+  resolveQuoteValidityDays,
+  generateQuoteReference,
+  buildFrozenInputs,
+  createQuote,
+  getQuoteStatus,
+  getQuoteByReference
+};
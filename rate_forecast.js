@@ -0,0 +1,145 @@
+// Модуль прогноза ставок на ближайшие недели (GET /api/forecast)
+// Индексы SCFI / CCFI / FBX / WCI прогнозируются по недельной истории index_values экспоненциальным сглаживанием
+// с затухающим трендом (time_series.js dampedTrendForecast) с 95% интервалами прогноза.
+// Ставка направления на каждую неделю рассчитывается тем же конвейером, что и котировка на дату отправки:
+// дата отправки = понедельник недели (не дальше shipDateMaxDays дней, как у котировки), индексы - прогноз на эту неделю (index_projection.js), сезонность и праздники - на эту дату.
+// Интервал ставки объединяет интервал индексной корректировки и интервал сезонного фактора (в логарифмах, как независимые).
+
+import { buildWeeklySeries, dampedTrendForecast, weekNumber, formatWeek } from './time_series.js';
+import { PROJECTION_HISTORY_WEEKS, loadIndexWeeklySeries, projectIndexSeries, projectionHorizon, resolveShipDateMaxDays } from './index_projection.js';
+
+// Горизонт прогноза, недель
+const FORECAST_WEEKS = 12;
+
+// Индексы, прогноз которых показывается отдельно
+const FORECAST_INDICES = ['SCFI', 'CCFI', 'FBX', 'WCI'];
+
+// Сколько последних недель истории индекса возвращается вместе с прогнозом
+const FORECAST_HISTORY_WEEKS = 26;
+
+// Ошибка расчета прогноза с HTTP-статусом для маршрута
+class ForecastError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'ForecastError';
+    this.statusCode = statusCode;
+  }
+}
+
+// Прогноз одного индекса на недели targetWeeks (номера недель, time_series.js weekNumber):
+// { history: [{ week, value, observed }], forecast: [{ week, value, lower, upper }], model } или null без достаточной истории
+function forecastIndex(points, targetWeeks) {
+  const series = buildWeeklySeries(points);
+  if (series.values.length === 0) {
+    return null;
+  }
+  const lastWeek = weekNumber(series.weeks[series.weeks.length - 1]);
+  const history = series.weeks.map((week, t) => ({ week, value: round(series.values[t]), observed: series.observed[t] }))
+    .slice(-FORECAST_HISTORY_WEEKS);
+  const maxSteps = Math.max(...targetWeeks) - lastWeek;
+  const model = maxSteps > 0 ? dampedTrendForecast(series.values, maxSteps) : null;
+  if (!model) {
+    return { history, forecast: [], model: null };
+  }
+  const forecast = targetWeeks
+    .filter(week => week > lastWeek)
+    .map(week => {
+      const { value, lower, upper } = model.forecasts[week - lastWeek - 1];
+      return { week: formatWeek(week), value: round(value), lower: round(lower), upper: round(upper) };
+    });
+  return { history, forecast, model: { alpha: model.alpha, beta: model.beta, phi: model.phi, observations: model.observations } };
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+// Интервал ставки недели из интервалов индексной корректировки и сезонного фактора
+function rateInterval(calculation) {
+  const details = calculation.calculationDetails || {};
+  const indexInterval = details.horizon?.indexInterval;
+  const seasonalityInterval = details.seasonalityInterval;
+  const logBounds = [];
+  if (indexInterval && calculation.indexAdjustment > 0) {
+    logBounds.push([Math.log(indexInterval.lower / calculation.indexAdjustment), Math.log(indexInterval.upper / calculation.indexAdjustment)]);
+  }
+  if (seasonalityInterval && calculation.seasonalityFactor > 0) {
+    logBounds.push([Math.log(seasonalityInterval.lower / calculation.seasonalityFactor), Math.log(seasonalityInterval.upper / calculation.seasonalityFactor)]);
+  }
+  const lowerLog = -Math.sqrt(logBounds.reduce((sum, [lower]) => sum + Math.min(0, lower) ** 2, 0));
+  const upperLog = Math.sqrt(logBounds.reduce((sum, [, upper]) => sum + Math.max(0, upper) ** 2, 0));
+  return { lower: Math.round(calculation.finalRate * Math.exp(lowerLog)), upper: Math.round(calculation.finalRate * Math.exp(upperLog)) };
+}
+
+// Недели прогноза (номера недель): weeks недель после текущей, понедельник которых не дальше shipDateMaxDays дней от now
+function forecastTargetWeeks(weeks, modelSettings = {}, now = new Date()) {
+  const maxDays = resolveShipDateMaxDays(modelSettings);
+  const currentWeek = weekNumber(now);
+  return Array.from({ length: weeks }, (_, i) => currentWeek + i + 1)
+    .filter(week => projectionHorizon(new Date(`${formatWeek(week)}T00:00:00Z`), now).days <= maxDays);
+}
+
+// Прогноз индексов и ставки направления на weeks недель вперед (в пределах shipDateMaxDays из modelSettings).
+// calculate(shipDate, indexProjection) -> результат calculateFreightRate для направления
+// (shipDate = null и indexProjection = null - расчет на текущую дату).
+// Возвращает { generatedAt, weeks (число недель прогноза), indices: { SCFI: { history, forecast, model } | null, ... }, lane: { current, forecast } }.
+async function buildRateForecast(client, { indexNames, calculate, weeks = FORECAST_WEEKS, modelSettings = {}, now = new Date() }) {
+  const names = [...new Set([...FORECAST_INDICES, ...indexNames])];
+  const series = await loadIndexWeeklySeries(client, names, PROJECTION_HISTORY_WEEKS, now);
+  const targetWeeks = forecastTargetWeeks(weeks, modelSettings, now);
+
+  const indices = {};
+  for (const indexName of FORECAST_INDICES) {
+    indices[indexName] = series[indexName] ? forecastIndex(series[indexName], targetWeeks) : null;
+  }
+
+  const current = await calculate(null, null);
+  if (current.finalRate === -1) {
+    throw new ForecastError(current.error, 500);
+  }
+  const forecast = [];
+  for (const week of targetWeeks) {
+    const shipDate = new Date(`${formatWeek(week)}T00:00:00Z`);
+    const horizon = projectionHorizon(shipDate, now);
+    const indexProjection = {
+      shipDate: formatWeek(week),
+      horizonDays: horizon.days,
+      horizonWeeks: horizon.weeks,
+      indices: projectIndexSeries(series, shipDate)
+    };
+    const calculation = await calculate(shipDate, indexProjection);
+    if (calculation.finalRate === -1) {
+      throw new ForecastError(calculation.error, 500);
+    }
+    const details = calculation.calculationDetails || {};
+    forecast.push({
+      week: formatWeek(week),
+      rate: calculation.finalRate,
+      ...rateInterval(calculation),
+      indexAdjustment: parseFloat(calculation.indexAdjustment.toFixed(4)),
+      seasonalityFactor: parseFloat(calculation.seasonalityFactor.toFixed(4)),
+      holidays: (details.seasonalityHolidays || []).map(holiday => holiday.label),
+      confidence: details.horizon?.indexConfidence ?? null
+    });
+  }
+
+  return {
+    generatedAt: now.toISOString(),
+    weeks: targetWeeks.length,
+    indices,
+    lane: {
+      current: { rate: current.finalRate, min: current.minRate, max: current.maxRate },
+      forecast
+    }
+  };
+}
+
+export {
+  FORECAST_WEEKS,
+  FORECAST_INDICES,
+  ForecastError,
+  forecastIndex,
+  rateInterval,
+  forecastTargetWeeks,
+  buildRateForecast
+};
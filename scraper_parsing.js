@@ -0,0 +1,107 @@
+// Общие функции разбора страниц индексов для модулей скраперов
+// Строка индекса после parse(): { route, currentIndex, change, indexDate } (indexDate - YYYY-MM-DD).
+// parse(raw, { fetchedAt }) - fetchedAt (время загрузки, по умолчанию сейчас) используется как дата индекса,
+// если страница ее не содержит; тесты на сохраненных страницах передают фиксированное значение.
+// normalize() выбирает из строк одно наблюдение сводного индекса: { value, observedAt, route }.
+
+import * as cheerio from 'cheerio';
+
+const MONTHS = {
+  jan: '01', feb: '02', mar: '03', apr: '04', may: '05', jun: '06',
+  jul: '07', aug: '08', sep: '09', oct: '10', nov: '11', dec: '12'
+};
+
+// Число из текста ячейки: "$2,345.50" -> 2345.5, "-1.2%" -> -1.2. Пустой или нечисловой текст -> null.
+function parseIndexNumber(text) {
+  const match = String(text ?? '').replace(/,/g, '').match(/[-+]?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+}
+
+// Дата из текста в формате YYYY-MM-DD. Поддерживает YYYY-MM-DD, DD.MM.YYYY, DD/MM/YYYY и "12th May 2025" / "May 12, 2025".
+function parseIndexDate(text) {
+  const value = String(text ?? '').trim();
+  let match = value.match(/(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+  }
+  match = value.match(/(\d{1,2})[./](\d{1,2})[./](\d{4})/);
+  if (match) {
+    return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+  }
+  match = value.match(/(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3})[A-Za-z]*\.?,?\s+(\d{4})/);
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return `${match[3]}-${MONTHS[match[2].toLowerCase()]}-${match[1].padStart(2, '0')}`;
+  }
+  match = value.match(/([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/);
+  if (match && MONTHS[match[1].toLowerCase()]) {
+    return `${match[3]}-${MONTHS[match[1].toLowerCase()]}-${match[2].padStart(2, '0')}`;
+  }
+  return null;
+}
+
+function todayIsoDate(date = new Date()) {
+  return date.toISOString().split('T')[0];
+}
+
+// Таблица индексов Shanghai Shipping Exchange (SCFI, CCFI):
+// Description | Unit | Weighting | Previous Index | Current Index | Weekly Growth.
+// Дата текущего периода - последняя дата в заголовке таблицы (если ее нет - дата загрузки fetchedAt).
+function parseSSEIndexTable(html, fetchedAt = new Date()) {
+  const $ = cheerio.load(html);
+  const rows = [];
+  $('table').each((i, table) => {
+    const headerDates = ($(table).find('thead').text() || $(table).find('tr').first().text()).match(/\d{4}-\d{1,2}-\d{1,2}/g);
+    const indexDate = headerDates ? parseIndexDate(headerDates[headerDates.length - 1]) : todayIsoDate(fetchedAt);
+    $(table).find('tr').each((j, tr) => {
+      const cells = $(tr).find('td').map((k, td) => $(td).text().replace(/\s+/g, ' ').trim()).get();
+      if (cells.length < 3) return;
+      const route = cells[0];
+      const currentIndex = parseIndexNumber(cells[cells.length - 2]);
+      if (!route || currentIndex === null) return;
+      rows.push({ route, currentIndex, change: parseIndexNumber(cells[cells.length - 1]) ?? 0, indexDate });
+    });
+  });
+  return rows;
+}
+
+// Таблица "дата | значение" (Harpex, New ConTex). Возвращает строки, отсортированные по дате (последняя - первой).
+function parseDateValueTable(html, route) {
+  const $ = cheerio.load(html);
+  const rows = [];
+  $('table tr').each((i, tr) => {
+    const cells = $(tr).find('td').map((k, td) => $(td).text().trim()).get();
+    if (cells.length < 2) return;
+    const indexDate = parseIndexDate(cells[0]);
+    const currentIndex = parseIndexNumber(cells[1]);
+    if (indexDate && currentIndex !== null) {
+      rows.push({ route, currentIndex, change: cells[2] !== undefined ? parseIndexNumber(cells[2]) ?? 0 : 0, indexDate });
+    }
+  });
+  return rows.sort((a, b) => b.indexDate.localeCompare(a.indexDate));
+}
+
+// Наблюдение сводного индекса: строка, маршрут которой совпадает с compositeRoute,
+// иначе первая строка (для источников, которые публикуют только одно значение). null, если значений нет.
+function normalizeCompositeRows(rows, compositeRoute) {
+  const valid = (Array.isArray(rows) ? rows : [])
+    .filter(row => row && typeof row.currentIndex === 'number' && !isNaN(row.currentIndex) && row.currentIndex > 0);
+  const composite = valid.find(row => row.route && compositeRoute.test(row.route)) || (valid.length === 1 ? valid[0] : null);
+  if (!composite) {
+    return null;
+  }
+  const observedAt = composite.indexDate ? new Date(composite.indexDate) : new Date();
+  return {
+    value: composite.currentIndex,
+    observedAt: isNaN(observedAt.getTime()) ? new Date() : observedAt,
+    route: composite.route || null
+  };
+}
+
+export {
+  parseIndexNumber,
+  parseIndexDate,
+  todayIsoDate,
+  parseSSEIndexTable,
+  parseDateValueTable,
+  normalizeCompositeRows
+};
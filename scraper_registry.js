@@ -0,0 +1,91 @@
+// Реестр источников индексов (скраперов)
+// Каждый источник регистрирует один объект с единым интерфейсом:
+//   name       - имя индекса в index_config / index_values (например, 'SCFI')
+//   aliases    - альтернативные имена для поиска (необязательно)
+//   metadata   - { publisher, unit, frequency, url }
+//   fetch()    - загрузка сырых данных (HTML страницы или тело ответа API)
+//   parse(raw, { fetchedAt }) - разбор в строки { route, currentIndex, change, indexDate }
+//   normalize(rows) - одно наблюдение сводного индекса { value, observedAt, route } или null
+// Планировщик и калькуляторы находят источник по имени через getScraper, а не импортируют модули скраперов напрямую.
+
+import { scraperSource as scfiSource } from './scfi_scraper.js';
+import { scraperSource as ccfiSource } from './ccfi_scraper.js';
+import { scraperSource as fbxSource } from './fbx_scraper.js';
+import { scraperSource as wciSource } from './wci_scraper.js';
+import { scraperSource as bdiSource } from './bdi_scraper.js';
+import { scraperSource as harpexSource } from './harpex_scraper.js';
+import { scraperSource as contexSource } from './contex_scraper.js';
+import { scraperSource as xenetaSource } from './xeneta_scraper.js';
+import { getLatestIndexValue } from './index_history.js';
+
+const REQUIRED_FUNCTIONS = ['fetch', 'parse', 'normalize'];
+const REQUIRED_METADATA = ['publisher', 'unit', 'frequency'];
+
+// Источники по имени (ключи в верхнем регистре, включая псевдонимы)
+const scrapers = new Map();
+
+// Регистрация источника. Повторная регистрация того же имени заменяет источник.
+function registerScraper(source) {
+  if (!source || !source.name) {
+    throw new Error('Scraper source must have a name');
+  }
+  for (const fn of REQUIRED_FUNCTIONS) {
+    if (typeof source[fn] !== 'function') {
+      throw new Error(`Scraper '${source.name}' must implement ${fn}()`);
+    }
+  }
+  for (const field of REQUIRED_METADATA) {
+    if (!source.metadata || !source.metadata[field]) {
+      throw new Error(`Scraper '${source.name}' metadata must include '${field}'`);
+    }
+  }
+  const registered = Object.freeze({ aliases: [], ...source });
+  for (const key of [registered.name, ...registered.aliases]) {
+    scrapers.set(key.toUpperCase(), registered);
+  }
+  return registered;
+}
+
+// Источник по имени или псевдониму (без учета регистра); null, если не зарегистрирован
+function getScraper(name) {
+  return scrapers.get(String(name || '').toUpperCase()) || null;
+}
+
+// Зарегистрированные источники (без повторов по псевдонимам)
+function listScrapers() {
+  return [...new Set(scrapers.values())].map(source => ({
+    name: source.name,
+    aliases: source.aliases,
+    ...source.metadata
+  }));
+}
+
+// Полный цикл источника: fetch -> parse -> normalize. Возвращает { rows, observation }.
+async function collectScraperObservation(name) {
+  const source = getScraper(name);
+  if (!source) {
+    throw new Error(`Scraper '${name}' is not registered`);
+  }
+  const raw = await source.fetch();
+  const rows = source.parse(raw, { fetchedAt: new Date() });
+  return { rows, observation: source.normalize(rows) };
+}
+
+// Данные индекса для расчета ({ current_index, index_date, change } или null) - последнее наблюдение из index_values.
+// Имя может быть псевдонимом; индексы без скрапера (например, CFI) читаются по имени как есть.
+async function getIndexDataForCalculation(client, name) {
+  const source = getScraper(name);
+  return getLatestIndexValue(client, source ? source.name : name);
+}
+
+for (const source of [scfiSource, ccfiSource, fbxSource, wciSource, bdiSource, harpexSource, contexSource, xenetaSource]) {
+  registerScraper(source);
+}
+
+export {
+  registerScraper,
+  getScraper,
+  listScrapers,
+  collectScraperObservation,
+  getIndexDataForCalculation
+};
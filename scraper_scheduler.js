@@ -0,0 +1,334 @@
+// Модуль планировщика скраперов индексов
+// Каждый индекс имеет cron-расписание (5 полей, UTC) в scraper_schedules. Планировщик работает внутри процесса
+// сервера: раз в минуту проверяет расписания, запускает источник индекса из scraper_registry.js и записывает
+// полученное значение в index_values (источник 'scraper'), что обновляет index_config.current_value.
+// Значения по маршрутам (SCFI, WCI, FBX) сохраняются в index_lane_values (см. lane_indices.js).
+// Значение проходит проверку index_quarantine.js: подозрительное остается на проверке, маршруты этого запуска не сохраняются.
+// Каждый запуск (плановый или ручной) сохраняется в scraper_runs: время начала/окончания, статус, значения, ошибка.
+
+import { getScraper, listScrapers, collectScraperObservation } from './scraper_registry.js';
+import { submitIndexObservation } from './index_quarantine.js';
+import { recordLaneValues } from './lane_indices.js';
+
+const SCRAPER_SOURCE = 'scraper';
+const JOB_TIMEOUT_MS = 2 * 60 * 1000;
+const TICK_INTERVAL_MS = 60 * 1000;
+
+// Расписания по умолчанию (UTC). Xeneta выключен: источник требует XENETA_API_KEY.
+const DEFAULT_SCRAPER_SCHEDULES = [
+  ['SCFI', '30 9 * * 5', true],     // SCFI публикуется по пятницам
+  ['CCFI', '30 9 * * 5', true],     // CCFI - по пятницам
+  ['FBX', '0 14 * * *', true],      // FBX - ежедневно
+  ['WCI', '0 15 * * 4', true],      // WCI - по четвергам
+  ['BDI', '30 13 * * 1-5', true],   // BDI - по рабочим дням
+  ['Harpex', '0 12 * * 5', true],
+  ['NewConTex', '0 12 * * 2', true],
+  ['Xeneta', '0 8 * * 1', false]
+];
+
+// Ошибка запуска с HTTP-статусом для маршрута
+class ScraperJobError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'ScraperJobError';
+    this.statusCode = statusCode;
+  }
+}
+
+// --- Cron ---
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 } // 0 и 7 - воскресенье
+];
+
+// Поле cron: *, число, диапазон a-b, список через запятую, шаг */n или a-b/n
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field '${text}'`);
+    }
+    const step = match[2] ? parseInt(match[2], 10) : 1;
+    let [from, to] = match[1] === '*' ? [min, max] : match[1].split('-').map(value => parseInt(value, 10));
+    if (to === undefined) {
+      to = match[2] ? max : from;
+    }
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Cron ${name} field '${text}' is out of range ${min}-${max}`);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(name === 'dayOfWeek' && value === 7 ? 0 : value);
+    }
+  }
+  return values;
+}
+
+// Разбор выражения из 5 полей. При ошибке бросает Error с описанием.
+function parseCronExpression(expression) {
+  const parts = String(expression || '').trim().split(/\s+/);
+  if (parts.length !== CRON_FIELDS.length) {
+    throw new Error(`Cron expression '${expression}' must have 5 fields: minute hour day-of-month month day-of-week`);
+  }
+  const parsed = {};
+  CRON_FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseCronField(parts[i], field);
+  });
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+}
+
+// Совпадение минуты date (UTC) с расписанием. Как в cron: если заданы и день месяца, и день недели - достаточно одного.
+function cronMatches(parsed, date) {
+  if (!parsed.minute.has(date.getUTCMinutes()) || !parsed.hour.has(date.getUTCHours()) || !parsed.month.has(date.getUTCMonth() + 1)) {
+    return false;
+  }
+  const dayOfMonthMatches = parsed.dayOfMonth.has(date.getUTCDate());
+  const dayOfWeekMatches = parsed.dayOfWeek.has(date.getUTCDay());
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return dayOfMonthMatches || dayOfWeekMatches;
+  }
+  return dayOfMonthMatches && dayOfWeekMatches;
+}
+
+// --- Таблицы ---
+
+// Создание таблиц расписаний и запусков (вызывается из initializeDatabaseTables)
+async function initializeScraperSchedulerTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS scraper_schedules (
+      index_name VARCHAR(50) PRIMARY KEY,
+      cron_expression VARCHAR(100) NOT NULL,
+      enabled BOOLEAN NOT NULL DEFAULT TRUE,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS scraper_runs (
+      id SERIAL PRIMARY KEY,
+      index_name VARCHAR(50) NOT NULL,
+      trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+      triggered_by VARCHAR(100),
+      status VARCHAR(20) NOT NULL CHECK (status IN ('running', 'success', 'failed')),
+      started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      finished_at TIMESTAMP,
+      observed_values JSONB,
+      error TEXT
+    );
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_scraper_runs_index_started ON scraper_runs (index_name, started_at DESC);');
+  for (const [indexName, cronExpression, enabled] of DEFAULT_SCRAPER_SCHEDULES) {
+    await client.query(
+      'INSERT INTO scraper_schedules (index_name, cron_expression, enabled) VALUES ($1, $2, $3) ON CONFLICT (index_name) DO NOTHING',
+      [indexName, cronExpression, enabled]
+    );
+  }
+  // Запуски, прерванные перезапуском сервера, не должны оставаться в статусе 'running'
+  await client.query(`
+    UPDATE scraper_runs SET status = 'failed', finished_at = NOW(), error = 'Interrupted by server restart'
+    WHERE status = 'running';
+  `);
+}
+
+// --- Запуск скрапера ---
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Индексы, скрапер которых выполняется в данный момент (защита от параллельного запуска одного индекса)
+const runningJobs = new Set();
+
+// Запуск скрапера одного индекса. Возвращает строку scraper_runs после завершения.
+async function runScraperJob(pool, indexName, { trigger = 'manual', actor = null } = {}) {
+  const source = getScraper(indexName);
+  if (!source) {
+    throw new ScraperJobError(`No scraper for index '${indexName}'. Available: ${listScrapers().map(scraper => scraper.name).join(', ')}`, 404);
+  }
+  indexName = source.name;
+  if (runningJobs.has(indexName)) {
+    throw new ScraperJobError(`Scraper for '${indexName}' is already running`, 409);
+  }
+  runningJobs.add(indexName);
+
+  let runId;
+  try {
+    const started = await pool.query(
+      "INSERT INTO scraper_runs (index_name, trigger, triggered_by, status) VALUES ($1, $2, $3, 'running') RETURNING id",
+      [indexName, trigger, actor?.username ?? null]
+    );
+    runId = started.rows[0].id;
+    console.log(`[scraper_scheduler] Run ${runId}: ${indexName} (${trigger}) started.`);
+
+    let status = 'success';
+    let values = null;
+    let error = null;
+    try {
+      const { rows, observation } = await withTimeout(collectScraperObservation(indexName), JOB_TIMEOUT_MS, `Scraper timed out after ${JOB_TIMEOUT_MS / 1000}s`);
+      if (!observation) {
+        throw new Error(`Scraper returned no usable ${indexName} value (${rows.length} rows)`);
+      }
+      const client = await pool.connect();
+      let laneCount = 0;
+      let submitted;
+      try {
+        await client.query('BEGIN');
+        submitted = await submitIndexObservation(client, { indexName, value: observation.value, observedAt: observation.observedAt, source: SCRAPER_SOURCE });
+        if (submitted.status === 'applied') {
+          laneCount = await recordLaneValues(client, indexName, rows, { composite: observation, source: SCRAPER_SOURCE });
+        }
+        await client.query('COMMIT');
+      } catch (dbError) {
+        await client.query('ROLLBACK');
+        throw dbError;
+      } finally {
+        client.release();
+      }
+      values = { value: observation.value, observedAt: observation.observedAt, route: observation.route, lanes: laneCount, status: submitted.status };
+      if (submitted.reasons.length > 0) {
+        values.reviewReasons = submitted.reasons;
+      }
+    } catch (jobError) {
+      status = 'failed';
+      error = jobError.message;
+      console.error(`[scraper_scheduler] Run ${runId}: ${indexName} failed:`, jobError.message);
+    }
+
+    const finished = await pool.query(
+      'UPDATE scraper_runs SET status = $1, finished_at = NOW(), observed_values = $2, error = $3 WHERE id = $4 RETURNING *',
+      [status, values ? JSON.stringify(values) : null, error, runId]
+    );
+    console.log(`[scraper_scheduler] Run ${runId}: ${indexName} finished with status '${status}'.`);
+    return finished.rows[0];
+  } finally {
+    runningJobs.delete(indexName);
+  }
+}
+
+// --- Планировщик ---
+
+let schedulerTimer = null;
+
+// Проверка расписаний на минуту now; подходящие индексы запускаются последовательно
+async function runDueScraperJobs(pool, now = new Date()) {
+  const { rows } = await pool.query('SELECT index_name, cron_expression FROM scraper_schedules WHERE enabled = TRUE ORDER BY index_name');
+  for (const schedule of rows) {
+    let parsed;
+    try {
+      parsed = parseCronExpression(schedule.cron_expression);
+    } catch (cronError) {
+      console.error(`[scraper_scheduler] Skipping ${schedule.index_name}: ${cronError.message}`);
+      continue;
+    }
+    if (!cronMatches(parsed, now)) continue;
+    try {
+      await runScraperJob(pool, schedule.index_name, { trigger: 'schedule' });
+    } catch (runError) {
+      console.error(`[scraper_scheduler] Could not run ${schedule.index_name}:`, runError.message);
+    }
+  }
+}
+
+// Запуск планировщика: проверка в начале каждой минуты
+function startScraperScheduler(pool) {
+  if (schedulerTimer) {
+    return;
+  }
+  const tick = () => {
+    const now = new Date();
+    now.setUTCSeconds(0, 0);
+    runDueScraperJobs(pool, now).catch(error => console.error('[scraper_scheduler] Tick failed:', error));
+  };
+  const delayToNextMinute = TICK_INTERVAL_MS - (Date.now() % TICK_INTERVAL_MS);
+  schedulerTimer = setTimeout(() => {
+    tick();
+    schedulerTimer = setInterval(tick, TICK_INTERVAL_MS);
+  }, delayToNextMinute);
+  console.log('[scraper_scheduler] Scheduler started.');
+}
+
+function stopScraperScheduler() {
+  if (schedulerTimer) {
+    clearTimeout(schedulerTimer);
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+// --- Чтение и изменение расписаний ---
+
+async function listScraperSchedules(client) {
+  const result = await client.query(`
+    SELECT s.*, r.status AS last_status, r.started_at AS last_started_at, r.error AS last_error
+    FROM scraper_schedules s
+    LEFT JOIN LATERAL (
+      SELECT status, started_at, error FROM scraper_runs WHERE index_name = s.index_name ORDER BY started_at DESC, id DESC LIMIT 1
+    ) r ON TRUE
+    ORDER BY s.index_name
+  `);
+  return result.rows.map(row => ({ ...row, source: getScraper(row.index_name)?.metadata || null }));
+}
+
+// Изменение расписания. Возвращает { before, after } или null, если индекс не найден.
+async function updateScraperSchedule(client, indexName, { cronExpression, enabled }) {
+  if (cronExpression !== undefined) {
+    parseCronExpression(cronExpression);
+  }
+  const before = await client.query('SELECT * FROM scraper_schedules WHERE index_name = $1 FOR UPDATE', [indexName]);
+  if (before.rows.length === 0) {
+    return null;
+  }
+  const result = await client.query(`
+    UPDATE scraper_schedules
+    SET cron_expression = COALESCE($2, cron_expression), enabled = COALESCE($3, enabled), updated_at = NOW()
+    WHERE index_name = $1
+    RETURNING *;
+  `, [indexName, cronExpression ?? null, typeof enabled === 'boolean' ? enabled : null]);
+  return { before: before.rows[0], after: result.rows[0] };
+}
+
+// История запусков с фильтрами
+async function listScraperRuns(client, { indexName, status, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+  if (indexName) {
+    params.push(indexName);
+    conditions.push(`index_name = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`status = $${params.length}`);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await client.query(`SELECT COUNT(*)::int AS total FROM scraper_runs ${where}`, params);
+  params.push(limit, offset);
+  const result = await client.query(
+    `SELECT * FROM scraper_runs ${where} ORDER BY started_at DESC, id DESC LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return { runs: result.rows, total: countResult.rows[0].total };
+}
+
+export {
+  SCRAPER_SOURCE,
+  ScraperJobError,
+  parseCronExpression,
+  cronMatches,
+  initializeScraperSchedulerTables,
+  runScraperJob,
+  runDueScraperJobs,
+  startScraperScheduler,
+  stopScraperScheduler,
+  listScraperSchedules,
+  updateScraperSchedule,
+  listScraperRuns
+};
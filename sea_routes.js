@@ -0,0 +1,922 @@
+// Модуль морских маршрутов и расстояний между портами
+// Офлайн-граф морских путей: узлы - точки на основных судоходных линиях (координаты в градусах),
+// ребра - участки открытого моря (длина по дуге большого круга) и проходы (каналы, проливы, мысы).
+// Порт подключается к ближайшему узлу графа, маршрут ищется алгоритмом Дейкстры, расстояние - в морских милях.
+//
+// Вариант маршрута (routing) исключает проходы, например 'cape' - вокруг мыса Доброй Надежды вместо Суэцкого канала.
+// Рассчитанные расстояния кешируются в port_distances (route_type = вариант маршрута) вместе с названием маршрута
+// и списком проходов. При изменении графа увеличивается SEA_ROUTE_GRAPH_VERSION: кеш прежней версии пересчитывается.
+//
+// Для топливной надбавки маршрут содержит ecaDistanceNm - часть пути в зонах контроля выбросов (ECA),
+// где суда используют малосернистое топливо. Зоны заданы приближенно прямоугольниками ECA_ZONES.
+
+const SEA_ROUTE_GRAPH_VERSION = 2;
+const EARTH_RADIUS_NM = 3440.065;
+
+// Проходы, которые может исключать вариант маршрута
+const SEA_PASSAGES = {
+  suez_canal: 'Suez Canal',
+  panama_canal: 'Panama Canal',
+  kiel_canal: 'Kiel Canal',
+  cape_of_good_hope: 'Cape of Good Hope',
+  cape_horn: 'Cape Horn',
+  malacca_strait: 'Strait of Malacca',
+  gibraltar_strait: 'Strait of Gibraltar',
+  bab_el_mandeb: 'Bab-el-Mandeb',
+  hormuz_strait: 'Strait of Hormuz',
+  turkish_straits: 'Turkish Straits',
+  danish_straits: 'Danish Straits',
+  sunda_strait: 'Sunda Strait',
+  lombok_strait: 'Lombok Strait'
+};
+
+// Варианты маршрута: исключаемые проходы (межокеанские варианты исключают все альтернативы выбранному)
+const ROUTINGS = {
+  shortest: { label: 'Shortest route', avoid: [] },
+  suez: { label: 'Via Suez Canal', avoid: ['cape_of_good_hope', 'panama_canal', 'cape_horn'] },
+  cape: { label: 'Via Cape of Good Hope', avoid: ['suez_canal', 'panama_canal', 'cape_horn'] },
+  panama: { label: 'Via Panama Canal', avoid: ['suez_canal', 'cape_of_good_hope', 'cape_horn'] },
+  cape_horn: { label: 'Via Cape Horn', avoid: ['suez_canal', 'cape_of_good_hope', 'panama_canal'] },
+  skagen: { label: 'Around Skagen (no Kiel Canal)', avoid: ['kiel_canal'] }
+};
+const DEFAULT_ROUTING = 'shortest';
+
+// Зоны контроля выбросов серы (MARPOL Annex VI): прямоугольники [широта от, широта до, долгота от, долгота до]
+// и исключения из них. Границы приближенные: точка в зоне - узел графа или порт, участок между точкой в зоне
+// и точкой вне зоны считается наполовину в зоне.
+const ECA_ZONES = {
+  north_sea: {
+    name: 'North Sea and English Channel ECA',
+    boxes: [[50.9, 62.0, -3.0, 10.0], [48.5, 51.2, -5.0, 2.0]]
+  },
+  baltic: {
+    name: 'Baltic Sea ECA',
+    boxes: [[53.5, 66.0, 9.5, 31.0]]
+  },
+  mediterranean: {
+    name: 'Mediterranean Sea ECA',
+    boxes: [[30.0, 46.0, -5.6, 36.5]],
+    // Атлантическое побережье Испании и Франции, Мраморное и Черное моря
+    exclude: [[37.5, 46.0, -5.6, -1.0], [43.8, 46.0, -5.6, 3.0], [40.3, 46.0, 26.3, 36.5]]
+  },
+  north_american: {
+    name: 'North American ECA',
+    boxes: [[32.0, 60.0, -135.0, -116.0], [24.0, 60.0, -98.0, -52.0], [18.0, 23.0, -161.0, -154.0]],
+    // Багамские острова
+    exclude: [[24.0, 32.0, -77.0, -52.0]]
+  },
+  us_caribbean: {
+    name: 'United States Caribbean Sea ECA',
+    boxes: [[17.0, 19.5, -68.0, -64.0]]
+  }
+};
+
+// Узлы графа: [широта, долгота]
+const SEA_NODES = {
+  // Балтика и Северное море
+  GULF_OF_FINLAND_EAST: [60.0, 28.5],
+  GULF_OF_FINLAND: [59.9, 25.5],
+  BALTIC_NORTH: [58.8, 20.5],
+  GULF_OF_RIGA: [57.4, 23.5],
+  IRBE_STRAIT: [57.8, 21.8],
+  BALTIC_CENTRAL: [56.5, 19.5],
+  GULF_OF_GDANSK: [54.7, 19.0],
+  BALTIC_SOUTH: [55.4, 16.0],
+  FEHMARN_BELT: [54.6, 11.3],
+  KIEL_EAST: [54.45, 10.25],
+  KIEL_WEST: [53.9, 9.1],
+  ORESUND: [55.8, 12.75],
+  GREAT_BELT: [55.6, 10.9],
+  KATTEGAT: [57.0, 11.5],
+  SKAGEN: [57.95, 10.8],
+  SKAGERRAK: [58.0, 9.5],
+  OSLOFJORD: [59.2, 10.6],
+  JUTLAND_WEST: [56.5, 7.5],
+  GERMAN_BIGHT: [54.0, 7.8],
+  NORTH_SEA_SOUTH: [52.3, 3.5],
+  SCHELDT: [51.45, 3.4],
+  THAMES: [51.55, 1.35],
+  DOVER: [51.0, 1.5],
+  CHANNEL_MID: [50.2, -1.0],
+  CHANNEL_WEST: [49.3, -5.5],
+  IRISH_SEA: [53.5, -4.5],
+  ST_GEORGES_CHANNEL: [51.5, -6.5],
+  FASTNET: [51.0, -10.0],
+  // Атлантическое побережье Европы и Средиземное море
+  BISCAY: [44.5, -4.0],
+  FINISTERRE: [43.3, -9.6],
+  ROCA: [38.7, -9.8],
+  ST_VINCENT: [36.9, -9.3],
+  GIBRALTAR_WEST: [35.95, -6.0],
+  GIBRALTAR: [35.97, -5.5],
+  GIBRALTAR_EAST: [36.05, -5.1],
+  ALBORAN: [36.2, -2.5],
+  CABO_DE_PALOS: [37.5, 0.0],
+  BALEARIC_WEST: [39.3, 0.6],
+  BALEARIC_NORTH: [41.1, 2.8],
+  GULF_OF_LION: [42.8, 4.9],
+  LIGURIAN: [43.9, 8.9],
+  CORSICA_CHANNEL: [42.9, 9.9],
+  TYRRHENIAN: [40.5, 12.0],
+  MESSINA: [38.2, 15.6],
+  MED_WEST: [37.6, 3.0],
+  SARDINIA_SOUTH: [38.3, 9.0],
+  SICILY_CHANNEL: [37.4, 11.6],
+  MALTA_NORTH: [36.2, 14.2],
+  IONIAN: [37.0, 18.5],
+  OTRANTO: [40.2, 18.9],
+  ADRIATIC_MID: [42.8, 15.5],
+  ADRIATIC_NORTH: [45.0, 13.0],
+  KYTHIRA: [36.0, 23.1],
+  CRETE_WEST: [35.4, 23.2],
+  CRETE_SOUTH: [34.6, 24.5],
+  AEGEAN_SOUTH: [37.0, 25.2],
+  AEGEAN_EAST: [38.6, 26.3],
+  AEGEAN_NORTH: [39.8, 24.5],
+  THERMAIC: [40.2, 23.2],
+  DARDANELLES: [40.05, 26.2],
+  MARMARA: [40.8, 28.0],
+  BOSPHORUS: [41.1, 29.05],
+  BLACK_SEA_WEST: [43.6, 29.0],
+  CYPRUS_WEST: [34.4, 31.8],
+  CILICIA: [36.3, 34.8],
+  ANATOLIA_SOUTH: [35.8, 32.8],
+  PORT_SAID: [31.5, 32.3],
+  // Красное море, Аравийское море, Персидский залив, Индия
+  SUEZ: [29.9, 32.55],
+  RED_SEA_NORTH: [27.3, 34.4],
+  JEDDAH_OFF: [21.4, 38.6],
+  RED_SEA_SOUTH: [15.0, 41.8],
+  BAB_EL_MANDEB: [12.6, 43.35],
+  GULF_OF_ADEN: [12.3, 46.0],
+  ADEN_EAST: [12.8, 51.5],
+  SALALAH_OFF: [16.5, 54.5],
+  RAS_AL_HADD: [22.6, 60.2],
+  GULF_OF_OMAN: [24.8, 58.0],
+  HORMUZ: [26.5, 56.6],
+  PERSIAN_GULF: [26.0, 54.0],
+  KARACHI_OFF: [24.5, 66.6],
+  INDIA_WEST: [18.5, 71.5],
+  INDIA_SOUTHWEST: [9.0, 75.5],
+  DONDRA: [5.6, 80.6],
+  // Юго-Восточная Азия
+  MALACCA_WEST: [6.2, 95.0],
+  MALACCA_NORTH: [5.0, 98.5],
+  MALACCA_MID: [3.0, 100.8],
+  SINGAPORE_STRAIT: [1.2, 103.8],
+  SUNDA_NORTH: [-5.7, 106.0],
+  SUNDA_SOUTH: [-6.6, 105.2],
+  JAVA_SEA_EAST: [-5.5, 113.0],
+  LOMBOK_NORTH: [-8.2, 115.8],
+  LOMBOK_SOUTH: [-9.2, 115.8],
+  MAKASSAR_SOUTH: [-4.5, 118.0],
+  MAKASSAR_NORTH: [0.0, 118.5],
+  CELEBES_SEA: [4.5, 124.0],
+  MINDANAO_SOUTHEAST: [5.3, 126.3],
+  DAVAO_GULF: [6.0, 125.8],
+  PHILIPPINE_SEA_SOUTH: [10.0, 128.0],
+  SURIGAO: [10.0, 125.6],
+  VISAYAS: [10.2, 124.2],
+  MANILA_OFF: [14.3, 120.2],
+  SCS_SOUTHWEST: [3.0, 105.5],
+  GULF_OF_THAILAND_SOUTH: [7.5, 103.0],
+  GULF_OF_THAILAND_NORTH: [12.3, 100.9],
+  VUNG_TAU_OFF: [9.8, 107.5],
+  SCS_WEST: [12.0, 110.0],
+  HAINAN_SOUTH: [17.5, 109.0],
+  TONKIN: [20.3, 107.2],
+  HAINAN_EAST: [18.0, 111.5],
+  HONG_KONG_OFF: [21.9, 114.3],
+  // Восточная Азия
+  LUZON_STRAIT: [21.0, 121.0],
+  KAOHSIUNG_OFF: [22.4, 120.1],
+  TAIWAN_STRAIT_SOUTH: [23.3, 117.8],
+  TAIWAN_STRAIT_MID: [24.3, 119.3],
+  TAIWAN_STRAIT_NORTH: [25.6, 120.4],
+  TAIWAN_NORTHEAST: [25.4, 122.0],
+  PHILIPPINE_SEA: [12.0, 130.0],
+  EAST_CHINA_SEA_SOUTH: [27.5, 122.0],
+  NINGBO_OFF: [29.8, 122.6],
+  YANGTZE_OFF: [31.0, 122.5],
+  YELLOW_SEA_SOUTH: [33.5, 123.5],
+  QINGDAO_OFF: [35.8, 121.0],
+  SHANDONG_EAST: [37.2, 123.0],
+  BOHAI_STRAIT: [38.4, 121.0],
+  BOHAI_WEST: [38.8, 118.5],
+  INCHEON_OFF: [37.0, 125.8],
+  KOREA_SOUTHWEST: [34.0, 125.5],
+  KOREA_STRAIT: [34.6, 128.8],
+  SEA_OF_JAPAN: [38.5, 134.0],
+  TSUGARU_WEST: [41.5, 139.8],
+  TSUGARU_EAST: [41.5, 141.8],
+  KYUSHU_SOUTH: [30.7, 130.4],
+  SHIKOKU_SOUTH: [32.5, 133.5],
+  KII_CHANNEL: [33.6, 135.0],
+  ENSHU: [34.3, 137.3],
+  URAGA: [34.8, 139.8],
+  // Тихий океан и Америка
+  NORTH_PACIFIC_WEST: [40.0, 160.0],
+  NORTH_PACIFIC_NORTH: [48.0, -170.0],
+  NORTH_PACIFIC_EAST: [42.0, -140.0],
+  HAWAII: [19.5, -158.5],
+  JUAN_DE_FUCA: [48.4, -124.9],
+  PUGET: [48.2, -123.0],
+  SAN_FRANCISCO_OFF: [37.7, -123.0],
+  LOS_ANGELES_OFF: [33.6, -118.5],
+  BAJA: [22.6, -110.0],
+  MEXICO_SOUTHWEST: [15.5, -98.0],
+  CENTRAL_AMERICA_OFF: [11.0, -89.0],
+  COSTA_RICA_OFF: [8.0, -85.0],
+  AZUERO_SOUTH: [6.9, -80.3],
+  GULF_OF_PANAMA: [8.6, -79.3],
+  PANAMA_ATLANTIC: [9.45, -79.9],
+  COLOMBIA_PACIFIC: [3.9, -77.8],
+  ECUADOR_OFF: [-1.5, -81.5],
+  PERU_OFF: [-12.2, -77.6],
+  CHILE_NORTH: [-23.5, -71.0],
+  VALPARAISO_OFF: [-33.2, -72.0],
+  CHILE_SOUTH: [-45.0, -76.5],
+  CAPE_HORN: [-57.0, -67.3],
+  ATLANTIC_SOUTHWEST: [-53.0, -60.0],
+  RIO_DE_LA_PLATA: [-35.5, -55.0],
+  PLATA_INNER: [-35.0, -57.0],
+  RIO_GRANDE_OFF: [-32.3, -51.5],
+  SANTOS_OFF: [-24.3, -46.0],
+  CABO_FRIO: [-23.3, -41.5],
+  BRAZIL_EAST: [-13.0, -37.5],
+  CABO_SAO_ROQUE: [-5.0, -34.5],
+  AMAZON_OFF: [3.0, -48.0],
+  TOBAGO_OFF: [11.5, -60.0],
+  ANEGADA_PASSAGE: [18.5, -64.0],
+  CARIBBEAN_CENTRAL: [14.5, -72.0],
+  CARIBBEAN_SOUTHWEST: [11.5, -79.0],
+  WINDWARD_PASSAGE: [20.0, -73.9],
+  YUCATAN: [21.6, -85.9],
+  GULF_OF_MEXICO: [25.5, -88.0],
+  HOUSTON_OFF: [29.0, -94.5],
+  FLORIDA_STRAIT: [24.3, -81.5],
+  FLORIDA_EAST: [27.5, -79.8],
+  BAHAMAS_EAST: [25.0, -73.0],
+  SAVANNAH_OFF: [31.8, -80.5],
+  HATTERAS_OFF: [35.0, -74.5],
+  NORFOLK_OFF: [36.9, -75.8],
+  NEW_YORK_OFF: [40.3, -73.7],
+  NANTUCKET: [40.5, -69.0],
+  ST_LAWRENCE_UPPER: [47.2, -70.5],
+  ST_LAWRENCE_MID: [48.8, -67.8],
+  HONGUEDO: [48.9, -63.8],
+  CABOT_STRAIT: [47.4, -59.8],
+  NORTH_ATLANTIC_WEST: [44.0, -45.0],
+  NORTH_ATLANTIC_EAST: [48.5, -20.0],
+  AZORES_SOUTH: [36.5, -27.0],
+  // Африка, Индийский океан, Австралия и Океания
+  CANARY_CHANNEL: [28.0, -13.3],
+  CAPE_BLANC_OFF: [21.0, -17.8],
+  DAKAR_OFF: [14.6, -17.9],
+  SIERRA_LEONE_OFF: [7.5, -14.5],
+  CAPE_PALMAS_OFF: [4.0, -8.0],
+  GHANA_OFF: [4.5, -1.0],
+  LAGOS_OFF: [6.0, 3.4],
+  GULF_OF_GUINEA_SOUTH: [0.0, 5.0],
+  ANGOLA_OFF: [-12.0, 12.5],
+  NAMIBIA_OFF: [-23.0, 13.5],
+  CAPE_TOWN_OFF: [-34.0, 17.8],
+  AGULHAS: [-35.2, 20.0],
+  DURBAN_OFF: [-30.0, 31.5],
+  MOZAMBIQUE_CHANNEL_SOUTH: [-25.0, 36.5],
+  MOZAMBIQUE_CHANNEL: [-17.0, 41.5],
+  MOZAMBIQUE_NORTH: [-10.5, 41.5],
+  MOMBASA_OFF: [-4.2, 40.0],
+  SOMALIA_OFF: [2.0, 47.0],
+  GUARDAFUI_EAST: [11.5, 52.0],
+  MADAGASCAR_SOUTH: [-27.0, 46.0],
+  INDIAN_OCEAN_SOUTH: [-15.0, 75.0],
+  FREMANTLE_OFF: [-32.0, 115.0],
+  LEEUWIN: [-35.3, 114.8],
+  GREAT_AUSTRALIAN_BIGHT: [-36.5, 130.0],
+  BASS_STRAIT_WEST: [-39.2, 143.5],
+  PORT_PHILLIP_OFF: [-38.4, 144.6],
+  BASS_STRAIT_EAST: [-39.0, 148.5],
+  GABO: [-37.8, 150.3],
+  SYDNEY_OFF: [-33.9, 151.5],
+  BRISBANE_OFF: [-27.3, 153.6],
+  JOMARD: [-11.2, 152.2],
+  ST_GEORGES_CHANNEL_PNG: [-4.5, 152.6],
+  PNG_NORTH: [-1.5, 151.0],
+  NEW_ZEALAND_NORTH: [-34.0, 174.2],
+  HAURAKI_OFF: [-36.3, 175.5]
+};
+
+// Ребра графа: [узел, узел, проход (необязательно), длина в милях (для каналов, необязательно)]
+const SEA_EDGES = [
+  ['GULF_OF_FINLAND_EAST', 'GULF_OF_FINLAND'],
+  ['GULF_OF_FINLAND', 'BALTIC_NORTH'],
+  ['BALTIC_NORTH', 'BALTIC_CENTRAL'],
+  ['GULF_OF_RIGA', 'IRBE_STRAIT'],
+  ['IRBE_STRAIT', 'BALTIC_CENTRAL'],
+  ['IRBE_STRAIT', 'BALTIC_NORTH'],
+  ['BALTIC_CENTRAL', 'GULF_OF_GDANSK'],
+  ['BALTIC_CENTRAL', 'BALTIC_SOUTH'],
+  ['GULF_OF_GDANSK', 'BALTIC_SOUTH'],
+  ['BALTIC_SOUTH', 'FEHMARN_BELT'],
+  ['BALTIC_SOUTH', 'ORESUND', 'danish_straits'],
+  ['ORESUND', 'KATTEGAT', 'danish_straits'],
+  ['FEHMARN_BELT', 'GREAT_BELT', 'danish_straits'],
+  ['GREAT_BELT', 'KATTEGAT', 'danish_straits'],
+  ['FEHMARN_BELT', 'KIEL_EAST'],
+  ['KIEL_EAST', 'KIEL_WEST', 'kiel_canal', 53],
+  ['KIEL_WEST', 'GERMAN_BIGHT'],
+  ['KATTEGAT', 'SKAGEN'],
+  ['SKAGEN', 'SKAGERRAK'],
+  ['SKAGERRAK', 'OSLOFJORD'],
+  ['SKAGERRAK', 'JUTLAND_WEST'],
+  ['JUTLAND_WEST', 'GERMAN_BIGHT'],
+  ['JUTLAND_WEST', 'NORTH_SEA_SOUTH'],
+  ['GERMAN_BIGHT', 'NORTH_SEA_SOUTH'],
+  ['NORTH_SEA_SOUTH', 'SCHELDT'],
+  ['NORTH_SEA_SOUTH', 'THAMES'],
+  ['SCHELDT', 'THAMES'],
+  ['SCHELDT', 'DOVER'],
+  ['THAMES', 'DOVER'],
+  ['DOVER', 'CHANNEL_MID'],
+  ['CHANNEL_MID', 'CHANNEL_WEST'],
+  ['IRISH_SEA', 'ST_GEORGES_CHANNEL'],
+  ['ST_GEORGES_CHANNEL', 'CHANNEL_WEST'],
+  ['ST_GEORGES_CHANNEL', 'FASTNET'],
+  ['FASTNET', 'NORTH_ATLANTIC_EAST'],
+  ['CHANNEL_WEST', 'NORTH_ATLANTIC_EAST'],
+  ['CHANNEL_WEST', 'BISCAY'],
+  ['CHANNEL_WEST', 'FINISTERRE'],
+  ['BISCAY', 'FINISTERRE'],
+  ['FINISTERRE', 'ROCA'],
+  ['ROCA', 'ST_VINCENT'],
+  ['ST_VINCENT', 'GIBRALTAR_WEST'],
+  ['GIBRALTAR_WEST', 'GIBRALTAR', 'gibraltar_strait'],
+  ['GIBRALTAR', 'GIBRALTAR_EAST', 'gibraltar_strait'],
+  ['GIBRALTAR_EAST', 'ALBORAN'],
+  ['ALBORAN', 'CABO_DE_PALOS'],
+  ['ALBORAN', 'MED_WEST'],
+  ['CABO_DE_PALOS', 'BALEARIC_WEST'],
+  ['BALEARIC_WEST', 'BALEARIC_NORTH'],
+  ['BALEARIC_NORTH', 'GULF_OF_LION'],
+  ['GULF_OF_LION', 'LIGURIAN'],
+  ['GULF_OF_LION', 'SARDINIA_SOUTH'],
+  ['LIGURIAN', 'CORSICA_CHANNEL'],
+  ['CORSICA_CHANNEL', 'TYRRHENIAN'],
+  ['TYRRHENIAN', 'SICILY_CHANNEL'],
+  ['TYRRHENIAN', 'MESSINA'],
+  ['MESSINA', 'IONIAN'],
+  ['MED_WEST', 'SARDINIA_SOUTH'],
+  ['SARDINIA_SOUTH', 'SICILY_CHANNEL'],
+  ['SICILY_CHANNEL', 'MALTA_NORTH'],
+  ['MALTA_NORTH', 'IONIAN'],
+  ['MALTA_NORTH', 'CRETE_SOUTH'],
+  ['IONIAN', 'OTRANTO'],
+  ['OTRANTO', 'ADRIATIC_MID'],
+  ['ADRIATIC_MID', 'ADRIATIC_NORTH'],
+  ['IONIAN', 'KYTHIRA'],
+  ['KYTHIRA', 'AEGEAN_SOUTH'],
+  ['KYTHIRA', 'CRETE_WEST'],
+  ['CRETE_WEST', 'CRETE_SOUTH'],
+  ['AEGEAN_SOUTH', 'AEGEAN_EAST'],
+  ['AEGEAN_SOUTH', 'AEGEAN_NORTH'],
+  ['AEGEAN_EAST', 'AEGEAN_NORTH'],
+  ['AEGEAN_NORTH', 'THERMAIC'],
+  ['AEGEAN_NORTH', 'DARDANELLES', 'turkish_straits'],
+  ['DARDANELLES', 'MARMARA', 'turkish_straits'],
+  ['MARMARA', 'BOSPHORUS', 'turkish_straits'],
+  ['BOSPHORUS', 'BLACK_SEA_WEST', 'turkish_straits'],
+  ['CRETE_SOUTH', 'CYPRUS_WEST'],
+  ['CRETE_SOUTH', 'PORT_SAID'],
+  ['CYPRUS_WEST', 'PORT_SAID'],
+  ['CILICIA', 'ANATOLIA_SOUTH'],
+  ['ANATOLIA_SOUTH', 'CYPRUS_WEST'],
+  ['ANATOLIA_SOUTH', 'CRETE_SOUTH'],
+  ['PORT_SAID', 'SUEZ', 'suez_canal', 104],
+  ['SUEZ', 'RED_SEA_NORTH'],
+  ['RED_SEA_NORTH', 'JEDDAH_OFF'],
+  ['JEDDAH_OFF', 'RED_SEA_SOUTH'],
+  ['RED_SEA_SOUTH', 'BAB_EL_MANDEB', 'bab_el_mandeb'],
+  ['BAB_EL_MANDEB', 'GULF_OF_ADEN', 'bab_el_mandeb'],
+  ['GULF_OF_ADEN', 'ADEN_EAST'],
+  ['ADEN_EAST', 'SALALAH_OFF'],
+  ['ADEN_EAST', 'GUARDAFUI_EAST'],
+  ['ADEN_EAST', 'INDIA_WEST'],
+  ['ADEN_EAST', 'DONDRA'],
+  ['SALALAH_OFF', 'RAS_AL_HADD'],
+  ['RAS_AL_HADD', 'GULF_OF_OMAN'],
+  ['GULF_OF_OMAN', 'HORMUZ', 'hormuz_strait'],
+  ['HORMUZ', 'PERSIAN_GULF', 'hormuz_strait'],
+  ['RAS_AL_HADD', 'KARACHI_OFF'],
+  ['RAS_AL_HADD', 'INDIA_WEST'],
+  ['KARACHI_OFF', 'INDIA_WEST'],
+  ['INDIA_WEST', 'INDIA_SOUTHWEST'],
+  ['INDIA_SOUTHWEST', 'DONDRA'],
+  ['DONDRA', 'MALACCA_WEST'],
+  ['MALACCA_WEST', 'MALACCA_NORTH', 'malacca_strait'],
+  ['MALACCA_NORTH', 'MALACCA_MID', 'malacca_strait'],
+  ['MALACCA_MID', 'SINGAPORE_STRAIT', 'malacca_strait'],
+  ['SINGAPORE_STRAIT', 'SCS_SOUTHWEST'],
+  ['SINGAPORE_STRAIT', 'SUNDA_NORTH'],
+  ['SUNDA_NORTH', 'SUNDA_SOUTH', 'sunda_strait'],
+  ['SUNDA_NORTH', 'JAVA_SEA_EAST'],
+  ['JAVA_SEA_EAST', 'LOMBOK_NORTH'],
+  ['LOMBOK_NORTH', 'LOMBOK_SOUTH', 'lombok_strait'],
+  ['JAVA_SEA_EAST', 'MAKASSAR_SOUTH'],
+  ['MAKASSAR_SOUTH', 'MAKASSAR_NORTH'],
+  ['MAKASSAR_NORTH', 'CELEBES_SEA'],
+  ['CELEBES_SEA', 'MINDANAO_SOUTHEAST'],
+  ['MINDANAO_SOUTHEAST', 'DAVAO_GULF'],
+  ['MINDANAO_SOUTHEAST', 'PHILIPPINE_SEA_SOUTH'],
+  ['PHILIPPINE_SEA_SOUTH', 'SURIGAO'],
+  ['SURIGAO', 'VISAYAS'],
+  ['PHILIPPINE_SEA_SOUTH', 'PHILIPPINE_SEA'],
+  ['SCS_SOUTHWEST', 'GULF_OF_THAILAND_SOUTH'],
+  ['GULF_OF_THAILAND_SOUTH', 'GULF_OF_THAILAND_NORTH'],
+  ['SCS_SOUTHWEST', 'VUNG_TAU_OFF'],
+  ['SCS_SOUTHWEST', 'SCS_WEST'],
+  ['SCS_SOUTHWEST', 'MANILA_OFF'],
+  ['VUNG_TAU_OFF', 'SCS_WEST'],
+  ['SCS_WEST', 'HAINAN_SOUTH'],
+  ['SCS_WEST', 'HAINAN_EAST'],
+  ['HAINAN_SOUTH', 'TONKIN'],
+  ['HAINAN_SOUTH', 'HAINAN_EAST'],
+  ['HAINAN_EAST', 'HONG_KONG_OFF'],
+  ['HONG_KONG_OFF', 'MANILA_OFF'],
+  ['HONG_KONG_OFF', 'LUZON_STRAIT'],
+  ['HONG_KONG_OFF', 'KAOHSIUNG_OFF'],
+  ['HONG_KONG_OFF', 'TAIWAN_STRAIT_SOUTH'],
+  ['LUZON_STRAIT', 'KAOHSIUNG_OFF'],
+  ['LUZON_STRAIT', 'PHILIPPINE_SEA'],
+  ['KAOHSIUNG_OFF', 'TAIWAN_STRAIT_MID'],
+  ['TAIWAN_STRAIT_SOUTH', 'TAIWAN_STRAIT_MID'],
+  ['TAIWAN_STRAIT_MID', 'TAIWAN_STRAIT_NORTH'],
+  ['TAIWAN_STRAIT_NORTH', 'TAIWAN_NORTHEAST'],
+  ['TAIWAN_STRAIT_NORTH', 'EAST_CHINA_SEA_SOUTH'],
+  ['TAIWAN_NORTHEAST', 'EAST_CHINA_SEA_SOUTH'],
+  ['TAIWAN_NORTHEAST', 'PHILIPPINE_SEA'],
+  ['TAIWAN_NORTHEAST', 'KYUSHU_SOUTH'],
+  ['EAST_CHINA_SEA_SOUTH', 'NINGBO_OFF'],
+  ['NINGBO_OFF', 'YANGTZE_OFF'],
+  ['YANGTZE_OFF', 'YELLOW_SEA_SOUTH'],
+  ['YANGTZE_OFF', 'KYUSHU_SOUTH'],
+  ['YANGTZE_OFF', 'KOREA_STRAIT'],
+  ['YELLOW_SEA_SOUTH', 'QINGDAO_OFF'],
+  ['YELLOW_SEA_SOUTH', 'KOREA_SOUTHWEST'],
+  ['QINGDAO_OFF', 'SHANDONG_EAST'],
+  ['SHANDONG_EAST', 'BOHAI_STRAIT'],
+  ['SHANDONG_EAST', 'INCHEON_OFF'],
+  ['BOHAI_STRAIT', 'BOHAI_WEST'],
+  ['INCHEON_OFF', 'KOREA_SOUTHWEST'],
+  ['KOREA_SOUTHWEST', 'KOREA_STRAIT'],
+  ['KOREA_STRAIT', 'KYUSHU_SOUTH'],
+  ['KOREA_STRAIT', 'SEA_OF_JAPAN'],
+  ['SEA_OF_JAPAN', 'TSUGARU_WEST'],
+  ['TSUGARU_WEST', 'TSUGARU_EAST'],
+  ['KYUSHU_SOUTH', 'SHIKOKU_SOUTH'],
+  ['SHIKOKU_SOUTH', 'KII_CHANNEL'],
+  ['KII_CHANNEL', 'ENSHU'],
+  ['ENSHU', 'URAGA'],
+  ['URAGA', 'NORTH_PACIFIC_WEST'],
+  ['URAGA', 'NORTH_PACIFIC_NORTH'],
+  ['TSUGARU_EAST', 'NORTH_PACIFIC_WEST'],
+  ['TSUGARU_EAST', 'NORTH_PACIFIC_NORTH'],
+  ['URAGA', 'HAWAII'],
+  ['PHILIPPINE_SEA', 'PNG_NORTH'],
+  ['PHILIPPINE_SEA', 'HAWAII'],
+  ['NORTH_PACIFIC_WEST', 'NORTH_PACIFIC_EAST'],
+  ['NORTH_PACIFIC_WEST', 'HAWAII'],
+  ['NORTH_PACIFIC_NORTH', 'NORTH_PACIFIC_EAST'],
+  ['NORTH_PACIFIC_NORTH', 'JUAN_DE_FUCA'],
+  ['NORTH_PACIFIC_EAST', 'JUAN_DE_FUCA'],
+  ['NORTH_PACIFIC_EAST', 'SAN_FRANCISCO_OFF'],
+  ['NORTH_PACIFIC_EAST', 'LOS_ANGELES_OFF'],
+  ['HAWAII', 'LOS_ANGELES_OFF'],
+  ['HAWAII', 'SAN_FRANCISCO_OFF'],
+  ['HAWAII', 'AZUERO_SOUTH'],
+  ['HAWAII', 'HAURAKI_OFF'],
+  ['JUAN_DE_FUCA', 'PUGET'],
+  ['JUAN_DE_FUCA', 'SAN_FRANCISCO_OFF'],
+  ['SAN_FRANCISCO_OFF', 'LOS_ANGELES_OFF'],
+  ['LOS_ANGELES_OFF', 'BAJA'],
+  ['BAJA', 'MEXICO_SOUTHWEST'],
+  ['MEXICO_SOUTHWEST', 'CENTRAL_AMERICA_OFF'],
+  ['CENTRAL_AMERICA_OFF', 'COSTA_RICA_OFF'],
+  ['COSTA_RICA_OFF', 'AZUERO_SOUTH'],
+  ['AZUERO_SOUTH', 'GULF_OF_PANAMA'],
+  ['AZUERO_SOUTH', 'ECUADOR_OFF'],
+  ['GULF_OF_PANAMA', 'COLOMBIA_PACIFIC'],
+  ['GULF_OF_PANAMA', 'PANAMA_ATLANTIC', 'panama_canal', 44],
+  ['COLOMBIA_PACIFIC', 'ECUADOR_OFF'],
+  ['ECUADOR_OFF', 'PERU_OFF'],
+  ['PERU_OFF', 'CHILE_NORTH'],
+  ['CHILE_NORTH', 'VALPARAISO_OFF'],
+  ['VALPARAISO_OFF', 'CHILE_SOUTH'],
+  ['CHILE_SOUTH', 'CAPE_HORN', 'cape_horn'],
+  ['CAPE_HORN', 'ATLANTIC_SOUTHWEST', 'cape_horn'],
+  ['ATLANTIC_SOUTHWEST', 'RIO_DE_LA_PLATA'],
+  ['RIO_DE_LA_PLATA', 'PLATA_INNER'],
+  ['RIO_DE_LA_PLATA', 'RIO_GRANDE_OFF'],
+  ['RIO_DE_LA_PLATA', 'CAPE_TOWN_OFF'],
+  ['RIO_GRANDE_OFF', 'SANTOS_OFF'],
+  ['SANTOS_OFF', 'CABO_FRIO'],
+  ['SANTOS_OFF', 'CAPE_TOWN_OFF'],
+  ['CABO_FRIO', 'BRAZIL_EAST'],
+  ['BRAZIL_EAST', 'CABO_SAO_ROQUE'],
+  ['CABO_SAO_ROQUE', 'AMAZON_OFF'],
+  ['CABO_SAO_ROQUE', 'DAKAR_OFF'],
+  ['CABO_SAO_ROQUE', 'HATTERAS_OFF'],
+  ['AMAZON_OFF', 'TOBAGO_OFF'],
+  ['TOBAGO_OFF', 'CARIBBEAN_CENTRAL'],
+  ['ANEGADA_PASSAGE', 'CARIBBEAN_CENTRAL'],
+  ['CARIBBEAN_CENTRAL', 'CARIBBEAN_SOUTHWEST'],
+  ['CARIBBEAN_CENTRAL', 'WINDWARD_PASSAGE'],
+  ['CARIBBEAN_SOUTHWEST', 'PANAMA_ATLANTIC'],
+  ['CARIBBEAN_SOUTHWEST', 'WINDWARD_PASSAGE'],
+  ['CARIBBEAN_SOUTHWEST', 'YUCATAN'],
+  ['YUCATAN', 'GULF_OF_MEXICO'],
+  ['YUCATAN', 'FLORIDA_STRAIT'],
+  ['GULF_OF_MEXICO', 'HOUSTON_OFF'],
+  ['GULF_OF_MEXICO', 'FLORIDA_STRAIT'],
+  ['FLORIDA_STRAIT', 'FLORIDA_EAST'],
+  ['FLORIDA_EAST', 'SAVANNAH_OFF'],
+  ['WINDWARD_PASSAGE', 'BAHAMAS_EAST'],
+  ['BAHAMAS_EAST', 'HATTERAS_OFF'],
+  ['BAHAMAS_EAST', 'AZORES_SOUTH'],
+  ['SAVANNAH_OFF', 'HATTERAS_OFF'],
+  ['HATTERAS_OFF', 'NORFOLK_OFF'],
+  ['HATTERAS_OFF', 'NEW_YORK_OFF'],
+  ['HATTERAS_OFF', 'AZORES_SOUTH'],
+  ['HATTERAS_OFF', 'NORTH_ATLANTIC_WEST'],
+  ['NORFOLK_OFF', 'NEW_YORK_OFF'],
+  ['NEW_YORK_OFF', 'NANTUCKET'],
+  ['NANTUCKET', 'NORTH_ATLANTIC_WEST'],
+  ['NANTUCKET', 'AZORES_SOUTH'],
+  ['ST_LAWRENCE_UPPER', 'ST_LAWRENCE_MID'],
+  ['ST_LAWRENCE_MID', 'HONGUEDO'],
+  ['HONGUEDO', 'CABOT_STRAIT'],
+  ['CABOT_STRAIT', 'NORTH_ATLANTIC_WEST'],
+  ['CABOT_STRAIT', 'NANTUCKET'],
+  ['NORTH_ATLANTIC_WEST', 'NORTH_ATLANTIC_EAST'],
+  ['NORTH_ATLANTIC_EAST', 'FINISTERRE'],
+  ['AZORES_SOUTH', 'ST_VINCENT'],
+  ['AZORES_SOUTH', 'ANEGADA_PASSAGE'],
+  ['AZORES_SOUTH', 'NORTH_ATLANTIC_EAST'],
+  ['ST_VINCENT', 'CANARY_CHANNEL'],
+  ['GIBRALTAR_WEST', 'CANARY_CHANNEL'],
+  ['CANARY_CHANNEL', 'ANEGADA_PASSAGE'],
+  ['CANARY_CHANNEL', 'CAPE_BLANC_OFF'],
+  ['CAPE_BLANC_OFF', 'DAKAR_OFF'],
+  ['DAKAR_OFF', 'SIERRA_LEONE_OFF'],
+  ['SIERRA_LEONE_OFF', 'CAPE_PALMAS_OFF'],
+  ['CAPE_PALMAS_OFF', 'GHANA_OFF'],
+  ['CAPE_PALMAS_OFF', 'GULF_OF_GUINEA_SOUTH'],
+  ['GHANA_OFF', 'LAGOS_OFF'],
+  ['LAGOS_OFF', 'GULF_OF_GUINEA_SOUTH'],
+  ['GULF_OF_GUINEA_SOUTH', 'ANGOLA_OFF'],
+  ['ANGOLA_OFF', 'NAMIBIA_OFF'],
+  ['NAMIBIA_OFF', 'CAPE_TOWN_OFF'],
+  ['CAPE_TOWN_OFF', 'DAKAR_OFF'],
+  ['CAPE_TOWN_OFF', 'AGULHAS', 'cape_of_good_hope'],
+  ['AGULHAS', 'DURBAN_OFF'],
+  ['AGULHAS', 'MADAGASCAR_SOUTH'],
+  ['DURBAN_OFF', 'MOZAMBIQUE_CHANNEL_SOUTH'],
+  ['DURBAN_OFF', 'MADAGASCAR_SOUTH'],
+  ['MOZAMBIQUE_CHANNEL_SOUTH', 'MOZAMBIQUE_CHANNEL'],
+  ['MOZAMBIQUE_CHANNEL', 'MOZAMBIQUE_NORTH'],
+  ['MOZAMBIQUE_NORTH', 'MOMBASA_OFF'],
+  ['MOMBASA_OFF', 'SOMALIA_OFF'],
+  ['SOMALIA_OFF', 'GUARDAFUI_EAST'],
+  ['MADAGASCAR_SOUTH', 'INDIAN_OCEAN_SOUTH'],
+  ['INDIAN_OCEAN_SOUTH', 'DONDRA'],
+  ['INDIAN_OCEAN_SOUTH', 'MALACCA_WEST'],
+  ['INDIAN_OCEAN_SOUTH', 'SUNDA_SOUTH'],
+  ['INDIAN_OCEAN_SOUTH', 'FREMANTLE_OFF'],
+  ['SUNDA_SOUTH', 'FREMANTLE_OFF'],
+  ['SUNDA_SOUTH', 'AGULHAS'],
+  ['LOMBOK_SOUTH', 'FREMANTLE_OFF'],
+  ['FREMANTLE_OFF', 'LEEUWIN'],
+  ['LEEUWIN', 'GREAT_AUSTRALIAN_BIGHT'],
+  ['GREAT_AUSTRALIAN_BIGHT', 'BASS_STRAIT_WEST'],
+  ['BASS_STRAIT_WEST', 'PORT_PHILLIP_OFF'],
+  ['PORT_PHILLIP_OFF', 'BASS_STRAIT_EAST'],
+  ['BASS_STRAIT_EAST', 'GABO'],
+  ['GABO', 'SYDNEY_OFF'],
+  ['SYDNEY_OFF', 'BRISBANE_OFF'],
+  ['SYDNEY_OFF', 'NEW_ZEALAND_NORTH'],
+  ['BRISBANE_OFF', 'JOMARD'],
+  ['JOMARD', 'ST_GEORGES_CHANNEL_PNG'],
+  ['ST_GEORGES_CHANNEL_PNG', 'PNG_NORTH'],
+  ['NEW_ZEALAND_NORTH', 'HAURAKI_OFF'],
+  ['NEW_ZEALAND_NORTH', 'JOMARD']
+];
+
+// Ошибка расчета маршрута с HTTP-статусом для маршрута API
+class SeaRouteError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = 'SeaRouteError';
+    this.statusCode = statusCode;
+  }
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Расстояние по дуге большого круга в морских милях
+function greatCircleDistanceNm(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_NM * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function inBox([latMin, latMax, lonMin, lonMax], latitude, longitude) {
+  return latitude >= latMin && latitude <= latMax && longitude >= lonMin && longitude <= lonMax;
+}
+
+// Зона ECA, в которой находится точка, или null
+function ecaZoneAt(latitude, longitude) {
+  for (const [zone, { boxes, exclude = [] }] of Object.entries(ECA_ZONES)) {
+    if (boxes.some(box => inBox(box, latitude, longitude)) && !exclude.some(box => inBox(box, latitude, longitude))) {
+      return zone;
+    }
+  }
+  return null;
+}
+
+// Доля участка в зоне ECA: 1 - оба конца в зоне, 0.5 - один, 0 - ни одного
+function ecaWeight(pointA, pointB) {
+  return ((ecaZoneAt(...pointA) ? 1 : 0) + (ecaZoneAt(...pointB) ? 1 : 0)) / 2;
+}
+
+// Списки смежности графа (строятся один раз)
+let adjacency = null;
+
+function getAdjacency() {
+  if (adjacency) {
+    return adjacency;
+  }
+  adjacency = new Map(Object.keys(SEA_NODES).map(id => [id, []]));
+  for (const [from, to, passage = null, fixedDistance = null] of SEA_EDGES) {
+    if (!SEA_NODES[from] || !SEA_NODES[to]) {
+      throw new Error(`Sea route edge ${from} - ${to} references an unknown node`);
+    }
+    const distance = fixedDistance ?? greatCircleDistanceNm(...SEA_NODES[from], ...SEA_NODES[to]);
+    adjacency.get(from).push({ to, distance, passage });
+    adjacency.get(to).push({ to: from, distance, passage });
+  }
+  return adjacency;
+}
+
+// Ближайший к точке узел графа
+function nearestNode(latitude, longitude) {
+  let nearest = null;
+  for (const [id, [lat, lon]] of Object.entries(SEA_NODES)) {
+    const distance = greatCircleDistanceNm(latitude, longitude, lat, lon);
+    if (!nearest || distance < nearest.distance) {
+      nearest = { id, distance };
+    }
+  }
+  return nearest;
+}
+
+function resolveRouting(routing = DEFAULT_ROUTING) {
+  const resolved = ROUTINGS[routing];
+  if (!resolved) {
+    throw new SeaRouteError(`Unknown routing '${routing}'. Available: ${Object.keys(ROUTINGS).join(', ')}`, 400);
+  }
+  return resolved;
+}
+
+// Кратчайшие расстояния от узла до всех узлов без исключенных проходов: { distances, previous }
+function shortestPathsFrom(startNode, avoid = []) {
+  const graph = getAdjacency();
+  const avoided = new Set(avoid);
+  const distances = new Map([[startNode, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+  while (true) {
+    let current = null;
+    for (const [node, distance] of distances) {
+      if (!visited.has(node) && (current === null || distance < distances.get(current))) {
+        current = node;
+      }
+    }
+    if (current === null) {
+      break;
+    }
+    visited.add(current);
+    for (const edge of graph.get(current)) {
+      if (edge.passage && avoided.has(edge.passage)) {
+        continue;
+      }
+      const candidate = distances.get(current) + edge.distance;
+      if (!distances.has(edge.to) || candidate < distances.get(edge.to)) {
+        distances.set(edge.to, candidate);
+        previous.set(edge.to, { node: current, passage: edge.passage });
+      }
+    }
+  }
+  return { distances, previous };
+}
+
+// Маршрут между точками по результату shortestPathsFrom: { distanceNm, ecaDistanceNm, passages, routeName, waypoints } или null
+function buildRoute(origin, destination, originNode, paths) {
+  const destinationNode = nearestNode(destination.latitude, destination.longitude);
+  const originPoint = [origin.latitude, origin.longitude];
+  const destinationPoint = [destination.latitude, destination.longitude];
+  if (originNode.id === destinationNode.id) {
+    const distanceNm = greatCircleDistanceNm(...originPoint, ...destinationPoint);
+    return {
+      distanceNm: Math.round(distanceNm),
+      ecaDistanceNm: Math.round(distanceNm * ecaWeight(originPoint, destinationPoint)),
+      passages: [],
+      routeName: 'Open sea',
+      waypoints: [originNode.id]
+    };
+  }
+  if (!paths.distances.has(destinationNode.id)) {
+    return null;
+  }
+  const waypoints = [destinationNode.id];
+  const passages = [];
+  let ecaDistanceNm = originNode.distance * ecaWeight(originPoint, SEA_NODES[originNode.id])
+    + destinationNode.distance * ecaWeight(SEA_NODES[destinationNode.id], destinationPoint);
+  for (let node = destinationNode.id; paths.previous.has(node); node = paths.previous.get(node).node) {
+    const step = paths.previous.get(node);
+    waypoints.unshift(step.node);
+    ecaDistanceNm += (paths.distances.get(node) - paths.distances.get(step.node)) * ecaWeight(SEA_NODES[step.node], SEA_NODES[node]);
+    if (step.passage && passages[0] !== step.passage) {
+      passages.unshift(step.passage);
+    }
+  }
+  return {
+    distanceNm: Math.round(originNode.distance + paths.distances.get(destinationNode.id) + destinationNode.distance),
+    ecaDistanceNm: Math.round(ecaDistanceNm),
+    passages,
+    routeName: passages.length > 0 ? passages.map(passage => SEA_PASSAGES[passage]).join(' - ') : 'Open sea',
+    waypoints
+  };
+}
+
+// Морской маршрут между точками { latitude, longitude } для варианта маршрута или null, если маршрута нет.
+// extraAvoid - дополнительно исключаемые проходы (например, закрытые на дату расчета).
+function findSeaRoute(origin, destination, routing = DEFAULT_ROUTING, extraAvoid = []) {
+  const { avoid } = resolveRouting(routing);
+  const originNode = nearestNode(origin.latitude, origin.longitude);
+  return buildRoute(origin, destination, originNode, shortestPathsFrom(originNode.id, [...avoid, ...extraAvoid]));
+}
+
+// Таблица кеша расстояний (вызывается из initializeDatabaseTables)
+async function initializeSeaRouteTables(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS port_distances (
+      id SERIAL PRIMARY KEY,
+      origin_port_id INTEGER NOT NULL,
+      destination_port_id INTEGER NOT NULL,
+      distance NUMERIC NOT NULL,
+      route_type VARCHAR(50) DEFAULT 'sea',
+      created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      UNIQUE(origin_port_id, destination_port_id, route_type),
+      FOREIGN KEY (origin_port_id) REFERENCES ports(id),
+      FOREIGN KEY (destination_port_id) REFERENCES ports(id)
+    );
+  `);
+  await client.query('ALTER TABLE port_distances ADD COLUMN IF NOT EXISTS route_name VARCHAR(255);');
+  await client.query('ALTER TABLE port_distances ADD COLUMN IF NOT EXISTS passages JSONB;');
+  await client.query('ALTER TABLE port_distances ADD COLUMN IF NOT EXISTS graph_version INTEGER;');
+  await client.query('ALTER TABLE port_distances ADD COLUMN IF NOT EXISTS eca_distance NUMERIC;');
+}
+
+function formatDistanceRow(row) {
+  return {
+    routing: row.route_type,
+    distanceNm: parseFloat(row.distance),
+    ecaDistanceNm: parseFloat(row.eca_distance) || 0,
+    routeName: row.route_name,
+    passages: row.passages || []
+  };
+}
+
+async function saveRoute(client, originPortId, destinationPortId, routing, route) {
+  await client.query(`
+    INSERT INTO port_distances (origin_port_id, destination_port_id, distance, eca_distance, route_type, route_name, passages, graph_version)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (origin_port_id, destination_port_id, route_type) DO UPDATE SET
+      distance = EXCLUDED.distance, eca_distance = EXCLUDED.eca_distance, route_name = EXCLUDED.route_name, passages = EXCLUDED.passages,
+      graph_version = EXCLUDED.graph_version, created_at = NOW();
+  `, [originPortId, destinationPortId, route.distanceNm, route.ecaDistanceNm, routing, route.routeName, JSON.stringify(route.passages), SEA_ROUTE_GRAPH_VERSION]);
+}
+
+// Расстояние между портами для варианта маршрута: { routing, distanceNm, ecaDistanceNm, routeName, passages }.
+// Берется из port_distances, если рассчитано текущей версией графа, иначе рассчитывается и сохраняется.
+// options.avoid - дополнительно исключаемые проходы; такой маршрут рассчитывается без кеша.
+// SeaRouteError: 400 - неизвестный вариант, 404 - порт не найден, 422 - нет координат или маршрута.
+async function getPortDistance(client, originPortId, destinationPortId, routing = DEFAULT_ROUTING, options = {}) {
+  resolveRouting(routing);
+  const extraAvoid = options.avoid || [];
+  if (extraAvoid.length === 0) {
+    const cached = await client.query(
+      'SELECT * FROM port_distances WHERE origin_port_id = $1 AND destination_port_id = $2 AND route_type = $3 AND graph_version = $4',
+      [originPortId, destinationPortId, routing, SEA_ROUTE_GRAPH_VERSION]
+    );
+    if (cached.rows.length > 0) {
+      return formatDistanceRow(cached.rows[0]);
+    }
+  }
+
+  const portsResult = await client.query('SELECT id, name, latitude, longitude FROM ports WHERE id = ANY($1)', [[originPortId, destinationPortId]]);
+  const ports = [originPortId, destinationPortId].map(id => portsResult.rows.find(port => String(port.id) === String(id)));
+  ports.forEach((port, index) => {
+    if (!port) {
+      throw new SeaRouteError(`Port ${[originPortId, destinationPortId][index]} not found`, 404);
+    }
+    if (port.latitude === null || port.longitude === null) {
+      throw new SeaRouteError(`Port ${port.name} has no coordinates`, 422);
+    }
+  });
+  const [origin, destination] = ports.map(port => ({ latitude: parseFloat(port.latitude), longitude: parseFloat(port.longitude) }));
+  const route = findSeaRoute(origin, destination, routing, extraAvoid);
+  if (!route) {
+    const avoided = extraAvoid.length > 0 ? ` avoiding ${extraAvoid.map(passage => SEA_PASSAGES[passage] || passage).join(', ')}` : '';
+    throw new SeaRouteError(`No sea route from ${ports[0].name} to ${ports[1].name} with routing '${routing}'${avoided}`, 422);
+  }
+  if (extraAvoid.length === 0) {
+    await saveRoute(client, originPortId, destinationPortId, routing, route);
+  }
+  return { routing, distanceNm: route.distanceNm, ecaDistanceNm: route.ecaDistanceNm, routeName: route.routeName, passages: route.passages };
+}
+
+// Маршрут между портами по всем вариантам (для сравнения, например Суэц и мыс Доброй Надежды).
+// Варианты без маршрута возвращаются с error.
+async function compareSeaRoutes(client, originPortId, destinationPortId) {
+  const routes = [];
+  for (const routing of Object.keys(ROUTINGS)) {
+    try {
+      routes.push({ ...await getPortDistance(client, originPortId, destinationPortId, routing), label: ROUTINGS[routing].label });
+    } catch (error) {
+      if (!(error instanceof SeaRouteError) || error.statusCode === 404) throw error;
+      routes.push({ routing, label: ROUTINGS[routing].label, error: error.message });
+    }
+  }
+  return routes;
+}
+
+// Пересчет port_distances для всех пар портов с координатами (вариант маршрута routing).
+// Возвращает { ports, routes, unreachable }.
+async function rebuildPortDistances(client, routing = DEFAULT_ROUTING) {
+  const { avoid } = resolveRouting(routing);
+  const portsResult = await client.query('SELECT id, latitude, longitude FROM ports WHERE latitude IS NOT NULL AND longitude IS NOT NULL ORDER BY id');
+  const ports = portsResult.rows.map(port => ({ id: port.id, latitude: parseFloat(port.latitude), longitude: parseFloat(port.longitude) }));
+  let routes = 0;
+  let unreachable = 0;
+  for (const origin of ports) {
+    const originNode = nearestNode(origin.latitude, origin.longitude);
+    const paths = shortestPathsFrom(originNode.id, avoid);
+    const batch = { destinations: [], distances: [], ecaDistances: [], names: [], passages: [] };
+    for (const destination of ports) {
+      if (destination.id === origin.id) continue;
+      const route = buildRoute(origin, destination, originNode, paths);
+      if (!route) {
+        unreachable++;
+        continue;
+      }
+      batch.destinations.push(destination.id);
+      batch.distances.push(route.distanceNm);
+      batch.ecaDistances.push(route.ecaDistanceNm);
+      batch.names.push(route.routeName);
+      batch.passages.push(JSON.stringify(route.passages));
+    }
+    if (batch.destinations.length === 0) continue;
+    await client.query(`
+      INSERT INTO port_distances (origin_port_id, destination_port_id, distance, eca_distance, route_type, route_name, passages, graph_version)
+      SELECT $1, destination_id, distance, eca_distance, $2, route_name, passages::jsonb, $3
+      FROM unnest($4::int[], $5::numeric[], $6::numeric[], $7::text[], $8::text[]) AS t(destination_id, distance, eca_distance, route_name, passages)
+      ON CONFLICT (origin_port_id, destination_port_id, route_type) DO UPDATE SET
+        distance = EXCLUDED.distance, eca_distance = EXCLUDED.eca_distance, route_name = EXCLUDED.route_name, passages = EXCLUDED.passages,
+        graph_version = EXCLUDED.graph_version, created_at = NOW();
+    `, [origin.id, routing, SEA_ROUTE_GRAPH_VERSION, batch.destinations, batch.distances, batch.ecaDistances, batch.names, batch.passages]);
+    routes += batch.destinations.length;
+  }
+  return { ports: ports.length, routes, unreachable };
+}
+
+export {
+  SEA_ROUTE_GRAPH_VERSION,
+  SEA_PASSAGES,
+  ECA_ZONES,
+  ROUTINGS,
+  DEFAULT_ROUTING,
+  SEA_NODES,
+  SEA_EDGES,
+  SeaRouteError,
+  greatCircleDistanceNm,
+  ecaZoneAt,
+  findSeaRoute,
+  initializeSeaRouteTables,
+  getPortDistance,
+  compareSeaRoutes,
+  rebuildPortDistances
+};
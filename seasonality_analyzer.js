@@ -1,9 +1,19 @@
 // Модуль для анализа сезонности и работы с историческими данными фрахтовых ставок
-// Версия с исправленными экспортами и переименованной функцией
+// Сезонные факторы направления (пара регионов) рассчитываются декомпозицией помесячных рядов (time_series.js):
+//   - индексы по маршрутам направления (index_lane_values / базовое значение маршрута)
+//   - фактические ставки historical_rates (без синтетических данных и собственных котировок модели), нормированные по типу контейнера
+// Факторы рядов объединяются с весами, обратными дисперсии, и сохраняются в seasonality_factors
+// вместе с 95% доверительным интервалом. Направления без достаточной истории не получают факторов
+// (fetchSeasonalityFactor использует средние по региону отправления или по всем направлениям).
+// Праздники с плавающей датой (holiday_calendar.js) учитываются отдельно: эффект недели относительно праздника
+// сохраняется в holiday_effects и применяется к дате отправки поверх помесячного фактора (fetchSeasonalityForDate);
+// помесячные факторы оцениваются по ряду без эффектов праздников, чтобы праздник не учитывался дважды.
 
 // Импорт необходимых модулей ES Module
 import { Pool } from 'pg';
 import dotenv from 'dotenv';
+import { Z_95, combineSeasonalEstimates } from './time_series.js';
+import { holidaysForLane, findHolidayWindows, decomposeWithHolidays, combineHolidayEffects } from './holiday_calendar.js';
 
 // Загрузка переменных окружения
 dotenv.config();
@@ -17,6 +27,16 @@ const pool = new Pool({
   }
 });
 
+// Ширина половины интервала (доля фактора), при которой уверенность в факторе равна 0
+const ZERO_CONFIDENCE_HALF_WIDTH = 0.15;
+
+// Источник строк historical_rates, скопированных из calculation_history (котировки самой модели)
+const CALCULATION_HISTORY_SOURCE = 'calculation_history';
+
+// Источники истории, исключаемые из анализа и бэктеста: синтетические данные и котировки модели
+// (сезонность и оценка точности строятся только по наблюдаемым рыночным ставкам)
+const EXCLUDED_HISTORY_SOURCES = ['synthetic', CALCULATION_HISTORY_SOURCE];
+
 // Функция инициализации таблиц для сезонности
 async function initializeSeasonalityTables() {
   const client = await pool.connect();
@@ -50,6 +70,27 @@ async function initializeSeasonalityTables() {
         UNIQUE(origin_region, destination_region, month)
       )
     `);
+    // Доверительный интервал и происхождение фактора (столбцы для таблиц, созданных до декомпозиции)
+    await client.query('ALTER TABLE seasonality_factors ADD COLUMN IF NOT EXISTS factor_lower NUMERIC');
+    await client.query('ALTER TABLE seasonality_factors ADD COLUMN IF NOT EXISTS factor_upper NUMERIC');
+    await client.query('ALTER TABLE seasonality_factors ADD COLUMN IF NOT EXISTS observations INTEGER');
+    await client.query('ALTER TABLE seasonality_factors ADD COLUMN IF NOT EXISTS series_sources TEXT');
+    // Эффекты недель относительно праздников (week_offset 0 - неделя начала праздника)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS holiday_effects (
+        id SERIAL PRIMARY KEY,
+        origin_region VARCHAR(50) NOT NULL,
+        destination_region VARCHAR(50) NOT NULL,
+        holiday VARCHAR(30) NOT NULL,
+        week_offset INTEGER NOT NULL,
+        factor NUMERIC NOT NULL,
+        factor_lower NUMERIC NOT NULL,
+        factor_upper NUMERIC NOT NULL,
+        occurrences INTEGER NOT NULL,
+        last_updated TIMESTAMP NOT NULL DEFAULT NOW(),
+        UNIQUE(origin_region, destination_region, holiday, week_offset)
+      )
+    `);
     await client.query('COMMIT');
     console.log('Seasonality tables initialized successfully');
   } catch (error) {
@@ -83,7 +124,9 @@ async function importHistoricalRates() {
   }
 }
 
-// Вспомогательная функция импорта из calculation_history
+// Вспомогательная функция импорта из calculation_history.
+// Строки помечаются источником CALCULATION_HISTORY_SOURCE и не используются в анализе сезонности и в бэктесте.
+// Строки прежних импортов (номера портов вместо кодов, источник - первый индекс котировки) удаляются и импортируются заново.
 async function importHistoricalDataFromCalculationHistory() {
   const client = await pool.connect();
   try {
@@ -105,7 +148,6 @@ async function importHistoricalDataFromCalculationHistory() {
     const hasContainerType = columns.includes('container_type');
     const hasRate = columns.includes('rate');
     const hasCreatedAt = columns.includes('created_at');
-    const hasSources = columns.includes('sources');
 
     if ((!hasOriginPort && !hasOriginPortId) || (!hasDestinationPort && !hasDestinationPortId) || !hasContainerType || !hasRate || !hasCreatedAt) {
       console.log('Table calculation_history does not have required columns, skipping import');
@@ -113,17 +155,22 @@ async function importHistoricalDataFromCalculationHistory() {
     }
 
     await client.query('BEGIN');
+    const legacyResult = await client.query(`
+      DELETE FROM historical_rates
+      WHERE origin_port ~ '^[0-9]+$' AND (source IS NULL OR NOT (source = ANY($1)))
+    `, [EXCLUDED_HISTORY_SOURCES]);
+    if (legacyResult.rowCount > 0) {
+      console.log(`Removed ${legacyResult.rowCount} historical rates previously imported from calculation_history without source tag`);
+    }
     const originField = hasOriginPortId ? 'origin_port_id' : 'origin_port';
     const destinationField = hasDestinationPortId ? 'destination_port_id' : 'destination_port';
-    const sourcesField = hasSources ? 'sources' : 'NULL::jsonb';
     const historyQuery = `
       SELECT
         ${originField} as origin_port,
         ${destinationField} as destination_port,
         container_type,
         rate,
-        created_at,
-        ${sourcesField} as sources
+        created_at
       FROM calculation_history
       WHERE rate IS NOT NULL AND rate > 0 AND container_type IS NOT NULL AND created_at IS NOT NULL
       ORDER BY created_at
@@ -140,19 +187,6 @@ async function importHistoricalDataFromCalculationHistory() {
       const originRegion = portRegions[record.origin_port] || 'Unknown';
       const destinationRegion = portRegions[record.destination_port] || 'Unknown';
       const date = new Date(record.created_at).toISOString().split('T')[0];
-      let source = 'unknown';
-      try {
-          if (record.sources) {
-              const parsedSources = typeof record.sources === 'string' ? JSON.parse(record.sources) : record.sources;
-              if (Array.isArray(parsedSources) && parsedSources.length > 0) {
-                  source = parsedSources[0];
-              } else if (typeof parsedSources === 'string') {
-                  source = parsedSources;
-              }
-          }
-      } catch (parseError) {
-          console.warn(`Failed to parse sources for record: ${parseError.message}`);
-      }
       try {
           const insertResult = await client.query(
             `INSERT INTO historical_rates
@@ -162,7 +196,7 @@ async function importHistoricalDataFromCalculationHistory() {
              DO NOTHING`,
             [
               record.origin_port, record.destination_port, originRegion, destinationRegion,
-              record.container_type, record.rate, date, source
+              record.container_type, record.rate, date, CALCULATION_HISTORY_SOURCE
             ]
           );
           if (insertResult.rowCount > 0) importedCount++;
@@ -276,71 +310,130 @@ function getSeasonalFactorForMonth(month) {
   return seasonalFactors[month] || 1.0;
 }
 
-// Функция анализа сезонности
+// Понедельный ряд индексов по маршрутам направления: среднее отношение значения маршрута к его базе
+async function loadLaneIndexSeries(client, originRegion, destinationRegion) {
+  const result = await client.query(`
+    SELECT to_char(date_trunc('week', v.observed_at), 'YYYY-MM-DD') AS date, AVG(v.value / r.baseline_value) AS value
+    FROM index_lane_values v
+    JOIN index_lane_routes r ON r.index_name = v.index_name AND r.route = v.route
+    WHERE r.origin_region = $1 AND r.destination_region = $2 AND r.baseline_value > 0
+    GROUP BY 1
+    ORDER BY 1
+  `, [originRegion, destinationRegion]);
+  return result.rows.map(row => ({ date: row.date, value: parseFloat(row.value) }));
+}
+
+// Понедельный ряд фактических ставок направления: ставка / средняя ставка того же типа контейнера
+async function loadHistoricalRateSeries(client, originRegion, destinationRegion) {
+  const result = await client.query(`
+    SELECT to_char(date_trunc('week', date), 'YYYY-MM-DD') AS date, AVG(rate / type_avg) AS value
+    FROM (
+      SELECT date, rate, AVG(rate) OVER (PARTITION BY container_type) AS type_avg
+      FROM historical_rates
+      WHERE origin_region = $1 AND destination_region = $2 AND rate > 0
+        AND (source IS NULL OR NOT (source = ANY($3)))
+    ) rates
+    GROUP BY 1
+    ORDER BY 1
+  `, [originRegion, destinationRegion, EXCLUDED_HISTORY_SOURCES]);
+  return result.rows.map(row => ({ date: row.date, value: parseFloat(row.value) }));
+}
+
+// Уверенность 0-1 по ширине интервала: интервал ±0% - 1, ±ZERO_CONFIDENCE_HALF_WIDTH и шире - 0
+function intervalConfidence(factor, lower, upper) {
+  const halfWidth = (upper - lower) / (2 * factor);
+  return Math.max(0, Math.min(1, 1 - halfWidth / ZERO_CONFIDENCE_HALF_WIDTH));
+}
+
+// Сезонные факторы и эффекты праздников направления по всем рядам:
+// { seasonal, holidayEffects: { [holiday]: [...] }, sources } или null, если ни один ряд не разложен.
+// occurrences - все даты праздников [{ holiday, start_date, end_date }].
+async function analyzeLaneSeasonality(client, originRegion, destinationRegion, occurrences = []) {
+  const series = {
+    lane_index: await loadLaneIndexSeries(client, originRegion, destinationRegion),
+    historical_rates: await loadHistoricalRateSeries(client, originRegion, destinationRegion)
+  };
+  const holidays = holidaysForLane(originRegion, destinationRegion);
+  const estimates = [];
+  const holidayEstimates = Object.fromEntries(holidays.map(holiday => [holiday, []]));
+  const sources = [];
+  for (const [source, points] of Object.entries(series)) {
+    // Помесячные факторы - по ряду без эффектов праздников (holiday_calendar.js decomposeWithHolidays)
+    const analysis = decomposeWithHolidays(points, occurrences, holidays);
+    if (!analysis) continue;
+    estimates.push(analysis.decomposition.seasonal);
+    sources.push(source);
+    for (const [holiday, effects] of Object.entries(analysis.holidayEffects)) {
+      holidayEstimates[holiday].push(effects);
+    }
+  }
+  if (estimates.length === 0) {
+    return null;
+  }
+  const holidayEffects = {};
+  for (const [holiday, holidayEstimate] of Object.entries(holidayEstimates)) {
+    if (holidayEstimate.length > 0) holidayEffects[holiday] = combineHolidayEffects(holidayEstimate);
+  }
+  return { seasonal: combineSeasonalEstimates(estimates), holidayEffects, sources };
+}
+
+// Функция анализа сезонности: факторы пересчитываются полностью для всех направлений с историей
 async function analyzeSeasonality() {
   const client = await pool.connect();
   try {
     console.log('Analyzing seasonality patterns...');
     const regionsQuery = `
-      SELECT DISTINCT origin_region, destination_region
-      FROM historical_rates
+      SELECT origin_region, destination_region FROM historical_rates
       WHERE origin_region IS NOT NULL AND origin_region <> 'Unknown'
         AND destination_region IS NOT NULL AND destination_region <> 'Unknown'
+        AND (source IS NULL OR NOT (source = ANY($1)))
+      UNION
+      SELECT origin_region, destination_region FROM index_lane_routes
+      WHERE origin_region IS NOT NULL AND destination_region IS NOT NULL
     `;
-    const regionsResult = await client.query(regionsQuery);
-    if (regionsResult.rows.length === 0) {
-      console.log('No valid region pairs found for seasonality analysis.');
-      return;
-    }
+    const regionsResult = await client.query(regionsQuery, [EXCLUDED_HISTORY_SOURCES]);
+    const occurrencesResult = await client.query(`
+      SELECT holiday, to_char(start_date, 'YYYY-MM-DD') AS start_date, to_char(end_date, 'YYYY-MM-DD') AS end_date FROM holiday_dates
+    `);
     await client.query('BEGIN');
+    await client.query('DELETE FROM seasonality_factors');
+    await client.query('DELETE FROM holiday_effects');
     let factorsUpdated = 0;
-    for (const regionPair of regionsResult.rows) {
-      const originRegion = regionPair.origin_region;
-      const destinationRegion = regionPair.destination_region;
-      try {
-        const avgRateQuery = `SELECT AVG(rate) as overall_avg FROM historical_rates WHERE origin_region = $1 AND destination_region = $2`;
-        const avgRateResult = await client.query(avgRateQuery, [originRegion, destinationRegion]);
-        const overallAvgRate = parseFloat(avgRateResult.rows[0]?.overall_avg);
-        if (isNaN(overallAvgRate) || overallAvgRate <= 0) {
-            console.log(`Skipping ${originRegion} -> ${destinationRegion}: Invalid overall average rate (${overallAvgRate}).`);
-            continue;
-        }
-        for (let month = 1; month <= 12; month++) {
-          try {
-            const monthAvgQuery = `
-              SELECT AVG(rate) as monthly_avg, COUNT(*) as data_points
-              FROM historical_rates
-              WHERE origin_region = $1 AND destination_region = $2 AND EXTRACT(MONTH FROM date) = $3
-            `;
-            const monthAvgResult = await client.query(monthAvgQuery, [originRegion, destinationRegion, month]);
-            const monthlyAvgRate = parseFloat(monthAvgResult.rows[0]?.monthly_avg);
-            const dataPoints = parseInt(monthAvgResult.rows[0]?.data_points);
-            let seasonalityFactor = 1.0;
-            let confidence = 0;
-            if (!isNaN(monthlyAvgRate) && monthlyAvgRate > 0 && dataPoints > 2) {
-              seasonalityFactor = monthlyAvgRate / overallAvgRate;
-              confidence = Math.min(1, dataPoints / 10.0);
-            }
-            const upsertQuery = `
-              INSERT INTO seasonality_factors (origin_region, destination_region, month, seasonality_factor, confidence, last_updated)
-              VALUES ($1, $2, $3, $4, $5, NOW())
-              ON CONFLICT (origin_region, destination_region, month) DO UPDATE SET
-                seasonality_factor = EXCLUDED.seasonality_factor,
-                confidence = EXCLUDED.confidence,
-                last_updated = NOW()
-            `;
-            const upsertResult = await client.query(upsertQuery, [originRegion, destinationRegion, month, seasonalityFactor, confidence]);
-            if (upsertResult.rowCount > 0) factorsUpdated++;
-          } catch (monthError) {
-            console.error(`Error analyzing month ${month} for ${originRegion} -> ${destinationRegion}:`, monthError);
-          }
+    let effectsUpdated = 0;
+    for (const { origin_region: originRegion, destination_region: destinationRegion } of regionsResult.rows) {
+      const analysis = await analyzeLaneSeasonality(client, originRegion, destinationRegion, occurrencesResult.rows);
+      if (!analysis) {
+        console.log(`Skipping ${originRegion} -> ${destinationRegion}: not enough monthly history for decomposition.`);
+        continue;
+      }
+      for (const estimate of analysis.seasonal) {
+        await client.query(`
+          INSERT INTO seasonality_factors
+            (origin_region, destination_region, month, seasonality_factor, confidence, factor_lower, factor_upper, observations, series_sources, last_updated)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+        `, [
+          originRegion, destinationRegion, estimate.month,
+          estimate.factor.toFixed(4), intervalConfidence(estimate.factor, estimate.lower, estimate.upper).toFixed(2),
+          estimate.lower.toFixed(4), estimate.upper.toFixed(4), estimate.observations, analysis.sources.join(',')
+        ]);
+        factorsUpdated++;
+      }
+      for (const [holiday, effects] of Object.entries(analysis.holidayEffects)) {
+        for (const effect of effects) {
+          await client.query(`
+            INSERT INTO holiday_effects
+              (origin_region, destination_region, holiday, week_offset, factor, factor_lower, factor_upper, occurrences, last_updated)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+          `, [
+            originRegion, destinationRegion, holiday, effect.weekOffset,
+            effect.factor.toFixed(4), effect.lower.toFixed(4), effect.upper.toFixed(4), effect.occurrences
+          ]);
+          effectsUpdated++;
         }
-      } catch (pairError) {
-        console.error(`Error analyzing region pair ${originRegion} -> ${destinationRegion}:`, pairError);
       }
     }
     await client.query('COMMIT');
-    console.log(`Seasonality analysis completed. Updated/inserted ${factorsUpdated} factors.`);
+    console.log(`Seasonality analysis completed. Updated/inserted ${factorsUpdated} factors and ${effectsUpdated} holiday week effects.`);
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Error analyzing seasonality:', error);
@@ -349,36 +442,115 @@ async function analyzeSeasonality() {
   }
 }
 
-// Функция получения фактора сезонности (переименована)
+function formatSeasonality(row, source, confidenceScale = 1) {
+  const lower = parseFloat(row.factor_lower);
+  const upper = parseFloat(row.factor_upper);
+  return {
+    factor: parseFloat(row.seasonality_factor),
+    confidence: parseFloat(row.confidence) * confidenceScale,
+    interval: isNaN(lower) || isNaN(upper) ? null : { lower, upper },
+    source
+  };
+}
+
+// Функция получения фактора сезонности: { factor, confidence, interval: { lower, upper } | null, source }.
+// source: lane (направление), origin_average (среднее по региону отправления), global_average, default (нет данных).
 async function fetchSeasonalityFactor(originRegion, destinationRegion, month) {
   try {
-    const query = `SELECT seasonality_factor, confidence FROM seasonality_factors WHERE origin_region = $1 AND destination_region = $2 AND month = $3`;
+    const query = `SELECT seasonality_factor, confidence, factor_lower, factor_upper FROM seasonality_factors WHERE origin_region = $1 AND destination_region = $2 AND month = $3`;
     const result = await pool.query(query, [originRegion, destinationRegion, month]);
     if (result.rows.length > 0) {
-      return { factor: parseFloat(result.rows[0].seasonality_factor), confidence: parseFloat(result.rows[0].confidence) };
+      return formatSeasonality(result.rows[0], 'lane');
     } else {
       // Fallback 1: Average for origin region
-      const originAvgQuery = `SELECT AVG(seasonality_factor) as avg_factor, AVG(confidence) as avg_confidence FROM seasonality_factors WHERE origin_region = $1 AND month = $2`;
+      const originAvgQuery = `
+        SELECT AVG(seasonality_factor) as seasonality_factor, AVG(confidence) as confidence, AVG(factor_lower) as factor_lower, AVG(factor_upper) as factor_upper
+        FROM seasonality_factors WHERE origin_region = $1 AND month = $2`;
       const originAvgResult = await pool.query(originAvgQuery, [originRegion, month]);
-      if (originAvgResult.rows.length > 0 && originAvgResult.rows[0].avg_factor !== null) {
+      if (originAvgResult.rows.length > 0 && originAvgResult.rows[0].seasonality_factor !== null) {
           console.log(`Seasonality fallback: Using average for origin region ${originRegion}, month ${month}`);
-          return { factor: parseFloat(originAvgResult.rows[0].avg_factor), confidence: parseFloat(originAvgResult.rows[0].avg_confidence) * 0.5 };
+          return formatSeasonality(originAvgResult.rows[0], 'origin_average', 0.5);
       }
       // Fallback 2: Global average for month
-      const globalAvgQuery = `SELECT AVG(seasonality_factor) as avg_factor, AVG(confidence) as avg_confidence FROM seasonality_factors WHERE month = $1`;
+      const globalAvgQuery = `
+        SELECT AVG(seasonality_factor) as seasonality_factor, AVG(confidence) as confidence, AVG(factor_lower) as factor_lower, AVG(factor_upper) as factor_upper
+        FROM seasonality_factors WHERE month = $1`;
       const globalAvgResult = await pool.query(globalAvgQuery, [month]);
-      if (globalAvgResult.rows.length > 0 && globalAvgResult.rows[0].avg_factor !== null) {
+      if (globalAvgResult.rows.length > 0 && globalAvgResult.rows[0].seasonality_factor !== null) {
           console.log(`Seasonality fallback: Using global average for month ${month}`);
-          return { factor: parseFloat(globalAvgResult.rows[0].avg_factor), confidence: parseFloat(globalAvgResult.rows[0].avg_confidence) * 0.2 };
+          return formatSeasonality(globalAvgResult.rows[0], 'global_average', 0.2);
       }
       // Final fallback
       console.log(`Seasonality fallback: No data found for ${originRegion} -> ${destinationRegion}, month ${month}. Using default 1.0.`);
-      return { factor: 1.0, confidence: 0 };
+      return { factor: 1.0, confidence: 0, interval: null, source: 'default' };
     }
   } catch (error) {
     console.error('Error getting seasonality factor:', error);
-    return { factor: 1.0, confidence: 0 }; // Default on error
+    return { factor: 1.0, confidence: 0, interval: null, source: 'default' }; // Default on error
+  }
+}
+
+// Эффект недели праздника для направления (или среднее по региону отправления): { factor, lower, upper } или null
+async function fetchHolidayEffect(originRegion, destinationRegion, holiday, weekOffset) {
+  const laneResult = await pool.query(
+    'SELECT factor, factor_lower, factor_upper FROM holiday_effects WHERE origin_region = $1 AND destination_region = $2 AND holiday = $3 AND week_offset = $4',
+    [originRegion, destinationRegion, holiday, weekOffset]
+  );
+  const originResult = laneResult.rows.length > 0 ? laneResult : await pool.query(
+    'SELECT AVG(factor) AS factor, AVG(factor_lower) AS factor_lower, AVG(factor_upper) AS factor_upper FROM holiday_effects WHERE origin_region = $1 AND holiday = $2 AND week_offset = $3',
+    [originRegion, holiday, weekOffset]
+  );
+  const row = originResult.rows[0];
+  if (!row || row.factor === null) {
+    return null;
+  }
+  return { factor: parseFloat(row.factor), lower: parseFloat(row.factor_lower), upper: parseFloat(row.factor_upper) };
+}
+
+// Логарифмическая ошибка по 95% интервалу
+function intervalLogStdError(factor, interval) {
+  return interval ? (Math.log(interval.upper) - Math.log(interval.lower)) / (2 * Z_95) : 0;
+}
+
+// Фактор сезонности для даты отправки: помесячный фактор * эффекты праздников, в окно которых попадает дата.
+// Возвращает { factor, confidence, interval, source, month, holidays: [{ holiday, label, startDate, weekOffset, factor, interval }] }.
+async function fetchSeasonalityForDate(originRegion, destinationRegion, date = new Date()) {
+  const month = date.getMonth() + 1;
+  const monthly = await fetchSeasonalityFactor(originRegion, destinationRegion, month);
+  let holidays = [];
+  try {
+    const windows = await findHolidayWindows(pool, holidaysForLane(originRegion, destinationRegion), date);
+    for (const window of windows) {
+      const effect = await fetchHolidayEffect(originRegion, destinationRegion, window.holiday, window.weekOffset);
+      if (effect) {
+        holidays.push({ ...window, factor: effect.factor, interval: { lower: effect.lower, upper: effect.upper } });
+      }
+    }
+  } catch (error) {
+    console.error('Error getting holiday effects:', error);
+    holidays = [];
   }
+  if (holidays.length === 0) {
+    return { ...monthly, month, holidays };
+  }
+  // Ошибки помесячного фактора и эффектов складываются в логарифмах
+  let factor = monthly.factor;
+  let variance = intervalLogStdError(monthly.factor, monthly.interval) ** 2;
+  let confidence = monthly.confidence;
+  for (const holiday of holidays) {
+    factor *= holiday.factor;
+    variance += intervalLogStdError(holiday.factor, holiday.interval) ** 2;
+    confidence *= intervalConfidence(holiday.factor, holiday.interval.lower, holiday.interval.upper);
+  }
+  const halfWidth = Z_95 * Math.sqrt(variance);
+  return {
+    ...monthly,
+    factor,
+    confidence,
+    interval: monthly.interval ? { lower: factor * Math.exp(-halfWidth), upper: factor * Math.exp(halfWidth) } : null,
+    month,
+    holidays
+  };
 }
 
 // Основная функция инициализации и обновления данных сезонности
@@ -426,8 +598,12 @@ test();
 // Финальный, чистый экспортный блок
 // Экспортируем только ОДИН раз
 export {
+  CALCULATION_HISTORY_SOURCE,
+  EXCLUDED_HISTORY_SOURCES,
   initializeSeasonalityTables,
   initializeAndUpdateSeasonalityData, // Экспортируется здесь
-  fetchSeasonalityFactor
+  analyzeLaneSeasonality,
+  fetchSeasonalityFactor,
+  fetchSeasonalityForDate
 };
 
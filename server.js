@@ -12,8 +12,28 @@ import xlsx from 'xlsx'; // Для чтения Excel
 import fs from 'fs'; // Импортируем модуль fs для чтения файла
 
 // Импорт модулей анализа и расчета
-import { initializeAndUpdateSeasonalityData, initializeSeasonalityTables, fetchSeasonalityFactor } from './seasonality_analyzer.js';
+import { initializeAndUpdateSeasonalityData, initializeSeasonalityTables } from './seasonality_analyzer.js';
 import { calculateFreightRate, saveRequestToHistory } from './freight_calculator_enhanced.js';
+import { buildQuoteBreakdown, toPublicQuote } from './quote_breakdown.js';
+import { initializeAuthTables, ensureBootstrapAdmin, login, logout, extractBearerToken, createAuthenticate, requireRole, hashPassword, ROLES } from './auth.js';
+import { initializeAuditTables, recordAuditEntry, listAuditEntries, revertAuditEntry, AUDITED_ENTITIES, AuditRevertError } from './audit_log.js';
+import { initializeIndexHistoryTables, recordIndexValue, getIndexHistory } from './index_history.js';
+import { readIndexUploadRows, importIndexRows } from './index_import.js';
+import { importHistoricalRateRows } from './historical_rate_import.js';
+import { submitIndexObservation, listPendingIndexObservations, reviewIndexObservation, IndexReviewError } from './index_quarantine.js';
+import { initializeBaseRateImportTables, resolveConfirmThresholdPercent, buildBaseRateImportPreview, saveBaseRateImportPreview, getBaseRateImport, commitBaseRateImport, BaseRateImportError } from './base_rate_import.js';
+import { initializeScraperSchedulerTables, runScraperJob, startScraperScheduler, listScraperSchedules, updateScraperSchedule, listScraperRuns, ScraperJobError } from './scraper_scheduler.js';
+import { LaneRouteError, initializeLaneIndexTables, getLaneIndices, listLaneRoutes, updateLaneRoute } from './lane_indices.js';
+import { initializeIndexFreshnessColumns, getIndexFreshnessReport } from './index_freshness.js';
+import { initializeSeaRouteTables, compareSeaRoutes, rebuildPortDistances, ROUTINGS, DEFAULT_ROUTING, SEA_PASSAGES, SeaRouteError } from './sea_routes.js';
+import { initializeChokepointDisruptionTables, validateDisruptionInput, listChokepointDisruptions, resolveDisruptedSeaRoute, ChokepointDisruptionError } from './chokepoint_disruptions.js';
+import { parseShipDate, loadIndexProjection, ShipDateError } from './index_projection.js';
+import { buildRateForecast, ForecastError } from './rate_forecast.js';
+import { BACKTEST_LIMITATIONS, initializeBacktestTables, validateBacktestInput, runBacktest, createBacktestRun, completeBacktestRun, failBacktestRun, listBacktestRuns, getBacktestRun, BacktestError } from './backtest.js';
+import { initializeHolidayTables, validateHolidayDateInput, assertNoOverlap, listHolidayDates, HOLIDAYS, HolidayError } from './holiday_calendar.js';
+import { initializeFuelPriceTables, fetchCurrentFuelPrices, validateFuelPriceInput, getFuelPriceHistory, FUEL_TYPES, FuelPriceError } from './fuel_surcharge_calculator.js';
+import { initializeBafTables, validateBafParametersInput, listBafParameters, resolveBafSettings, resolvePriceWindow, loadPriceWindow, loadBafInputs, createBafProvider, AVERAGING_PERIODS, VESSEL_PROFILES, BafError } from './baf_engine.js';
+import { initializeQuoteTables, resolveQuoteValidityDays, buildFrozenInputs, createQuote, getQuoteByReference } from './quote_manager.js';
 
 // Загрузка переменных окружения
 dotenv.config();
@@ -47,14 +67,6 @@ app.get('/api/container-types', async (req, res) => {
   res.json(result.rows);
 });
 
-app.post('/api/upload/indices', async (req, res) => {
-  res.json({ success: true });
-});
-
-app.post('/api/upload/base-rates', async (req, res) => {
-  res.json({ success: true });
-});
-
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -68,6 +80,10 @@ app.get('/admin', (req, res) => {
 // --- Вспомогательная функция для обработки асинхронных маршрутов ---
 const asyncHandler = fn => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
 
+// Все /api/admin/* и /api/upload/* маршруты требуют сессии; роль проверяется на уровне маршрута через requireRole
+const authenticate = createAuthenticate(pool);
+app.use('/api/admin', authenticate);
+
 // --- Функция автоматической миграции базы данных v4.46 ---
 async function autoMigrateDatabase() {
     console.log('[v4.46 Robust Migration] Начало автоматической миграции базы данных...');
@@ -201,6 +217,32 @@ async function initializeDatabaseTables() {
       );
     `);
     console.log("[v4.46] 'base_rates' table ensured (with container_type_id).");
+    // Ставки уровня "порт-порт" (UN/LOCODE) и "страна-страна" (ISO 3166-1 alpha-2, первые две буквы LOCODE).
+    // Проверяются раньше региональных base_rates в loadCalculationConfigFromDB.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS port_pair_rates (
+        id SERIAL PRIMARY KEY,
+        origin_port_code VARCHAR(5) NOT NULL,
+        destination_port_code VARCHAR(5) NOT NULL,
+        container_type_id VARCHAR(20) NOT NULL,
+        rate NUMERIC NOT NULL,
+        UNIQUE(origin_port_code, destination_port_code, container_type_id),
+        FOREIGN KEY (container_type_id) REFERENCES container_types(id)
+      );
+    `);
+    console.log("[v4.46] 'port_pair_rates' table ensured.");
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS country_pair_rates (
+        id SERIAL PRIMARY KEY,
+        origin_country VARCHAR(2) NOT NULL,
+        destination_country VARCHAR(2) NOT NULL,
+        container_type_id VARCHAR(20) NOT NULL,
+        rate NUMERIC NOT NULL,
+        UNIQUE(origin_country, destination_country, container_type_id),
+        FOREIGN KEY (container_type_id) REFERENCES container_types(id)
+      );
+    `);
+    console.log("[v4.46] 'country_pair_rates' table ensured.");
     await client.query(`
       CREATE TABLE IF NOT EXISTS index_config (
         index_name VARCHAR(50) PRIMARY KEY,
@@ -219,7 +261,23 @@ async function initializeDatabaseTables() {
       );
     `);
     await client.query(`INSERT INTO model_settings (setting_key, setting_value, description) VALUES 
-      ('sensitivityCoeff', '0.5', 'Coefficient of sensitivity to index changes (0-1)')
+      ('sensitivityCoeff', '0.5', 'Coefficient of sensitivity to index changes (0-1)'),
+      ('pricingStages', 'baseRate,indexAdjustment,seasonality', 'Active pricing pipeline stages (comma-separated). Per-lane override: pricingStages:<OriginRegion>-<DestinationRegion>'),
+      ('marginPercent', '0', 'Margin applied by the margin pricing stage, %'),
+      ('quoteValidityDays', '7', 'Quote validity period, days'),
+      ('shipDateMaxDays', '180', 'Latest planned ship date accepted by /api/calculate, days ahead'),
+      ('baseRateConfirmThresholdPercent', '20', 'Base rate changes in Excel import above this % require explicit confirmation'),
+      ('indexAnomalyMaxJumpPercent', '30', 'New index values changing more than this % from the last value are held for review'),
+      ('indexAnomalyMaxZScore', '4', 'New index values whose change exceeds this z-score of recent changes are held for review'),
+      ('indexAnomalyMaxAgeDays', '45', 'New index values with an observation date older than this many days are held for review'),
+      ('indexFreshnessGracePeriods', '1.5', 'Index keeps its full weight until its value is older than this many publication periods'),
+      ('indexFreshnessDropPeriods', '4', 'Index is dropped from the weighted index when its value is older than this many publication periods'),
+      ('bafConsumptionPerTeu', '0.075', 'BAF: bunker consumption, tonnes per TEU per 1000 nm (lanes without BAF parameters)'),
+      ('bafBasePrice', '400', 'BAF: fuel price included in the base rate, USD per tonne'),
+      ('bafAveragingPeriod', 'previous_quarter', 'BAF: fuel price averaging period (previous_month, previous_quarter, last_30_days, last_90_days)'),
+      ('bafVesselProfile', '', 'BAF: default vessel fuel profile (conventional, scrubber, lng_dual_fuel); empty - bafFuelType and bafEcaFuelType are used'),
+      ('bafFuelType', 'VLSFO', 'BAF: fuel type used outside emission control areas'),
+      ('bafEcaFuelType', 'MGO', 'BAF: fuel type used in emission control areas (share of the voyage from the sea route)')
       ON CONFLICT (setting_key) DO NOTHING;`);
     console.log("[v4.46] 'model_settings' table ensured.");
     await client.query(`
@@ -241,6 +299,34 @@ async function initializeDatabaseTables() {
     console.log("[v4.46] 'calculation_history' table ensured (with container_type_id).");
     await initializeSeasonalityTables(client); 
     console.log("[v4.46] Seasonality tables initialized via external module.");
+    await initializeHolidayTables(client);
+    console.log("[v4.46] 'holiday_dates' table ensured.");
+    await initializeIndexHistoryTables(client);
+    console.log("[v4.46] 'index_values' table ensured.");
+    await initializeIndexFreshnessColumns(client);
+    console.log("[v4.46] 'index_config.expected_frequency_days' column ensured.");
+    await initializeLaneIndexTables(client);
+    console.log("[v4.46] 'index_lane_routes' and 'index_lane_values' tables ensured.");
+    await initializeSeaRouteTables(client);
+    console.log("[v4.46] 'port_distances' table ensured (sea route columns).");
+    await initializeChokepointDisruptionTables(client);
+    console.log("[v4.46] 'chokepoint_disruptions' table ensured.");
+    await initializeFuelPriceTables(client);
+    await initializeBafTables(client);
+    console.log("[v4.46] 'fuel_prices' and 'baf_parameters' tables ensured.");
+    await initializeQuoteTables(client);
+    console.log("[v4.46] 'quotes' tables ensured.");
+    await initializeAuthTables(client);
+    await ensureBootstrapAdmin(client);
+    console.log("[v4.46] 'admin_users' and 'admin_sessions' tables ensured.");
+    await initializeAuditTables(client);
+    console.log("[v4.46] 'audit_log' table ensured.");
+    await initializeBaseRateImportTables(client);
+    console.log("[v4.46] 'base_rate_imports' table ensured.");
+    await initializeScraperSchedulerTables(client);
+    console.log("[v4.46] 'scraper_schedules' and 'scraper_runs' tables ensured.");
+    await initializeBacktestTables(client);
+    console.log("[v4.46] 'backtest_runs' table ensured.");
     await client.query("COMMIT");
     console.log("[v4.46] Database tables initialized/verified successfully.");
   } catch (error) {
@@ -321,16 +407,20 @@ async function loadInitialDataFromJson(jsonFilePathParam) {
                 const weight = parseFloat(index.weight_percentage);
                 const current = parseFloat(index.current_value);
                 if (index.index_name && !isNaN(baseline) && !isNaN(weight) && !isNaN(current) && weight >= 0 && weight <= 100) {
+                    // current_value из JSON используется только как первое наблюдение индекса:
+                    // при повторных запусках значения, накопленные в index_values, не перезаписываются
                     await client.query(
                         `INSERT INTO index_config (index_name, baseline_value, weight_percentage, current_value, last_updated)
                          VALUES ($1, $2, $3, $4, NOW())
                          ON CONFLICT (index_name) DO UPDATE SET
                            baseline_value = EXCLUDED.baseline_value,
-                           weight_percentage = EXCLUDED.weight_percentage,
-                           current_value = EXCLUDED.current_value,
-                           last_updated = NOW();`, 
+                           weight_percentage = EXCLUDED.weight_percentage;`, 
                         [index.index_name, baseline, weight, current]
                     );
+                    const observations = await client.query('SELECT 1 FROM index_values WHERE index_name = $1 LIMIT 1', [index.index_name]);
+                    if (observations.rows.length === 0) {
+                        await recordIndexValue(client, { indexName: index.index_name, value: current, source: 'initial_data' });
+                    }
                     icCount++;
                 } else {
                     console.warn(`[v4.46] Invalid data for index config row, skipping: ${JSON.stringify(index)}`);
@@ -357,40 +447,99 @@ async function loadInitialDataFromJson(jsonFilePathParam) {
 }
 
 // --- Функция для загрузки конфигурации расчета (base_rate, indices, etc.) ---
-async function loadCalculationConfigFromDB(originPortId, destinationPortId, containerTypeId) {
+// Базовая ставка ищется по уровням: порт-порт (UN/LOCODE) -> страна-страна -> регион-регион.
+// Уровень, на котором найдена ставка, возвращается в поле rate_level ('port' | 'country' | 'region').
+// Морской маршрут для варианта routing возвращается в поле sea_route (null, если маршрут не рассчитан; причина - в sea_route_error),
+// с учетом действующих нарушений на проходах: chokepoint_disruptions - примененные, route_blocked - закрытые проходы без обхода.
+// shipDate - плановая дата отправки из запроса ('YYYY-MM-DD' или пусто); некорректная дата - ShipDateError.
+// allowMissingBaseRate - без настроенной ставки вернуть конфигурацию с base_rate = null (бэктест: ставка из агрегата индексов)
+async function loadCalculationConfigFromDB(originPortId, destinationPortId, containerTypeId, routing = DEFAULT_ROUTING, shipDate = null, { allowMissingBaseRate = false } = {}) {
     console.log("[v4.46 loadCalculationConfigFromDB] Attempting to load calculation config from DB.");
     let client;
     try {
         client = await pool.connect();
         const query = `
             SELECT 
-                br.rate as base_rate,
                 (SELECT name FROM ports WHERE id = $1) as origin_port_name,
                 (SELECT name FROM ports WHERE id = $2) as destination_port_name,
+                (SELECT UPPER(code) FROM ports WHERE id = $1) as origin_port_code,
+                (SELECT UPPER(code) FROM ports WHERE id = $2) as destination_port_code,
+                (SELECT UPPER(LEFT(code, 2)) FROM ports WHERE id = $1) as origin_country,
+                (SELECT UPPER(LEFT(code, 2)) FROM ports WHERE id = $2) as destination_country,
                 ct.name as container_type_name,
                 (SELECT region FROM ports WHERE id = $1) as origin_region,
                 (SELECT region FROM ports WHERE id = $2) as destination_region,
-                (SELECT json_agg(json_build_object('name', index_name, 'value', current_value, 'weight', weight_percentage, 'baseline', baseline_value)) FROM index_config) as indices,
-                (SELECT setting_value FROM model_settings WHERE setting_key = 'sensitivityCoeff') as sensitivity_coeff
+                (SELECT json_agg(json_build_object('name', index_name, 'value', current_value, 'weight', weight_percentage, 'baseline', baseline_value, 'last_updated', last_updated, 'expected_frequency_days', expected_frequency_days)) FROM index_config) as indices,
+                (SELECT setting_value FROM model_settings WHERE setting_key = 'sensitivityCoeff') as sensitivity_coeff,
+                (SELECT json_object_agg(setting_key, setting_value) FROM model_settings) as model_settings
             FROM 
-                base_rates br
-            JOIN 
-                container_types ct ON br.container_type_id = ct.id
+                container_types ct
             WHERE 
-                br.origin_region = (SELECT region FROM ports WHERE id = $1) AND
-                br.destination_region = (SELECT region FROM ports WHERE id = $2) AND
-                br.container_type_id = $3;
+                ct.id = $3;
         `;
-        // console.log("[v4.46 loadCalculationConfigFromDB] Executing query:", query, [originPortId, destinationPortId, containerTypeId]);
         const { rows } = await client.query(query, [parseInt(originPortId), parseInt(destinationPortId), containerTypeId]);
-        // console.log("[v4.46 loadCalculationConfigFromDB] Query result rows:", rows);
-        if (rows.length > 0) {
-            console.log("[v4.46 loadCalculationConfigFromDB] Successfully loaded config from DB.");
-            return rows[0];
-        } else {
-            console.warn("[v4.46 loadCalculationConfigFromDB] No base rate found for the given criteria.");
+        if (rows.length === 0) {
+            console.warn("[v4.46 loadCalculationConfigFromDB] Container type not found for the given criteria.");
             return null;
         }
+        const config = rows[0];
+        // Индексы по маршрутам для направления (используются индексной корректировкой вместо сводных)
+        config.lane_indices = await getLaneIndices(client, config.origin_region, config.destination_region);
+        // Дата отправки (до маршрута и BAF: нарушения на проходах и окно цен топлива берутся на нее, без даты - на сегодня)
+        config.ship_date = parseShipDate(shipDate, config.model_settings || {});
+        const effectiveDate = config.ship_date || new Date();
+        // Морской маршрут и расстояние (без координат портов расчет выполняется без расстояния)
+        const route = await resolveDisruptedSeaRoute(client, parseInt(originPortId), parseInt(destinationPortId), routing, effectiveDate);
+        if (!route.seaRoute) {
+            console.warn(`[v4.46 loadCalculationConfigFromDB] Sea route not available: ${route.seaRouteError}`);
+        }
+        config.sea_route = route.seaRoute;
+        config.sea_route_error = route.seaRouteError;
+        config.chokepoint_disruptions = route.disruptions;
+        config.route_blocked = route.blocked;
+        // Параметры BAF направления и цены топлива за период усреднения (сохраняются в котировке)
+        config.baf_inputs = await loadBafInputs(client, config.origin_region, config.destination_region, config.model_settings || {}, effectiveDate);
+        // Прогноз индексов на дату отправки (сохраняется в котировке)
+        config.index_projection = config.ship_date
+            ? await loadIndexProjection(client, (config.indices || []).map(index => index.name), config.ship_date)
+            : null;
+
+        // 1. Порт-порт
+        if (config.origin_port_code && config.destination_port_code) {
+            const portRate = await client.query(
+                `SELECT rate FROM port_pair_rates WHERE origin_port_code = $1 AND destination_port_code = $2 AND container_type_id = $3`,
+                [config.origin_port_code, config.destination_port_code, containerTypeId]
+            );
+            if (portRate.rows.length > 0) {
+                console.log(`[v4.46 loadCalculationConfigFromDB] Port-pair rate found for ${config.origin_port_code} -> ${config.destination_port_code}.`);
+                return { ...config, base_rate: portRate.rows[0].rate, rate_level: 'port' };
+            }
+        }
+
+        // 2. Страна-страна
+        if (config.origin_country && config.destination_country) {
+            const countryRate = await client.query(
+                `SELECT rate FROM country_pair_rates WHERE origin_country = $1 AND destination_country = $2 AND container_type_id = $3`,
+                [config.origin_country, config.destination_country, containerTypeId]
+            );
+            if (countryRate.rows.length > 0) {
+                console.log(`[v4.46 loadCalculationConfigFromDB] Country-pair rate found for ${config.origin_country} -> ${config.destination_country}.`);
+                return { ...config, base_rate: countryRate.rows[0].rate, rate_level: 'country' };
+            }
+        }
+
+        // 3. Регион-регион
+        const regionRate = await client.query(
+            `SELECT rate FROM base_rates WHERE origin_region = $1 AND destination_region = $2 AND container_type_id = $3`,
+            [config.origin_region, config.destination_region, containerTypeId]
+        );
+        if (regionRate.rows.length > 0) {
+            console.log("[v4.46 loadCalculationConfigFromDB] Successfully loaded config from DB (region-pair rate).");
+            return { ...config, base_rate: regionRate.rows[0].rate, rate_level: 'region' };
+        }
+
+        console.warn("[v4.46 loadCalculationConfigFromDB] No base rate found for the given criteria.");
+        return allowMissingBaseRate ? { ...config, base_rate: null, rate_level: null } : null;
     } catch (error) {
         console.error("[v4.46 loadCalculationConfigFromDB] Error loading calculation config from DB:", error);
         throw error;
@@ -399,10 +548,34 @@ async function loadCalculationConfigFromDB(originPortId, destinationPortId, cont
     }
 }
 
+// Ошибка проверки конфигурации индекса из запроса администратора (statusCode - HTTP-статус ответа)
+class IndexConfigError extends Error {
+    constructor(message, statusCode) {
+        super(message);
+        this.name = 'IndexConfigError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Преобразует массив индексов из loadCalculationConfigFromDB в формат indexConfig калькулятора
+function buildIndexConfigFromRows(indices) {
+    const indexConfig = {};
+    for (const index of indices || []) {
+        indexConfig[index.name] = {
+            current_value: index.value,
+            baseline_value: index.baseline,
+            weight_percentage: index.weight,
+            last_updated: index.last_updated,
+            expected_frequency_days: index.expected_frequency_days
+        };
+    }
+    return indexConfig;
+}
+
 // --- API Маршруты ---
 
 // Получить все порты
-app.get('/api/admin/ports', asyncHandler(async (req, res) => {
+app.get('/api/admin/ports', requireRole('viewer'), asyncHandler(async (req, res) => {
     console.log("[v4.46 /api/ports GET] Request received.");
     let client;
     try {
@@ -423,7 +596,7 @@ app.get('/api/admin/ports', asyncHandler(async (req, res) => {
 }));
 
 // Получить все типы контейнеров
-app.get('/api/admin/container-types', asyncHandler(async (req, res) => {
+app.get('/api/admin/container-types', requireRole('viewer'), asyncHandler(async (req, res) => {
     console.log("[v4.46 /api/container-types GET] Request received.");
     let client;
     try {
@@ -439,369 +612,1498 @@ app.get('/api/admin/container-types', asyncHandler(async (req, res) => {
     }
 }));
 
-// Рассчитать ставку
-app.post('/api/calculate', asyncHandler(async (req, res) => {
-    const { originPort, destinationPort, containerType, weight, email } = req.body;
-    console.log("[v4.46 /api/calculate POST] Request received with body:", req.body);
+// --- Морские маршруты ---
 
-    if (!originPort || !destinationPort || !containerType) {
-        return res.status(400).json({ error: 'Missing required fields: originPort, destinationPort, containerType' });
+// Расстояния между портами по всем вариантам маршрута (сравнение, например Суэц и мыс Доброй Надежды)
+app.get('/api/admin/port-distances', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const originPortId = parseInt(req.query.origin);
+    const destinationPortId = parseInt(req.query.destination);
+    console.log(`[v4.46 /api/admin/port-distances GET] Request received. origin: ${req.query.origin}, destination: ${req.query.destination}`);
+    if (isNaN(originPortId) || isNaN(destinationPortId)) {
+        return res.status(400).json({ error: 'Query parameters origin and destination (port ids) are required' });
     }
-    console.log(`[v4.46 /api/calculate POST] Received originPort: ${originPort} (type: ${typeof originPort})`);
-    console.log(`[v4.46 /api/calculate POST] Received destinationPort: ${destinationPort} (type: ${typeof destinationPort})`);
-    console.log(`[v4.46 /api/calculate POST] Received containerType: ${containerType} (type: ${typeof containerType})`);
-
+    let client;
     try {
-        const config = await loadCalculationConfigFromDB(originPort, destinationPort, containerType);
-        if (!config) {
-            return res.status(404).json({ error: 'Base rate not found for the specified criteria.' });
+        client = await pool.connect();
+        const routes = await compareSeaRoutes(client, originPortId, destinationPortId);
+        res.json({ originPortId, destinationPortId, routes });
+    } catch (err) {
+        if (err instanceof SeaRouteError) {
+            return res.status(err.statusCode).json({ error: err.message });
         }
-
-        const seasonalityFactor = await fetchSeasonalityFactor(pool, config.origin_region, config.destination_region, new Date());
-        const calculatedRate = calculateFreightRate(config, seasonalityFactor);
-
-        const historyEntry = {
-            origin_port_id: parseInt(originPort),
-            destination_port_id: destinationPort,
-            container_type_id: containerType,
-            weight: weight ? parseFloat(weight) : null,
-            calculated_rate: calculatedRate,
-            user_email: email || null,
-            index_values_used: config.indices
-        };
-        await saveRequestToHistory(pool, historyEntry);
-        console.log("[v4.46 /api/calculate POST] Rate calculated and history saved successfully.");
-        res.json({ calculatedRate });
-
-    } catch (error) {
-        console.error('[v4.46 /api/calculate POST] Error during freight calculation:', error);
-        res.status(500).json({ error: 'Internal Server Error during calculation', details: error.message });
+        console.error('[v4.46 /api/admin/port-distances GET] Error calculating sea routes:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/port-distances GET] Client released."); }
     }
 }));
 
-// --- Admin API Routes ---
-
-// Get all base rates for admin panel
-app.get('/api/admin/base-rates', asyncHandler(async (req, res) => {
-    console.log("[v4.46 /api/admin/base-rates GET] Request received.");
+// Пересчет port_distances для всех пар портов (по умолчанию - кратчайший маршрут)
+app.post('/api/admin/port-distances/rebuild', requireRole('admin'), asyncHandler(async (req, res) => {
+    const routing = req.body.routing || DEFAULT_ROUTING;
+    console.log(`[v4.46 /api/admin/port-distances/rebuild POST] Request to rebuild '${routing}' distances by '${req.user.username}'.`);
+    if (!ROUTINGS[routing]) {
+        return res.status(400).json({ error: `Unknown routing '${routing}'. Available: ${Object.keys(ROUTINGS).join(', ')}` });
+    }
     let client;
     try {
         client = await pool.connect();
-        const query = `
-            SELECT 
-                br.id, 
-                br.origin_region, 
-                br.destination_region, 
-                ct.name as container_type_name, 
-                br.container_type_id, 
-                br.rate
-            FROM base_rates br
-            JOIN container_types ct ON br.container_type_id = ct.id
-            ORDER BY br.id ASC;
-        `;
-        const result = await client.query(query);
-        console.log(`[v4.46 /api/admin/base-rates GET] Found ${result.rows.length} base rates.`);
-        res.json(result.rows);
+        await client.query('BEGIN');
+        const summary = await rebuildPortDistances(client, routing);
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/port-distances/rebuild POST] ${summary.routes} routes saved for ${summary.ports} ports, ${summary.unreachable} unreachable.`);
+        res.json({ routing, ...summary });
     } catch (err) {
-        console.error('[v4.46 /api/admin/base-rates GET] Error fetching base rates:', err);
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/port-distances/rebuild POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/port-distances/rebuild POST] Error rebuilding port distances:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rates GET] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/port-distances/rebuild POST] Client released."); }
     }
 }));
 
-// Add a new base rate
-app.post('/api/admin/base-rates', asyncHandler(async (req, res) => {
-    const { origin_region, destination_region, container_type_id, rate } = req.body;
-    console.log("[v4.46 /api/admin/base-rates POST] Request received with body:", req.body);
-    if (!origin_region || !destination_region || !container_type_id || rate === undefined) {
-        return res.status(400).json({ error: 'Missing required fields' });
+// Нарушения на проходах (закрытие или надбавка за риск на период) и справочник проходов
+app.get('/api/admin/chokepoint-disruptions', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/chokepoint-disruptions GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const disruptions = await listChokepointDisruptions(client);
+        console.log(`[v4.46 /api/admin/chokepoint-disruptions GET] Found ${disruptions.length} disruptions.`);
+        res.json({ passages: SEA_PASSAGES, disruptions });
+    } catch (err) {
+        console.error('[v4.46 /api/admin/chokepoint-disruptions GET] Error fetching disruptions:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/chokepoint-disruptions GET] Client released."); }
     }
+}));
+
+app.post('/api/admin/chokepoint-disruptions', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/chokepoint-disruptions POST] Request received with body:", req.body);
     let client;
     try {
+        const input = validateDisruptionInput(req.body);
         client = await pool.connect();
-        const query = `
-            INSERT INTO base_rates (origin_region, destination_region, container_type_id, rate)
-            VALUES ($1, $2, $3, $4)
+        await client.query('BEGIN');
+        const result = await client.query(`
+            INSERT INTO chokepoint_disruptions (passage, mode, surcharge_amount, surcharge_percent, effective_from, effective_to, reason)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             RETURNING *;
-        `;
-        const result = await client.query(query, [origin_region, destination_region, container_type_id, parseFloat(rate)]);
-        console.log("[v4.46 /api/admin/base-rates POST] Base rate added successfully:", result.rows[0]);
+        `, [input.passage, input.mode, input.surchargeAmount, input.surchargePercent, input.effectiveFrom, input.effectiveTo, input.reason]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'chokepoint_disruptions', entityId: result.rows[0].id, before: null, after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/chokepoint-disruptions POST] Disruption ${result.rows[0].id} (${input.passage}, ${input.mode}) added.`);
         res.status(201).json(result.rows[0]);
     } catch (err) {
-        console.error('[v4.46 /api/admin/base-rates POST] Error adding base rate:', err);
+        if (err instanceof ChokepointDisruptionError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/chokepoint-disruptions POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/chokepoint-disruptions POST] Error adding disruption:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rates POST] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/chokepoint-disruptions POST] Client released."); }
     }
 }));
 
-// Update an existing base rate
-app.put('/api/admin/base-rates/:id', asyncHandler(async (req, res) => {
+app.put('/api/admin/chokepoint-disruptions/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { origin_region, destination_region, container_type_id, rate } = req.body;
-    console.log(`[v4.46 /api/admin/base-rates PUT] Request for ID ${id} with body:`, req.body);
-    if (!origin_region || !destination_region || !container_type_id || rate === undefined) {
-        return res.status(400).json({ error: 'Missing required fields' });
-    }
+    console.log(`[v4.46 /api/admin/chokepoint-disruptions PUT] Request for ID ${id} with body:`, req.body);
     let client;
     try {
+        const input = validateDisruptionInput(req.body);
         client = await pool.connect();
-        const query = `
-            UPDATE base_rates
-            SET origin_region = $1, destination_region = $2, container_type_id = $3, rate = $4
-            WHERE id = $5
+        await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM chokepoint_disruptions WHERE id = $1 FOR UPDATE', [parseInt(id)]);
+        const result = await client.query(`
+            UPDATE chokepoint_disruptions
+            SET passage = $1, mode = $2, surcharge_amount = $3, surcharge_percent = $4, effective_from = $5, effective_to = $6, reason = $7
+            WHERE id = $8
             RETURNING *;
-        `;
-        const result = await client.query(query, [origin_region, destination_region, container_type_id, parseFloat(rate), parseInt(id)]);
+        `, [input.passage, input.mode, input.surchargeAmount, input.surchargePercent, input.effectiveFrom, input.effectiveTo, input.reason, parseInt(id)]);
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Base rate not found' });
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Disruption not found' });
         }
-        console.log("[v4.46 /api/admin/base-rates PUT] Base rate updated successfully:", result.rows[0]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'chokepoint_disruptions', entityId: result.rows[0].id, before: before.rows[0], after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/chokepoint-disruptions PUT] Disruption ${id} updated.`);
         res.json(result.rows[0]);
     } catch (err) {
-        console.error('[v4.46 /api/admin/base-rates PUT] Error updating base rate:', err);
+        if (err instanceof ChokepointDisruptionError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/chokepoint-disruptions PUT] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/chokepoint-disruptions PUT] Error updating disruption:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rates PUT] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/chokepoint-disruptions PUT] Client released."); }
     }
 }));
 
-// Delete a base rate
-app.delete('/api/admin/base-rates/:id', asyncHandler(async (req, res) => {
+app.delete('/api/admin/chokepoint-disruptions/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
     const { id } = req.params;
-    console.log(`[v4.46 /api/admin/base-rates DELETE] Request for ID ${id}`);
+    console.log(`[v4.46 /api/admin/chokepoint-disruptions DELETE] Request for ID ${id}`);
     let client;
     try {
         client = await pool.connect();
-        const query = `DELETE FROM base_rates WHERE id = $1 RETURNING *;`;
-        const result = await client.query(query, [parseInt(id)]);
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM chokepoint_disruptions WHERE id = $1 RETURNING *;', [parseInt(id)]);
         if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Base rate not found' });
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Disruption not found' });
         }
-        console.log("[v4.46 /api/admin/base-rates DELETE] Base rate deleted successfully.");
-        res.status(204).send(); // No content
+        await recordAuditEntry(client, { actor: req.user, entityType: 'chokepoint_disruptions', entityId: result.rows[0].id, before: result.rows[0], after: null });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/chokepoint-disruptions DELETE] Disruption ${id} deleted.`);
+        res.json({ message: 'Disruption deleted successfully' });
     } catch (err) {
-        console.error('[v4.46 /api/admin/base-rates DELETE] Error deleting base rate:', err);
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/chokepoint-disruptions DELETE] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/chokepoint-disruptions DELETE] Error deleting disruption:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rates DELETE] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/chokepoint-disruptions DELETE] Client released."); }
     }
 }));
 
-// Get calculation history
-app.get('/api/admin/calculation-history', asyncHandler(async (req, res) => {
-    console.log("[v4.46 /api/admin/history GET] Request received.");
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 10;
-    const offset = (page - 1) * limit;
+// --- Цены на топливо ---
+
+// Ввод цены вручную (цена за ту же дату и сорт заменяется)
+app.post('/api/admin/fuel-prices', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/fuel-prices POST] Request received with body:", req.body);
     let client;
     try {
+        const input = validateFuelPriceInput(req.body);
         client = await pool.connect();
-        const historyQuery = `
-            SELECT 
-                ch.id, ch.timestamp, 
-                po.name as origin_port_name, 
-                pd.name as destination_port_name, 
-                ct.name as container_type_name, 
-                ch.weight, ch.calculated_rate, ch.user_email, ch.index_values_used
-            FROM calculation_history ch
-            LEFT JOIN ports po ON ch.origin_port_id = po.id
-            LEFT JOIN ports pd ON ch.destination_port_id = pd.id
-            LEFT JOIN container_types ct ON ch.container_type_id = ct.id
-            ORDER BY ch.timestamp DESC
-            LIMIT $1 OFFSET $2;
-        `;
-        const totalCountQuery = 'SELECT COUNT(*) FROM calculation_history;';
-        
-        const historyResult = await client.query(historyQuery, [limit, offset]);
-        const totalCountResult = await client.query(totalCountQuery);
-        const totalItems = parseInt(totalCountResult.rows[0].count);
-        const totalPages = Math.ceil(totalItems / limit);
-
-        console.log(`[v4.46 /api/admin/history GET] Found ${historyResult.rows.length} history entries for page ${page}. Total items: ${totalItems}`);
-        res.json({
-            data: historyResult.rows,
-            currentPage: page,
-            totalPages: totalPages,
-            totalItems: totalItems
-        });
+        await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM fuel_prices WHERE fuel_type = $1 AND date = $2 FOR UPDATE', [input.fuelType, input.date]);
+        const result = await client.query(`
+            INSERT INTO fuel_prices (price, date, fuel_type, source)
+            VALUES ($1, $2, $3, 'manual')
+            ON CONFLICT (date, fuel_type) DO UPDATE SET price = EXCLUDED.price, source = EXCLUDED.source
+            RETURNING *;
+        `, [input.price, input.date, input.fuelType]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'fuel_prices', entityId: result.rows[0].id, before: before.rows[0] || null, after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/fuel-prices POST] ${input.fuelType} price ${input.price} for ${input.date} saved.`);
+        res.status(before.rows.length > 0 ? 200 : 201).json(result.rows[0]);
     } catch (err) {
-        console.error('[v4.46 /api/admin/history GET] Error fetching calculation history:', err);
+        if (err instanceof FuelPriceError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/fuel-prices POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/fuel-prices POST] Error saving fuel price:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/history GET] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/fuel-prices POST] Client released."); }
     }
-})); 
+}));
 
-// Get index configurations
-app.get('/api/admin/index-config', asyncHandler(async (req, res) => {
-    console.log("[v4.46 /api/admin/indices GET] Request received.");
+app.delete('/api/admin/fuel-prices/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/fuel-prices DELETE] Request for ID ${id}`);
     let client;
     try {
         client = await pool.connect();
-        const result = await client.query('SELECT index_name, baseline_value, weight_percentage, current_value, last_updated FROM index_config ORDER BY index_name ASC');
-        console.log(`[v4.46 /api/admin/indices GET] Found ${result.rows.length} indices.`);
-        res.json(result.rows);
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM fuel_prices WHERE id = $1 RETURNING *;', [parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Fuel price not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'fuel_prices', entityId: result.rows[0].id, before: result.rows[0], after: null });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/fuel-prices DELETE] Fuel price ${id} deleted.`);
+        res.json({ message: 'Fuel price deleted successfully' });
     } catch (err) {
-        console.error('[v4.46 /api/admin/indices GET] Error fetching indices:', err);
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/fuel-prices DELETE] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/fuel-prices DELETE] Error deleting fuel price:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/indices GET] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/fuel-prices DELETE] Client released."); }
     }
 }));
 
-// Update index configurations
-app.post('/api/admin/indices', asyncHandler(async (req, res) => {
-    const indices = req.body; // Expects an array of index objects
-    console.log("[v4.46 /api/admin/indices POST] Request received with body:", req.body);
-    if (!Array.isArray(indices)) {
-        return res.status(400).json({ error: 'Request body must be an array of index configurations.' });
-    }
+// Загрузка текущих цен с сайтов (shipandbunker.com, запасной источник - bunkerindex.com)
+app.post('/api/admin/fuel-prices/fetch', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    console.log(`[v4.46 /api/admin/fuel-prices/fetch POST] Request by '${req.user.username}'.`);
     let client;
     try {
         client = await pool.connect();
         await client.query('BEGIN');
-        for (const index of indices) {
-            if (!index.index_name || index.baseline_value === undefined || index.weight_percentage === undefined || index.current_value === undefined) {
-                throw new Error(`Invalid data for index: ${JSON.stringify(index)}. All fields are required.`);
-            }
-            const query = `
-                INSERT INTO index_config (index_name, baseline_value, weight_percentage, current_value, last_updated)
-                VALUES ($1, $2, $3, $4, NOW())
-                ON CONFLICT (index_name) DO UPDATE SET
-                    baseline_value = EXCLUDED.baseline_value,
-                    weight_percentage = EXCLUDED.weight_percentage,
-                    current_value = EXCLUDED.current_value,
-                    last_updated = NOW();
-            `;
-            await client.query(query, [index.index_name, parseFloat(index.baseline_value), parseFloat(index.weight_percentage), parseFloat(index.current_value)]);
-        }
+        const fuelPrices = await fetchCurrentFuelPrices(client);
         await client.query('COMMIT');
-        console.log("[v4.46 /api/admin/indices POST] Indices updated successfully.");
-        res.status(200).json({ message: 'Indices updated successfully' });
+        console.log(`[v4.46 /api/admin/fuel-prices/fetch POST] Saved prices for ${Object.keys(fuelPrices).join(', ')}.`);
+        res.json({ prices: fuelPrices });
     } catch (err) {
-        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/indices POST] Rollback error:", rbErr); } }
-        console.error('[v4.46 /api/admin/indices POST] Error updating indices:', err);
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/fuel-prices/fetch POST] Rollback error:", rbErr); } }
+        if (err instanceof FuelPriceError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[v4.46 /api/admin/fuel-prices/fetch POST] Error fetching fuel prices:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/indices POST] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/fuel-prices/fetch POST] Client released."); }
     }
 }));
 
-// Get model settings
-app.get('/api/admin/model-settings', asyncHandler(async (req, res) => {
-    console.log("[v4.46 /api/admin/settings GET] Request received.");
+// --- Топливная надбавка (BAF) ---
+
+// Параметры BAF по направлениям, значения по умолчанию, профили судов и текущие окна цен всех сортов
+app.get('/api/admin/baf-parameters', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/baf-parameters GET] Request received.");
     let client;
     try {
         client = await pool.connect();
-        const result = await client.query('SELECT setting_key, setting_value, description FROM model_settings');
-        const settingsMap = result.rows.reduce((acc, row) => {
-            acc[row.setting_key] = row.setting_value;
-            return acc;
-        }, {});
-        console.log(`[v4.46 /api/admin/settings GET] Found ${result.rows.length} settings.`);
-        res.json(settingsMap); // Return as a map for easier access on client-side
+        const settingsResult = await client.query("SELECT setting_key, setting_value FROM model_settings WHERE setting_key LIKE 'baf%'");
+        const defaults = resolveBafSettings(Object.fromEntries(settingsResult.rows.map(row => [row.setting_key, row.setting_value])));
+        const parameters = await listBafParameters(client);
+        const window = resolvePriceWindow(defaults.averagingPeriod);
+        const priceWindows = [];
+        for (const fuelType of FUEL_TYPES) {
+            priceWindows.push(await loadPriceWindow(client, fuelType, window));
+        }
+        console.log(`[v4.46 /api/admin/baf-parameters GET] Found ${parameters.length} lane parameters.`);
+        res.json({ averagingPeriods: AVERAGING_PERIODS, vesselProfiles: VESSEL_PROFILES, fuelTypes: FUEL_TYPES, defaults, parameters, priceWindows });
     } catch (err) {
-        console.error('[v4.46 /api/admin/settings GET] Error fetching settings:', err);
+        console.error('[v4.46 /api/admin/baf-parameters GET] Error fetching BAF parameters:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/settings GET] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/baf-parameters GET] Client released."); }
     }
 }));
 
-// Update model settings
-app.post('/api/admin/settings', asyncHandler(async (req, res) => {
-    const settings = req.body; // Expects an object dificuldades { setting_key: value, ... }
-    console.log("[v4.46 /api/admin/settings POST] Request received with body:", req.body);
+app.post('/api/admin/baf-parameters', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/baf-parameters POST] Request received with body:", req.body);
     let client;
     try {
+        const input = validateBafParametersInput(req.body);
         client = await pool.connect();
         await client.query('BEGIN');
-        for (const key in settings) {
-            if (settings.hasOwnProperty(key)) {
-                const query = `
-                    INSERT INTO model_settings (setting_key, setting_value)
-                    VALUES ($1, $2)
-                    ON CONFLICT (setting_key) DO UPDATE SET
-                        setting_value = EXCLUDED.setting_value;
-                `;
-                await client.query(query, [key, settings[key]]);
-            }
-        }
+        const result = await client.query(`
+            INSERT INTO baf_parameters (origin_region, destination_region, consumption_per_teu, base_price, averaging_period, vessel_profile, fuel_type, eca_fuel_type, eca_share)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+            RETURNING *;
+        `, [input.originRegion, input.destinationRegion, input.consumptionPerTeu, input.basePrice, input.averagingPeriod, input.vesselProfile, input.fuelType, input.ecaFuelType, input.ecaShare]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'baf_parameters', entityId: result.rows[0].id, before: null, after: result.rows[0] });
         await client.query('COMMIT');
-        console.log("[v4.46 /api/admin/settings POST] Settings updated successfully.");
-        res.status(200).json({ message: 'Settings updated successfully' });
+        console.log(`[v4.46 /api/admin/baf-parameters POST] BAF parameters ${result.rows[0].id} (${input.originRegion} -> ${input.destinationRegion}) added.`);
+        res.status(201).json(result.rows[0]);
     } catch (err) {
-        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/settings POST] Rollback error:", rbErr); } }
-        console.error('[v4.46 /api/admin/settings POST] Error updating settings:', err);
+        if (err instanceof BafError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/baf-parameters POST] Rollback error:", rbErr); } }
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'BAF parameters for this lane already exist' });
+        }
+        console.error('[v4.46 /api/admin/baf-parameters POST] Error adding BAF parameters:', err);
         res.status(500).json({ error: 'Internal Server Error', details: err.message });
     } finally {
-        if (client) { client.release(); console.log("[v4.46 /api/admin/settings POST] Client released."); }
+        if (client) { client.release(); console.log("[v4.46 /api/admin/baf-parameters POST] Client released."); }
     }
 }));
 
-// Endpoint for uploading and processing Excel file for base rates
-app.post('/api/admin/upload-base-rates', upload.single('baseRatesFile'), asyncHandler(async (req, res) => {
-    console.log("[v4.46 /api/admin/upload-base-rates POST] File upload request received.");
-    if (!req.file) {
-        return res.status(400).json({ error: 'No file uploaded.' });
-    }
-
+app.put('/api/admin/baf-parameters/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/baf-parameters PUT] Request for ID ${id} with body:`, req.body);
     let client;
     try {
-        const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
-        const sheetName = workbook.SheetNames[0];
-        const worksheet = workbook.Sheets[sheetName];
-        const data = xlsx.utils.sheet_to_json(worksheet);
-
-        console.log(`[v4.46 /api/admin/upload-base-rates POST] Parsed ${data.length} rows from Excel.`);
-
+        const input = validateBafParametersInput(req.body);
         client = await pool.connect();
         await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM baf_parameters WHERE id = $1 FOR UPDATE', [parseInt(id)]);
+        const result = await client.query(`
+            UPDATE baf_parameters
+            SET origin_region = $1, destination_region = $2, consumption_per_teu = $3, base_price = $4, averaging_period = $5,
+                vessel_profile = $6, fuel_type = $7, eca_fuel_type = $8, eca_share = $9, updated_at = NOW()
+            WHERE id = $10
+            RETURNING *;
+        `, [input.originRegion, input.destinationRegion, input.consumptionPerTeu, input.basePrice, input.averagingPeriod, input.vesselProfile, input.fuelType, input.ecaFuelType, input.ecaShare, parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'BAF parameters not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'baf_parameters', entityId: result.rows[0].id, before: before.rows[0], after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/baf-parameters PUT] BAF parameters ${id} updated.`);
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (err instanceof BafError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/baf-parameters PUT] Rollback error:", rbErr); } }
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'BAF parameters for this lane already exist' });
+        }
+        console.error('[v4.46 /api/admin/baf-parameters PUT] Error updating BAF parameters:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/baf-parameters PUT] Client released."); }
+    }
+}));
+
+app.delete('/api/admin/baf-parameters/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/baf-parameters DELETE] Request for ID ${id}`);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM baf_parameters WHERE id = $1 RETURNING *;', [parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'BAF parameters not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'baf_parameters', entityId: result.rows[0].id, before: result.rows[0], after: null });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/baf-parameters DELETE] BAF parameters ${id} deleted.`);
+        res.json({ message: 'BAF parameters deleted successfully' });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/baf-parameters DELETE] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/baf-parameters DELETE] Error deleting BAF parameters:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/baf-parameters DELETE] Client released."); }
+    }
+}));
+
+// --- Праздники и сезоны ---
+
+// Праздники (окна влияния и направления) и их даты; фильтр holiday
+app.get('/api/admin/holiday-dates', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const holiday = req.query.holiday || null;
+    console.log(`[v4.46 /api/admin/holiday-dates GET] Request received. holiday: ${holiday || '*'}`);
+    if (holiday && !HOLIDAYS[holiday]) {
+        return res.status(400).json({ error: `Unknown holiday '${holiday}'. Available: ${Object.keys(HOLIDAYS).join(', ')}` });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        const dates = await listHolidayDates(client, holiday);
+        console.log(`[v4.46 /api/admin/holiday-dates GET] Found ${dates.length} dates.`);
+        res.json({ holidays: HOLIDAYS, dates });
+    } catch (err) {
+        console.error('[v4.46 /api/admin/holiday-dates GET] Error fetching holiday dates:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/holiday-dates GET] Client released."); }
+    }
+}));
+
+app.post('/api/admin/holiday-dates', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/holiday-dates POST] Request received with body:", req.body);
+    let client;
+    try {
+        const input = validateHolidayDateInput(req.body);
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await assertNoOverlap(client, input);
+        const result = await client.query(`
+            INSERT INTO holiday_dates (holiday, start_date, end_date)
+            VALUES ($1, $2, $3)
+            RETURNING *;
+        `, [input.holiday, input.startDate, input.endDate]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'holiday_dates', entityId: result.rows[0].id, before: null, after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/holiday-dates POST] Holiday date ${result.rows[0].id} (${input.holiday}, ${input.startDate}) added.`);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/holiday-dates POST] Rollback error:", rbErr); } }
+        if (err instanceof HolidayError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'This holiday already starts on this date' });
+        }
+        console.error('[v4.46 /api/admin/holiday-dates POST] Error adding holiday date:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/holiday-dates POST] Client released."); }
+    }
+}));
+
+app.put('/api/admin/holiday-dates/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/holiday-dates PUT] Request for ID ${id} with body:`, req.body);
+    let client;
+    try {
+        const input = validateHolidayDateInput(req.body);
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM holiday_dates WHERE id = $1 FOR UPDATE', [parseInt(id)]);
+        if (before.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Holiday date not found' });
+        }
+        await assertNoOverlap(client, input, parseInt(id));
+        const result = await client.query(`
+            UPDATE holiday_dates
+            SET holiday = $1, start_date = $2, end_date = $3, updated_at = NOW()
+            WHERE id = $4
+            RETURNING *;
+        `, [input.holiday, input.startDate, input.endDate, parseInt(id)]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'holiday_dates', entityId: result.rows[0].id, before: before.rows[0], after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/holiday-dates PUT] Holiday date ${id} updated.`);
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/holiday-dates PUT] Rollback error:", rbErr); } }
+        if (err instanceof HolidayError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'This holiday already starts on this date' });
+        }
+        console.error('[v4.46 /api/admin/holiday-dates PUT] Error updating holiday date:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/holiday-dates PUT] Client released."); }
+    }
+}));
+
+app.delete('/api/admin/holiday-dates/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/holiday-dates DELETE] Request for ID ${id}`);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM holiday_dates WHERE id = $1 RETURNING *;', [parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Holiday date not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'holiday_dates', entityId: result.rows[0].id, before: result.rows[0], after: null });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/holiday-dates DELETE] Holiday date ${id} deleted.`);
+        res.json({ message: 'Holiday date deleted successfully' });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/holiday-dates DELETE] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/holiday-dates DELETE] Error deleting holiday date:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/holiday-dates DELETE] Client released."); }
+    }
+}));
+
+// Расчет ставки. Публичный ответ не содержит маржи и внутренних данных этапов (quote_breakdown.js toPublicQuote),
+// котировка сохраняется с номером и сроком действия. С debug = true (POST /api/admin/calculate, только pricing_manager)
+// возвращается полная детализация и debugLog конвейера, а котировка не сохраняется.
+async function handleCalculate(req, res, debug = false) {
+    const { originPort, destinationPort, containerType, weight, email, routing, shipDate } = req.body;
+    console.log("[v4.46 /api/calculate POST] Request received with body:", req.body);
+
+    if (!originPort || !destinationPort || !containerType) {
+        return res.status(400).json({ error: 'Missing required fields: originPort, destinationPort, containerType' });
+    }
+    if (routing && !ROUTINGS[routing]) {
+        return res.status(400).json({ error: `Unknown routing '${routing}'. Available: ${Object.keys(ROUTINGS).join(', ')}` });
+    }
+    console.log(`[v4.46 /api/calculate POST] Received originPort: ${originPort} (type: ${typeof originPort})`);
+    console.log(`[v4.46 /api/calculate POST] Received destinationPort: ${destinationPort} (type: ${typeof destinationPort})`);
+    console.log(`[v4.46 /api/calculate POST] Received containerType: ${containerType} (type: ${typeof containerType})`);
+
+    let client;
+    try {
+        const config = await loadCalculationConfigFromDB(originPort, destinationPort, containerType, routing || DEFAULT_ROUTING, shipDate);
+        if (!config) {
+            return res.status(404).json({ error: 'Base rate not found for the specified criteria.' });
+        }
+        // Явно выбранный вариант маршрута должен быть выполним
+        if (routing && !config.sea_route) {
+            return res.status(422).json({ error: config.sea_route_error });
+        }
+        if (config.route_blocked.length > 0) {
+            return res.status(422).json({
+                error: `Route is closed: ${config.route_blocked.map(disruption => disruption.passageName).join(', ')}`,
+                disruptions: config.route_blocked
+            });
+        }
+
+        const indexConfig = buildIndexConfigFromRows(config.indices);
+        const sensitivityCoeff = parseFloat(config.sensitivity_coeff);
+        const calculation = await calculateFreightRate(
+            originPort, destinationPort, config.container_type_name,
+            parseFloat(config.base_rate), indexConfig,
+            isNaN(sensitivityCoeff) ? 0.5 : sensitivityCoeff,
+            weight ? parseFloat(weight) : undefined,
+            debug,
+            { modelSettings: config.model_settings || {}, laneIndices: config.lane_indices, seaRoute: config.sea_route, chokepointDisruptions: config.chokepoint_disruptions, fuelSurchargeProvider: createBafProvider(config.baf_inputs), shipDate: config.ship_date, indexProjection: config.index_projection }
+        );
+        if (calculation.finalRate === -1) {
+            return res.status(500).json({ error: calculation.error });
+        }
+
+        const quote = buildQuoteBreakdown(calculation, { originPort, destinationPort, containerType: config.container_type_name, baseRateLevel: config.rate_level });
+        if (debug) {
+            console.log("[v4.46 /api/calculate POST] Debug calculation completed, quote not saved.");
+            return res.json({ ...quote, debugLog: calculation.debugLog });
+        }
+
+        // История расчетов и котировка с номером и сроком действия сохраняются в одной транзакции
+        client = await pool.connect();
+        await client.query('BEGIN');
+        await saveRequestToHistory(client, originPort, destinationPort, containerType, weight ? parseFloat(weight) : null, calculation.finalRate, email || null, quote.sources);
+        const savedQuote = await createQuote(client, {
+            quote,
+            frozenInputs: buildFrozenInputs(calculation, config, indexConfig),
+            originPortId: originPort,
+            destinationPortId: destinationPort,
+            containerTypeId: containerType,
+            weight: weight ? parseFloat(weight) : null,
+            email: email || null,
+            validityDays: resolveQuoteValidityDays(config.model_settings || {})
+        });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/calculate POST] Rate calculated, history and quote ${savedQuote.reference} saved successfully.`);
+        res.json({ ...toPublicQuote(quote), reference: savedQuote.reference, status: 'valid', validUntil: savedQuote.validUntil.toISOString() });
+
+    } catch (error) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/calculate POST] Rollback error:", rbErr); } }
+        if (error instanceof ShipDateError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error('[v4.46 /api/calculate POST] Error during freight calculation:', error);
+        res.status(500).json({ error: 'Internal Server Error during calculation', details: error.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/calculate POST] Client released."); }
+    }
+}
+
+app.post('/api/calculate', asyncHandler(handleCalculate));
+app.post('/api/admin/calculate', requireRole('pricing_manager'), asyncHandler((req, res) => handleCalculate(req, res, true)));
+
+// Прогноз индексов и ставки направления на 12 недель с 95% интервалами (котировка не сохраняется)
+app.get('/api/forecast', asyncHandler(async (req, res) => {
+    const { origin, destination, containerType, routing } = req.query;
+    console.log(`[v4.46 /api/forecast GET] Request received for ${origin} -> ${destination}, container type ${containerType}, routing ${routing || DEFAULT_ROUTING}.`);
+    if (!origin || !destination || !containerType) {
+        return res.status(400).json({ error: 'Missing required query parameters: origin, destination, containerType' });
+    }
+    if (routing && !ROUTINGS[routing]) {
+        return res.status(400).json({ error: `Unknown routing '${routing}'. Available: ${Object.keys(ROUTINGS).join(', ')}` });
+    }
+    let client;
+    try {
+        const config = await loadCalculationConfigFromDB(origin, destination, containerType, routing || DEFAULT_ROUTING);
+        if (!config) {
+            return res.status(404).json({ error: 'Base rate not found for the specified criteria.' });
+        }
+        // Явно выбранный вариант маршрута должен быть выполним (как в /api/calculate)
+        if (routing && !config.sea_route) {
+            return res.status(422).json({ error: config.sea_route_error });
+        }
+        if (config.route_blocked.length > 0) {
+            return res.status(422).json({
+                error: `Route is closed: ${config.route_blocked.map(disruption => disruption.passageName).join(', ')}`,
+                disruptions: config.route_blocked
+            });
+        }
+        const indexConfig = buildIndexConfigFromRows(config.indices);
+        const sensitivityCoeff = parseFloat(config.sensitivity_coeff);
+        const fuelSurchargeProvider = createBafProvider(config.baf_inputs);
+        client = await pool.connect();
+        const forecast = await buildRateForecast(client, {
+            indexNames: Object.keys(indexConfig),
+            calculate: (shipDate, indexProjection) => calculateFreightRate(
+                origin, destination, config.container_type_name,
+                parseFloat(config.base_rate), indexConfig,
+                isNaN(sensitivityCoeff) ? 0.5 : sensitivityCoeff,
+                undefined, false,
+                { modelSettings: config.model_settings || {}, laneIndices: config.lane_indices, seaRoute: config.sea_route, chokepointDisruptions: config.chokepoint_disruptions, fuelSurchargeProvider, shipDate, indexProjection }
+            ),
+            modelSettings: config.model_settings || {}
+        });
+        console.log(`[v4.46 /api/forecast GET] Forecast built for ${forecast.weeks} weeks.`);
+        res.json({
+            origin,
+            destination,
+            containerType: config.container_type_name,
+            originRegion: config.origin_region,
+            destinationRegion: config.destination_region,
+            currency: 'USD',
+            ...forecast
+        });
+    } catch (err) {
+        if (err instanceof ForecastError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[v4.46 /api/forecast GET] Error building forecast:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/forecast GET] Client released."); }
+    }
+}));
+
+// Получить котировку по номеру (цена возвращается в том виде, в каком была рассчитана)
+app.get('/api/quotes/:ref', asyncHandler(async (req, res) => {
+    const { ref } = req.params;
+    console.log(`[v4.46 /api/quotes/:ref GET] Request received for ${ref}.`);
+    let client;
+    try {
+        client = await pool.connect();
+        const quote = await getQuoteByReference(client, ref);
+        if (!quote) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        console.log(`[v4.46 /api/quotes/:ref GET] Quote ${quote.reference} found, status: ${quote.status}.`);
+        res.json(toPublicQuote(quote));
+    } catch (err) {
+        console.error('[v4.46 /api/quotes/:ref GET] Error fetching quote:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/quotes/:ref GET] Client released."); }
+    }
+}));
+
+// Полная котировка для администраторов: маржа, данные этапов и зафиксированные входные данные расчета
+app.get('/api/admin/quotes/:ref', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { ref } = req.params;
+    console.log(`[v4.46 /api/admin/quotes/:ref GET] Request received for ${ref}.`);
+    let client;
+    try {
+        client = await pool.connect();
+        const quote = await getQuoteByReference(client, ref);
+        if (!quote) {
+            return res.status(404).json({ error: 'Quote not found' });
+        }
+        res.json(quote);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/quotes/:ref GET] Error fetching quote:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/quotes/:ref GET] Client released."); }
+    }
+}));
+
+// История цен на бункерное топливо (fuel_type - сорт, по умолчанию VLSFO; months - период, по умолчанию 12)
+app.get('/api/fuel-prices', asyncHandler(async (req, res) => {
+    const fuelType = String(req.query.fuel_type || 'VLSFO').toUpperCase();
+    const months = req.query.months === undefined ? 12 : req.query.months;
+    console.log(`[v4.46 /api/fuel-prices GET] Request received. fuel_type: ${fuelType}, months: ${months}`);
+    if (!FUEL_TYPES.includes(fuelType)) {
+        return res.status(400).json({ error: `Unknown fuel_type '${fuelType}'. Available: ${FUEL_TYPES.join(', ')}` });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        const prices = await getFuelPriceHistory(client, fuelType, months);
+        console.log(`[v4.46 /api/fuel-prices GET] Found ${prices.length} ${fuelType} prices.`);
+        res.json({ fuelType, months: parseInt(months), prices });
+    } catch (err) {
+        if (err instanceof FuelPriceError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[v4.46 /api/fuel-prices GET] Error fetching fuel price history:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/fuel-prices GET] Client released."); }
+    }
+}));
+
+// --- Аутентификация ---
+
+// Вход в административную панель
+app.post('/api/auth/login', asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+    console.log(`[v4.46 /api/auth/login POST] Login attempt for '${username}'.`);
+    if (!username || !password) {
+        return res.status(400).json({ error: 'Missing required fields: username, password' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        const session = await login(client, username, password);
+        if (!session) {
+            console.warn(`[v4.46 /api/auth/login POST] Invalid credentials for '${username}'.`);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        res.json({ token: session.token, expiresAt: session.expiresAt.toISOString(), user: session.user });
+    } catch (err) {
+        console.error('[v4.46 /api/auth/login POST] Error during login:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/auth/login POST] Client released."); }
+    }
+}));
+
+// Выход (удаление сессии)
+app.post('/api/auth/logout', asyncHandler(async (req, res) => {
+    const token = extractBearerToken(req);
+    let client;
+    try {
+        if (token) {
+            client = await pool.connect();
+            await logout(client, token);
+        }
+        res.json({ message: 'Logged out' });
+    } catch (err) {
+        console.error('[v4.46 /api/auth/logout POST] Error during logout:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/auth/logout POST] Client released."); }
+    }
+}));
+
+// Текущий пользователь (проверка сессии из admin.html)
+app.get('/api/auth/me', authenticate, (req, res) => {
+    res.json({ user: req.user });
+});
+
+// --- Admin API Routes ---
+
+// Get all base rates for admin panel
+app.get('/api/admin/base-rates', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/base-rates GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const query = `
+            SELECT 
+                br.id, 
+                br.origin_region, 
+                br.destination_region, 
+                ct.name as container_type_name, 
+                br.container_type_id, 
+                br.rate
+            FROM base_rates br
+            JOIN container_types ct ON br.container_type_id = ct.id
+            ORDER BY br.id ASC;
+        `;
+        const result = await client.query(query);
+        console.log(`[v4.46 /api/admin/base-rates GET] Found ${result.rows.length} base rates.`);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/base-rates GET] Error fetching base rates:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rates GET] Client released."); }
+    }
+}));
+
+// Add a new base rate
+app.post('/api/admin/base-rates', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { origin_region, destination_region, container_type_id, rate } = req.body;
+    console.log("[v4.46 /api/admin/base-rates POST] Request received with body:", req.body);
+    if (!origin_region || !destination_region || !container_type_id || rate === undefined) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const query = `
+            INSERT INTO base_rates (origin_region, destination_region, container_type_id, rate)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *;
+        `;
+        const result = await client.query(query, [origin_region, destination_region, container_type_id, parseFloat(rate)]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'base_rates', entityId: result.rows[0].id, before: null, after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/base-rates POST] Base rate added successfully:", result.rows[0]);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/base-rates POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/base-rates POST] Error adding base rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rates POST] Client released."); }
+    }
+}));
+
+// Update an existing base rate
+app.put('/api/admin/base-rates/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { origin_region, destination_region, container_type_id, rate } = req.body;
+    console.log(`[v4.46 /api/admin/base-rates PUT] Request for ID ${id} with body:`, req.body);
+    if (!origin_region || !destination_region || !container_type_id || rate === undefined) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM base_rates WHERE id = $1 FOR UPDATE', [parseInt(id)]);
+        const query = `
+            UPDATE base_rates
+            SET origin_region = $1, destination_region = $2, container_type_id = $3, rate = $4
+            WHERE id = $5
+            RETURNING *;
+        `;
+        const result = await client.query(query, [origin_region, destination_region, container_type_id, parseFloat(rate), parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Base rate not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'base_rates', entityId: result.rows[0].id, before: before.rows[0], after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/base-rates PUT] Base rate updated successfully:", result.rows[0]);
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/base-rates PUT] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/base-rates PUT] Error updating base rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rates PUT] Client released."); }
+    }
+}));
+
+// Delete a base rate
+app.delete('/api/admin/base-rates/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/base-rates DELETE] Request for ID ${id}`);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const query = `DELETE FROM base_rates WHERE id = $1 RETURNING *;`;
+        const result = await client.query(query, [parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Base rate not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'base_rates', entityId: result.rows[0].id, before: result.rows[0], after: null });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/base-rates DELETE] Base rate deleted successfully.");
+        res.status(204).send(); // No content
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/base-rates DELETE] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/base-rates DELETE] Error deleting base rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rates DELETE] Client released."); }
+    }
+}));
+
+// Get all port-pair rates for admin panel
+app.get('/api/admin/port-rates', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/port-rates GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const query = `
+            SELECT 
+                pr.id, 
+                pr.origin_port_code, 
+                pr.destination_port_code, 
+                ct.name as container_type_name, 
+                pr.container_type_id, 
+                pr.rate
+            FROM port_pair_rates pr
+            JOIN container_types ct ON pr.container_type_id = ct.id
+            ORDER BY pr.id ASC;
+        `;
+        const result = await client.query(query);
+        console.log(`[v4.46 /api/admin/port-rates GET] Found ${result.rows.length} port-pair rates.`);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/port-rates GET] Error fetching port-pair rates:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/port-rates GET] Client released."); }
+    }
+}));
+
+// Add a new port-pair rate
+app.post('/api/admin/port-rates', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { origin_port_code, destination_port_code, container_type_id, rate } = req.body;
+    console.log("[v4.46 /api/admin/port-rates POST] Request received with body:", req.body);
+    if (!origin_port_code || !destination_port_code || !container_type_id || rate === undefined) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const query = `
+            INSERT INTO port_pair_rates (origin_port_code, destination_port_code, container_type_id, rate)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *;
+        `;
+        const result = await client.query(query, [origin_port_code.toUpperCase(), destination_port_code.toUpperCase(), container_type_id, parseFloat(rate)]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'port_pair_rates', entityId: result.rows[0].id, before: null, after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/port-rates POST] Port-pair rate added successfully:", result.rows[0]);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/port-rates POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/port-rates POST] Error adding port-pair rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/port-rates POST] Client released."); }
+    }
+}));
+
+// Update an existing port-pair rate
+app.put('/api/admin/port-rates/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { origin_port_code, destination_port_code, container_type_id, rate } = req.body;
+    console.log(`[v4.46 /api/admin/port-rates PUT] Request for ID ${id} with body:`, req.body);
+    if (!origin_port_code || !destination_port_code || !container_type_id || rate === undefined) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM port_pair_rates WHERE id = $1 FOR UPDATE', [parseInt(id)]);
+        const query = `
+            UPDATE port_pair_rates
+            SET origin_port_code = $1, destination_port_code = $2, container_type_id = $3, rate = $4
+            WHERE id = $5
+            RETURNING *;
+        `;
+        const result = await client.query(query, [origin_port_code.toUpperCase(), destination_port_code.toUpperCase(), container_type_id, parseFloat(rate), parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Port-pair rate not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'port_pair_rates', entityId: result.rows[0].id, before: before.rows[0], after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/port-rates PUT] Port-pair rate updated successfully:", result.rows[0]);
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/port-rates PUT] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/port-rates PUT] Error updating port-pair rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/port-rates PUT] Client released."); }
+    }
+}));
+
+// Delete a port-pair rate
+app.delete('/api/admin/port-rates/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/port-rates DELETE] Request for ID ${id}`);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const query = `DELETE FROM port_pair_rates WHERE id = $1 RETURNING *;`;
+        const result = await client.query(query, [parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Port-pair rate not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'port_pair_rates', entityId: result.rows[0].id, before: result.rows[0], after: null });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/port-rates DELETE] Port-pair rate deleted successfully.");
+        res.status(204).send(); // No content
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/port-rates DELETE] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/port-rates DELETE] Error deleting port-pair rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/port-rates DELETE] Client released."); }
+    }
+}));
+
+// Get all country-pair rates for admin panel
+app.get('/api/admin/country-rates', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/country-rates GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const query = `
+            SELECT 
+                cr.id, 
+                cr.origin_country, 
+                cr.destination_country, 
+                ct.name as container_type_name, 
+                cr.container_type_id, 
+                cr.rate
+            FROM country_pair_rates cr
+            JOIN container_types ct ON cr.container_type_id = ct.id
+            ORDER BY cr.id ASC;
+        `;
+        const result = await client.query(query);
+        console.log(`[v4.46 /api/admin/country-rates GET] Found ${result.rows.length} country-pair rates.`);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/country-rates GET] Error fetching country-pair rates:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/country-rates GET] Client released."); }
+    }
+}));
+
+// Add a new country-pair rate
+app.post('/api/admin/country-rates', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { origin_country, destination_country, container_type_id, rate } = req.body;
+    console.log("[v4.46 /api/admin/country-rates POST] Request received with body:", req.body);
+    if (!origin_country || !destination_country || !container_type_id || rate === undefined) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const query = `
+            INSERT INTO country_pair_rates (origin_country, destination_country, container_type_id, rate)
+            VALUES ($1, $2, $3, $4)
+            RETURNING *;
+        `;
+        const result = await client.query(query, [origin_country.toUpperCase(), destination_country.toUpperCase(), container_type_id, parseFloat(rate)]);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'country_pair_rates', entityId: result.rows[0].id, before: null, after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/country-rates POST] Country-pair rate added successfully:", result.rows[0]);
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/country-rates POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/country-rates POST] Error adding country-pair rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/country-rates POST] Client released."); }
+    }
+}));
+
+// Update an existing country-pair rate
+app.put('/api/admin/country-rates/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { origin_country, destination_country, container_type_id, rate } = req.body;
+    console.log(`[v4.46 /api/admin/country-rates PUT] Request for ID ${id} with body:`, req.body);
+    if (!origin_country || !destination_country || !container_type_id || rate === undefined) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM country_pair_rates WHERE id = $1 FOR UPDATE', [parseInt(id)]);
+        const query = `
+            UPDATE country_pair_rates
+            SET origin_country = $1, destination_country = $2, container_type_id = $3, rate = $4
+            WHERE id = $5
+            RETURNING *;
+        `;
+        const result = await client.query(query, [origin_country.toUpperCase(), destination_country.toUpperCase(), container_type_id, parseFloat(rate), parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Country-pair rate not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'country_pair_rates', entityId: result.rows[0].id, before: before.rows[0], after: result.rows[0] });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/country-rates PUT] Country-pair rate updated successfully:", result.rows[0]);
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/country-rates PUT] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/country-rates PUT] Error updating country-pair rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/country-rates PUT] Client released."); }
+    }
+}));
+
+// Delete a country-pair rate
+app.delete('/api/admin/country-rates/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/country-rates DELETE] Request for ID ${id}`);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const query = `DELETE FROM country_pair_rates WHERE id = $1 RETURNING *;`;
+        const result = await client.query(query, [parseInt(id)]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Country-pair rate not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'country_pair_rates', entityId: result.rows[0].id, before: result.rows[0], after: null });
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/country-rates DELETE] Country-pair rate deleted successfully.");
+        res.status(204).send(); // No content
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/country-rates DELETE] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/country-rates DELETE] Error deleting country-pair rate:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/country-rates DELETE] Client released."); }
+    }
+}));
+
+// Get calculation history
+app.get('/api/admin/calculation-history', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/history GET] Request received.");
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    let client;
+    try {
+        client = await pool.connect();
+        const historyQuery = `
+            SELECT 
+                ch.id, ch.timestamp, 
+                po.name as origin_port_name, 
+                pd.name as destination_port_name, 
+                ct.name as container_type_name, 
+                ch.weight, ch.calculated_rate, ch.user_email, ch.index_values_used
+            FROM calculation_history ch
+            LEFT JOIN ports po ON ch.origin_port_id = po.id
+            LEFT JOIN ports pd ON ch.destination_port_id = pd.id
+            LEFT JOIN container_types ct ON ch.container_type_id = ct.id
+            ORDER BY ch.timestamp DESC
+            LIMIT $1 OFFSET $2;
+        `;
+        const totalCountQuery = 'SELECT COUNT(*) FROM calculation_history;';
+        
+        const historyResult = await client.query(historyQuery, [limit, offset]);
+        const totalCountResult = await client.query(totalCountQuery);
+        const totalItems = parseInt(totalCountResult.rows[0].count);
+        const totalPages = Math.ceil(totalItems / limit);
+
+        console.log(`[v4.46 /api/admin/history GET] Found ${historyResult.rows.length} history entries for page ${page}. Total items: ${totalItems}`);
+        res.json({
+            data: historyResult.rows,
+            currentPage: page,
+            totalPages: totalPages,
+            totalItems: totalItems
+        });
+    } catch (err) {
+        console.error('[v4.46 /api/admin/history GET] Error fetching calculation history:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/history GET] Client released."); }
+    }
+})); 
+
+// Get index configurations
+app.get('/api/admin/index-config', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/indices GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const result = await client.query('SELECT index_name, baseline_value, weight_percentage, current_value, last_updated, expected_frequency_days FROM index_config ORDER BY index_name ASC');
+        console.log(`[v4.46 /api/admin/indices GET] Found ${result.rows.length} indices.`);
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/indices GET] Error fetching indices:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/indices GET] Client released."); }
+    }
+}));
+
+// История значений индекса (параметры from/to - даты ISO, включительно)
+app.get('/api/admin/indices/:name/history', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const { name } = req.params;
+    const { from, to } = req.query;
+    console.log(`[v4.46 /api/admin/indices/:name/history GET] Request for ${name}, from: ${from || '-'}, to: ${to || '-'}`);
+    if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).json({ error: 'Invalid date in from/to parameters' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        const observations = await getIndexHistory(client, name, { from, to });
+        console.log(`[v4.46 /api/admin/indices/:name/history GET] Found ${observations.length} observations for ${name}.`);
+        res.json({ index_name: name, from: from || null, to: to || null, observations });
+    } catch (err) {
+        console.error('[v4.46 /api/admin/indices/:name/history GET] Error fetching index history:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/indices/:name/history GET] Client released."); }
+    }
+}));
+
+// Update index configurations
+app.post('/api/admin/indices', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const indices = req.body; // Expects an array of index objects
+    console.log("[v4.46 /api/admin/indices POST] Request received with body:", req.body);
+    if (!Array.isArray(indices)) {
+        return res.status(400).json({ error: 'Request body must be an array of index configurations.' });
+    }
+    // expected_frequency_days необязателен: пустое значение - периодичность источника (index_freshness.js), отсутствие поля - без изменений
+    const invalidFrequency = indices.find(index => index.expected_frequency_days !== undefined && index.expected_frequency_days !== null &&
+        index.expected_frequency_days !== '' && !(parseFloat(index.expected_frequency_days) > 0));
+    if (invalidFrequency) {
+        return res.status(400).json({ error: `expected_frequency_days must be a positive number (index ${invalidFrequency.index_name})` });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const pendingReview = [];
+        for (const index of indices) {
+            if (!index.index_name || index.baseline_value === undefined || index.weight_percentage === undefined || index.current_value === undefined) {
+                throw new IndexConfigError(`Invalid data for index: ${JSON.stringify(index)}. All fields are required.`, 400);
+            }
+            const before = await client.query('SELECT * FROM index_config WHERE index_name = $1 FOR UPDATE', [index.index_name]);
+            const query = `
+                INSERT INTO index_config (index_name, baseline_value, weight_percentage, current_value, last_updated, expected_frequency_days)
+                VALUES ($1, $2, $3, $4, NOW(), $5)
+                ON CONFLICT (index_name) DO UPDATE SET
+                    baseline_value = EXCLUDED.baseline_value,
+                    weight_percentage = EXCLUDED.weight_percentage,
+                    expected_frequency_days = CASE WHEN $6 THEN EXCLUDED.expected_frequency_days ELSE index_config.expected_frequency_days END;
+            `;
+            const currentValue = parseFloat(index.current_value);
+            const expectedFrequencyDays = parseFloat(index.expected_frequency_days);
+            await client.query(query, [
+                index.index_name, parseFloat(index.baseline_value), parseFloat(index.weight_percentage), isNaN(currentValue) ? null : currentValue,
+                isNaN(expectedFrequencyDays) ? null : expectedFrequencyDays, index.expected_frequency_days !== undefined
+            ]);
+            // Новое значение индекса сохраняется как наблюдение; current_value пересчитывается из последнего наблюдения
+            const previousValue = before.rows.length > 0 ? parseFloat(before.rows[0].current_value) : NaN;
+            if (!isNaN(currentValue) && (before.rows.length === 0 || previousValue !== currentValue)) {
+                const submitted = await submitIndexObservation(client, { indexName: index.index_name, value: currentValue, source: 'manual' });
+                if (submitted.status === 'pending_review') {
+                    pendingReview.push({ index_name: index.index_name, value: currentValue, reasons: submitted.reasons.map(reason => reason.message) });
+                }
+            }
+            const after = await client.query('SELECT * FROM index_config WHERE index_name = $1', [index.index_name]);
+            await recordAuditEntry(client, { actor: req.user, entityType: 'index_config', entityId: index.index_name, before: before.rows[0] || null, after: after.rows[0] });
+        }
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/indices POST] Indices updated successfully, ${pendingReview.length} value(s) pending review.`);
+        res.status(200).json({
+            message: pendingReview.length > 0
+                ? `Indices updated. Values pending review: ${pendingReview.map(item => item.index_name).join(', ')}`
+                : 'Indices updated successfully',
+            pendingReview
+        });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/indices POST] Rollback error:", rbErr); } }
+        if (err instanceof IndexConfigError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[v4.46 /api/admin/indices POST] Error updating indices:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/indices POST] Client released."); }
+    }
+}));
+
+// Свежесть данных индексов: возраст значения относительно периодичности публикации и фактический вес в расчете
+app.get('/api/admin/index-freshness', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/index-freshness GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const settingsResult = await client.query("SELECT setting_key, setting_value FROM model_settings WHERE setting_key LIKE 'indexFreshness%'");
+        const report = await getIndexFreshnessReport(client, Object.fromEntries(settingsResult.rows.map(row => [row.setting_key, row.setting_value])));
+        console.log(`[v4.46 /api/admin/index-freshness GET] Reported freshness for ${report.indices.length} indices.`);
+        res.json(report);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/index-freshness GET] Error building freshness report:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/index-freshness GET] Client released."); }
+    }
+}));
+
+// Значения индексов на проверке (карантин index_quarantine.js)
+app.get('/api/admin/index-observations/pending', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/index-observations/pending GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const observations = await listPendingIndexObservations(client);
+        console.log(`[v4.46 /api/admin/index-observations/pending GET] Found ${observations.length} pending observations.`);
+        res.json(observations);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/index-observations/pending GET] Error fetching pending observations:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/index-observations/pending GET] Client released."); }
+    }
+}));
+
+// Одобрение (approve) или отклонение (reject) значения на проверке
+app.post('/api/admin/index-observations/:id/:decision(approve|reject)', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id, decision } = req.params;
+    console.log(`[v4.46 /api/admin/index-observations/:id/${decision} POST] Observation ${id} by '${req.user.username}'.`);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const reviewed = await reviewIndexObservation(client, parseInt(id), decision, req.user);
+        await recordAuditEntry(client, { actor: req.user, entityType: 'index_values', entityId: id, before: reviewed.before, after: reviewed.after });
+        await client.query('COMMIT');
+        res.json(reviewed.after);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error(`[v4.46 /api/admin/index-observations/:id/${decision} POST] Rollback error:`, rbErr); } }
+        if (err instanceof IndexReviewError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error(`[v4.46 /api/admin/index-observations/:id/${decision} POST] Error reviewing observation:`, err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log(`[v4.46 /api/admin/index-observations/:id/${decision} POST] Client released.`); }
+    }
+}));
+
+// Индексы по маршрутам: сопоставление маршрутов SCFI/WCI/FBX с регионами, база и последнее значение
+app.get('/api/admin/index-lanes', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/index-lanes GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const lanes = await listLaneRoutes(client);
+        console.log(`[v4.46 /api/admin/index-lanes GET] Found ${lanes.length} lane routes.`);
+        res.json(lanes);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/index-lanes GET] Error fetching lane routes:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/index-lanes GET] Client released."); }
+    }
+}));
+
+// Изменение маршрута: { origin_region, destination_region, baseline_value }
+app.put('/api/admin/index-lanes/:id', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { origin_region, destination_region, baseline_value } = req.body;
+    console.log(`[v4.46 /api/admin/index-lanes/:id PUT] Request for lane ${id}:`, req.body);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const updated = await updateLaneRoute(client, parseInt(id), { originRegion: origin_region, destinationRegion: destination_region, baselineValue: baseline_value });
+        if (!updated) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Lane route not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'index_lane_routes', entityId: id, before: updated.before, after: updated.after });
+        await client.query('COMMIT');
+        res.json(updated.after);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/index-lanes/:id PUT] Rollback error:", rbErr); } }
+        if (err instanceof LaneRouteError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[v4.46 /api/admin/index-lanes/:id PUT] Error updating lane route:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/index-lanes/:id PUT] Client released."); }
+    }
+}));
+
+// Get model settings
+app.get('/api/admin/model-settings', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/settings GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const result = await client.query('SELECT setting_key, setting_value, description FROM model_settings');
+        const settingsMap = result.rows.reduce((acc, row) => {
+            acc[row.setting_key] = row.setting_value;
+            return acc;
+        }, {});
+        console.log(`[v4.46 /api/admin/settings GET] Found ${result.rows.length} settings.`);
+        res.json(settingsMap); // Return as a map for easier access on client-side
+    } catch (err) {
+        console.error('[v4.46 /api/admin/settings GET] Error fetching settings:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/settings GET] Client released."); }
+    }
+}));
 
-        // Optional: Clear existing base rates before inserting new ones
-        // await client.query('DELETE FROM base_rates;'); 
-        // console.log("[v4.46 /api/admin/upload-base-rates POST] Cleared existing base rates.");
+// Update model settings
+app.post('/api/admin/settings', requireRole('admin'), asyncHandler(async (req, res) => {
+    const settings = req.body; // Expects an object dificuldades { setting_key: value, ... }
+    console.log("[v4.46 /api/admin/settings POST] Request received with body:", req.body);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        for (const key in settings) {
+            if (settings.hasOwnProperty(key)) {
+                const before = await client.query('SELECT * FROM model_settings WHERE setting_key = $1 FOR UPDATE', [key]);
+                const query = `
+                    INSERT INTO model_settings (setting_key, setting_value)
+                    VALUES ($1, $2)
+                    ON CONFLICT (setting_key) DO UPDATE SET
+                        setting_value = EXCLUDED.setting_value
+                    RETURNING *;
+                `;
+                const result = await client.query(query, [key, settings[key]]);
+                await recordAuditEntry(client, { actor: req.user, entityType: 'model_settings', entityId: key, before: before.rows[0] || null, after: result.rows[0] });
+            }
+        }
+        await client.query('COMMIT');
+        console.log("[v4.46 /api/admin/settings POST] Settings updated successfully.");
+        res.status(200).json({ message: 'Settings updated successfully' });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/settings POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/settings POST] Error updating settings:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/settings POST] Client released."); }
+    }
+}));
 
-        let successfulInserts = 0;
-        let failedInserts = 0;
+// Update model settings (admin panel format: { settings: [{ setting_key, setting_value }] }).
+// Используется в том числе для переопределения этапов конвейера по направлению: pricingStages:<OriginRegion>-<DestinationRegion>
+app.put('/api/admin/model-settings', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { settings } = req.body;
+    console.log("[v4.46 /api/admin/model-settings PUT] Request received with body:", req.body);
+    if (!Array.isArray(settings)) {
+        return res.status(400).json({ error: 'settings must be an array of { setting_key, setting_value }' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        for (const { setting_key, setting_value } of settings) {
+            if (!setting_key) continue;
+            const before = await client.query('SELECT * FROM model_settings WHERE setting_key = $1 FOR UPDATE', [setting_key]);
+            const result = await client.query(`
+                INSERT INTO model_settings (setting_key, setting_value)
+                VALUES ($1, $2)
+                ON CONFLICT (setting_key) DO UPDATE SET
+                    setting_value = EXCLUDED.setting_value
+                RETURNING *;
+            `, [setting_key, String(setting_value)]);
+            await recordAuditEntry(client, { actor: req.user, entityType: 'model_settings', entityId: setting_key, before: before.rows[0] || null, after: result.rows[0] });
+        }
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/model-settings PUT] ${settings.length} settings updated.`);
+        res.status(200).json({ message: 'Settings updated successfully' });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/model-settings PUT] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/model-settings PUT] Error updating settings:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/model-settings PUT] Client released."); }
+    }
+}));
 
-        for (const row of data) {
-            const { origin_region, destination_region, container_type_name, rate } = row;
-            if (!origin_region || !destination_region || !container_type_name || rate === undefined) {
-                console.warn(`[v4.46 /api/admin/upload-base-rates POST] Skipping row due to missing data: ${JSON.stringify(row)}`);
-                failedInserts++;
-                continue;
-            }
+// Phase 1 of the base rates import: parse the Excel file and return a diff against current rates.
+// Ставки не изменяются; предпросмотр сохраняется и применяется через POST /api/admin/base-rate-imports/:id/commit.
+// (доступно как /api/admin/upload-base-rates с полем baseRatesFile и как /api/upload/base-rates с полем ratesFile из admin.html)
+async function handleBaseRatesUpload(req, res) {
+    console.log("[v4.46 /api/admin/upload-base-rates POST] File upload request received.");
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded.' });
+    }
 
-            try {
-                // Get container_type_id from container_type_name
-                const ctRes = await client.query('SELECT id FROM container_types WHERE name = $1', [container_type_name]);
-                if (ctRes.rows.length === 0) {
-                    console.warn(`[v4.46 /api/admin/upload-base-rates POST] Container type name "${container_type_name}" not found. Skipping row: ${JSON.stringify(row)}`);
-                    failedInserts++;
-                    continue;
-                }
-                const container_type_id = ctRes.rows[0].id;
+    let client;
+    try {
+        const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
+        const sheetName = workbook.SheetNames[0];
+        const worksheet = workbook.Sheets[sheetName];
+        const data = xlsx.utils.sheet_to_json(worksheet);
 
-                const insertQuery = `
-                    INSERT INTO base_rates (origin_region, destination_region, container_type_id, rate)
-                    VALUES ($1, $2, $3, $4)
-                    ON CONFLICT (origin_region, destination_region, container_type_id) 
-                    DO UPDATE SET rate = EXCLUDED.rate;
-                `;
-                await client.query(insertQuery, [origin_region, destination_region, container_type_id, parseFloat(rate)]);
-                successfulInserts++;
-            } catch (rowError) {
-                console.error(`[v4.46 /api/admin/upload-base-rates POST] Error inserting row ${JSON.stringify(row)}:`, rowError);
-                failedInserts++;
-            }
-        }
+        console.log(`[v4.46 /api/admin/upload-base-rates POST] Parsed ${data.length} rows from Excel.`);
 
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const settingsResult = await client.query("SELECT setting_value FROM model_settings WHERE setting_key = 'baseRateConfirmThresholdPercent'");
+        const thresholdPercent = resolveConfirmThresholdPercent({ baseRateConfirmThresholdPercent: settingsResult.rows[0]?.setting_value });
+        const preview = await buildBaseRateImportPreview(client, data, thresholdPercent);
+        const importId = await saveBaseRateImportPreview(client, { fileName: req.file.originalname, actor: req.user, preview });
         await client.query('COMMIT');
-        console.log(`[v4.46 /api/admin/upload-base-rates POST] Base rates upload completed. Successful: ${successfulInserts}, Failed: ${failedInserts}`);
-        res.status(200).json({ message: `Base rates uploaded. Successful: ${successfulInserts}, Failed: ${failedInserts}` });
+
+        const { summary } = preview;
+        console.log(`[v4.46 /api/admin/upload-base-rates POST] Preview ${importId} created:`, summary);
+        res.status(200).json({
+            message: `Preview ready. New lanes: ${summary.newLanes}, changed rates: ${summary.changedRates} (${summary.requiresConfirmation} above ${thresholdPercent}%), unchanged: ${summary.unchanged}, skipped: ${summary.unknownContainerTypes + summary.duplicates + summary.invalidRows}`,
+            importId,
+            ...preview
+        });
 
     } catch (err) {
         if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/upload-base-rates POST] Rollback error:", rbErr); } }
@@ -810,10 +2112,231 @@ app.post('/api/admin/upload-base-rates', upload.single('baseRatesFile'), asyncHa
     } finally {
         if (client) { client.release(); console.log("[v4.46 /api/admin/upload-base-rates POST] Client released."); }
     }
+}
+
+app.post('/api/admin/upload-base-rates', requireRole('pricing_manager'), upload.single('baseRatesFile'), asyncHandler(handleBaseRatesUpload));
+app.post('/api/upload/base-rates', authenticate, requireRole('pricing_manager'), upload.single('ratesFile'), asyncHandler(handleBaseRatesUpload));
+
+// Previously previewed base rates import
+app.get('/api/admin/base-rate-imports/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/base-rate-imports/:id GET] Request for import ${id}.`);
+    let client;
+    try {
+        client = await pool.connect();
+        const baseRateImport = await getBaseRateImport(client, parseInt(id));
+        if (!baseRateImport) {
+            return res.status(404).json({ error: 'Import not found' });
+        }
+        res.json(baseRateImport);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/base-rate-imports/:id GET] Error fetching import:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rate-imports/:id GET] Client released."); }
+    }
+}));
+
+// Phase 2: apply a previewed import. Изменения выше порога требуют { confirmFlagged: true } в теле запроса.
+app.post('/api/admin/base-rate-imports/:id/commit', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const confirmFlagged = req.body?.confirmFlagged === true;
+    console.log(`[v4.46 /api/admin/base-rate-imports/:id/commit POST] Request to commit import ${id} by '${req.user.username}'.`);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const result = await commitBaseRateImport(client, parseInt(id), req.user, { confirmFlagged });
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/base-rate-imports/:id/commit POST] Import ${id} committed:`, result.applied);
+        res.json({
+            message: `Base rates imported: ${result.total} (port: ${result.applied.port}, country: ${result.applied.country}, region: ${result.applied.region})`,
+            ...result
+        });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/base-rate-imports/:id/commit POST] Rollback error:", rbErr); } }
+        if (err instanceof BaseRateImportError) {
+            return res.status(err.statusCode).json({ error: err.message, ...err.details });
+        }
+        console.error('[v4.46 /api/admin/base-rate-imports/:id/commit POST] Error committing import:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/base-rate-imports/:id/commit POST] Client released."); }
+    }
+}));
+
+// Бэктест модели на фактических ставках historical_rates (backtest.js).
+// Тело: { from: 'YYYY-MM-DD', to: 'YYYY-MM-DD', candidate?: { sensitivityCoeff, indexWeights, coreSourceWeights, modelSettings }, maxSamples? }
+// Запуск создается в backtest_runs со статусом 'running' и выполняется в фоне (202 { id }), статус и результаты -
+// GET /api/admin/backtests/:id. Конфигурация модели не изменяется. Пока выполняется запуск, новый не принимается (409).
+app.post('/api/admin/backtests', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    console.log(`[v4.46 /api/admin/backtests POST] Backtest requested by '${req.user.username}'.`);
+    let client;
+    try {
+        const input = validateBacktestInput(req.body || {});
+        client = await pool.connect();
+        const id = await createBacktestRun(client, { actor: req.user, input });
+        console.log(`[v4.46 /api/admin/backtests POST] Backtest ${id} started: ${input.from} - ${input.to}, up to ${input.maxSamples} samples.`);
+        runBacktestInBackground(id, input);
+        res.status(202).json({ id, status: 'running', limitations: BACKTEST_LIMITATIONS });
+    } catch (err) {
+        if (err instanceof BacktestError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[v4.46 /api/admin/backtests POST] Error starting backtest:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/backtests POST] Client released."); }
+    }
+}));
+
+// Фоновое выполнение запуска бэктеста. Расчет точек только читает БД и идет вне транзакции;
+// результаты или ошибка записываются в строку запуска одним UPDATE.
+async function runBacktestInBackground(runId, input) {
+    const startedAt = Date.now();
+    let client;
+    try {
+        client = await pool.connect();
+        const run = await runBacktest(client, {
+            ...input,
+            loadConfig: (originPortId, destinationPortId, containerTypeId) =>
+                loadCalculationConfigFromDB(originPortId, destinationPortId, containerTypeId, DEFAULT_ROUTING, null, { allowMissingBaseRate: true })
+        });
+        const durationMs = Date.now() - startedAt;
+        await completeBacktestRun(client, runId, { run, durationMs });
+        console.log(`[v4.46 backtest ${runId}] Backtest finished: ${run.sampleCount} samples in ${durationMs} ms.`);
+    } catch (err) {
+        console.error(`[v4.46 backtest ${runId}] Error running backtest:`, err);
+        try {
+            await failBacktestRun(pool, runId, { message: err.message, durationMs: Date.now() - startedAt });
+        } catch (updateErr) {
+            console.error(`[v4.46 backtest ${runId}] Error saving backtest failure:`, updateErr);
+        }
+    } finally {
+        if (client) { client.release(); console.log(`[v4.46 backtest ${runId}] Client released.`); }
+    }
+}
+
+// Последние запуски бэктеста (итоговые метрики, без разбивки по направлениям)
+app.get('/api/admin/backtests', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/backtests GET] Request for backtest runs.");
+    let client;
+    try {
+        client = await pool.connect();
+        res.json(await listBacktestRuns(client));
+    } catch (err) {
+        console.error('[v4.46 /api/admin/backtests GET] Error fetching backtest runs:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/backtests GET] Client released."); }
+    }
+}));
+
+// Запуск бэктеста с метриками по направлениям и типам контейнеров
+app.get('/api/admin/backtests/:id', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/backtests/:id GET] Request for backtest ${id}.`);
+    if (!/^\d+$/.test(id) || parseInt(id) <= 0) {
+        return res.status(400).json({ error: 'Backtest id must be a positive integer' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        const run = await getBacktestRun(client, parseInt(id));
+        if (!run) {
+            return res.status(404).json({ error: 'Backtest run not found' });
+        }
+        res.json(run);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/backtests/:id GET] Error fetching backtest run:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/backtests/:id GET] Client released."); }
+    }
+}));
+
+// Import of index observations from Excel/CSV (index_name, date, value, optional baseline/weight)
+// Корректные строки добавляются в index_values, некорректные возвращаются в отчете с причинами.
+app.post('/api/upload/indices', authenticate, requireRole('pricing_manager'), upload.single('indicesFile'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/upload/indices POST] File upload request received.");
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded.' });
+    }
+
+    let rows;
+    try {
+        rows = readIndexUploadRows(req.file.buffer, req.file.originalname, req.file.mimetype);
+    } catch (parseError) {
+        console.error('[v4.46 /api/upload/indices POST] Error parsing file:', parseError);
+        return res.status(400).json({ error: 'Could not read file. Expected .xlsx or .csv.', details: parseError.message });
+    }
+    console.log(`[v4.46 /api/upload/indices POST] Parsed ${rows.length} rows.`);
+    if (rows.length === 0) {
+        return res.status(400).json({ error: 'File contains no data rows.' });
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const report = await importIndexRows(client, rows, req.user);
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/upload/indices POST] Index upload completed. Accepted: ${report.accepted}, Pending review: ${report.pendingReview}, Rejected: ${report.rejected}`);
+        res.status(200).json({
+            message: `Index values uploaded. Accepted: ${report.accepted}, Pending review: ${report.pendingReview}, Rejected: ${report.rejected}`,
+            ...report
+        });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/upload/indices POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/upload/indices POST] Error importing index values:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/upload/indices POST] Client released."); }
+    }
+}));
+
+// Импорт фактических рыночных ставок из Excel/CSV в historical_rates (origin_port, destination_port, container_type, date, rate, source?)
+// Ставки используются в анализе сезонности и в бэктесте; некорректные строки возвращаются в отчете с причинами.
+app.post('/api/upload/historical-rates', authenticate, requireRole('pricing_manager'), upload.single('historicalRatesFile'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/upload/historical-rates POST] File upload request received.");
+    if (!req.file) {
+        return res.status(400).json({ error: 'No file uploaded.' });
+    }
+
+    let rows;
+    try {
+        rows = readIndexUploadRows(req.file.buffer, req.file.originalname, req.file.mimetype);
+    } catch (parseError) {
+        console.error('[v4.46 /api/upload/historical-rates POST] Error parsing file:', parseError);
+        return res.status(400).json({ error: 'Could not read file. Expected .xlsx or .csv.', details: parseError.message });
+    }
+    console.log(`[v4.46 /api/upload/historical-rates POST] Parsed ${rows.length} rows.`);
+    if (rows.length === 0) {
+        return res.status(400).json({ error: 'File contains no data rows.' });
+    }
+
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const report = await importHistoricalRateRows(client, rows);
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/upload/historical-rates POST] Upload by '${req.user.username}' completed. Inserted: ${report.inserted}, Updated: ${report.updated}, Rejected: ${report.rejected}`);
+        res.status(200).json({
+            message: `Historical rates uploaded. Inserted: ${report.inserted}, Updated: ${report.updated}, Rejected: ${report.rejected}`,
+            ...report
+        });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/upload/historical-rates POST] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/upload/historical-rates POST] Error importing historical rates:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/upload/historical-rates POST] Client released."); }
+    }
 }));
 
 // Initialize seasonality data endpoint (for admin use, if needed)
-app.post('/api/admin/init-seasonality', asyncHandler(async (req, res) => {
+app.post('/api/admin/init-seasonality', requireRole('admin'), asyncHandler(async (req, res) => {
     console.log("[v4.46 /api/admin/init-seasonality POST] Request received.");
     let client;
     try {
@@ -830,6 +2353,259 @@ app.post('/api/admin/init-seasonality', asyncHandler(async (req, res) => {
     }
 }));
 
+// --- Журнал изменений ---
+
+// Список изменений (фильтры: entity_type, entity_id; пагинация: limit, offset)
+app.get('/api/admin/audit-log', requireRole('viewer'), asyncHandler(async (req, res) => {
+    const { entity_type, entity_id } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    console.log(`[v4.46 /api/admin/audit-log GET] Request received. entity_type: ${entity_type || '*'}, entity_id: ${entity_id || '*'}`);
+    if (entity_type && !AUDITED_ENTITIES[entity_type]) {
+        return res.status(400).json({ error: `Unknown entity_type. Allowed: ${Object.keys(AUDITED_ENTITIES).join(', ')}` });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        const { entries, total } = await listAuditEntries(client, { entityType: entity_type, entityId: entity_id, limit, offset });
+        res.json({ entries, total, limit, offset });
+    } catch (err) {
+        console.error('[v4.46 /api/admin/audit-log GET] Error fetching audit log:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/audit-log GET] Client released."); }
+    }
+}));
+
+// Откат одного изменения (изменения model_settings откатывает только admin)
+app.post('/api/admin/audit-log/:id/revert', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/audit-log/:id/revert POST] Request to revert audit entry ${id} by '${req.user.username}'.`);
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const revertEntry = await revertAuditEntry(client, parseInt(id), req.user);
+        await client.query('COMMIT');
+        console.log(`[v4.46 /api/admin/audit-log/:id/revert POST] Audit entry ${id} reverted by entry ${revertEntry.id}.`);
+        res.json(revertEntry);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/audit-log/:id/revert POST] Rollback error:", rbErr); } }
+        if (err instanceof AuditRevertError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[v4.46 /api/admin/audit-log/:id/revert POST] Error reverting audit entry:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/audit-log/:id/revert POST] Client released."); }
+    }
+}));
+
+// --- Планировщик скраперов ---
+
+// Расписания скраперов с результатом последнего запуска
+app.get('/api/admin/scraper/schedules', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/scraper/schedules GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        res.json(await listScraperSchedules(client));
+    } catch (err) {
+        console.error('[v4.46 /api/admin/scraper/schedules GET] Error fetching schedules:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/scraper/schedules GET] Client released."); }
+    }
+}));
+
+// Изменение расписания индекса: { cron_expression, enabled }
+app.put('/api/admin/scraper/schedules/:indexName', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { indexName } = req.params;
+    const { cron_expression, enabled } = req.body;
+    console.log(`[v4.46 /api/admin/scraper/schedules/:indexName PUT] Request for ${indexName}:`, req.body);
+    if (cron_expression === undefined && typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'cron_expression or enabled (boolean) is required' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        let updated;
+        try {
+            updated = await updateScraperSchedule(client, indexName, { cronExpression: cron_expression, enabled });
+        } catch (cronError) {
+            await client.query('ROLLBACK');
+            return res.status(400).json({ error: cronError.message });
+        }
+        if (!updated) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'scraper_schedules', entityId: indexName, before: updated.before, after: updated.after });
+        await client.query('COMMIT');
+        res.json(updated.after);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/scraper/schedules/:indexName PUT] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/scraper/schedules/:indexName PUT] Error updating schedule:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/scraper/schedules/:indexName PUT] Client released."); }
+    }
+}));
+
+// История запусков (фильтры: index_name, status, limit, offset)
+app.get('/api/admin/scraper/runs', requireRole('viewer'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/scraper/runs GET] Request received:", req.query);
+    const { index_name, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = parseInt(req.query.offset) || 0;
+    let client;
+    try {
+        client = await pool.connect();
+        res.json(await listScraperRuns(client, { indexName: index_name, status, limit, offset }));
+    } catch (err) {
+        console.error('[v4.46 /api/admin/scraper/runs GET] Error fetching runs:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/scraper/runs GET] Client released."); }
+    }
+}));
+
+// Ручной запуск скрапера: { index_name }. Ответ возвращается после завершения запуска.
+app.post('/api/admin/scraper/runs', requireRole('pricing_manager'), asyncHandler(async (req, res) => {
+    const { index_name } = req.body;
+    console.log(`[v4.46 /api/admin/scraper/runs POST] Manual run of ${index_name} by '${req.user.username}'.`);
+    if (!index_name) {
+        return res.status(400).json({ error: 'index_name is required' });
+    }
+    try {
+        const run = await runScraperJob(pool, index_name, { trigger: 'manual', actor: req.user });
+        res.status(run.status === 'success' ? 200 : 502).json(run);
+    } catch (err) {
+        if (err instanceof ScraperJobError) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        console.error('[v4.46 /api/admin/scraper/runs POST] Error running scraper:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    }
+}));
+
+// --- Управление пользователями административной панели ---
+
+app.get('/api/admin/users', requireRole('admin'), asyncHandler(async (req, res) => {
+    console.log("[v4.46 /api/admin/users GET] Request received.");
+    let client;
+    try {
+        client = await pool.connect();
+        const result = await client.query('SELECT id, username, role, is_active, created_at, last_login_at FROM admin_users ORDER BY username');
+        res.json(result.rows);
+    } catch (err) {
+        console.error('[v4.46 /api/admin/users GET] Error fetching users:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/users GET] Client released."); }
+    }
+}));
+
+app.post('/api/admin/users', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { username, password, role } = req.body;
+    console.log(`[v4.46 /api/admin/users POST] Request to create user '${username}' with role '${role}'.`);
+    if (!username || !password || !ROLES.includes(role)) {
+        return res.status(400).json({ error: `Missing required fields: username, password, role (${ROLES.join(', ')})` });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const result = await client.query(
+            'INSERT INTO admin_users (username, password_hash, role) VALUES ($1, $2, $3) RETURNING id, username, role, is_active, created_at',
+            [username, await hashPassword(password), role]
+        );
+        await recordAuditEntry(client, { actor: req.user, entityType: 'admin_users', entityId: result.rows[0].id, before: null, after: result.rows[0] });
+        await client.query('COMMIT');
+        res.status(201).json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/users POST] Rollback error:", rbErr); } }
+        if (err.code === '23505') {
+            return res.status(409).json({ error: 'User with this username already exists' });
+        }
+        console.error('[v4.46 /api/admin/users POST] Error creating user:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/users POST] Client released."); }
+    }
+}));
+
+// Изменение роли, пароля или активности пользователя
+app.put('/api/admin/users/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { role, password, is_active } = req.body;
+    console.log(`[v4.46 /api/admin/users PUT] Request for user ID ${id}.`);
+    if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `Invalid role. Allowed: ${ROLES.join(', ')}` });
+    }
+    if (parseInt(id) === req.user.id && ((role !== undefined && role !== 'admin') || is_active === false)) {
+        return res.status(400).json({ error: 'You cannot demote or deactivate your own account' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const before = await client.query('SELECT * FROM admin_users WHERE id = $1 FOR UPDATE', [id]);
+        const result = await client.query(`
+            UPDATE admin_users SET
+                role = COALESCE($1, role),
+                password_hash = COALESCE($2, password_hash),
+                is_active = COALESCE($3, is_active)
+            WHERE id = $4
+            RETURNING id, username, role, is_active, created_at, last_login_at
+        `, [role ?? null, password ? await hashPassword(password) : null, is_active ?? null, id]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+        if (password || is_active === false) {
+            await client.query('DELETE FROM admin_sessions WHERE user_id = $1', [id]);
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'admin_users', entityId: id, before: before.rows[0], after: result.rows[0] });
+        await client.query('COMMIT');
+        res.json(result.rows[0]);
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/users PUT] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/users PUT] Error updating user:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/users PUT] Client released."); }
+    }
+}));
+
+app.delete('/api/admin/users/:id', requireRole('admin'), asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    console.log(`[v4.46 /api/admin/users DELETE] Request for user ID ${id}.`);
+    if (parseInt(id) === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
+    let client;
+    try {
+        client = await pool.connect();
+        await client.query('BEGIN');
+        const result = await client.query('DELETE FROM admin_users WHERE id = $1 RETURNING *', [id]);
+        if (result.rows.length === 0) {
+            await client.query('ROLLBACK');
+            return res.status(404).json({ error: 'User not found' });
+        }
+        await recordAuditEntry(client, { actor: req.user, entityType: 'admin_users', entityId: id, before: result.rows[0], after: null });
+        await client.query('COMMIT');
+        res.json({ message: 'User deleted successfully' });
+    } catch (err) {
+        if (client) { try { await client.query('ROLLBACK'); } catch (rbErr) { console.error("[v4.46 /api/admin/users DELETE] Rollback error:", rbErr); } }
+        console.error('[v4.46 /api/admin/users DELETE] Error deleting user:', err);
+        res.status(500).json({ error: 'Internal Server Error', details: err.message });
+    } finally {
+        if (client) { client.release(); console.log("[v4.46 /api/admin/users DELETE] Client released."); }
+    }
+}));
+
 // --- Server Initialization ---
 async function startServer() {
     try {
@@ -853,6 +2629,11 @@ async function startServer() {
             tempClient.release();
         }
 
+        // 5. Start the in-process scraper scheduler (SCRAPER_SCHEDULER_ENABLED=false disables it, e.g. for local runs)
+        if (process.env.SCRAPER_SCHEDULER_ENABLED !== 'false') {
+            startScraperScheduler(pool);
+        }
+
         app.listen(PORT, () => {
             console.log(`Initializing freight calculator system v4.46 (Robust Auto-Migration).`); // Updated version here
             console.log(`[v4.46 Robust Migration] Server is running on port ${PORT}`);
@@ -0,0 +1,142 @@
+// Тесты бэктеста (backtest.js) без сервера и БД: проверка параметров запуска, метрики, отбор точек
+// Запросы к БД заменены клиентом, который возвращает заданные строки и запоминает выполненные запросы.
+//
+// Запуск: node tests/backtest_test.js (входит в npm test)
+
+import assert from 'assert';
+import {
+  DEFAULT_MAX_SAMPLES, MAX_SAMPLES_LIMIT, BACKTEST_LIMITATIONS, BacktestError,
+  validateBacktestInput, loadBacktestSamples, summarizeErrors, runBacktest
+} from '../backtest.js';
+import { CORE_SOURCE_WEIGHTS } from '../pricing_pipeline.js';
+import { EXCLUDED_HISTORY_SOURCES } from '../seasonality_analyzer.js';
+import { createClient } from './helpers.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const PERIOD = { from: '2026-01-01', to: '2026-06-30' };
+
+function assertBacktestError(body, message) {
+  assert.throws(() => validateBacktestInput(body, NOW), error => error instanceof BacktestError && error.statusCode === 400, message);
+}
+
+// Тест 1: период и число точек
+function testValidatePeriod() {
+  console.log('Тест 1: Проверка периода и числа точек...');
+  assert.deepStrictEqual(validateBacktestInput(PERIOD, NOW), { ...PERIOD, candidate: null, maxSamples: DEFAULT_MAX_SAMPLES });
+  assert.strictEqual(validateBacktestInput({ from: '2026-10-19', to: '2026-10-19' }, NOW).to, '2026-10-19', 'Период из одного дня, по сегодня включительно');
+  assertBacktestError({ from: '2026-01-01' }, 'Нет даты окончания');
+  assertBacktestError({ from: '01.01.2026', to: '2026-06-30' }, 'Дата не в формате YYYY-MM-DD');
+  assertBacktestError({ from: '2026-07-01', to: '2026-06-30' }, 'Начало позже окончания');
+  assertBacktestError({ from: '2026-10-01', to: '2026-10-20' }, 'Окончание в будущем');
+
+  assert.strictEqual(MAX_SAMPLES_LIMIT, 500);
+  assert.strictEqual(validateBacktestInput({ ...PERIOD, maxSamples: '1' }, NOW).maxSamples, 1);
+  assert.strictEqual(validateBacktestInput({ ...PERIOD, maxSamples: MAX_SAMPLES_LIMIT }, NOW).maxSamples, MAX_SAMPLES_LIMIT);
+  assert.strictEqual(validateBacktestInput({ ...PERIOD, maxSamples: '' }, NOW).maxSamples, DEFAULT_MAX_SAMPLES, 'Пустое значение - по умолчанию');
+  for (const maxSamples of [0, -1, MAX_SAMPLES_LIMIT + 1, 'abc']) {
+    assertBacktestError({ ...PERIOD, maxSamples }, `maxSamples=${maxSamples}`);
+  }
+  console.log(`✓ Период проверяется, maxSamples от 1 до ${MAX_SAMPLES_LIMIT}`);
+}
+
+// Тест 2: проверяемая конфигурация
+function testValidateCandidate() {
+  console.log('Тест 2: Проверка проверяемой конфигурации...');
+  const { candidate } = validateBacktestInput({
+    ...PERIOD,
+    candidate: { sensitivityCoeff: '0.6', indexWeights: { SCFI: '40', WCI: 0 }, coreSourceWeights: { FBX: 0 }, modelSettings: { marginPercent: 5, bafAveragingPeriod: 'last_30_days' } }
+  }, NOW);
+  assert.deepStrictEqual(candidate, {
+    sensitivityCoeff: 0.6,
+    indexWeights: { SCFI: 40, WCI: 0 },
+    coreSourceWeights: { ...CORE_SOURCE_WEIGHTS, FBX: 0 },
+    modelSettings: { marginPercent: '5', bafAveragingPeriod: 'last_30_days' }
+  }, 'Веса ядра дополняются текущими, настройки - строки, как в model_settings');
+  assert.strictEqual(validateBacktestInput({ ...PERIOD, candidate: '' }, NOW).candidate, null);
+  assert.deepStrictEqual(validateBacktestInput({ ...PERIOD, candidate: {} }, NOW).candidate, {});
+
+  const invalid = [
+    [], 'sensitivityCoeff=0.6', { margin: 5 },
+    { sensitivityCoeff: 1.1 }, { sensitivityCoeff: -0.1 }, { sensitivityCoeff: 'abc' },
+    { indexWeights: [40] }, { indexWeights: { SCFI: 101 } },
+    { coreSourceWeights: { XYZ: 1 } }, { coreSourceWeights: { FBX: -1 } },
+    { modelSettings: 'marginPercent=5' }
+  ];
+  for (const value of invalid) {
+    assertBacktestError({ ...PERIOD, candidate: value }, `candidate ${JSON.stringify(value)}`);
+  }
+  console.log(`✓ Отклонено ${invalid.length} некорректных конфигураций`);
+}
+
+// Тест 3: метрики ошибок
+function testSummarizeErrors() {
+  console.log('Тест 3: Проверка метрик ошибок...');
+  assert.deepStrictEqual(summarizeErrors([]), { samples: 0, mape: null, bias: null, hitRate: null, meanActual: null, meanPredicted: null });
+  const errors = [
+    { actual: 1000, predicted: 1100, error: 10, hit: true },
+    { actual: 2000, predicted: 1800, error: -10, hit: false },
+    { actual: 1500, predicted: 1530, error: 2, hit: true }
+  ];
+  assert.deepStrictEqual(summarizeErrors(errors), {
+    samples: 3,
+    mape: 7.33,
+    bias: 0.67,
+    hitRate: 66.7,
+    meanActual: 1500,
+    meanPredicted: 1477
+  });
+  const overpriced = summarizeErrors([{ actual: 1000, predicted: 1250, error: 25, hit: false }]);
+  assert.deepStrictEqual([overpriced.mape, overpriced.bias, overpriced.hitRate], [25, 25, 0], 'Завышение - положительное смещение');
+  console.log('✓ MAPE, смещение и доля попаданий в диапазон');
+}
+
+// Тест 4: отбор точек - неизвестные порты и типы контейнеров, равномерная выборка, исключенные источники
+async function testLoadSamples() {
+  console.log('Тест 4: Проверка отбора точек...');
+  const rows = [
+    { origin_port_id: null, destination_port_id: 2, container_type_id: 1, origin_port: 'XXAAA', week: '2026-01-05', rate: '1000' },
+    { origin_port_id: 1, destination_port_id: 2, container_type_id: null, origin_port: 'CNSHA', week: '2026-01-05', rate: '1000' },
+    ...Array.from({ length: 10 }, (_, k) => ({ origin_port_id: 1, destination_port_id: 2, container_type_id: 1, origin_port: 'CNSHA', week: `2026-0${1 + Math.floor(k / 4)}-0${5 + k % 4}`, rate: String(1000 + k) }))
+  ];
+  const client = createClient(() => rows);
+  const all = await loadBacktestSamples(client, PERIOD.from, PERIOD.to, 10);
+  assert.deepStrictEqual(client.queries[0].params, [PERIOD.from, PERIOD.to, EXCLUDED_HISTORY_SOURCES], 'Исключаются синтетические данные и котировки модели');
+  assert(EXCLUDED_HISTORY_SOURCES.includes('calculation_history'));
+  assert.deepStrictEqual(all.skipped, { unknown_port: 1, unknown_container_type: 1 });
+  assert.strictEqual(all.samples.length, 10);
+  assert.strictEqual(all.samples[0].rate, 1000, 'Ставка - число');
+
+  const sampled = await loadBacktestSamples(client, PERIOD.from, PERIOD.to, 4);
+  assert.deepStrictEqual(sampled.samples.map(sample => sample.rate), [1000, 1002, 1005, 1007], 'Точки берутся равномерно по периоду');
+  assert.strictEqual(sampled.skipped.sampled_out, 6);
+  console.log('✓ Точки без порта или типа контейнера пропускаются, лишние - равномерно отбрасываются');
+}
+
+// Тест 5: результат запуска содержит ограничения
+async function testRunLimitations() {
+  console.log('Тест 5: Проверка ограничений в результате запуска...');
+  const run = await runBacktest(createClient(), { ...PERIOD, loadConfig: async () => assert.fail('Без точек конфигурация не загружается') });
+  assert.strictEqual(run.sampleCount, 0);
+  assert.deepStrictEqual(run.summary, { configured: summarizeErrors([]), candidate: null });
+  assert.deepStrictEqual(run.limitations, BACKTEST_LIMITATIONS);
+  assert.deepStrictEqual(BACKTEST_LIMITATIONS.map(limitation => limitation.code), ['current_base_rates', 'current_index_config', 'seasonality_lookahead']);
+  console.log('✓ Результат запуска перечисляет данные, взятые текущими');
+}
+
+async function runTests() {
+  console.log('Запуск тестов бэктеста...');
+  try {
+    testValidatePeriod();
+    testValidateCandidate();
+    testSummarizeErrors();
+    await testLoadSamples();
+    await testRunLimitations();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
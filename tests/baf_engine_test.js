@@ -0,0 +1,124 @@
+// Тесты топливной надбавки (baf_engine.js) без сервера и БД: окна усреднения, цена вне окна, смешение сортов в ECA
+// Запросы к БД заменены клиентом, который возвращает заданные цены топлива.
+//
+// Запуск: node tests/baf_engine_test.js (входит в npm test)
+
+import assert from 'assert';
+import { BafError, resolveBafSettings, resolvePriceWindow, loadPriceWindow, computeBaf } from '../baf_engine.js';
+import { createClient } from './helpers.js';
+
+// Дата расчета: 19 октября 2026 (локальная дата, как в resolvePriceWindow)
+const CALCULATION_DATE = new Date(2026, 9, 19, 12);
+const PARAMETERS = { ...resolveBafSettings({}), source: 'default' };
+
+function priceWindow(fuelType, prices, fallback = false) {
+  return { fuelType, from: '2026-07-01', to: '2026-09-30', prices: prices.map(([date, price]) => ({ date, price })), fallback };
+}
+
+// Клиент БД: цены fuel_prices по сорту, фильтр по датам как в запросах loadPriceWindow
+function createPricesClient(pricesByFuel) {
+  return createClient((sql, [fuelType, from, to]) => {
+    const prices = (pricesByFuel[fuelType] || []).filter(([date]) => (to === undefined ? date <= from : date >= from && date <= to));
+    const rows = prices.map(([date, price]) => ({ date, price: String(price) }));
+    return sql.includes('LIMIT 1') ? rows.slice(-1) : rows;
+  });
+}
+
+// Тест 1: границы окна усреднения
+function testPriceWindow() {
+  console.log('Тест 1: Проверка границ окна усреднения...');
+  assert.deepStrictEqual(resolvePriceWindow('previous_month', CALCULATION_DATE), { from: '2026-09-01', to: '2026-09-30' });
+  assert.deepStrictEqual(resolvePriceWindow('previous_quarter', CALCULATION_DATE), { from: '2026-07-01', to: '2026-09-30' });
+  assert.deepStrictEqual(resolvePriceWindow('last_30_days', CALCULATION_DATE), { from: '2026-09-19', to: '2026-10-18' }, 'Без дня расчета');
+  assert.deepStrictEqual(resolvePriceWindow('last_90_days', CALCULATION_DATE), { from: '2026-07-21', to: '2026-10-18' });
+  // Переход через год
+  assert.deepStrictEqual(resolvePriceWindow('previous_month', new Date(2027, 0, 15)), { from: '2026-12-01', to: '2026-12-31' });
+  assert.deepStrictEqual(resolvePriceWindow('previous_quarter', new Date(2027, 1, 10)), { from: '2026-10-01', to: '2026-12-31' });
+  assert.deepStrictEqual(resolvePriceWindow('previous_quarter', new Date(2026, 3, 1)), { from: '2026-01-01', to: '2026-03-31' }, 'Первый день квартала');
+  assert.throws(() => resolvePriceWindow('last_year', CALCULATION_DATE), error => error instanceof BafError && error.statusCode === 400);
+  console.log('✓ Окна предыдущего месяца и квартала, последних 30 и 90 дней');
+}
+
+// Тест 2: цены окна и последняя цена до окна, если в окне цен нет
+async function testLoadPriceWindow() {
+  console.log('Тест 2: Проверка цен окна и цены до окна...');
+  const client = createPricesClient({
+    VLSFO: [['2026-06-15', 580], ['2026-07-06', 600], ['2026-09-28', 620], ['2026-10-05', 700]],
+    MGO: [['2026-05-04', 810], ['2026-06-29', 790], ['2026-10-05', 900]]
+  });
+  const window = resolvePriceWindow('previous_quarter', CALCULATION_DATE);
+  const vlsfo = await loadPriceWindow(client, 'VLSFO', window);
+  assert.deepStrictEqual(vlsfo, { fuelType: 'VLSFO', ...window, prices: [{ date: '2026-07-06', price: 600 }, { date: '2026-09-28', price: 620 }], fallback: false }, 'Цены до и после окна не учитываются');
+  const mgo = await loadPriceWindow(client, 'MGO', window);
+  assert.deepStrictEqual([mgo.prices, mgo.fallback], [[{ date: '2026-06-29', price: 790 }], true], 'Последняя цена до окна');
+  const lng = await loadPriceWindow(client, 'LNG', window);
+  assert.deepStrictEqual([lng.prices, lng.fallback], [[], true], 'Цен нет совсем');
+  console.log('✓ В окне нет цен - берется последняя цена до конца окна');
+}
+
+// Тест 3: смешение сортов открытого моря и ECA
+function testEcaBlend() {
+  console.log('Тест 3: Проверка смешения сортов в ECA...');
+  const inputs = {
+    parameters: PARAMETERS,
+    priceWindows: {
+      VLSFO: priceWindow('VLSFO', [['2026-07-06', 580], ['2026-09-28', 620]]),
+      MGO: priceWindow('MGO', [['2026-06-29', 800]], true)
+    }
+  };
+  // 0.075 т на TEU на 1000 миль * 2 TEU * 10000 миль = 1.5 т; 20% миль в ECA
+  const { surcharge, details } = computeBaf(inputs, { distanceNm: 10000, ecaDistanceNm: 2000 }, '40HC');
+  assert.strictEqual(details.consumptionTonnes, 1.5);
+  assert.deepStrictEqual([details.ecaShare, details.ecaShareSource], [0.2, 'route']);
+  assert.deepStrictEqual(details.grades.map(grade => [grade.zone, grade.fuelType, grade.share, grade.averagePrice, grade.surcharge, grade.fallback]), [
+    ['open_sea', 'VLSFO', 0.8, 600, 240, false],
+    ['eca', 'MGO', 0.2, 800, 120, true]
+  ]);
+  assert.strictEqual(surcharge, 360, '1.5 * 0.8 * (600 - 400) + 1.5 * 0.2 * (800 - 400)');
+  assert.strictEqual(details.blendedPrice, 640);
+  assert.strictEqual(details.reason, undefined);
+
+  const fixedShare = computeBaf({ ...inputs, parameters: { ...PARAMETERS, ecaShare: 0.5 } }, { distanceNm: 10000, ecaDistanceNm: 2000 }, '40HC');
+  assert.deepStrictEqual([fixedShare.details.ecaShareSource, fixedShare.surcharge], ['parameters', 450], 'eca_share направления важнее маршрута');
+  const openSea = computeBaf(inputs, { distanceNm: 10000, ecaDistanceNm: 0 }, '20DC');
+  assert.deepStrictEqual(openSea.details.grades.map(grade => grade.zone), ['open_sea'], 'Без миль в ECA сорт ECA не нужен');
+  assert.strictEqual(openSea.surcharge, 150);
+  console.log(`✓ Надбавка ${surcharge} при 20% миль в ECA, средняя цена ${details.blendedPrice}`);
+}
+
+// Тест 4: нет цены сорта или расстояния - надбавка 0 с причиной
+function testMissingPrice() {
+  console.log('Тест 4: Проверка отсутствующей цены...');
+  const route = { distanceNm: 10000, ecaDistanceNm: 2000 };
+  const noMgo = computeBaf({
+    parameters: PARAMETERS,
+    priceWindows: { VLSFO: priceWindow('VLSFO', [['2026-07-06', 600]]), MGO: priceWindow('MGO', [], true) }
+  }, route, '40HC');
+  assert.strictEqual(noMgo.surcharge, 0);
+  assert.strictEqual(noMgo.details.reason, 'No MGO prices up to 2026-09-30');
+  assert.strictEqual(noMgo.details.grades[1].averagePrice, null);
+
+  const notLoaded = computeBaf({ parameters: PARAMETERS, priceWindows: { VLSFO: priceWindow('VLSFO', [['2026-07-06', 600]]) } }, route, '40HC');
+  assert.deepStrictEqual([notLoaded.surcharge, notLoaded.details.reason], [0, 'No MGO prices up to 2026-09-30'], 'Окно сорта не загружено');
+
+  const noRoute = computeBaf({ parameters: PARAMETERS, priceWindows: { VLSFO: priceWindow('VLSFO', [['2026-07-06', 600]]) } }, null, '40HC');
+  assert.deepStrictEqual([noRoute.surcharge, noRoute.details.reason], [0, 'Sea route distance is not available']);
+  console.log(`✓ Без цены: ${noMgo.details.reason}`);
+}
+
+async function runTests() {
+  console.log('Запуск тестов топливной надбавки...');
+  try {
+    testPriceWindow();
+    await testLoadPriceWindow();
+    testEcaBlend();
+    testMissingPrice();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
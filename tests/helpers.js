@@ -0,0 +1,54 @@
+// Общие функции офлайн-тестов: синтетические ряды, клиент БД и сравнение с допуском.
+// Файл не заканчивается на _test.js, поэтому run_offline_tests.js не запускает его как тест.
+
+import assert from 'assert';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Детерминированный генератор шума (LCG с фиксированным seed): равномерный (-1, 1)
+function createNoise(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 1664525 + 1013904223) % 4294967296;
+    return state / 2147483648 - 1;
+  };
+}
+
+// Дата 'YYYY-MM-DD' через days дней (отрицательное значение - назад)
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Понедельные наблюдения за weeks недель до lastMonday: уровень * (1 + рост)^t * (1 + шум)
+function weeklyPoints({ weeks = 52, lastMonday = '2026-10-19', level = 1000, growth = 0.005, noise = 0.02, seed = 3 } = {}) {
+  const random = createNoise(seed);
+  return Array.from({ length: weeks }, (_, t) => ({
+    date: addDays(lastMonday, (t - weeks + 1) * 7),
+    value: level * (1 + growth) ** t * (1 + noise * random())
+  }));
+}
+
+// Клиент БД: rowsFor(sql, params) -> строки результата; выполненные запросы сохраняются в queries
+function createClient(rowsFor = () => []) {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      return { rows: rowsFor(sql, params) };
+    }
+  };
+}
+
+function assertClose(actual, expected, tolerance, message) {
+  assert(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} вместо ${expected} (допуск ${tolerance})`);
+}
+
+export {
+  DAY_MS,
+  createNoise,
+  addDays,
+  weeklyPoints,
+  createClient,
+  assertClose
+};
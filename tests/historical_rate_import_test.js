@@ -0,0 +1,106 @@
+// Тесты импорта фактических ставок (historical_rate_import.js) без сервера и БД
+// Запросы к БД заменены клиентом, который возвращает справочники портов и типов контейнеров и запоминает запросы.
+//
+// Запуск: node tests/historical_rate_import_test.js (входит в npm test)
+
+import assert from 'assert';
+import { HISTORICAL_RATE_UPLOAD_SOURCE, validateHistoricalRateRow, importHistoricalRateRows } from '../historical_rate_import.js';
+import { createClient } from './helpers.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const PORT_REGIONS = new Map([['CNSHA', 'Asia'], ['NLRTM', 'Europe'], ['DEHAM', 'Europe']]);
+const CONTAINER_TYPES = new Set(['20DC', '40HC']);
+
+function validRow(overrides = {}) {
+  return { origin_port: 'cnsha', destination_port: 'NLRTM', container_type: '40HC', date: '2026-09-14', rate: '2450.5', source: null, ...overrides };
+}
+
+// Клиент БД: справочники и INSERT historical_rates (повторная строка - обновление)
+function createImportClient() {
+  const stored = new Set();
+  return createClient((sql, params) => {
+    if (sql.includes('FROM ports')) return [...PORT_REGIONS].map(([code, region]) => ({ code, region }));
+    if (sql.includes('FROM container_types')) return [...CONTAINER_TYPES].map(name => ({ name }));
+    if (sql.includes('INSERT INTO historical_rates')) {
+      const key = [params[0], params[1], params[4], params[6], params[7]].join('|');
+      const inserted = !stored.has(key);
+      stored.add(key);
+      return [{ inserted }];
+    }
+    return [];
+  });
+}
+
+// Тест 1: корректная строка - коды портов в верхнем регистре, источник по умолчанию
+function testValidRow() {
+  console.log('Тест 1: Проверка корректной строки...');
+  const { errors, data } = validateHistoricalRateRow(validRow(), PORT_REGIONS, CONTAINER_TYPES, NOW);
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(data.originPort, 'CNSHA', 'Код порта приводится к верхнему регистру');
+  assert.strictEqual(data.rate, 2450.5);
+  assert.strictEqual(data.source, HISTORICAL_RATE_UPLOAD_SOURCE, 'Источник по умолчанию');
+  assert.strictEqual(validateHistoricalRateRow(validRow({ source: 'Drewry', date: '14.09.2026', rate: '2450,5' }), PORT_REGIONS, CONTAINER_TYPES, NOW).data.source, 'drewry');
+  assert.deepStrictEqual(validateHistoricalRateRow(validRow({ date: '2026-10-19' }), PORT_REGIONS, CONTAINER_TYPES, NOW).errors, [], 'Сегодняшняя дата допустима');
+  console.log('✓ Строка с кодами UN/LOCODE принимается');
+}
+
+// Тест 2: некорректные строки и зарезервированные источники
+function testInvalidRows() {
+  console.log('Тест 2: Проверка некорректных строк...');
+  const cases = [
+    { overrides: { origin_port: '12' }, error: "invalid origin_port '12'" },
+    { overrides: { destination_port: 'USNYC' }, error: "unknown destination_port 'USNYC'" },
+    { overrides: { destination_port: 'CNSHA' }, error: 'origin_port and destination_port must differ' },
+    { overrides: { container_type: '45HC' }, error: "unknown container_type '45HC'" },
+    { overrides: { date: '2026-10-20' }, error: 'date is in the future' },
+    { overrides: { date: '14/09/2026' }, error: "invalid date '14/09/2026'" },
+    { overrides: { rate: '-5' }, error: "invalid rate '-5'" },
+    { overrides: { rate: null }, error: 'rate is required' },
+    { overrides: { source: 'calculation_history' }, error: "source 'calculation_history' is reserved" },
+    { overrides: { source: 'synthetic' }, error: "source 'synthetic' is reserved" },
+    { overrides: { source: 'my source' }, error: "invalid source 'my source'" }
+  ];
+  for (const { overrides, error } of cases) {
+    const { errors } = validateHistoricalRateRow(validRow(overrides), PORT_REGIONS, CONTAINER_TYPES, NOW);
+    assert(errors.some(message => message.startsWith(error)), `${JSON.stringify(overrides)}: ожидалась ошибка '${error}', получено ${JSON.stringify(errors)}`);
+  }
+  const empty = validateHistoricalRateRow({ origin_port: null, destination_port: null, container_type: null, date: null, rate: null, source: null }, PORT_REGIONS, CONTAINER_TYPES, NOW);
+  assert.strictEqual(empty.errors.length, 5, 'Все обязательные столбцы');
+  console.log(`✓ Отклонено ${cases.length} некорректных строк`);
+}
+
+// Тест 3: импорт - коды портов, регионы из справочника, замена повторной строки
+async function testImportRows() {
+  console.log('Тест 3: Проверка импорта строк...');
+  const client = createImportClient();
+  const report = await importHistoricalRateRows(client, [
+    { Origin: 'CNSHA', Destination: 'NLRTM', Container_Type: '40HC', Date: '2026-09-14', Rate: 2450 },
+    { origin_port: 'CNSHA', destination_port: 'DEHAM', container_type: '20DC', rate_date: '2026-09-14', price: 1300, provider: 'carrier_invoice' },
+    { origin_port: 'CNSHA', destination_port: 'NLRTM', container_type: '40HC', date: '2026-09-14', rate: 2500 },
+    { origin_port: '1', destination_port: '2', container_type: '40HC', date: '2026-09-14', rate: 2500 }
+  ]);
+  assert.deepStrictEqual([report.inserted, report.updated, report.rejected], [2, 1, 1]);
+  assert.deepStrictEqual(report.rows.map(row => row.status), ['inserted', 'inserted', 'updated', 'rejected']);
+  assert.strictEqual(report.rows[3].row, 5, 'Номер строки файла с учетом заголовка');
+  const inserts = client.queries.filter(query => query.sql.includes('INSERT INTO historical_rates'));
+  assert.strictEqual(inserts.length, 3, 'Некорректная строка не записывается');
+  assert.deepStrictEqual(inserts[0].params, ['CNSHA', 'NLRTM', 'Asia', 'Europe', '40HC', 2450, '2026-09-14', HISTORICAL_RATE_UPLOAD_SOURCE]);
+  assert.strictEqual(inserts[1].params[7], 'carrier_invoice');
+  console.log(`✓ Добавлено ${report.inserted}, заменено ${report.updated}, отклонено ${report.rejected}`);
+}
+
+async function runTests() {
+  console.log('Запуск тестов импорта фактических ставок...');
+  try {
+    testValidRow();
+    testInvalidRows();
+    await testImportRows();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
@@ -0,0 +1,169 @@
+// Тесты календаря праздников (holiday_calendar.js) без БД
+// Недельный синтетический ряд с известными помесячными факторами и провалом Китайского Нового года
+// раскладывается так же, как в seasonality_analyzer.js (decomposeWithHolidays).
+//
+// Запуск: node tests/holiday_calendar_test.js (входит в npm test)
+
+import assert from 'assert';
+import {
+  HOLIDAYS, MIN_HOLIDAY_OCCURRENCES, HolidayError, validateHolidayDateInput, holidaysForLane, holidayWeekOffset,
+  estimateHolidayEffects, removeHolidayEffects, decomposeWithHolidays, combineHolidayEffects
+} from '../holiday_calendar.js';
+import { aggregateMonthly, buildMonthlySeries, decomposeMonthlySeries } from '../time_series.js';
+import { createNoise, addDays, assertClose } from './helpers.js';
+
+// Даты Китайского Нового года синтетического ряда (как в holiday_dates: 7 дней с первого дня)
+const CNY_OCCURRENCES = [
+  ['2016-02-08', '2016-02-14'], ['2017-01-28', '2017-02-03'], ['2018-02-16', '2018-02-22'], ['2019-02-05', '2019-02-11'],
+  ['2020-01-25', '2020-01-31'], ['2021-02-12', '2021-02-18'], ['2022-02-01', '2022-02-07'], ['2023-01-22', '2023-01-28'],
+  ['2024-02-10', '2024-02-16']
+].map(([start_date, end_date]) => ({ holiday: 'chinese_new_year', start_date, end_date }));
+
+// Помесячные факторы без праздников (произведение 1) и провал недель праздника
+const MONTHLY_FACTORS = [1.04, 0.98, 0.9, 0.95, 1.0, 1.02, 1.06, 1.08, 1.1, 1.0, 0.96, 0.92];
+const MONTHLY_LOG_MEAN = MONTHLY_FACTORS.reduce((sum, factor) => sum + Math.log(factor), 0) / 12;
+const TRUE_FACTORS = MONTHLY_FACTORS.map(factor => factor / Math.exp(MONTHLY_LOG_MEAN));
+const CNY_DIP = { 0: 0.75, 1: 0.85 };
+
+// Понедельные наблюдения (понедельники) 2016-2024: уровень * фактор месяца * провал праздника * (1 + шум)
+function weeklySeries({ occurrences = CNY_OCCURRENCES, noise = 0.01, seed = 5 } = {}) {
+  const random = createNoise(seed);
+  const points = [];
+  for (let date = '2016-01-04'; date < '2025-01-01'; date = addDays(date, 7)) {
+    let value = 1000 * TRUE_FACTORS[parseInt(date.slice(5, 7), 10) - 1] * (1 + noise * random());
+    for (const occurrence of occurrences) {
+      value *= CNY_DIP[holidayWeekOffset(occurrence, date)] ?? 1;
+    }
+    points.push({ date, value });
+  }
+  return points;
+}
+
+// Тест 1: неделя относительно праздника на границах окна влияния
+function testWeekOffsetEdges() {
+  console.log('Тест 1: Проверка недели относительно праздника на границах окна...');
+  // Китайский Новый год 2024: 10.02 - 16.02, окно 4 недели до и 4 после
+  const occurrence = { holiday: 'chinese_new_year', start_date: '2024-02-10', end_date: '2024-02-16' };
+  const { weeksBefore, weeksAfter } = HOLIDAYS.chinese_new_year;
+  assert.strictEqual(holidayWeekOffset(occurrence, addDays('2024-02-10', -7 * weeksBefore - 1)), null, 'День до окна');
+  assert.strictEqual(holidayWeekOffset(occurrence, addDays('2024-02-10', -7 * weeksBefore)), -weeksBefore, 'Первый день окна');
+  assert.strictEqual(holidayWeekOffset(occurrence, '2024-02-09'), -1, 'Последний день до праздника');
+  assert.strictEqual(holidayWeekOffset(occurrence, '2024-02-10'), 0, 'Первый день праздника');
+  assert.strictEqual(holidayWeekOffset(occurrence, '2024-02-16'), 0, 'Последний день праздника');
+  assert.strictEqual(holidayWeekOffset(occurrence, '2024-02-17'), 1, 'День после праздника');
+  assert.strictEqual(holidayWeekOffset(occurrence, addDays('2024-02-10', 7 * (weeksAfter + 1) - 1)), weeksAfter, 'Последний день окна');
+  assert.strictEqual(holidayWeekOffset(occurrence, addDays('2024-02-10', 7 * (weeksAfter + 1))), null, 'День после окна');
+  assert.strictEqual(holidayWeekOffset(occurrence, new Date(2024, 1, 10, 15, 30)), 0, 'Дата как объект Date (локальный день)');
+
+  // Рамадан 2025 (30 дней): окно после праздника отсчитывается от последней недели праздника
+  const ramadan = { holiday: 'ramadan', start_date: '2025-03-01', end_date: '2025-03-30' };
+  assert.strictEqual(holidayWeekOffset(ramadan, '2025-03-30'), 4, 'Последний день Рамадана - неделя 4');
+  assert.strictEqual(holidayWeekOffset(ramadan, addDays('2025-03-01', 7 * (4 + HOLIDAYS.ramadan.weeksAfter + 1) - 1)), 4 + HOLIDAYS.ramadan.weeksAfter);
+  assert.strictEqual(holidayWeekOffset(ramadan, addDays('2025-03-01', 7 * (4 + HOLIDAYS.ramadan.weeksAfter + 1))), null);
+  console.log('✓ Окно влияния включает границы и не выходит за них');
+}
+
+// Тест 2: праздники направления и проверка дат
+function testLaneHolidaysAndValidation() {
+  console.log('Тест 2: Проверка праздников направления и дат...');
+  assert.deepStrictEqual(holidaysForLane('Asia', 'Europe'), ['chinese_new_year', 'golden_week', 'western_peak']);
+  assert.deepStrictEqual(holidaysForLane('Europe', 'Middle East'), ['ramadan']);
+  assert.deepStrictEqual(holidaysForLane('Europe', 'Africa'), []);
+
+  assert.deepStrictEqual(validateHolidayDateInput({ holiday: 'ramadan', start_date: '2031-12-15', end_date: '2032-04-13' }),
+    { holiday: 'ramadan', startDate: '2031-12-15', endDate: '2032-04-13' }, '120 дней - максимум');
+  const invalid = [
+    { holiday: 'ramadan', start_date: '2031-12-15', end_date: '2032-04-14' },
+    { holiday: 'ramadan', start_date: '2031-12-15', end_date: '2031-12-14' },
+    { holiday: 'easter', start_date: '2031-04-13', end_date: '2031-04-14' },
+    { holiday: 'ramadan', start_date: '2031/12/15', end_date: '2031-12-20' }
+  ];
+  for (const body of invalid) {
+    assert.throws(() => validateHolidayDateInput(body), error => error instanceof HolidayError && error.statusCode === 400, JSON.stringify(body));
+  }
+  console.log('✓ Праздники направления и границы длительности');
+}
+
+// Тест 3: эффект праздника восстанавливается, помесячные факторы не включают провал праздника
+function testHolidayDecomposition() {
+  console.log('Тест 3: Проверка эффектов праздника и помесячных факторов без праздника...');
+  const points = weeklySeries();
+  const analysis = decomposeWithHolidays(points, CNY_OCCURRENCES, ['chinese_new_year', 'golden_week']);
+  assert(analysis, 'Ряд 2016-2024 должен раскладываться');
+  assert.deepStrictEqual(Object.keys(analysis.holidayEffects), ['chinese_new_year'], 'Эффекты только у праздника с датами');
+
+  const effects = analysis.holidayEffects.chinese_new_year;
+  assert.deepStrictEqual(effects.map(effect => effect.weekOffset), [-4, -3, -2, -1, 0, 1, 2, 3, 4], 'Эффект для каждой недели окна');
+  for (const effect of effects) {
+    const expected = CNY_DIP[effect.weekOffset] ?? 1;
+    assertClose(effect.factor, expected, 0.02, `Эффект недели ${effect.weekOffset}`);
+    assert(effect.lower < effect.factor && effect.factor < effect.upper, `Интервал недели ${effect.weekOffset} содержит оценку`);
+    assert(effect.occurrences >= MIN_HOLIDAY_OCCURRENCES);
+  }
+
+  // Январь и февраль: без исключения праздника фактор занижен провалом, с исключением - близок к истинному
+  const naive = decomposeMonthlySeries(buildMonthlySeries(aggregateMonthly(points))).seasonal;
+  for (const monthIndex of [0, 1]) {
+    const adjusted = analysis.decomposition.seasonal[monthIndex].factor;
+    assertClose(adjusted, TRUE_FACTORS[monthIndex], 0.01, `Фактор месяца ${monthIndex + 1} без праздника`);
+    assert(Math.abs(adjusted - TRUE_FACTORS[monthIndex]) < Math.abs(naive[monthIndex].factor - TRUE_FACTORS[monthIndex]),
+      `Фактор месяца ${monthIndex + 1}: исключение праздника приближает фактор к истинному (${naive[monthIndex].factor.toFixed(4)} -> ${adjusted.toFixed(4)})`);
+  }
+  console.log(`✓ Провал недели 0: ${effects.find(effect => effect.weekOffset === 0).factor.toFixed(3)}, февраль: ${naive[1].factor.toFixed(4)} -> ${analysis.decomposition.seasonal[1].factor.toFixed(4)} (истинный ${TRUE_FACTORS[1].toFixed(4)})`);
+}
+
+// Тест 4: без достаточного числа лет эффекты не оцениваются, ряд без праздников не меняется
+function testInsufficientOccurrences() {
+  console.log('Тест 4: Проверка недостаточного числа лет и ряда без праздников...');
+  const occurrences = CNY_OCCURRENCES.slice(3, 3 + MIN_HOLIDAY_OCCURRENCES - 1);
+  const points = weeklySeries({ occurrences });
+  const series = buildMonthlySeries(aggregateMonthly(points));
+  assert.deepStrictEqual(estimateHolidayEffects(points, series, decomposeMonthlySeries(series), occurrences), [],
+    `Меньше ${MIN_HOLIDAY_OCCURRENCES} лет с данными - эффектов нет`);
+
+  const plain = weeklySeries({ occurrences: [] });
+  const analysis = decomposeWithHolidays(plain, [], ['chinese_new_year']);
+  assert.deepStrictEqual(analysis.holidayEffects, {});
+  assert.deepStrictEqual(analysis.decomposition, decomposeMonthlySeries(buildMonthlySeries(aggregateMonthly(plain))), 'Без праздников - обычная декомпозиция');
+  assert.strictEqual(decomposeWithHolidays(plain.slice(0, 60), CNY_OCCURRENCES, ['chinese_new_year']), null, 'Короткий ряд не раскладывается');
+  console.log('✓ Эффекты оцениваются только при достаточной истории');
+}
+
+// Тест 5: исключение эффектов из недель праздника и объединение оценок рядов
+function testRemoveAndCombine() {
+  console.log('Тест 5: Проверка исключения и объединения эффектов...');
+  const occurrence = CNY_OCCURRENCES[8];
+  const points = [{ date: '2024-02-05', value: 100 }, { date: '2024-02-12', value: 75 }, { date: '2024-02-19', value: 85 }, { date: '2024-06-03', value: 100 }];
+  const adjusted = removeHolidayEffects(points, { chinese_new_year: [{ weekOffset: 0, factor: 0.75 }, { weekOffset: 1, factor: 0.85 }] }, [occurrence]);
+  assert.deepStrictEqual(adjusted.map(point => Math.round(point.value * 1000) / 1000), [100, 100, 100, 100], 'Недели праздника делятся на эффект');
+  assert.strictEqual(adjusted[3], points[3], 'Недели вне окна не меняются');
+
+  const precise = [{ weekOffset: 0, factor: 0.8, lower: 0.78, upper: 0.82, occurrences: 6, logStdError: 0.01 }];
+  const noisy = [{ weekOffset: 0, factor: 0.9, lower: 0.7, upper: 1.1, occurrences: 4, logStdError: 0.1 }, { weekOffset: 1, factor: 0.95, lower: 0.9, upper: 1.0, occurrences: 4, logStdError: 0.03 }];
+  const combined = combineHolidayEffects([precise, noisy]);
+  assert.deepStrictEqual(combined.map(effect => effect.weekOffset), [0, 1]);
+  const expectedLog = (Math.log(0.8) / 0.01 ** 2 + Math.log(0.9) / 0.1 ** 2) / (1 / 0.01 ** 2 + 1 / 0.1 ** 2);
+  assertClose(combined[0].factor, Math.exp(expectedLog), 1e-9, 'Вес оценки обратен дисперсии');
+  assertClose(combined[0].logStdError, 1 / Math.sqrt(1 / 0.01 ** 2 + 1 / 0.1 ** 2), 1e-12, 'Ошибка объединенной оценки');
+  assert.strictEqual(combined[0].occurrences, 6);
+  assertClose(combined[1].factor, 0.95, 1e-9, 'Неделя одного ряда не меняется');
+  console.log('✓ Эффекты исключаются из недель праздника и объединяются с весами');
+}
+
+function runTests() {
+  console.log('Запуск тестов календаря праздников...');
+  try {
+    testWeekOffsetEdges();
+    testLaneHolidaysAndValidation();
+    testHolidayDecomposition();
+    testInsufficientOccurrences();
+    testRemoveAndCombine();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
@@ -0,0 +1,88 @@
+// Тесты свежести данных индексов (index_freshness.js) и ее учета в базовой ставке по индексам (pricing_pipeline.js)
+// без сервера и БД
+//
+// Запуск: node tests/index_freshness_test.js (входит в npm test)
+
+import assert from 'assert';
+import { resolveFreshnessSettings, calculateIndexFreshness, resolveExpectedFrequencyDays, DEFAULT_FREQUENCY_DAYS } from '../index_freshness.js';
+import { createPricingContext, runPricingPipeline } from '../pricing_pipeline.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CALCULATION_DATE = new Date('2026-10-19T12:00:00Z');
+
+function daysAgo(days) {
+  return new Date(CALCULATION_DATE.getTime() - days * DAY_MS);
+}
+
+// Тест 1: статус и множитель веса по возрасту значения
+function testCalculateFreshness() {
+  console.log('Тест 1: Проверка свежести значения...');
+  const settings = resolveFreshnessSettings({});
+  assert.deepStrictEqual(settings, { gracePeriods: 1.5, dropPeriods: 4 });
+  // Еженедельный индекс: без изменений до 10.5 дней, исключается с 28 дней
+  const cases = [
+    [3, 'fresh', 1],
+    [10.5, 'fresh', 1],
+    [19.25, 'stale', 0.5],
+    [28, 'expired', 0],
+    [40, 'expired', 0]
+  ];
+  for (const [age, status, factor] of cases) {
+    const freshness = calculateIndexFreshness(daysAgo(age), 7, settings, CALCULATION_DATE);
+    assert.deepStrictEqual([freshness.status, freshness.factor, freshness.ageDays], [status, factor, parseFloat(age.toFixed(1))], `Возраст ${age} дн.`);
+  }
+  assert.deepStrictEqual(calculateIndexFreshness(null, 7, settings, CALCULATION_DATE), { status: 'unknown', factor: 1, ageDays: null, expectedFrequencyDays: 7 });
+  assert.strictEqual(calculateIndexFreshness(daysAgo(4), 1, settings, CALCULATION_DATE).status, 'expired', 'Ежедневный индекс через 4 дня');
+
+  assert.deepStrictEqual(resolveFreshnessSettings({ indexFreshnessGracePeriods: '3', indexFreshnessDropPeriods: '2' }), { gracePeriods: 3, dropPeriods: 6 }, 'Порог исключения не меньше удвоенного льготного');
+  assert.strictEqual(resolveExpectedFrequencyDays('SCFI', '14'), 14, 'Периодичность из index_config');
+  assert.strictEqual(resolveExpectedFrequencyDays('UNKNOWN_INDEX', null), DEFAULT_FREQUENCY_DAYS);
+  console.log('✓ Вес не меняется в льготный период, затем линейно уменьшается до нуля');
+}
+
+// Тест 2: базовая ставка по основным индексам учитывает свежесть
+async function testAggregateFreshness() {
+  console.log('Тест 2: Проверка свежести в базовой ставке по индексам...');
+  const indexConfig = {
+    SCFI: { current_value: 1000, last_updated: daysAgo(3), expected_frequency_days: 7 },
+    FBX: { current_value: 3000, last_updated: daysAgo(40), expected_frequency_days: 7 },
+    WCI: { current_value: 2000, last_updated: daysAgo(19.25), expected_frequency_days: 7 }
+  };
+  const context = createPricingContext({
+    originPortId: 1, destinationPortId: 2, containerType: '40HC', originRegion: 'Asia', destinationRegion: 'Europe',
+    baseRatesConfig: null, indexConfig, calculationDate: CALCULATION_DATE
+  });
+  const debugLog = [];
+  await runPricingPipeline(context, ['baseRate'], debugLog);
+
+  // SCFI с весом 1.2, WCI - 1.1 * 0.5, FBX просрочен; без учета свежести было бы (1200 + 3600 + 2200) / 3.5 = 2000
+  assert.strictEqual(context.baseRate, Math.round((1000 * 1.2 + 2000 * 0.55) / 1.75));
+  assert.deepStrictEqual(context.adjustments[0].details, { source: 'index_aggregate', indices: ['SCFI', 'WCI'] });
+  assert.strictEqual(context.indexCoverage, 1.75 / 4.5, 'Покрытие - доля фактического веса от суммы весов SCFI, FBX, WCI, CCFI');
+  const step = debugLog.find(entry => entry.stage === 'Pipeline: Base Rate');
+  assert.strictEqual(step.inputs.FBX.freshness.status, 'expired');
+  assert.strictEqual(step.inputs.FBX.weight, 0);
+
+  const expired = createPricingContext({
+    originPortId: 1, destinationPortId: 2, containerType: '40HC', originRegion: 'Asia', destinationRegion: 'Europe',
+    baseRatesConfig: null, indexConfig: { FBX: indexConfig.FBX }, calculationDate: CALCULATION_DATE
+  });
+  await runPricingPipeline(expired, ['baseRate'], []);
+  assert.strictEqual(expired.adjustments[0].details.source, 'fallback', 'Все источники просрочены - абсолютный fallback');
+  console.log(`✓ Базовая ставка ${context.baseRate} вместо 2000, покрытие ${context.indexCoverage.toFixed(2)}`);
+}
+
+async function runTests() {
+  console.log('Запуск тестов свежести данных индексов...');
+  try {
+    testCalculateFreshness();
+    await testAggregateFreshness();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
@@ -0,0 +1,140 @@
+// Тесты прогноза индексов на дату отправки (index_projection.js) без БД
+// Недельные ряды - синтетические с известным трендом и детерминированным шумом (LCG с фиксированным seed).
+//
+// Запуск: node tests/index_projection_test.js (входит в npm test)
+
+import assert from 'assert';
+import {
+  DEFAULT_SHIP_DATE_MAX_DAYS, ShipDateError, resolveShipDateMaxDays, parseShipDate, projectionHorizon,
+  projectIndexSeries, applyIndexProjection, projectionConfidence
+} from '../index_projection.js';
+import { dampedTrendForecast } from '../time_series.js';
+import { addDays, weeklyPoints } from './helpers.js';
+
+const NOW = new Date('2026-10-19T15:30:00Z');
+
+function assertShipDateError(value, modelSettings, message) {
+  assert.throws(() => parseShipDate(value, modelSettings, NOW), error => error instanceof ShipDateError && error.statusCode === 400, message);
+}
+
+// Тест 1: дата отправки - прошлое, сегодня, граница горизонта и следующий день
+function testParseShipDate() {
+  console.log('Тест 1: Проверка даты отправки...');
+  for (const value of [undefined, null, '']) {
+    assert.strictEqual(parseShipDate(value, {}, NOW), null, `shipDate=${value} - расчет на текущую дату`);
+  }
+  assertShipDateError('2026-10-18', {}, 'Вчера - в прошлом');
+  assert.deepStrictEqual(parseShipDate('2026-10-19', {}, NOW), new Date('2026-10-19T00:00:00Z'), 'Сегодня допустимо независимо от времени суток');
+  assert.strictEqual(DEFAULT_SHIP_DATE_MAX_DAYS, 180);
+  assert.deepStrictEqual(parseShipDate(addDays('2026-10-19', 180), {}, NOW), new Date(`${addDays('2026-10-19', 180)}T00:00:00Z`), 'Ровно shipDateMaxDays дней');
+  assertShipDateError(addDays('2026-10-19', 181), {}, 'shipDateMaxDays + 1 день');
+  assert(parseShipDate(addDays('2026-10-19', 30), { shipDateMaxDays: '30' }, NOW), 'Горизонт из model_settings');
+  assertShipDateError(addDays('2026-10-19', 31), { shipDateMaxDays: '30' }, 'shipDateMaxDays из model_settings + 1 день');
+  for (const value of ['19.10.2026', '2026-10-19T00:00:00Z', '2026-13-01', 'tomorrow', 20261019]) {
+    assertShipDateError(value, {}, `Некорректный формат ${value}`);
+  }
+  for (const value of [undefined, '', '0', '-5', 'abc']) {
+    assert.strictEqual(resolveShipDateMaxDays({ shipDateMaxDays: value }), DEFAULT_SHIP_DATE_MAX_DAYS, `shipDateMaxDays=${value} - по умолчанию`);
+  }
+  assert.deepStrictEqual(projectionHorizon(new Date('2026-11-02T00:00:00Z'), NOW), { days: 14, weeks: 2 });
+  assert.deepStrictEqual(projectionHorizon(new Date('2026-10-19T00:00:00Z'), NOW), { days: 0, weeks: 0 });
+  console.log('✓ Дата отправки проверяется по дням от сегодня до shipDateMaxDays включительно');
+}
+
+// Тест 2: прогноз уровня индекса и интервал, расширяющийся с горизонтом
+function testProjectIndexSeries() {
+  console.log('Тест 2: Проверка прогноза уровня индекса...');
+  const points = weeklyPoints();
+  const lastValue = points[points.length - 1].value;
+  const sameWeek = projectIndexSeries({ SCFI: points }, new Date('2026-10-22T00:00:00Z')).SCFI;
+  assert.deepStrictEqual([sameWeek.value, sameWeek.lower, sameWeek.upper, sameWeek.steps], [null, null, null, 0], 'Неделя отправки = последняя неделя данных - текущие значения');
+  assert.strictEqual(sameWeek.lastValue, lastValue);
+
+  const widths = [];
+  for (const steps of [1, 4, 12, 26]) {
+    const projection = projectIndexSeries({ SCFI: points }, new Date(`${addDays('2026-10-19', steps * 7)}T00:00:00Z`)).SCFI;
+    assert.strictEqual(projection.steps, steps);
+    assert(projection.lower < projection.value && projection.value < projection.upper, `Интервал на ${steps} нед. содержит прогноз`);
+    assert(projection.value > lastValue * 0.95 && projection.value < lastValue * (1.005 ** steps) * 1.05, `Уровень на ${steps} нед. следует тренду: ${projection.value}`);
+    widths.push(Math.log(projection.upper / projection.lower));
+  }
+  for (let i = 1; i < widths.length; i++) {
+    assert(widths[i] > widths[i - 1], `Интервал расширяется с горизонтом: ${widths.map(width => width.toFixed(3)).join(' < ')}`);
+  }
+
+  const forecast = dampedTrendForecast(points.map(point => point.value), 26);
+  forecast.forecasts.slice(1).forEach((step, i) => {
+    assert(step.logStdError > forecast.forecasts[i].logStdError, `Ошибка прогноза растет на шаге ${step.step}`);
+  });
+
+  // Редко публикуемый индекс: шаг считается от последней недели с данными
+  const stale = projectIndexSeries({ WCI: points.slice(0, -3) }, new Date('2026-10-26T00:00:00Z')).WCI;
+  assert.strictEqual(stale.steps, 4);
+  assert.deepStrictEqual(projectIndexSeries({ CCFI: points.slice(-7) }, new Date('2026-11-02T00:00:00Z')), {}, 'Меньше 8 недель - не прогнозируется');
+  console.log(`✓ Интервал ln(upper / lower) на 1, 4, 12, 26 нед.: ${widths.map(width => width.toFixed(3)).join(', ')}`);
+}
+
+// Тест 3: прогноз заменяет текущее значение индекса, маршруты - относительно текущего сводного значения
+function testApplyIndexProjection() {
+  console.log('Тест 3: Проверка применения прогноза к индексам и маршрутам...');
+  // Последнее наблюдение (1100) выше среднего последней недели (1000): уровень применяется к тому значению, которое заменяет
+  const projection = {
+    indices: {
+      SCFI: { value: 1050, lower: 950, upper: 1160, lastValue: 1000, steps: 4 },
+      WCI: { value: null, lower: null, upper: null, lastValue: 3000, steps: 0 },
+      CCFI: { value: 1300, lower: 1200, upper: 1400, lastValue: 1250, steps: 4 }
+    }
+  };
+  const indexConfig = {
+    SCFI: { current_value: '1100', baseline_value: 1000, weight_percentage: 60 },
+    WCI: { current_value: 2950, baseline_value: 2500, weight_percentage: 40 },
+    Harpex: { current_value: 1180, baseline_value: 1000, weight_percentage: 0 }
+  };
+  const laneIndices = {
+    SCFI: [{ lane: 'Shanghai-Rotterdam', current_value: '2200' }],
+    WCI: [{ lane: 'Shanghai-Rotterdam', current_value: 3100 }],
+    CCFI: [{ lane: 'Shanghai-Genoa', current_value: 2500 }]
+  };
+  const projected = applyIndexProjection(indexConfig, laneIndices, projection);
+  assert.strictEqual(projected.indexConfig.SCFI.current_value, 1050, 'Текущее значение заменяется прогнозируемым уровнем (не 1100 * 1050 / 1000)');
+  assert.strictEqual(projected.indexConfig.SCFI.baseline_value, 1000);
+  assert.strictEqual(projected.laneIndices.SCFI[0].current_value, 2200 * 1050 / 1100, 'Маршрут - отношение уровня к текущему сводному значению');
+  assert.strictEqual(projected.indexConfig.WCI, indexConfig.WCI, 'Без сдвига недели - текущее значение');
+  assert.strictEqual(projected.laneIndices.WCI, laneIndices.WCI);
+  assert.strictEqual(projected.indexConfig.Harpex, indexConfig.Harpex, 'Индекс без прогноза не меняется');
+  assert.strictEqual(projected.laneIndices.CCFI[0].current_value, 2500 * 1300 / 1250, 'Без сводного значения - отношение к lastValue');
+  assert.strictEqual(indexConfig.SCFI.current_value, '1100', 'Исходные значения не меняются');
+
+  const lower = applyIndexProjection(indexConfig, laneIndices, projection, 'lower');
+  assert.strictEqual(lower.indexConfig.SCFI.current_value, 950);
+  assert.strictEqual(lower.laneIndices.SCFI[0].current_value, 2200 * 950 / 1100);
+  assert.deepStrictEqual(applyIndexProjection(indexConfig, laneIndices, null), { indexConfig, laneIndices }, 'Без прогноза - текущие значения');
+  console.log('✓ Уровень прогноза заменяет текущее значение, маршруты масштабируются от того же значения');
+}
+
+// Тест 4: доверие к прогнозу по полуширине интервала ставки
+function testProjectionConfidence() {
+  console.log('Тест 4: Проверка доверия к прогнозу...');
+  assert.strictEqual(projectionConfidence(0), 1);
+  assert.strictEqual(projectionConfidence(0.15), 0.5);
+  assert.strictEqual(projectionConfidence(0.3), 0);
+  assert.strictEqual(projectionConfidence(0.45), 0, 'Доверие не бывает отрицательным');
+  console.log('✓ Доверие 1 без неопределенности, 0 при полуширине 30%');
+}
+
+function runTests() {
+  console.log('Запуск тестов прогноза индексов на дату отправки...');
+  try {
+    testParseShipDate();
+    testProjectIndexSeries();
+    testApplyIndexProjection();
+    testProjectionConfidence();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
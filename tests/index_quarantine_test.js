@@ -0,0 +1,91 @@
+// Тесты проверки новых значений индексов (index_quarantine.js detectIndexAnomalies) без сервера и БД
+//
+// Запуск: node tests/index_quarantine_test.js (входит в npm test)
+
+import assert from 'assert';
+import { DEFAULT_MAX_JUMP_PERCENT, DEFAULT_MAX_Z_SCORE, DEFAULT_MAX_AGE_DAYS, resolveAnomalySettings, detectIndexAnomalies } from '../index_quarantine.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const SETTINGS = resolveAnomalySettings({});
+
+// Недельная история применённых значений (последнее - первым), как ее выбирает submitIndexObservation
+function weeklyHistory(values, lastDate = '2026-10-12') {
+  return values.map((value, i) => ({
+    value: String(value),
+    observed_at: new Date(Date.parse(lastDate) - i * 7 * 24 * 60 * 60 * 1000)
+  }));
+}
+
+// Спокойный рынок: изменения по неделям в пределах +-1.5%
+const CALM_HISTORY = weeklyHistory([1000, 990, 1002, 995, 1010, 1000, 985, 997, 1005, 992, 1000]);
+
+function checks(reasons) {
+  return reasons.map(reason => reason.check);
+}
+
+// Тест 1: пороги из model_settings
+function testSettings() {
+  console.log('Тест 1: Проверка порогов...');
+  assert.deepStrictEqual(SETTINGS, { maxJumpPercent: DEFAULT_MAX_JUMP_PERCENT, maxZScore: DEFAULT_MAX_Z_SCORE, maxAgeDays: DEFAULT_MAX_AGE_DAYS });
+  assert.deepStrictEqual(resolveAnomalySettings({ indexAnomalyMaxJumpPercent: '10', indexAnomalyMaxZScore: 'abc', indexAnomalyMaxAgeDays: '-1' }),
+    { maxJumpPercent: 10, maxZScore: DEFAULT_MAX_Z_SCORE, maxAgeDays: DEFAULT_MAX_AGE_DAYS }, 'Некорректные значения - по умолчанию');
+  console.log(`✓ По умолчанию: скачок ${DEFAULT_MAX_JUMP_PERCENT}%, z ${DEFAULT_MAX_Z_SCORE}, возраст ${DEFAULT_MAX_AGE_DAYS} дн.`);
+}
+
+// Тест 2: скачок больше порога
+function testJump() {
+  console.log('Тест 2: Проверка скачка больше порога...');
+  // Короткая история: z-оценка не считается, проверяется только скачок
+  const shortHistory = weeklyHistory([1000, 990]);
+  const reasons = detectIndexAnomalies({ value: 1400, observedAt: '2026-10-19' }, shortHistory, SETTINGS, NOW);
+  assert.deepStrictEqual(checks(reasons), ['jump']);
+  assert.strictEqual(reasons[0].previousValue, 1000);
+  assert.strictEqual(reasons[0].changePercent, 40);
+  assert.deepStrictEqual(checks(detectIndexAnomalies({ value: 650, observedAt: '2026-10-19' }, shortHistory, SETTINGS, NOW)), ['jump'], 'Падение тоже скачок');
+  assert.deepStrictEqual(detectIndexAnomalies({ value: 1290, observedAt: '2026-10-19' }, shortHistory, SETTINGS, NOW), [], '29% - в пределах порога');
+  assert.deepStrictEqual(checks(detectIndexAnomalies({ value: 1150, observedAt: '2026-10-19' }, shortHistory, resolveAnomalySettings({ indexAnomalyMaxJumpPercent: '10' }), NOW)), ['jump'], 'Порог из model_settings');
+
+  // Длинная спокойная история: изменение на 15% меньше порога скачка, но необычно для индекса
+  const outlier = detectIndexAnomalies({ value: 1150, observedAt: '2026-10-19' }, CALM_HISTORY, SETTINGS, NOW);
+  assert.deepStrictEqual(checks(outlier), ['zscore']);
+  assert(outlier[0].zScore > DEFAULT_MAX_Z_SCORE);
+  console.log(`✓ Скачок 40% задерживается, 15% на спокойном рынке - по z-оценке ${outlier[0].zScore}`);
+}
+
+// Тест 3: обычное изменение применяется
+function testNormalMovement() {
+  console.log('Тест 3: Проверка обычного изменения...');
+  for (const value of [1000, 1008, 989]) {
+    assert.deepStrictEqual(detectIndexAnomalies({ value, observedAt: '2026-10-19' }, CALM_HISTORY, SETTINGS, NOW), [], `Значение ${value}`);
+  }
+  // Значение задним числом не становится текущим и не проверяется
+  assert.deepStrictEqual(detectIndexAnomalies({ value: 5000, observedAt: '2026-10-05' }, CALM_HISTORY, SETTINGS, NOW), []);
+  console.log('✓ Изменения в пределах обычных колебаний не задерживаются');
+}
+
+// Тест 4: первое значение без истории - проверяется только дата
+function testFirstValue() {
+  console.log('Тест 4: Проверка первого значения без истории...');
+  assert.deepStrictEqual(detectIndexAnomalies({ value: 123456, observedAt: '2026-10-19' }, [], SETTINGS, NOW), [], 'Не с чем сравнивать');
+  assert.deepStrictEqual(checks(detectIndexAnomalies({ value: 1000, observedAt: '2026-08-01' }, [], SETTINGS, NOW)), ['stale'], 'Старше 45 дней');
+  assert.deepStrictEqual(checks(detectIndexAnomalies({ value: 1000, observedAt: '2026-10-25' }, [], SETTINGS, NOW)), ['future']);
+  assert.deepStrictEqual(detectIndexAnomalies({ value: 1000, observedAt: '2026-10-20' }, [], SETTINGS, NOW), [], 'Завтра допустимо (часовые пояса источников)');
+  console.log('✓ Первое значение применяется, если дата не устарела и не в будущем');
+}
+
+function runTests() {
+  console.log('Запуск тестов проверки значений индексов...');
+  try {
+    testSettings();
+    testJump();
+    testNormalMovement();
+    testFirstValue();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
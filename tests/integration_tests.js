@@ -1,9 +1,9 @@
 // Интеграционные тесты для улучшенного калькулятора ставок фрахта
 // Тестирует функциональность расширенной базы данных портов, поиска ближайших портов,
 // запросов на добавление портов и верификации email
+// Запуск: npm run test:integration (нужны запущенный сервер и БД; используется встроенный fetch Node 18+)
 
 import assert from 'assert';
-import fetch from 'node-fetch';
 import dns from 'dns';
 import { promisify } from 'util';
 
@@ -62,6 +62,9 @@ async function runTests() {
     // Тест 7: Проверка расчета ставки фрахта
     await testFreightRateCalculation();
     
+    // Тест 8: Проверка получения котировки по номеру
+    await testQuoteRetrieval();
+    
     console.log('Все тесты успешно пройдены!');
   } catch (error) {
     console.error('Ошибка при выполнении тестов:', error);
@@ -230,8 +233,8 @@ async function testFreightRateCalculation() {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify({
-        origin: TEST_DATA.origin,
-        destination: TEST_DATA.destination,
+        originPort: TEST_DATA.origin,
+        destinationPort: TEST_DATA.destination,
         containerType: TEST_DATA.containerType,
         email: TEST_DATA.validEmail
       })
@@ -239,15 +242,19 @@ async function testFreightRateCalculation() {
     const result = await response.json();
     
     assert.strictEqual(response.status, 200, 'API должен возвращать статус 200');
-    assert(result.rate, 'Результат должен содержать ставку');
-    assert(result.min_rate, 'Результат должен содержать минимальную ставку');
-    assert(result.max_rate, 'Результат должен содержать максимальную ставку');
+    assert.strictEqual(result.schemaVersion, '1.0', 'Ответ должен содержать версию схемы 1.0');
+    assert(result.total, 'Результат должен содержать итоговую ставку');
     assert(result.currency, 'Результат должен содержать валюту');
+    assert(Array.isArray(result.lineItems), 'Результат должен содержать строки детализации');
     assert(Array.isArray(result.sources), 'Результат должен содержать список источников');
     
+    // Сумма строк детализации должна совпадать с итогом
+    const lineItemsSum = result.lineItems.reduce((sum, item) => sum + item.amount, 0);
+    assert.strictEqual(lineItemsSum, result.total, 'Сумма строк детализации должна совпадать с итоговой ставкой');
+    
     // Проверка диапазона ставок
-    assert(result.min_rate <= result.rate, 'Минимальная ставка должна быть меньше или равна средней');
-    assert(result.rate <= result.max_rate, 'Средняя ставка должна быть меньше или равна максимальной');
+    assert(result.range.min <= result.total, 'Минимальная ставка должна быть меньше или равна итоговой');
+    assert(result.total <= result.range.max, 'Итоговая ставка должна быть меньше или равна максимальной');
     
     console.log('✓ Расчет ставки фрахта работает корректно');
   } catch (error) {
@@ -256,5 +263,45 @@ async function testFreightRateCalculation() {
   }
 }
 
+// Тест 8: Проверка получения котировки по номеру
+async function testQuoteRetrieval() {
+  console.log('Тест 8: Проверка получения котировки по номеру...');
+  
+  try {
+    const calculateResponse = await fetch(`${BASE_URL}/api/calculate`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        originPort: TEST_DATA.origin,
+        destinationPort: TEST_DATA.destination,
+        containerType: TEST_DATA.containerType,
+        email: TEST_DATA.validEmail
+      })
+    });
+    const calculated = await calculateResponse.json();
+    
+    assert(/^TSP-\d{4}-\d{6}$/.test(calculated.reference), 'Ответ должен содержать номер котировки формата TSP-YYYY-NNNNNN');
+    assert.strictEqual(calculated.status, 'valid', 'Новая котировка должна быть действительной');
+    assert(calculated.validUntil, 'Ответ должен содержать срок действия котировки');
+    
+    const response = await fetch(`${BASE_URL}/api/quotes/${calculated.reference}`);
+    const quote = await response.json();
+    
+    assert.strictEqual(response.status, 200, 'API должен возвращать статус 200');
+    assert.strictEqual(quote.reference, calculated.reference, 'Номер котировки должен совпадать');
+    assert.strictEqual(quote.total, calculated.total, 'Цена котировки не должна меняться');
+    assert.deepStrictEqual(quote.lineItems, calculated.lineItems, 'Строки детализации котировки не должны меняться');
+    assert.strictEqual(quote.inputs, undefined, 'Публичная котировка не должна содержать входные данные расчета');
+    
+    const notFoundResponse = await fetch(`${BASE_URL}/api/quotes/TSP-1999-000000`);
+    assert.strictEqual(notFoundResponse.status, 404, 'Для несуществующей котировки API должен возвращать 404');
+    
+    console.log('✓ Получение котировки по номеру работает корректно');
+  } catch (error) {
+    console.error('✗ Ошибка при проверке получения котировки:', error);
+    throw error;
+  }
+}
+
 // Запуск тестов
 runTests();
@@ -0,0 +1,221 @@
+// Тесты разбора страниц индексов на сохраненных снимках (без доступа к сети)
+// Для каждого источника сохраненная страница (tests/fixtures/parsers/<файл>) передается в parse()/normalize()
+// источника из реестра скраперов (или в extractIndexData для веб-поиска), результат сравнивается
+// с ожидаемым <имя>.expected.json: строки по маршрутам, значения, даты и сводное наблюдение.
+// Дата загрузки фиксирована (fetchedAt в expected.json), поэтому страницы без даты разбираются детерминированно.
+// Снимки воспроизводят разметку страниц источников, но не записаны с них: режим --record требует доступа к сайтам
+// источников. Поэтому *.expected.json (их пишет сам тест) дополнительно сверяются с PUBLISHED_VALUES - значениями,
+// заданными вручную по содержимому каждой страницы. При изменении страниц источника снимки перезаписываются режимом --record.
+//
+// Запуск:
+//   node tests/parser_fixtures_test.js                  - проверка всех снимков
+//   node tests/parser_fixtures_test.js --record [SCFI]  - загрузить свежие страницы источников (все или указанные)
+//                                                         и перезаписать снимки и ожидаемые результаты
+//   node tests/parser_fixtures_test.js --update [SCFI]  - только пересчитать ожидаемые результаты по текущим снимкам
+//                                                         (после намеренного изменения парсера)
+// После --record / --update изменения нужно просмотреть через git diff перед коммитом:
+// ожидаемые результаты должны соответствовать тому, что опубликовано на странице, а PUBLISHED_VALUES
+// обновляются вручную по записанной странице (режимы записи их не меняют).
+
+import assert from 'assert';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getScraper, listScrapers } from '../scraper_registry.js';
+import { extractIndexData } from '../web_search_indices.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'parsers');
+
+// Дата загрузки для новых ожидаемых результатов в режиме --update
+const DEFAULT_FETCHED_AT = '2025-05-09T12:00:00.000Z';
+
+// Снимки страниц. scraper - имя источника в реестре (поддерживает --record),
+// extract - имена индексов для extractIndexData (страницы результатов веб-поиска, только --update).
+const FIXTURE_CASES = [
+  { name: 'scfi', file: 'scfi.html', scraper: 'SCFI' },
+  { name: 'ccfi', file: 'ccfi.html', scraper: 'CCFI' },
+  { name: 'fbx', file: 'fbx.html', scraper: 'FBX' },
+  { name: 'fbx_cards', file: 'fbx_cards.html', scraper: 'FBX', recordable: false },
+  { name: 'wci', file: 'wci.html', scraper: 'WCI' },
+  { name: 'wci_data_points', file: 'wci_data_points.html', scraper: 'WCI', recordable: false },
+  { name: 'bdi', file: 'bdi.html', scraper: 'BDI' },
+  { name: 'harpex', file: 'harpex.html', scraper: 'Harpex' },
+  { name: 'contex', file: 'contex.html', scraper: 'NewConTex' },
+  { name: 'xeneta', file: 'xeneta.json', scraper: 'Xeneta' },
+  { name: 'web_search_table', file: 'web_search_table.html', extract: ['CCFI', 'SCFI', 'WCI', 'BDI'] },
+  { name: 'web_search_paragraph', file: 'web_search_paragraph.html', extract: ['CCFI', 'SCFI'] }
+];
+
+// Значения, сверенные со страницами вручную: сводное значение и его дата, число строк по маршрутам
+// (без строк с неопубликованным значением) и несколько маршрутов. Для страниц веб-поиска - значение по индексу.
+// Страницы без даты датируются днем загрузки (fetchedAt 2025-05-09).
+const PUBLISHED_VALUES = {
+  scfi: { value: 1370.58, date: '2025-05-09', rows: 7, lanes: { 'Europe (Base port)': 1154, 'USEC (Base port)': 3389, 'Southeast Asia (Singapore)': 363 } },
+  ccfi: { value: 1093.13, date: '2025-05-09', rows: 5, lanes: { 'Europe Service': 1405.93, 'Mediterranean Service': 1738.7 } },
+  fbx: { value: 2345.5, date: '2025-05-09', rows: 4, lanes: { 'China/East Asia - North Europe': 2104 } },
+  fbx_cards: { value: 2401, date: '2025-05-09', rows: 2, lanes: { 'China/East Asia - North Europe': 2150 } },
+  wci: { value: 2345, date: '2025-05-08', rows: 6, lanes: { 'Shanghai - Rotterdam': 2560, 'Rotterdam - Shanghai': 469, 'Shanghai - New York': 3890 } },
+  wci_data_points: { value: 2412, date: '2025-05-09', rows: 2, lanes: { 'Shanghai - Rotterdam': 2633 } },
+  bdi: { value: 1384, date: '2025-05-09', rows: 1 },
+  harpex: { value: 2367, date: '2025-05-09', rows: 3 },
+  contex: { value: 1121, date: '2025-05-08', rows: 3 },
+  xeneta: { value: 231.4, date: '2025-05-01', rows: 2, lanes: { 'Far East Import': 198.7 } },
+  web_search_table: { indices: { CCFI: 1045.8, SCFI: 1123.4, WCI: 3567.2, BDI: null } },
+  web_search_paragraph: { indices: { CCFI: 1045.8, SCFI: 1123.4 } }
+};
+
+function fixturePath(file) {
+  return path.join(FIXTURES_DIR, file);
+}
+
+function expectedPath(testCase) {
+  return fixturePath(`${testCase.name}.expected.json`);
+}
+
+// Результат разбора снимка в виде, пригодном для сравнения с JSON (даты - строки ISO)
+function parseFixture(testCase, fetchedAt) {
+  const raw = fs.readFileSync(fixturePath(testCase.file), 'utf8');
+  const options = { fetchedAt: new Date(fetchedAt) };
+  let result;
+  if (testCase.scraper) {
+    const source = getScraper(testCase.scraper);
+    assert(source, `Источник ${testCase.scraper} должен быть зарегистрирован`);
+    const rows = source.parse(raw, options);
+    result = { rows, observation: source.normalize(rows) };
+  } else {
+    result = {
+      results: Object.fromEntries(testCase.extract.map(indexName => [indexName, extractIndexData(raw, indexName, options)]))
+    };
+  }
+  return JSON.parse(JSON.stringify(result));
+}
+
+function writeExpected(testCase, fetchedAt) {
+  const expected = { fetchedAt, ...parseFixture(testCase, fetchedAt) };
+  fs.writeFileSync(expectedPath(testCase), `${JSON.stringify(expected, null, 2)}\n`);
+  console.log(`✓ ${testCase.name}: ожидаемый результат записан (${path.relative(process.cwd(), expectedPath(testCase))})`);
+}
+
+// Загрузка свежей страницы источника и перезапись снимка
+async function recordFixture(testCase) {
+  const raw = await getScraper(testCase.scraper).fetch();
+  const content = typeof raw === 'string' ? raw : `${JSON.stringify(raw, null, 2)}\n`;
+  fs.writeFileSync(fixturePath(testCase.file), content);
+  console.log(`✓ ${testCase.name}: снимок обновлен (${content.length} байт)`);
+}
+
+// Тест 1: у каждого зарегистрированного источника есть снимок страницы
+function testEveryScraperHasFixture() {
+  console.log('Тест 1: Проверка наличия снимков для всех источников...');
+  const covered = new Set(FIXTURE_CASES.filter(testCase => testCase.scraper).map(testCase => getScraper(testCase.scraper).name));
+  for (const scraper of listScrapers()) {
+    assert(covered.has(scraper.name), `Для источника ${scraper.name} должен быть снимок страницы в ${FIXTURES_DIR}`);
+  }
+  console.log(`✓ Снимки есть для всех ${covered.size} источников`);
+}
+
+// Тест 2: разбор снимков совпадает с ожидаемыми результатами
+function testFixtures() {
+  console.log('Тест 2: Проверка разбора сохраненных страниц...');
+  const failures = [];
+  for (const testCase of FIXTURE_CASES) {
+    try {
+      assert(fs.existsSync(expectedPath(testCase)), `Нет ожидаемого результата ${testCase.name}.expected.json (запустите с --update)`);
+      const { fetchedAt, ...expected } = JSON.parse(fs.readFileSync(expectedPath(testCase), 'utf8'));
+      const actual = parseFixture(testCase, fetchedAt);
+      if (testCase.scraper) {
+        assert(actual.rows.length > 0, 'Разбор страницы должен вернуть хотя бы одну строку');
+        assert(actual.observation, 'Из строк должно выбираться сводное наблюдение');
+      }
+      assert.deepStrictEqual(actual, expected, `Разбор ${testCase.file} не совпадает с ${testCase.name}.expected.json`);
+      console.log(`✓ ${testCase.name}: ${actual.rows ? `строк: ${actual.rows.length}` : Object.keys(actual.results).join(', ')}`);
+    } catch (error) {
+      console.error(`✗ ${testCase.name}: ${error.message}`);
+      failures.push(testCase.name);
+    }
+  }
+  assert.strictEqual(failures.length, 0, `Не прошли снимки: ${failures.join(', ')}`);
+}
+
+// Тест 3: разбор снимков дает значения, сверенные со страницами вручную (не зависит от *.expected.json)
+function testPublishedValues() {
+  console.log('Тест 3: Проверка значений, сверенных со страницами вручную...');
+  for (const testCase of FIXTURE_CASES) {
+    const published = PUBLISHED_VALUES[testCase.name];
+    assert(published, `Для снимка ${testCase.name} должны быть заданы PUBLISHED_VALUES`);
+    const { fetchedAt } = JSON.parse(fs.readFileSync(expectedPath(testCase), 'utf8'));
+    const actual = parseFixture(testCase, fetchedAt);
+    if (published.indices) {
+      for (const [indexName, value] of Object.entries(published.indices)) {
+        assert.strictEqual(actual.results[indexName]?.value ?? null, value, `${testCase.name}: значение ${indexName}`);
+      }
+      continue;
+    }
+    assert.strictEqual(actual.observation.value, published.value, `${testCase.name}: сводное значение`);
+    assert.strictEqual(actual.observation.observedAt.slice(0, 10), published.date, `${testCase.name}: дата сводного значения`);
+    assert.strictEqual(actual.rows.length, published.rows, `${testCase.name}: число строк`);
+    for (const [route, value] of Object.entries(published.lanes || {})) {
+      const row = actual.rows.find(candidate => candidate.route === route);
+      assert(row, `${testCase.name}: нет маршрута ${route}`);
+      assert.strictEqual(row.currentIndex ?? row.value, value, `${testCase.name}: значение маршрута ${route}`);
+    }
+  }
+  console.log(`✓ Значения ${FIXTURE_CASES.length} снимков совпадают с опубликованными на страницах`);
+}
+
+// Отбор случаев по именам из командной строки (имя случая или источника без учета регистра)
+function selectCases(names) {
+  if (names.length === 0) {
+    return FIXTURE_CASES;
+  }
+  const wanted = names.map(name => name.toLowerCase());
+  return FIXTURE_CASES.filter(testCase =>
+    wanted.includes(testCase.name) ||
+    (testCase.scraper && wanted.some(name => getScraper(name) === getScraper(testCase.scraper))));
+}
+
+async function runTests() {
+  const [mode, ...names] = process.argv.slice(2);
+
+  try {
+    if (mode === '--record') {
+      console.log('Запись снимков страниц индексов...');
+      for (const testCase of selectCases(names)) {
+        if (testCase.scraper && testCase.recordable !== false) {
+          await recordFixture(testCase);
+          writeExpected(testCase, new Date().toISOString());
+        } else {
+          // Снимки без живого источника (альтернативная разметка, веб-поиск) только пересчитываются
+          const { fetchedAt } = JSON.parse(fs.readFileSync(expectedPath(testCase), 'utf8'));
+          writeExpected(testCase, fetchedAt);
+        }
+      }
+      console.log('Снимки записаны. Проверьте изменения через git diff.');
+      return;
+    }
+
+    if (mode === '--update') {
+      console.log('Пересчет ожидаемых результатов по сохраненным страницам...');
+      for (const testCase of selectCases(names)) {
+        const fetchedAt = fs.existsSync(expectedPath(testCase))
+          ? JSON.parse(fs.readFileSync(expectedPath(testCase), 'utf8')).fetchedAt
+          : DEFAULT_FETCHED_AT;
+        writeExpected(testCase, fetchedAt);
+      }
+      console.log('Ожидаемые результаты записаны. Проверьте изменения через git diff.');
+      return;
+    }
+
+    console.log('Запуск тестов разбора страниц индексов...');
+    testEveryScraperHasFixture();
+    testFixtures();
+    testPublishedValues();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
@@ -0,0 +1,153 @@
+// Тесты детализированного ответа расчета (quote_breakdown.js) без сервера и БД
+// Расчет выполняется конвейером pricing_pipeline.js на этапах, не обращающихся к БД
+// (базовая ставка, индексная корректировка, фрахтование, спрос, надбавка за риск прохода, маржа).
+//
+// Запуск: node tests/quote_breakdown_test.js (входит в npm test)
+
+import assert from 'assert';
+import { buildQuoteBreakdown, toPublicQuote, QUOTE_SCHEMA_VERSION, LINE_ITEM_CODES } from '../quote_breakdown.js';
+import { createPricingContext, runPricingPipeline } from '../pricing_pipeline.js';
+
+const CALCULATION_DATE = new Date('2025-05-12T00:00:00Z');
+
+const INDEX_CONFIG = {
+  SCFI: { current_value: 1320, baseline_value: 1000, weight_percentage: 60, last_updated: CALCULATION_DATE, expected_frequency_days: 7 },
+  WCI: { current_value: 2950, baseline_value: 2500, weight_percentage: 40, last_updated: CALCULATION_DATE, expected_frequency_days: 7 },
+  Harpex: { current_value: 1180, baseline_value: 1000, weight_percentage: 0, last_updated: CALCULATION_DATE, expected_frequency_days: 7 },
+  BDI: { current_value: 1450, baseline_value: 1500, weight_percentage: 0, last_updated: CALCULATION_DATE, expected_frequency_days: 1 }
+};
+
+const SUEZ_SURCHARGE = { passage: 'suez', passageName: 'Suez Canal', action: 'surcharge', surchargeAmount: 150, surchargePercent: 2.5 };
+
+// Результат в формате calculateFreightRate для buildQuoteBreakdown
+async function priceOffline({ baseRate = 2500, stages, modelSettings = {}, chokepointDisruptions = [], sensitivityCoeff = 0.5 }) {
+  const context = createPricingContext({
+    originPortId: 1, destinationPortId: 2, containerType: '40HC', originRegion: 'Asia', destinationRegion: 'Europe',
+    baseRatesConfig: baseRate, indexConfig: INDEX_CONFIG, sensitivityCoeff, modelSettings,
+    calculationDate: CALCULATION_DATE, chokepointDisruptions
+  });
+  await runPricingPipeline(context, stages, []);
+  return {
+    finalRate: context.rate,
+    minRate: Math.round(context.rate * 0.9),
+    maxRate: Math.round(context.rate * 1.1),
+    reliability: 0.8,
+    adjustments: context.adjustments,
+    calculationDetails: { originRegion: 'Asia', destinationRegion: 'Europe', activeStages: stages, indexSources: context.sources }
+  };
+}
+
+function lineItemsSum(quote) {
+  return quote.lineItems.reduce((sum, item) => sum + item.amount, 0);
+}
+
+// Тест 1: версия схемы и структура ответа
+async function testSchema() {
+  console.log('Тест 1: Проверка версии схемы и структуры ответа...');
+  const calculation = await priceOffline({ stages: ['baseRate', 'indexAdjustment', 'chokepointRisk', 'margin'] });
+  const quote = buildQuoteBreakdown(calculation, { originPort: 1, destinationPort: 2, containerType: '40HC', baseRateLevel: 'port' });
+
+  assert.strictEqual(QUOTE_SCHEMA_VERSION, '1.0', 'Версия схемы должна быть 1.0');
+  assert.strictEqual(quote.schemaVersion, QUOTE_SCHEMA_VERSION, 'Ответ должен содержать версию схемы');
+  assert.strictEqual(quote.currency, 'USD', 'Валюта ответа - USD');
+  assert.strictEqual(quote.total, calculation.finalRate, 'Итог ответа - итоговая ставка расчета');
+  assert.deepStrictEqual(quote.range, { min: calculation.minRate, max: calculation.maxRate }, 'Диапазон ответа - min/max расчета');
+  assert.strictEqual(quote.lineItems[0].code, LINE_ITEM_CODES.OCEAN_FREIGHT, 'Первая строка - базовая ставка');
+  assert.strictEqual(quote.lineItems[0].amount, 2500, 'Сумма первой строки - базовая ставка');
+  assert.strictEqual(quote.lineItems[0].details.rateLevel, 'port', 'Строка базовой ставки содержит уровень ставки');
+  const fuel = quote.lineItems.find(item => item.code === LINE_ITEM_CODES.FUEL_SURCHARGE);
+  assert(fuel, 'Строка BAF присутствует всегда');
+  assert.strictEqual(fuel.amount, 0, 'Без этапа fuel сумма BAF равна 0');
+  for (const item of quote.lineItems) {
+    assert(Object.values(LINE_ITEM_CODES).includes(item.code), `Код строки ${item.code} должен быть в LINE_ITEM_CODES`);
+    assert(Number.isInteger(item.amount), `Сумма строки ${item.code} должна быть целой`);
+  }
+  console.log(`✓ Схема ${quote.schemaVersion}, строк: ${quote.lineItems.length}`);
+}
+
+// Тест 2: сумма строк детализации совпадает с итогом при разных наборах этапов
+async function testLineItemsSum() {
+  console.log('Тест 2: Проверка суммы строк детализации...');
+  const cases = [
+    { name: 'только базовая ставка', stages: ['baseRate', 'chokepointRisk'] },
+    { name: 'индексы и модификаторы', stages: ['baseRate', 'indexAdjustment', 'charterModifier', 'demandModifier', 'chokepointRisk'] },
+    { name: 'маржа 7.5%', stages: ['baseRate', 'indexAdjustment', 'chokepointRisk', 'margin'], modelSettings: { marginPercent: '7.5' } },
+    { name: 'надбавка за риск прохода', stages: ['baseRate', 'indexAdjustment', 'chokepointRisk', 'margin'], chokepointDisruptions: [SUEZ_SURCHARGE], modelSettings: { marginPercent: '3' } },
+    { name: 'нечетная базовая ставка', baseRate: 1333, sensitivityCoeff: 0.37, stages: ['baseRate', 'indexAdjustment', 'demandModifier', 'chokepointRisk', 'margin'], modelSettings: { marginPercent: '4.3' } },
+    { name: 'отрицательная ставка до нуля', baseRate: 300, stages: ['baseRate', 'demandModifier', 'chokepointRisk', 'margin'], modelSettings: { marginPercent: '-140' } }
+  ];
+  for (const testCase of cases) {
+    const quote = buildQuoteBreakdown(await priceOffline(testCase), { originPort: 1, destinationPort: 2, containerType: '40HC' });
+    assert.strictEqual(lineItemsSum(quote), quote.total, `Сумма строк должна совпадать с итогом (${testCase.name})`);
+    console.log(`✓ ${testCase.name}: ${quote.lineItems.map(item => `${item.code} ${item.amount}`).join(' + ')} = ${quote.total}`);
+  }
+}
+
+// Тест 3: отрицательная ставка доводится до 0 отдельной строкой
+async function testRateFloor() {
+  console.log('Тест 3: Проверка доведения отрицательной ставки до 0...');
+  const calculation = await priceOffline({ baseRate: 300, stages: ['baseRate', 'chokepointRisk', 'margin'], modelSettings: { marginPercent: '-150' } });
+  const quote = buildQuoteBreakdown(calculation, { originPort: 1, destinationPort: 2, containerType: '40HC' });
+  const floor = quote.lineItems.find(item => item.code === LINE_ITEM_CODES.FLOOR_ADJUSTMENT);
+  assert.strictEqual(quote.total, 0, 'Итоговая ставка не может быть отрицательной');
+  assert(floor, 'Доведение до 0 показывается строкой FLOOR_ADJUSTMENT');
+  assert.strictEqual(floor.amount, 150, 'Сумма строки - модуль отрицательной ставки (300 - 450 = -150)');
+  assert.strictEqual(floor.details.rateBeforeFloor, -150);
+  assert.strictEqual(lineItemsSum(quote), 0, 'Сумма строк совпадает с итогом 0');
+
+  const positive = await priceOffline({ stages: ['baseRate', 'chokepointRisk', 'margin'], modelSettings: { marginPercent: '5' } });
+  assert(!positive.adjustments.some(adjustment => adjustment.code === LINE_ITEM_CODES.FLOOR_ADJUSTMENT), 'Без отрицательной ставки строки FLOOR_ADJUSTMENT нет');
+  console.log(`✓ ${quote.lineItems.map(item => `${item.code} ${item.amount}`).join(' + ')} = ${quote.total}`);
+}
+
+// Тест 4: публичная котировка - без маржи и внутренних данных этапов, сумма строк совпадает с итогом
+async function testPublicQuote() {
+  console.log('Тест 4: Проверка публичного представления котировки...');
+  const calculation = await priceOffline({ stages: ['baseRate', 'indexAdjustment', 'chokepointRisk', 'margin'], modelSettings: { marginPercent: '7.5' } });
+  const quote = { ...buildQuoteBreakdown(calculation, { originPort: 1, destinationPort: 2, containerType: '40HC', baseRateLevel: 'port' }), inputs: { baseRate: 2500 } };
+  const margin = quote.lineItems.find(item => item.code === LINE_ITEM_CODES.MARGIN);
+  assert(margin && margin.amount > 0 && margin.details.marginPercent === 7.5, 'Полная котировка содержит строку маржи с процентом');
+
+  const publicQuote = toPublicQuote(quote);
+  assert(!publicQuote.lineItems.some(item => item.code === LINE_ITEM_CODES.MARGIN), 'Строки маржи нет');
+  assert(publicQuote.lineItems.every(item => item.details === undefined), 'Строки без details');
+  assert.strictEqual(publicQuote.lineItems[0].amount, quote.lineItems[0].amount + margin.amount, 'Маржа входит в строку базовой ставки');
+  assert.strictEqual(lineItemsSum(publicQuote), publicQuote.total, 'Сумма строк совпадает с итогом');
+  assert.deepStrictEqual(publicQuote.stages, ['baseRate', 'indexAdjustment', 'chokepointRisk'], 'Этап маржи не показывается');
+  assert.strictEqual(publicQuote.inputs, undefined, 'Входные данные расчета не показываются');
+  assert(quote.lineItems.some(item => item.code === LINE_ITEM_CODES.MARGIN), 'Полная котировка не меняется');
+  console.log(`✓ ${publicQuote.lineItems.map(item => `${item.code} ${item.amount}`).join(' + ')} = ${publicQuote.total}`);
+}
+
+// Тест 5: ошибка этапа прерывает расчет
+async function testStageError() {
+  console.log('Тест 5: Проверка ошибки этапа...');
+  const context = createPricingContext({
+    originPortId: 1, destinationPortId: 2, containerType: '40HC', originRegion: 'Asia', destinationRegion: 'Europe',
+    baseRatesConfig: 2500, indexConfig: INDEX_CONFIG, calculationDate: CALCULATION_DATE,
+    fuelSurchargeProvider: async () => { throw new Error('Fuel prices unavailable'); }
+  });
+  const debugLog = [];
+  await assert.rejects(runPricingPipeline(context, ['baseRate', 'fuel', 'chokepointRisk', 'margin'], debugLog), /Fuel prices unavailable/);
+  assert.strictEqual(debugLog[debugLog.length - 1].status, 'Error', 'Ошибка записывается в debugLog');
+  assert(!context.adjustments.some(adjustment => adjustment.code === LINE_ITEM_CODES.MARGIN), 'Следующие этапы не выполняются');
+  console.log('✓ Ошибка этапа пробрасывается, расчет не продолжается');
+}
+
+async function runTests() {
+  console.log('Запуск тестов детализации котировки...');
+  try {
+    await testSchema();
+    await testLineItemsSum();
+    await testRateFloor();
+    await testPublicQuote();
+    await testStageError();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
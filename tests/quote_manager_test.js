@@ -0,0 +1,89 @@
+// Тесты номеров и статуса котировок (quote_manager.js) без сервера и БД
+// Запросы к БД заменены клиентом, который возвращает заданные строки и запоминает выполненные запросы.
+//
+// Запуск: node tests/quote_manager_test.js (входит в npm test)
+
+import assert from 'assert';
+import {
+  QUOTE_REFERENCE_PATTERN, DEFAULT_QUOTE_VALIDITY_DAYS,
+  generateQuoteReference, getQuoteByReference, getQuoteStatus, resolveQuoteValidityDays
+} from '../quote_manager.js';
+import { createClient } from './helpers.js';
+
+// Тест 1: формат номера котировки TSP-YYYY-NNNNNN
+async function testReferenceFormat() {
+  console.log('Тест 1: Проверка формата номера котировки...');
+  const cases = [
+    { lastValue: 1, date: '2026-01-01T00:00:00Z', expected: 'TSP-2026-000001' },
+    { lastValue: 123, date: '2026-10-19T12:00:00Z', expected: 'TSP-2026-000123' },
+    { lastValue: 999999, date: '2025-12-31T23:59:59Z', expected: 'TSP-2025-999999' }
+  ];
+  for (const { lastValue, date, expected } of cases) {
+    const client = createClient(() => [{ last_value: lastValue }]);
+    const reference = await generateQuoteReference(client, new Date(date));
+    assert.strictEqual(reference, expected, `Номер для ${lastValue} в ${date.slice(0, 4)} году`);
+    assert(QUOTE_REFERENCE_PATTERN.test(reference), `${reference} должен соответствовать формату`);
+    assert.deepStrictEqual(client.queries[0].params, [parseInt(date.slice(0, 4), 10)], 'Счетчик ведется по году (UTC)');
+  }
+  for (const invalid of ['TSP-26-000001', 'TSP-2026-00001', 'ABC-2026-000001', 'TSP-2026-000001x']) {
+    assert(!QUOTE_REFERENCE_PATTERN.test(invalid), `${invalid} не соответствует формату`);
+  }
+  console.log('✓ Номера котировок формируются в формате TSP-YYYY-NNNNNN');
+}
+
+// Тест 2: поиск по номеру - нормализация и некорректные номера без запроса к БД
+async function testReferenceLookup() {
+  console.log('Тест 2: Проверка поиска котировки по номеру...');
+  const invalidClient = createClient();
+  assert.strictEqual(await getQuoteByReference(invalidClient, 'not-a-reference'), null, 'Некорректный номер - null');
+  assert.strictEqual(invalidClient.queries.length, 0, 'Для некорректного номера запрос к БД не выполняется');
+
+  const row = {
+    reference: 'TSP-2026-000042',
+    breakdown: { schemaVersion: '1.0', total: 3100, lineItems: [{ code: 'OCEAN_FREIGHT', amount: 3100 }] },
+    frozen_inputs: { indices: { SCFI: 1320 } },
+    valid_from: new Date('2026-10-19T10:00:00Z'),
+    valid_until: new Date('2999-01-01T00:00:00Z')
+  };
+  const client = createClient((sql, params) => (params[0] === row.reference ? [row] : []));
+  const quote = await getQuoteByReference(client, '  tsp-2026-000042 ');
+  assert.deepStrictEqual(client.queries[0].params, ['TSP-2026-000042'], 'Номер нормализуется (регистр, пробелы)');
+  assert.strictEqual(quote.reference, row.reference);
+  assert.strictEqual(quote.total, 3100, 'Сохраненный ответ возвращается без пересчета');
+  assert.deepStrictEqual(quote.lineItems, row.breakdown.lineItems);
+  assert.deepStrictEqual(quote.inputs, row.frozen_inputs, 'Котировка содержит зафиксированные входные данные');
+  assert.strictEqual(quote.status, 'valid');
+  assert.strictEqual(quote.validFrom, '2026-10-19T10:00:00.000Z');
+  assert.strictEqual(await getQuoteByReference(client, 'TSP-1999-000000'), null, 'Ненайденный номер - null');
+  console.log('✓ Поиск по номеру нормализует номер и возвращает сохраненную котировку');
+}
+
+// Тест 3: статус и срок действия
+function testValidity() {
+  console.log('Тест 3: Проверка статуса и срока действия...');
+  const validUntil = '2026-10-26T10:00:00.000Z';
+  assert.strictEqual(getQuoteStatus(validUntil, new Date('2026-10-26T09:59:59Z')), 'valid');
+  assert.strictEqual(getQuoteStatus(validUntil, new Date('2026-10-26T10:00:00Z')), 'valid', 'Котировка действительна до срока включительно');
+  assert.strictEqual(getQuoteStatus(validUntil, new Date('2026-10-26T10:00:01Z')), 'expired');
+  assert.strictEqual(resolveQuoteValidityDays({ quoteValidityDays: '14' }), 14);
+  for (const value of [undefined, '', '0', '-3', 'abc']) {
+    assert.strictEqual(resolveQuoteValidityDays({ quoteValidityDays: value }), DEFAULT_QUOTE_VALIDITY_DAYS, `quoteValidityDays=${value} - срок по умолчанию`);
+  }
+  console.log(`✓ Статус по сроку действия, срок по умолчанию ${DEFAULT_QUOTE_VALIDITY_DAYS} дней`);
+}
+
+async function runTests() {
+  console.log('Запуск тестов котировок...');
+  try {
+    await testReferenceFormat();
+    await testReferenceLookup();
+    testValidity();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
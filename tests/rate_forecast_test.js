@@ -0,0 +1,144 @@
+// Тесты прогноза ставок (rate_forecast.js) без сервера и БД
+// История индексов - синтетический недельный ряд с трендом и детерминированным шумом (LCG с фиксированным seed);
+// клиент БД возвращает этот ряд, расчет ставки направления заменен функцией от прогноза индекса.
+//
+// Запуск: node tests/rate_forecast_test.js (входит в npm test)
+
+import assert from 'assert';
+import { FORECAST_WEEKS, forecastIndex, rateInterval, forecastTargetWeeks, buildRateForecast } from '../rate_forecast.js';
+import { weekNumber, formatWeek } from '../time_series.js';
+import { weeklyPoints, createClient, assertClose } from './helpers.js';
+
+const NOW = new Date('2026-10-19T09:00:00Z');
+
+// История SCFI: понедельные наблюдения за 60 недель до 2026-10-12
+const SCFI_HISTORY = { weeks: 60, lastMonday: '2026-10-12', growth: 0.004, seed: 9 };
+
+// Клиент БД: недельные средние index_values для запрошенных индексов
+function createIndexClient(seriesByIndex) {
+  return createClient((sql, params) => params[0].flatMap(indexName => (seriesByIndex[indexName] || [])
+    .map(point => ({ index_name: indexName, week: point.date, value: String(point.value) }))));
+}
+
+// Результат calculateFreightRate: индексная корректировка - отношение прогноза SCFI к последнему значению
+function createCalculate(currentValue) {
+  const calls = [];
+  const calculate = async (shipDate, indexProjection) => {
+    calls.push({ shipDate, indexProjection });
+    const projection = indexProjection?.indices?.SCFI;
+    const adjustment = projection?.value ? projection.value / currentValue : 1;
+    return {
+      finalRate: Math.round(2000 * adjustment),
+      minRate: 1800,
+      maxRate: 2200,
+      indexAdjustment: adjustment,
+      seasonalityFactor: 1,
+      calculationDetails: {
+        horizon: projection?.value ? { indexInterval: { lower: projection.lower / currentValue, upper: projection.upper / currentValue }, indexConfidence: 0.8 } : null,
+        seasonalityInterval: { lower: 0.97, upper: 1.03 }
+      }
+    };
+  };
+  return { calls, calculate };
+}
+
+// Тест 1: недели прогноза ограничены горизонтом даты отправки
+function testTargetWeeks() {
+  console.log('Тест 1: Проверка недель прогноза в пределах shipDateMaxDays...');
+  const currentWeek = weekNumber(NOW);
+  const weeks = forecastTargetWeeks(FORECAST_WEEKS, {}, NOW);
+  assert.deepStrictEqual(weeks, Array.from({ length: FORECAST_WEEKS }, (_, i) => currentWeek + i + 1), '180 дней по умолчанию - все 12 недель');
+  assert.strictEqual(formatWeek(weeks[0]), '2026-10-26', 'Первая неделя - следующий понедельник');
+  // Понедельники через 7, 14, 21, 28 и 35 дней
+  assert.deepStrictEqual(forecastTargetWeeks(FORECAST_WEEKS, { shipDateMaxDays: '28' }, NOW).map(formatWeek), ['2026-10-26', '2026-11-02', '2026-11-09', '2026-11-16'], 'Понедельник ровно через shipDateMaxDays дней включается');
+  assert.strictEqual(forecastTargetWeeks(FORECAST_WEEKS, { shipDateMaxDays: '27' }, NOW).length, 3, 'Понедельник через shipDateMaxDays + 1 день не включается');
+  assert.strictEqual(forecastTargetWeeks(FORECAST_WEEKS, { shipDateMaxDays: '3' }, NOW).length, 0);
+  // В среду ближайшие понедельники через 5, 12, 19, 26 и 33 дня
+  assert.strictEqual(forecastTargetWeeks(FORECAST_WEEKS, { shipDateMaxDays: '30' }, new Date('2026-10-21T12:00:00Z')).length, 4);
+  console.log('✓ Недели прогноза не выходят за shipDateMaxDays');
+}
+
+// Тест 2: прогноз индекса - интервал расширяется с горизонтом
+function testForecastIndex() {
+  console.log('Тест 2: Проверка прогноза индекса...');
+  const points = weeklyPoints(SCFI_HISTORY);
+  const targetWeeks = forecastTargetWeeks(FORECAST_WEEKS, {}, NOW);
+  const result = forecastIndex(points, targetWeeks);
+  assert.strictEqual(result.history.length, 26, 'История - последние 26 недель');
+  assert.strictEqual(result.history[result.history.length - 1].week, '2026-10-12');
+  assert.deepStrictEqual(result.forecast.map(point => point.week), targetWeeks.map(formatWeek));
+  const widths = result.forecast.map(point => Math.log(point.upper / point.lower));
+  result.forecast.forEach((point, i) => {
+    assert(point.lower < point.value && point.value < point.upper, `Интервал недели ${point.week} содержит прогноз`);
+    if (i > 0) assert(widths[i] > widths[i - 1], `Интервал недели ${point.week} шире предыдущей`);
+  });
+  assert(result.model.alpha > 0 && result.model.phi > 0 && result.model.observations === points.length);
+
+  // Неделя до последней недели данных не прогнозируется
+  assert.deepStrictEqual(forecastIndex(points, [weekNumber('2026-10-05'), weekNumber('2026-10-19')]).forecast.map(point => point.week), ['2026-10-19']);
+  const short = forecastIndex(points.slice(-7), targetWeeks);
+  assert.deepStrictEqual([short.forecast, short.model], [[], null], 'Меньше 8 недель - без прогноза');
+  assert.strictEqual(forecastIndex([], targetWeeks), null);
+  console.log(`✓ ln(upper / lower): ${widths[0].toFixed(3)} на 1 нед. -> ${widths[widths.length - 1].toFixed(3)} на ${widths.length} нед.`);
+}
+
+// Тест 3: интервал ставки объединяет интервалы индексной корректировки и сезонного фактора
+function testRateInterval() {
+  console.log('Тест 3: Проверка интервала ставки...');
+  const calculation = {
+    finalRate: 2000, indexAdjustment: 1.1, seasonalityFactor: 1.05,
+    calculationDetails: { horizon: { indexInterval: { lower: 1.0, upper: 1.2 } }, seasonalityInterval: { lower: 1.0, upper: 1.1 } }
+  };
+  const lowerLog = -Math.sqrt(Math.log(1.0 / 1.1) ** 2 + Math.log(1.0 / 1.05) ** 2);
+  const upperLog = Math.sqrt(Math.log(1.2 / 1.1) ** 2 + Math.log(1.1 / 1.05) ** 2);
+  assert.deepStrictEqual(rateInterval(calculation), { lower: Math.round(2000 * Math.exp(lowerLog)), upper: Math.round(2000 * Math.exp(upperLog)) }, 'Границы складываются в логарифмах как независимые');
+  const indexOnly = { ...calculation, calculationDetails: { horizon: calculation.calculationDetails.horizon } };
+  assert.deepStrictEqual(rateInterval(indexOnly), { lower: Math.round(2000 / 1.1), upper: Math.round(2000 * 1.2 / 1.1) }, 'Только интервал индексов');
+  assert.deepStrictEqual(rateInterval({ finalRate: 2000, indexAdjustment: 1, seasonalityFactor: 1 }), { lower: 2000, upper: 2000 }, 'Без интервалов - ставка');
+  console.log('✓ Интервал ставки объединяет интервалы в логарифмах');
+}
+
+// Тест 4: прогноз ставки направления - недели в пределах горизонта, интервал расширяется
+async function testBuildRateForecast() {
+  console.log('Тест 4: Проверка прогноза ставки направления...');
+  const points = weeklyPoints(SCFI_HISTORY);
+  const client = createIndexClient({ SCFI: points });
+  const { calls, calculate } = createCalculate(points[points.length - 1].value);
+  const forecast = await buildRateForecast(client, { indexNames: ['SCFI'], calculate, now: NOW });
+  assert.strictEqual(forecast.weeks, FORECAST_WEEKS);
+  assert.strictEqual(forecast.indices.WCI, null, 'Индекс без данных - null');
+  assert.strictEqual(forecast.indices.SCFI.forecast.length, FORECAST_WEEKS);
+  assert.deepStrictEqual(calls[0], { shipDate: null, indexProjection: null }, 'Текущая ставка - без даты отправки');
+  assert.deepStrictEqual(forecast.lane.current, { rate: 2000, min: 1800, max: 2200 });
+  const widths = forecast.lane.forecast.map(point => (point.upper - point.lower) / point.rate);
+  forecast.lane.forecast.forEach((point, i) => {
+    assert(point.lower <= point.rate && point.rate <= point.upper, `Интервал ставки недели ${point.week} содержит ставку`);
+    if (i > 0) assert(widths[i] > widths[i - 1], `Интервал ставки недели ${point.week} шире предыдущей`);
+    assert.strictEqual(calls[i + 1].indexProjection.shipDate, point.week);
+    assert.strictEqual(calls[i + 1].indexProjection.indices.SCFI.steps, i + 2, 'Шаг прогноза от последней недели с данными');
+  });
+  assertClose(forecast.lane.forecast[0].rate / 2000, forecast.indices.SCFI.forecast[0].value / points[points.length - 1].value, 0.001, 'Ставка недели следует прогнозу индекса');
+
+  const capped = await buildRateForecast(client, { indexNames: ['SCFI'], calculate: createCalculate(1000).calculate, modelSettings: { shipDateMaxDays: '30' }, now: NOW });
+  assert.strictEqual(capped.weeks, 4, 'Недели после shipDateMaxDays не рассчитываются');
+  assert.deepStrictEqual(capped.lane.forecast.map(point => point.week), ['2026-10-26', '2026-11-02', '2026-11-09', '2026-11-16']);
+  assert.strictEqual(capped.indices.SCFI.forecast.length, 4);
+  console.log(`✓ Относительная ширина интервала ставки: ${widths[0].toFixed(3)} -> ${widths[widths.length - 1].toFixed(3)}, с shipDateMaxDays = 30: ${capped.weeks} нед.`);
+}
+
+async function runTests() {
+  console.log('Запуск тестов прогноза ставок...');
+  try {
+    testTargetWeeks();
+    testForecastIndex();
+    testRateInterval();
+    await testBuildRateForecast();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
@@ -0,0 +1,37 @@
+// Запуск всех офлайн-тестов (npm test)
+// Каждый файл tests/*_test.js выполняется отдельным процессом node без аргументов (режим проверки),
+// поэтому новый тестовый файл подключается к npm test автоматически по имени.
+// Интеграционные тесты (integration_tests.js) требуют запущенного сервера и БД: npm run test:integration.
+
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const TESTS_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+function listTestFiles() {
+  return fs.readdirSync(TESTS_DIR)
+    .filter(file => file.endsWith('_test.js'))
+    .sort();
+}
+
+function runAll() {
+  const files = listTestFiles();
+  const failures = [];
+  for (const file of files) {
+    console.log(`\n=== ${file} ===`);
+    const result = spawnSync(process.execPath, [path.join(TESTS_DIR, file)], { stdio: 'inherit' });
+    if (result.status !== 0) {
+      failures.push(file);
+    }
+  }
+  console.log('');
+  if (failures.length > 0) {
+    console.error(`Не прошли тестовые файлы (${failures.length} из ${files.length}): ${failures.join(', ')}`);
+    process.exit(1);
+  }
+  console.log(`Все тестовые файлы пройдены (${files.length}).`);
+}
+
+runAll();
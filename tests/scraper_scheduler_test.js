@@ -0,0 +1,92 @@
+// Тесты разбора cron-расписаний скраперов (scraper_scheduler.js) без сервера и БД
+//
+// Запуск: node tests/scraper_scheduler_test.js (входит в npm test)
+
+import assert from 'assert';
+import { parseCronExpression, cronMatches } from '../scraper_scheduler.js';
+
+function values(set) {
+  return [...set].sort((a, b) => a - b);
+}
+
+// Тест 1: шаги */n, a-b/n и a/n
+function testSteps() {
+  console.log('Тест 1: Проверка шагов...');
+  assert.deepStrictEqual(values(parseCronExpression('*/15 * * * *').minute), [0, 15, 30, 45]);
+  assert.deepStrictEqual(values(parseCronExpression('10-30/10 * * * *').minute), [10, 20, 30], 'Шаг в диапазоне');
+  assert.deepStrictEqual(values(parseCronExpression('5/20 * * * *').minute), [5, 25, 45], 'Шаг от значения до конца поля');
+  assert.deepStrictEqual(values(parseCronExpression('0 */6 * * *').hour), [0, 6, 12, 18]);
+  assert.deepStrictEqual(values(parseCronExpression('0 0 * */5 *').month), [1, 6, 11], 'Шаг месяцев от 1');
+  console.log('✓ Шаги раскрываются в значения поля');
+}
+
+// Тест 2: диапазоны и списки
+function testRangesAndLists() {
+  console.log('Тест 2: Проверка диапазонов и списков...');
+  const parsed = parseCronExpression('0,30 8-10 1,15,31 * 1-5');
+  assert.deepStrictEqual(values(parsed.minute), [0, 30]);
+  assert.deepStrictEqual(values(parsed.hour), [8, 9, 10]);
+  assert.deepStrictEqual(values(parsed.dayOfMonth), [1, 15, 31]);
+  assert.deepStrictEqual(values(parsed.dayOfWeek), [1, 2, 3, 4, 5]);
+  assert.deepStrictEqual(values(parseCronExpression('1-3,10,20-40/10 * * * *').minute), [1, 2, 3, 10, 20, 30, 40], 'Список из диапазонов, чисел и шагов');
+  assert.strictEqual(values(parseCronExpression('* * * * *').minute).length, 60);
+
+  const invalid = ['* * * *', '* * * * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '* * * 13 *', '* * * * 8', '*/0 * * * *', '30-10 * * * *', 'a * * * *', '1,,2 * * * *', ''];
+  for (const expression of invalid) {
+    assert.throws(() => parseCronExpression(expression), Error, `Выражение '${expression}' должно отклоняться`);
+  }
+  console.log(`✓ Диапазоны и списки разбираются, отклонено ${invalid.length} некорректных выражений`);
+}
+
+// Тест 3: день недели 7 - воскресенье
+function testSunday() {
+  console.log('Тест 3: Проверка дня недели 7...');
+  assert.deepStrictEqual(values(parseCronExpression('0 9 * * 7').dayOfWeek), [0]);
+  assert.deepStrictEqual(values(parseCronExpression('0 9 * * 5-7').dayOfWeek), [0, 5, 6], 'Диапазон до 7 включает воскресенье');
+  const sunday = new Date('2026-10-18T09:00:00Z');
+  assert.strictEqual(sunday.getUTCDay(), 0);
+  assert(cronMatches(parseCronExpression('0 9 * * 7'), sunday), '7 совпадает с воскресеньем');
+  assert(cronMatches(parseCronExpression('0 9 * * 0'), sunday), '0 совпадает с воскресеньем');
+  assert(!cronMatches(parseCronExpression('0 9 * * 7'), new Date('2026-10-19T09:00:00Z')), 'Понедельник не совпадает');
+  console.log('✓ 0 и 7 - воскресенье');
+}
+
+// Тест 4: совпадение по времени (UTC) и правило ИЛИ для дня месяца и дня недели
+function testMatches() {
+  console.log('Тест 4: Проверка совпадения расписания...');
+  const friday = parseCronExpression('30 9 * * 5');
+  assert(cronMatches(friday, new Date('2026-10-23T09:30:00Z')), 'Пятница 09:30 UTC');
+  assert(cronMatches(friday, new Date('2026-10-23T09:30:59Z')), 'Секунды не учитываются');
+  assert(!cronMatches(friday, new Date('2026-10-23T09:31:00Z')), 'Другая минута');
+  assert(!cronMatches(friday, new Date('2026-10-23T10:30:00Z')), 'Другой час');
+  assert(!cronMatches(friday, new Date('2026-10-22T09:30:00Z')), 'Четверг');
+  assert(!cronMatches(parseCronExpression('30 9 * 11 5'), new Date('2026-10-23T09:30:00Z')), 'Другой месяц');
+
+  // Заданы и день месяца, и день недели - достаточно одного из них
+  const firstOrMonday = parseCronExpression('0 9 1 * 1');
+  assert(cronMatches(firstOrMonday, new Date('2026-10-01T09:00:00Z')), '1-е число (четверг)');
+  assert(cronMatches(firstOrMonday, new Date('2026-10-19T09:00:00Z')), 'Понедельник 19-го');
+  assert(!cronMatches(firstOrMonday, new Date('2026-10-20T09:00:00Z')), 'Вторник 20-го');
+  // Задано одно из полей - проверяется только оно
+  assert(!cronMatches(parseCronExpression('0 9 1 * *'), new Date('2026-10-19T09:00:00Z')), 'Только день месяца');
+  assert(!cronMatches(parseCronExpression('0 9 * * 1'), new Date('2026-10-01T09:00:00Z')), 'Только день недели');
+  assert(cronMatches(parseCronExpression('0 9 1-7 * *'), new Date('2026-10-01T09:00:00Z')));
+  console.log('✓ Если заданы день месяца и день недели, достаточно совпадения одного');
+}
+
+function runTests() {
+  console.log('Запуск тестов cron-расписаний скраперов...');
+  try {
+    testSteps();
+    testRangesAndLists();
+    testSunday();
+    testMatches();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
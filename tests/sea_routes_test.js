@@ -0,0 +1,126 @@
+// Тесты морских маршрутов (sea_routes.js) без сервера и БД: варианты маршрута, мили в зонах ECA, закрытые проходы
+// Запросы к БД заменены клиентом, который возвращает координаты портов и запоминает выполненные запросы.
+//
+// Запуск: node tests/sea_routes_test.js (входит в npm test)
+
+import assert from 'assert';
+import { SEA_PASSAGES, ROUTINGS, SeaRouteError, ecaZoneAt, findSeaRoute, getPortDistance } from '../sea_routes.js';
+import { createClient } from './helpers.js';
+
+// Координаты портов из data/expanded_ports.js
+const PORTS = {
+  CNSHA: { id: 1, name: 'Shanghai', latitude: 31.2304, longitude: 121.4737 },
+  NLRTM: { id: 2, name: 'Rotterdam', latitude: 51.9244, longitude: 4.4777 },
+  USNYC: { id: 3, name: 'New York', latitude: 40.7128, longitude: -74.0060 },
+  FIHEL: { id: 4, name: 'Helsinki', latitude: 60.1699, longitude: 24.9384 }
+};
+
+function route(origin, destination, routing, extraAvoid) {
+  return findSeaRoute(PORTS[origin], PORTS[destination], routing, extraAvoid);
+}
+
+// Клиент БД: порты по id, кеш port_distances пуст
+function createPortsClient() {
+  return createClient((sql, params) => (sql.includes('FROM ports')
+    ? Object.values(PORTS).filter(port => params[0].includes(port.id)).map(port => ({ ...port, latitude: String(port.latitude), longitude: String(port.longitude) }))
+    : []));
+}
+
+// Тест 1: Шанхай - Роттердам через Суэц и вокруг мыса Доброй Надежды
+function testSuezVersusCape() {
+  console.log('Тест 1: Проверка маршрутов Шанхай - Роттердам...');
+  const suez = route('CNSHA', 'NLRTM', 'suez');
+  const cape = route('CNSHA', 'NLRTM', 'cape');
+  assert(suez.passages.includes('suez_canal') && !suez.passages.includes('cape_of_good_hope'));
+  assert(cape.passages.includes('cape_of_good_hope') && !cape.passages.includes('suez_canal'));
+  assert(suez.distanceNm > 10000 && suez.distanceNm < 11000, `Через Суэц ${suez.distanceNm} миль`);
+  assert(cape.distanceNm - suez.distanceNm > 3000, 'Вокруг Африки более чем на 3000 миль длиннее');
+  assert.deepStrictEqual(route('CNSHA', 'NLRTM', 'shortest'), suez, 'Кратчайший маршрут - через Суэц');
+  assert.strictEqual(suez.routeName, suez.passages.map(passage => SEA_PASSAGES[passage]).join(' - '));
+  console.log(`✓ Через Суэц ${suez.distanceNm} миль, вокруг мыса Доброй Надежды ${cape.distanceNm}`);
+}
+
+// Тест 2: Роттердам - Хельсинки через Кильский канал и вокруг Скагена
+function testKielVersusSkagen() {
+  console.log('Тест 2: Проверка Кильского канала и Скагена...');
+  const kiel = route('NLRTM', 'FIHEL', 'shortest');
+  const skagen = route('NLRTM', 'FIHEL', 'skagen');
+  assert.deepStrictEqual(kiel.passages, ['kiel_canal']);
+  assert(!skagen.passages.includes('kiel_canal'));
+  assert(skagen.passages.includes('danish_straits'));
+  assert(skagen.distanceNm > kiel.distanceNm, 'Вокруг Скагена длиннее');
+  console.log(`✓ Через Кильский канал ${kiel.distanceNm} миль, вокруг Скагена ${skagen.distanceNm}`);
+}
+
+// Тест 3: Шанхай - Нью-Йорк через Панамский канал
+function testPanama() {
+  console.log('Тест 3: Проверка маршрута Шанхай - Нью-Йорк...');
+  const panama = route('CNSHA', 'USNYC', 'panama');
+  assert.deepStrictEqual(panama.passages, ['panama_canal']);
+  assert.deepStrictEqual(route('CNSHA', 'USNYC', 'shortest'), panama, 'Кратчайший маршрут - через Панаму');
+  const suez = route('CNSHA', 'USNYC', 'suez');
+  assert(suez.passages.includes('suez_canal') && suez.distanceNm > panama.distanceNm);
+  for (const routing of ['panama', 'suez', 'cape']) {
+    const { avoid } = ROUTINGS[routing];
+    assert(!route('CNSHA', 'USNYC', routing).passages.some(passage => avoid.includes(passage)), `Вариант ${routing} не проходит исключенные проходы`);
+  }
+  console.log(`✓ Через Панамский канал ${panama.distanceNm} миль, через Суэц ${suez.distanceNm}`);
+}
+
+// Тест 4: мили в зонах ECA
+function testEcaMiles() {
+  console.log('Тест 4: Проверка миль в зонах ECA...');
+  assert.strictEqual(ecaZoneAt(PORTS.NLRTM.latitude, PORTS.NLRTM.longitude), 'north_sea');
+  assert.strictEqual(ecaZoneAt(PORTS.FIHEL.latitude, PORTS.FIHEL.longitude), 'baltic');
+  assert.strictEqual(ecaZoneAt(PORTS.USNYC.latitude, PORTS.USNYC.longitude), 'north_american');
+  assert.strictEqual(ecaZoneAt(PORTS.CNSHA.latitude, PORTS.CNSHA.longitude), null);
+  assert.strictEqual(ecaZoneAt(26.5, -76.0), null, 'Багамские острова исключены из зоны');
+
+  const baltic = route('NLRTM', 'FIHEL', 'shortest');
+  assert.strictEqual(baltic.ecaDistanceNm, baltic.distanceNm, 'Северное и Балтийское моря целиком в зонах ECA');
+  const suez = route('CNSHA', 'NLRTM', 'suez');
+  const cape = route('CNSHA', 'NLRTM', 'cape');
+  assert(suez.ecaDistanceNm > 0 && suez.ecaDistanceNm < suez.distanceNm);
+  assert(suez.ecaDistanceNm > cape.ecaDistanceNm, 'Через Суэц маршрут проходит Средиземное море (ECA)');
+  assert(cape.ecaDistanceNm > 0, 'Подход к Роттердаму - в зоне ECA');
+  console.log(`✓ В зонах ECA: Роттердам - Хельсинки ${baltic.ecaDistanceNm} из ${baltic.distanceNm} миль, через Суэц ${suez.ecaDistanceNm}, вокруг Африки ${cape.ecaDistanceNm}`);
+}
+
+// Тест 5: закрытые проходы исключаются, без альтернативы - ошибка 422
+async function testClosedPassages() {
+  console.log('Тест 5: Проверка закрытых проходов...');
+  const detour = route('CNSHA', 'NLRTM', 'shortest', ['suez_canal']);
+  assert(!detour.passages.includes('suez_canal'));
+  assert(detour.distanceNm > route('CNSHA', 'NLRTM', 'shortest').distanceNm);
+  assert.strictEqual(route('CNSHA', 'NLRTM', 'suez', ['bab_el_mandeb']), null, 'Через Суэц без Баб-эль-Мандеба маршрута нет');
+
+  const client = createPortsClient();
+  const closed = await getPortDistance(client, 1, 2, 'shortest', { avoid: ['bab_el_mandeb'] });
+  assert(!closed.passages.includes('bab_el_mandeb') && !closed.passages.includes('suez_canal'));
+  assert(!client.queries.some(query => query.sql.includes('port_distances')), 'Маршрут с закрытыми проходами не берется из кеша и не сохраняется');
+
+  await assert.rejects(
+    getPortDistance(createPortsClient(), 1, 2, 'suez', { avoid: ['bab_el_mandeb'] }),
+    error => error instanceof SeaRouteError && error.statusCode === 422 && error.message.includes('avoiding Bab-el-Mandeb')
+  );
+  await assert.rejects(getPortDistance(createPortsClient(), 1, 2, 'north_pole'), error => error instanceof SeaRouteError && error.statusCode === 400);
+  console.log(`✓ Без Суэцкого канала ${detour.distanceNm} миль (${detour.routeName}), без альтернативы - 422`);
+}
+
+async function runTests() {
+  console.log('Запуск тестов морских маршрутов...');
+  try {
+    testSuezVersusCape();
+    testKielVersusSkagen();
+    testPanama();
+    testEcaMiles();
+    await testClosedPassages();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
@@ -0,0 +1,148 @@
+// Тесты анализа временных рядов (time_series.js) на синтетических рядах с известными параметрами
+// Шум - детерминированный псевдослучайный (LCG с фиксированным seed), поэтому результаты воспроизводимы.
+//
+// Запуск: node tests/time_series_test.js (входит в npm test)
+
+import assert from 'assert';
+import {
+  Z_95, tQuantile95, aggregateMonthly, buildMonthlySeries, decomposeMonthlySeries, combineSeasonalEstimates
+} from '../time_series.js';
+import { createNoise, assertClose } from './helpers.js';
+
+// Сезонные факторы синтетического ряда (январь - декабрь), нормированы к произведению 1
+const RAW_FACTORS = [1.06, 0.97, 0.88, 0.94, 1.0, 1.03, 1.07, 1.1, 1.12, 1.02, 0.95, 0.9];
+const LOG_MEAN = RAW_FACTORS.reduce((sum, factor) => sum + Math.log(factor), 0) / RAW_FACTORS.length;
+const TRUE_FACTORS = RAW_FACTORS.map(factor => factor / Math.exp(LOG_MEAN));
+
+// Помесячный ряд { month, value } с начала startYear: уровень * (1 + рост)^t * фактор месяца * (1 + шум)
+function seasonalSeries({ years, startYear = 2019, level = 1000, growth = 0, noise = 0, seed = 42 }) {
+  const random = createNoise(seed);
+  return Array.from({ length: years * 12 }, (_, t) => ({
+    month: `${startYear + Math.floor(t / 12)}-${String(t % 12 + 1).padStart(2, '0')}`,
+    value: level * (1 + growth) ** t * TRUE_FACTORS[t % 12] * (1 + noise * random())
+  }));
+}
+
+// Тест 1: квантили t-распределения
+function testTQuantile() {
+  console.log('Тест 1: Проверка квантилей t-распределения...');
+  assert.strictEqual(tQuantile95(1), 12.706);
+  assert.strictEqual(tQuantile95(10), 2.228);
+  assert.strictEqual(tQuantile95(30), 2.042);
+  // После таблицы - разложение Корниша-Фишера: t(40) = 2.021, t(120) = 1.980, к бесконечности - квантиль нормального
+  assertClose(tQuantile95(40), 2.021, 0.001, 't(40)');
+  assertClose(tQuantile95(120), 1.980, 0.001, 't(120)');
+  assertClose(tQuantile95(1e6), Z_95, 1e-4, 't(1e6)');
+  assert(tQuantile95(31) < tQuantile95(30), 'Квантиль убывает при переходе от таблицы к разложению');
+  assert.strictEqual(tQuantile95(0), Infinity, 'Без степеней свободы интервал бесконечен');
+  console.log('✓ Квантили совпадают с табличными');
+}
+
+// Тест 2: помесячные ряды - средние по месяцу и интерполяция пропусков
+function testMonthlySeries() {
+  console.log('Тест 2: Проверка построения помесячного ряда...');
+  const monthly = aggregateMonthly([
+    { date: '2024-03-04', value: 100 }, { date: '2024-01-08', value: 90 },
+    { date: '2024-01-22', value: 110 }, { date: '2024-03-25', value: 140 }
+  ]);
+  assert.deepStrictEqual(monthly, [{ month: '2024-01', value: 100 }, { month: '2024-03', value: 120 }], 'Наблюдения усредняются по месяцам в порядке дат');
+  const series = buildMonthlySeries([...monthly, { month: '2024-06', value: 150 }]);
+  assert.deepStrictEqual(series.months, ['2024-01', '2024-02', '2024-03', '2024-04', '2024-05', '2024-06']);
+  assert.deepStrictEqual(series.values, [100, 110, 120, 130, 140, 150], 'Пропуски заполняются линейной интерполяцией');
+  assert.deepStrictEqual(series.observed, [true, false, true, false, false, true]);
+  assert.deepStrictEqual(buildMonthlySeries([]), { months: [], values: [], observed: [] });
+  console.log('✓ Помесячный ряд строится с интерполяцией пропусков');
+}
+
+// Тест 3: ряд без шума - факторы восстанавливаются точно, интервал нулевой ширины
+function testExactRecovery() {
+  console.log('Тест 3: Проверка восстановления факторов ряда без шума...');
+  const decomposition = decomposeMonthlySeries(buildMonthlySeries(seasonalSeries({ years: 4 })));
+  assert(decomposition, 'Ряд из 4 лет должен раскладываться');
+  decomposition.seasonal.forEach((estimate, monthIndex) => {
+    assert.strictEqual(estimate.month, monthIndex + 1);
+    assertClose(estimate.factor, TRUE_FACTORS[monthIndex], 1e-9, `Фактор месяца ${estimate.month}`);
+    assertClose(estimate.upper - estimate.lower, 0, 1e-9, `Интервал месяца ${estimate.month}`);
+  });
+  const product = decomposition.seasonal.reduce((result, estimate) => result * estimate.factor, 1);
+  assertClose(product, 1, 1e-9, 'Произведение факторов');
+  // 48 месяцев, тренд 2x12 без 6 месяцев с каждого края: 36 наблюдений, 24 степени свободы
+  assert.strictEqual(decomposition.dof, 36 - 12);
+  console.log('✓ Факторы восстановлены точно, dof = 24');
+}
+
+// Тест 4: ряд с трендом и шумом - факторы в пределах шума, истинные факторы внутри 95% интервалов
+function testNoisyRecovery() {
+  console.log('Тест 4: Проверка восстановления факторов ряда с трендом и шумом...');
+  const decomposition = decomposeMonthlySeries(buildMonthlySeries(seasonalSeries({ years: 6, growth: 0.004, noise: 0.03 })));
+  assert(decomposition, 'Ряд из 6 лет должен раскладываться');
+  let covered = 0;
+  decomposition.seasonal.forEach((estimate, monthIndex) => {
+    assertClose(estimate.factor, TRUE_FACTORS[monthIndex], 0.03, `Фактор месяца ${estimate.month}`);
+    assert(estimate.lower < estimate.factor && estimate.factor < estimate.upper, `Интервал месяца ${estimate.month} содержит оценку`);
+    if (estimate.lower <= TRUE_FACTORS[monthIndex] && TRUE_FACTORS[monthIndex] <= estimate.upper) covered++;
+  });
+  assert(covered >= 10, `Истинный фактор должен попадать в 95% интервал почти для всех месяцев (попал для ${covered} из 12)`);
+  // Равномерный шум ±3% - стандартное отклонение логарифма около 0.03 / sqrt(3)
+  assertClose(decomposition.sigma, 0.03 / Math.sqrt(3), 0.006, 'Сигма остатков');
+  // Интервал - t-квантиль по степеням свободы остатков
+  const estimate = decomposition.seasonal[0];
+  const halfWidth = Math.log(estimate.upper / estimate.factor);
+  assertClose(halfWidth, tQuantile95(decomposition.dof) * decomposition.sigma / Math.sqrt(estimate.observations), 1e-9, 'Полуширина интервала');
+  console.log(`✓ Факторы восстановлены, истинный фактор в интервале для ${covered} из 12 месяцев`);
+}
+
+// Тест 5: недостаточная история не раскладывается
+function testInsufficientHistory() {
+  console.log('Тест 5: Проверка недостаточной истории...');
+  assert.strictEqual(decomposeMonthlySeries(buildMonthlySeries(seasonalSeries({ years: 1 }))), null, 'Меньше 24 месяцев');
+  // 2 года: с трендом остаются 12 наблюдений - по одному на месяц, степеней свободы 0
+  assert.strictEqual(decomposeMonthlySeries(buildMonthlySeries(seasonalSeries({ years: 2, noise: 0.02 }))), null, 'Мало степеней свободы');
+  // Месяц без наблюдений (все январи интерполированы) - фактор не оценивается
+  const withoutJanuary = seasonalSeries({ years: 5 }).filter(point => !point.month.endsWith('-01') || point.month === '2019-01');
+  assert.strictEqual(decomposeMonthlySeries(buildMonthlySeries(withoutJanuary)), null, 'Нет наблюдений месяца');
+  console.log('✓ Недостаточная история не раскладывается');
+}
+
+// Тест 6: объединение оценок рядов с весами, обратными дисперсии
+function testCombineEstimates() {
+  console.log('Тест 6: Проверка объединения оценок рядов...');
+  const precise = decomposeMonthlySeries(buildMonthlySeries(seasonalSeries({ years: 6, noise: 0.01, seed: 7 }))).seasonal;
+  const noisy = decomposeMonthlySeries(buildMonthlySeries(seasonalSeries({ years: 6, noise: 0.08, seed: 11 }))).seasonal;
+  assert.deepStrictEqual(combineSeasonalEstimates([]), []);
+
+  const same = combineSeasonalEstimates([precise, precise]);
+  same.forEach((estimate, monthIndex) => {
+    assertClose(estimate.factor, precise[monthIndex].factor, 1e-9, `Фактор месяца ${estimate.month} при объединении ряда с самим собой`);
+    assertClose(estimate.logStdError, precise[monthIndex].logStdError / Math.SQRT2, 1e-9, 'Ошибка уменьшается в sqrt(2) раз');
+    assert.strictEqual(estimate.observations, 2 * precise[monthIndex].observations);
+  });
+
+  const combined = combineSeasonalEstimates([precise, noisy]);
+  combined.forEach((estimate, monthIndex) => {
+    assert(Math.abs(estimate.factor - precise[monthIndex].factor) < Math.abs(estimate.factor - noisy[monthIndex].factor),
+      `Месяц ${estimate.month}: объединенный фактор ближе к точному ряду`);
+    assert(estimate.logStdError < precise[monthIndex].logStdError, `Месяц ${estimate.month}: объединенная ошибка меньше ошибки каждого ряда`);
+  });
+  assertClose(combined.reduce((result, estimate) => result * estimate.factor, 1), 1, 1e-9, 'Произведение объединенных факторов');
+  console.log('✓ Точный ряд получает больший вес, произведение факторов равно 1');
+}
+
+function runTests() {
+  console.log('Запуск тестов анализа временных рядов...');
+  try {
+    testTQuantile();
+    testMonthlySeries();
+    testExactRecovery();
+    testNoisyRecovery();
+    testInsufficientHistory();
+    testCombineEstimates();
+    console.log('Все тесты успешно пройдены!');
+  } catch (error) {
+    console.error('Ошибка при выполнении тестов:', error.message);
+    process.exit(1);
+  }
+}
+
+// Запуск тестов
+runTests();
@@ -0,0 +1,304 @@
+// Модуль анализа временных рядов (без обращения к БД)
+// Помесячные ряды строятся из наблюдений { month: 'YYYY-MM', value }: пропущенные месяцы заполняются
+// линейной интерполяцией и помечаются как ненаблюдаемые.
+//
+// Мультипликативная декомпозиция ряда: значение = тренд * сезонность * остаток.
+//   тренд       - центрированное скользящее среднее 2x12
+//   сезонность  - среднее ln(значение / тренд) по каждому месяцу года, нормированное к произведению 1
+//   остаток     - ln(значение / тренд) - ln(сезонность месяца)
+// Стандартная ошибка сезонного фактора месяца = сигма остатков / sqrt(число наблюдений месяца),
+// 95% интервал = фактор * exp(±t * ошибка) (t-квантиль по числу степеней свободы остатков).
+//
+// Прогноз недельного ряда - экспоненциальное сглаживание с затухающим трендом (ETS(A,Ad,N)) по логарифмам значений.
+// Параметры сглаживания подбираются по сетке (минимум суммы квадратов ошибок прогноза на шаг вперед),
+// интервал прогноза на h шагов: sigma^2 * (1 + сумма по j < h (alpha + beta * (phi + ... + phi^j))^2).
+
+const SEASONAL_PERIOD = 12;
+
+// Минимум степеней свободы остатков (наблюдений с трендом минус 12 оцененных месяцев)
+const MIN_RESIDUAL_DOF = 6;
+
+// Квантиль нормального распределения для 95% интервала
+const Z_95 = 1.959964;
+
+// Квантили t-распределения для 95% интервала (dof 1-30); при большем числе степеней свободы -
+// разложение Корниша-Фишера (погрешность < 0.001)
+const T_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.160, 2.145, 2.131,
+  2.120, 2.110, 2.101, 2.093, 2.086, 2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+// Минимум недель с данными для прогноза
+const MIN_FORECAST_POINTS = 8;
+
+// Сетка параметров сглаживания: уровень, тренд (beta <= alpha), затухание тренда
+const FORECAST_ALPHAS = [0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9];
+const FORECAST_BETAS = [0.01, 0.05, 0.1, 0.2];
+const FORECAST_PHIS = [0.8, 0.9, 0.98];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function tQuantile95(dof) {
+  if (!(dof >= 1)) return Infinity;
+  if (dof <= T_95.length) return T_95[Math.floor(dof) - 1];
+  const z = Z_95;
+  return z + (z ** 3 + z) / (4 * dof) + (5 * z ** 5 + 16 * z ** 3 + 3 * z) / (96 * dof ** 2);
+}
+
+function parseMonth(month) {
+  const [year, monthNumber] = String(month).split('-').map(Number);
+  return year * 12 + monthNumber - 1;
+}
+
+function formatMonth(monthIndex) {
+  return `${Math.floor(monthIndex / 12)}-${String(monthIndex % 12 + 1).padStart(2, '0')}`;
+}
+
+// Средние по месяцам из наблюдений { date: 'YYYY-MM-DD', value } -> [{ month: 'YYYY-MM', value }]
+function aggregateMonthly(points) {
+  const months = new Map();
+  for (const point of points) {
+    const month = String(point.date).slice(0, 7);
+    const bucket = months.get(month) || { sum: 0, count: 0 };
+    bucket.sum += point.value;
+    bucket.count++;
+    months.set(month, bucket);
+  }
+  return [...months.entries()].sort(([a], [b]) => (a < b ? -1 : 1)).map(([month, { sum, count }]) => ({ month, value: sum / count }));
+}
+
+// Номер недели (с понедельника) для даты 'YYYY-MM-DD' или Date; 1970-01-05 - понедельник
+function weekNumber(date) {
+  const day = Math.floor((date instanceof Date ? date.getTime() : Date.parse(String(date).slice(0, 10))) / DAY_MS);
+  return Math.floor((day - 4) / 7);
+}
+
+function formatWeek(week) {
+  return new Date((week * 7 + 4) * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Непрерывный недельный ряд из наблюдений { date, value }: { weeks (понедельники 'YYYY-MM-DD'), values, observed }.
+// Несколько наблюдений одной недели усредняются, пропуски заполняются линейной интерполяцией.
+function buildWeeklySeries(points) {
+  const byWeek = new Map();
+  for (const point of points) {
+    if (!(point.value > 0)) continue;
+    const week = weekNumber(point.date);
+    const bucket = byWeek.get(week) || { sum: 0, count: 0 };
+    bucket.sum += point.value;
+    bucket.count++;
+    byWeek.set(week, bucket);
+  }
+  const indices = [...byWeek.keys()].sort((a, b) => a - b);
+  const weeks = [];
+  const values = [];
+  const observed = [];
+  for (let i = 0; i < indices.length; i++) {
+    const current = indices[i];
+    const value = byWeek.get(current).sum / byWeek.get(current).count;
+    weeks.push(formatWeek(current));
+    values.push(value);
+    observed.push(true);
+    const next = indices[i + 1];
+    if (next === undefined) continue;
+    const nextValue = byWeek.get(next).sum / byWeek.get(next).count;
+    for (let gap = current + 1; gap < next; gap++) {
+      const weight = (gap - current) / (next - current);
+      weeks.push(formatWeek(gap));
+      values.push(value * (1 - weight) + nextValue * weight);
+      observed.push(false);
+    }
+  }
+  return { weeks, values, observed };
+}
+
+// Непрерывный помесячный ряд из наблюдений: { months, values, observed }.
+// Пропуски заполняются линейной интерполяцией между соседними наблюдениями (observed = false).
+function buildMonthlySeries(points) {
+  const byMonth = new Map();
+  for (const point of points) {
+    if (point.value > 0) byMonth.set(parseMonth(point.month), point.value);
+  }
+  if (byMonth.size === 0) {
+    return { months: [], values: [], observed: [] };
+  }
+  const indices = [...byMonth.keys()].sort((a, b) => a - b);
+  const months = [];
+  const values = [];
+  const observed = [];
+  for (let i = 0; i < indices.length; i++) {
+    const current = indices[i];
+    months.push(formatMonth(current));
+    values.push(byMonth.get(current));
+    observed.push(true);
+    const next = indices[i + 1];
+    for (let gap = current + 1; next !== undefined && gap < next; gap++) {
+      const weight = (gap - current) / (next - current);
+      months.push(formatMonth(gap));
+      values.push(byMonth.get(current) * (1 - weight) + byMonth.get(next) * weight);
+      observed.push(false);
+    }
+  }
+  return { months, values, observed };
+}
+
+// Центрированное скользящее среднее 2x12 (на краях ряда - null)
+function centeredMovingAverage(values, period = SEASONAL_PERIOD) {
+  const half = period / 2;
+  return values.map((_, t) => {
+    if (t < half || t + half >= values.length) return null;
+    let sum = 0.5 * values[t - half] + 0.5 * values[t + half];
+    for (let k = t - half + 1; k < t + half; k++) sum += values[k];
+    return sum / period;
+  });
+}
+
+// Мультипликативная декомпозиция помесячного ряда (buildMonthlySeries).
+// Возвращает { trend, seasonal: [{ month, factor, lower, upper, observations, logStdError }], sigma, dof }
+// или null, если данных недостаточно (нет наблюдений какого-либо месяца или мало степеней свободы).
+function decomposeMonthlySeries(series) {
+  const { months, values, observed } = series;
+  if (values.length < 2 * SEASONAL_PERIOD) {
+    return null;
+  }
+  const firstMonth = parseMonth(months[0]) % 12;
+  const trend = centeredMovingAverage(values);
+  const logRatios = Array.from({ length: SEASONAL_PERIOD }, () => []);
+  const samples = [];
+  for (let t = 0; t < values.length; t++) {
+    if (!observed[t] || !(trend[t] > 0)) continue;
+    const monthIndex = (firstMonth + t) % SEASONAL_PERIOD;
+    const logRatio = Math.log(values[t] / trend[t]);
+    logRatios[monthIndex].push(logRatio);
+    samples.push({ monthIndex, logRatio });
+  }
+  if (logRatios.some(ratios => ratios.length === 0)) {
+    return null;
+  }
+  const dof = samples.length - SEASONAL_PERIOD;
+  if (dof < MIN_RESIDUAL_DOF) {
+    return null;
+  }
+  const means = logRatios.map(ratios => ratios.reduce((sum, value) => sum + value, 0) / ratios.length);
+  const sumSquares = samples.reduce((sum, { monthIndex, logRatio }) => sum + (logRatio - means[monthIndex]) ** 2, 0);
+  const sigma = Math.sqrt(sumSquares / dof);
+  const normalization = means.reduce((sum, value) => sum + value, 0) / SEASONAL_PERIOD;
+  const t = tQuantile95(dof);
+  const seasonal = means.map((mean, monthIndex) => {
+    const logFactor = mean - normalization;
+    const logStdError = sigma / Math.sqrt(logRatios[monthIndex].length);
+    return {
+      month: monthIndex + 1,
+      factor: Math.exp(logFactor),
+      lower: Math.exp(logFactor - t * logStdError),
+      upper: Math.exp(logFactor + t * logStdError),
+      observations: logRatios[monthIndex].length,
+      // Ошибка, приведенная к нормальному квантилю (для объединения рядов с разным числом степеней свободы)
+      logStdError: t * logStdError / Z_95
+    };
+  });
+  return { trend, seasonal, sigma, dof };
+}
+
+// Объединение сезонных факторов нескольких рядов по месяцам с весами, обратными дисперсии (в логарифмах).
+// estimates - массив seasonal из decomposeMonthlySeries. Возвращает [{ month, factor, lower, upper, observations, logStdError }].
+function combineSeasonalEstimates(estimates) {
+  if (estimates.length === 0) {
+    return [];
+  }
+  const combined = Array.from({ length: SEASONAL_PERIOD }, (_, monthIndex) => {
+    let weightSum = 0;
+    let weightedLog = 0;
+    let observations = 0;
+    for (const seasonal of estimates) {
+      const estimate = seasonal[monthIndex];
+      // Ряд без разброса остатков получает вес как при ошибке 0.1% (без деления на ноль)
+      const weight = 1 / Math.max(estimate.logStdError, 0.001) ** 2;
+      weightSum += weight;
+      weightedLog += weight * Math.log(estimate.factor);
+      observations += estimate.observations;
+    }
+    return { month: monthIndex + 1, logFactor: weightedLog / weightSum, logStdError: 1 / Math.sqrt(weightSum), observations };
+  });
+  // Веса месяцев разные, поэтому произведение факторов снова приводится к 1
+  const normalization = combined.reduce((sum, estimate) => sum + estimate.logFactor, 0) / SEASONAL_PERIOD;
+  return combined.map(({ month, logFactor, logStdError, observations }) => ({
+    month,
+    factor: Math.exp(logFactor - normalization),
+    lower: Math.exp(logFactor - normalization - Z_95 * logStdError),
+    upper: Math.exp(logFactor - normalization + Z_95 * logStdError),
+    observations,
+    logStdError
+  }));
+}
+
+// Один проход сглаживания по логарифмам: уровень, тренд и сумма квадратов ошибок прогноза на шаг вперед
+function runDampedTrend(logs, alpha, beta, phi) {
+  let level = logs[0];
+  let trend = 0;
+  let sumSquares = 0;
+  for (let t = 1; t < logs.length; t++) {
+    const error = logs[t] - (level + phi * trend);
+    sumSquares += error ** 2;
+    level = level + phi * trend + alpha * error;
+    trend = phi * trend + beta * error;
+  }
+  return { level, trend, sumSquares };
+}
+
+// Прогноз положительного ряда (равномерный шаг) на horizon шагов с 95% интервалами.
+// Возвращает { alpha, beta, phi, sigma, observations, forecasts: [{ step, value, lower, upper, logStdError }] }
+// или null, если точек меньше MIN_FORECAST_POINTS.
+function dampedTrendForecast(values, horizon) {
+  if (values.length < MIN_FORECAST_POINTS || values.some(value => !(value > 0))) {
+    return null;
+  }
+  const logs = values.map(value => Math.log(value));
+  let best = null;
+  for (const alpha of FORECAST_ALPHAS) {
+    for (const beta of FORECAST_BETAS.filter(beta => beta <= alpha)) {
+      for (const phi of FORECAST_PHIS) {
+        const fit = runDampedTrend(logs, alpha, beta, phi);
+        if (!best || fit.sumSquares < best.sumSquares) {
+          best = { ...fit, alpha, beta, phi };
+        }
+      }
+    }
+  }
+  const { level, trend, alpha, beta, phi } = best;
+  // Три оцененных параметра сглаживания
+  const sigma = Math.sqrt(best.sumSquares / Math.max(1, logs.length - 1 - 3));
+  const forecasts = [];
+  let dampedSum = 0;
+  let varianceSum = 0;
+  for (let step = 1; step <= horizon; step++) {
+    dampedSum += phi ** step;
+    const logMean = level + dampedSum * trend;
+    const logStdError = sigma * Math.sqrt(1 + varianceSum);
+    forecasts.push({
+      step,
+      value: Math.exp(logMean),
+      lower: Math.exp(logMean - Z_95 * logStdError),
+      upper: Math.exp(logMean + Z_95 * logStdError),
+      logStdError
+    });
+    // Слагаемое следующего шага: (alpha + beta * (phi + ... + phi^step))^2
+    varianceSum += (alpha + beta * dampedSum) ** 2;
+  }
+  return { alpha, beta, phi, sigma, observations: values.length, forecasts };
+}
+
+export {
+  SEASONAL_PERIOD,
+  MIN_RESIDUAL_DOF,
+  MIN_FORECAST_POINTS,
+  Z_95,
+  tQuantile95,
+  aggregateMonthly,
+  weekNumber,
+  formatWeek,
+  buildWeeklySeries,
+  buildMonthlySeries,
+  centeredMovingAverage,
+  decomposeMonthlySeries,
+  combineSeasonalEstimates,
+  dampedTrendForecast
+};
@@ -1,8 +1,8 @@
 // web_search_indices.js
 // Module to fetch freight index values using web search as a fallback
 
-const axios = require('axios');
-const cheerio = require('cheerio');
+import axios from 'axios';
+import * as cheerio from 'cheerio';
 
 /**
  * Searches for the latest value of a freight index using web search
@@ -136,9 +136,11 @@ async function fetchPageContent(url) {
  * 
  * @param {string} html - HTML content
  * @param {string} indexName - Name of the index to extract
+ * @param {Object} [options]
+ * @param {Date} [options.fetchedAt] - Time the page was fetched (used as the date when the page has none)
  * @returns {Object|null} Object with index value and date, or null if not found
  */
-function extractIndexData(html, indexName) {
+function extractIndexData(html, indexName, { fetchedAt = new Date() } = {}) {
   try {
     console.log(`[Web Search] Extracting ${indexName} data from HTML content`);
     
@@ -169,7 +171,7 @@ function extractIndexData(html, indexName) {
           const dateMatch = text.match(/(\d{4}-\d{2}-\d{2})|([A-Z][a-z]+ \d{1,2}, \d{4})/);
           return {
             value: parseFloat(valueMatch[1].replace(',', '')),
-            date: dateMatch ? dateMatch[0] : getCurrentDateString(),
+            date: dateMatch ? dateMatch[0] : getCurrentDateString(fetchedAt),
             source: 'web_search'
           };
         }
@@ -215,22 +217,14 @@ function getCurrentYear() {
 /**
  * Gets the current date as a string in YYYY-MM-DD format
  * 
+ * @param {Date} [date] - Date to format (defaults to now)
  * @returns {string} Current date in YYYY-MM-DD format
  */
-function getCurrentDateString() {
-  const date = new Date();
+function getCurrentDateString(date = new Date()) {
   return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
 }
 
-// Export the functions
-module.exports = {
-  searchIndexValue
+export {
+  searchIndexValue,
+  extractIndexData
 };
-
-// Compatibility for ES modules
-if (typeof exports === 'object' && typeof module !== 'undefined') {
-  Object.defineProperty(exports, '__esModule', { value: true });
-  exports.default = {
-    searchIndexValue
-  };
-}